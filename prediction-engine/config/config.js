@@ -0,0 +1,289 @@
+/**
+ * Runtime Configuration
+ * Resolves worker endpoints, season, lookback windows, the output directory, the simulation count and the
+ * model parameters (a profile or parameter file) from layered sources:
+ *   defaults → nba.config.json → environment variables → CLI flags
+ * Every resolved value remembers which layer it came from (see --print-config)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_WORKERS = {
+  games: 'https://nba-worker-games.scottcinatl.workers.dev',
+  teams: 'https://nba-worker-teams.scottcinatl.workers.dev',
+  players: 'https://nba-worker-players.scottcinatl.workers.dev',
+  injuries: 'https://nba-worker-injuries.scottcinatl.workers.dev',
+  gamenotes: 'https://nba-worker-gamenotes.scottcinatl.workers.dev',
+  injuriesOfficial: 'https://nba-worker-injuries-official.scottcinatl.workers.dev',
+  lineups: 'https://nba-worker-lineups.scottcinatl.workers.dev',
+  teamstyle: 'https://nba-worker-teamstyle.scottcinatl.workers.dev',
+  schedule: 'https://nba-worker-schedule.scottcinatl.workers.dev',
+  results: 'https://nba-worker-results.scottcinatl.workers.dev'
+};
+
+export const CONFIG_FILE_NAME = 'nba.config.json';
+
+// Scalar settings: config file key, env var, CLI flag, parser
+const SETTINGS = {
+  season: { env: 'NBA_SEASON', flag: '--season', parse: parseSeason },
+  lastN: { env: 'NBA_LAST_N', flag: '--last-n', parse: parseLookback },
+  lineupsLastN: { env: 'NBA_LINEUPS_LAST_N', flag: '--lineups-last-n', parse: parseLookback },
+  styleLastN: { env: 'NBA_STYLE_LAST_N', flag: '--style-last-n', parse: parseLookback },
+  outputDir: { env: 'NBA_OUTPUT_DIR', flag: '--output-dir', parse: parseOutputDir },
+  simulations: { env: 'NBA_SIMULATIONS', flag: '--simulations', parse: parseSimulations },
+  parameters: { env: 'NBA_PARAMETERS', flag: '--parameters', parse: parseParameters }
+};
+
+const BASE_URL_ENV = 'NBA_WORKERS_BASE_URL';
+const BASE_URL_FLAG = '--workers-base-url';
+const CONFIG_FILE_ENV = 'NBA_CONFIG';
+const CONFIG_FILE_FLAG = '--config';
+
+/**
+ * Current NBA season string (same rule as the workers' getCurrentSeason)
+ */
+export function getCurrentSeason(now = new Date()) {
+  const year = now.getFullYear();
+  const month = now.getMonth() + 1;
+
+  if (month >= 10) {
+    return `${year}-${String(year + 1).slice(-2)}`;
+  }
+  return `${year - 1}-${String(year).slice(-2)}`;
+}
+
+function parseSeason(value) {
+  const season = String(value).trim();
+  if (!/^\d{4}-\d{2}$/.test(season)) {
+    throw new Error(`season must look like 2025-26, got "${value}"`);
+  }
+  return season;
+}
+
+function parseLookback(value) {
+  const lookback = Number(value);
+  if (!Number.isInteger(lookback) || lookback < 0) {
+    throw new Error(`lookback windows must be whole numbers of games (0 = full season), got "${value}"`);
+  }
+  return lookback;
+}
+
+function parseSimulations(value) {
+  const simulations = Number(value);
+  if (!Number.isInteger(simulations) || simulations < 0 || simulations > 1000000) {
+    throw new Error(`simulations must be a whole number of games up to 1000000 (0 = off), got "${value}"`);
+  }
+  return simulations;
+}
+
+// "constants" (hand-tuned values), "latest" (newest nba-calibrate file), a profile name (config/profiles/) or a parameter file path
+function parseParameters(value) {
+  const setting = String(value).trim();
+  if (!setting) {
+    throw new Error('parameters must be "constants", "latest", a profile name or a parameter file path');
+  }
+  return setting;
+}
+
+function parseOutputDir(value) {
+  const dir = String(value).trim();
+  if (!dir) {
+    throw new Error('output directory must not be empty');
+  }
+  return dir;
+}
+
+function parseUrl(value) {
+  const url = String(value).trim().replace(/\/+$/, '');
+  try {
+    new URL(url);
+  } catch (error) {
+    throw new Error(`invalid URL "${value}"`);
+  }
+  return url;
+}
+
+/**
+ * "injuriesOfficial" -> "INJURIES_OFFICIAL" / "injuries-official"
+ */
+function workerEnvName(name) {
+  return `NBA_WORKER_${name.replace(/([A-Z])/g, '_$1').toUpperCase()}_URL`;
+}
+
+function workerFlagName(name) {
+  return `--worker-${name.replace(/([A-Z])/g, '-$1').toLowerCase()}`;
+}
+
+function getFlag(argv, flag) {
+  return argv.find(arg => arg.startsWith(`${flag}=`))?.slice(flag.length + 1);
+}
+
+/**
+ * Names of every CLI flag owned by the config layer
+ */
+export function getConfigFlags() {
+  return [
+    CONFIG_FILE_FLAG,
+    BASE_URL_FLAG,
+    ...Object.keys(DEFAULT_WORKERS).map(workerFlagName),
+    ...Object.values(SETTINGS).map(setting => setting.flag),
+    '--print-config'
+  ];
+}
+
+/**
+ * Remove config flags so scripts with positional arguments can parse the rest
+ */
+export function stripConfigFlags(argv) {
+  const flags = getConfigFlags();
+  return argv.filter(arg => !flags.some(flag => arg === flag || arg.startsWith(`${flag}=`)));
+}
+
+/**
+ * Read the config file named by --config / NBA_CONFIG, or ./nba.config.json if present
+ */
+function readConfigFile(argv, env, cwd) {
+  const explicitPath = getFlag(argv, CONFIG_FILE_FLAG) || env[CONFIG_FILE_ENV];
+  const filePath = path.resolve(cwd, explicitPath || CONFIG_FILE_NAME);
+
+  if (!fs.existsSync(filePath)) {
+    if (explicitPath) {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    return { filePath: null, contents: {} };
+  }
+
+  try {
+    return { filePath, contents: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Build the ordered list of layers, each shaped like { label, baseUrl, workers, settings }
+ */
+function collectLayers(argv, env, configFile) {
+  const defaults = {
+    label: 'default',
+    baseUrl: null,
+    workers: { ...DEFAULT_WORKERS },
+    settings: { season: getCurrentSeason(), lastN: 5, lineupsLastN: 10, styleLastN: 10, outputDir: 'output', simulations: 10000, parameters: 'constants' }
+  };
+
+  const fileLayer = { label: configFile.filePath ? `file ${path.basename(configFile.filePath)}` : null, baseUrl: null, workers: {}, settings: {} };
+  const { workersBaseUrl, workers = {}, ...fileSettings } = configFile.contents;
+  fileLayer.baseUrl = workersBaseUrl || null;
+  fileLayer.workers = { ...workers };
+  Object.keys(SETTINGS).forEach(key => {
+    if (fileSettings[key] !== undefined) fileLayer.settings[key] = fileSettings[key];
+  });
+
+  const envLayer = { label: 'env', baseUrl: env[BASE_URL_ENV] || null, workers: {}, settings: {} };
+  const cliLayer = { label: 'cli', baseUrl: getFlag(argv, BASE_URL_FLAG) || null, workers: {}, settings: {} };
+
+  Object.keys(DEFAULT_WORKERS).forEach(name => {
+    if (env[workerEnvName(name)]) envLayer.workers[name] = env[workerEnvName(name)];
+    if (getFlag(argv, workerFlagName(name))) cliLayer.workers[name] = getFlag(argv, workerFlagName(name));
+  });
+
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    if (env[setting.env] !== undefined && env[setting.env] !== '') envLayer.settings[key] = env[setting.env];
+    if (getFlag(argv, setting.flag) !== undefined) cliLayer.settings[key] = getFlag(argv, setting.flag);
+  });
+
+  return [defaults, fileLayer, envLayer, cliLayer];
+}
+
+/**
+ * Describe where a value came from, e.g. "env NBA_SEASON" or "cli --workers-base-url"
+ */
+function describeSource(layer, key, isWorker, fromBaseUrl) {
+  if (layer.label === 'default' || layer.label?.startsWith('file')) {
+    if (fromBaseUrl) return `${layer.label} (workersBaseUrl)`;
+    return layer.label;
+  }
+
+  const isEnv = layer.label === 'env';
+  if (fromBaseUrl) return isEnv ? `env ${BASE_URL_ENV}` : `cli ${BASE_URL_FLAG}`;
+  if (isWorker) return isEnv ? `env ${workerEnvName(key)}` : `cli ${workerFlagName(key)}`;
+  return isEnv ? `env ${SETTINGS[key].env}` : `cli ${SETTINGS[key].flag}`;
+}
+
+/**
+ * Resolve the runtime configuration
+ * Within a layer a specific worker URL beats that layer's base URL; later layers beat earlier ones
+ * @returns {object} - { values: { workers, season, lastN, lineupsLastN, styleLastN, outputDir, simulations, parameters }, sources, configFile }
+ */
+export function resolveConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const configFile = readConfigFile(argv, env, cwd);
+  const layers = collectLayers(argv, env, configFile);
+
+  const values = { workers: {} };
+  const sources = { workers: {} };
+
+  layers.forEach(layer => {
+    if (!layer.label) return;
+
+    Object.keys(DEFAULT_WORKERS).forEach(name => {
+      const specific = layer.workers[name];
+      const fromBase = !specific && layer.baseUrl;
+      if (!specific && !fromBase) return;
+
+      try {
+        values.workers[name] = specific ? parseUrl(specific) : `${parseUrl(layer.baseUrl)}/${name}`;
+      } catch (error) {
+        throw new Error(`Config error for workers.${name} (${describeSource(layer, name, true, fromBase)}): ${error.message}`);
+      }
+      sources.workers[name] = describeSource(layer, name, true, fromBase);
+    });
+
+    Object.entries(SETTINGS).forEach(([key, setting]) => {
+      if (layer.settings[key] === undefined) return;
+
+      try {
+        values[key] = setting.parse(layer.settings[key]);
+      } catch (error) {
+        throw new Error(`Config error for ${key} (${describeSource(layer, key, false, false)}): ${error.message}`);
+      }
+      sources[key] = describeSource(layer, key, false, false);
+    });
+  });
+
+  return { values, sources, configFile: configFile.filePath };
+}
+
+/**
+ * Print every resolved value alongside the layer it came from
+ */
+export function printConfig(resolved) {
+  const rows = [
+    ...Object.keys(resolved.values.workers).map(name => [`workers.${name}`, resolved.values.workers[name], resolved.sources.workers[name]]),
+    ...Object.keys(SETTINGS).map(key => [key, String(resolved.values[key]), resolved.sources[key]])
+  ];
+  const keyWidth = Math.max(...rows.map(row => row[0].length));
+  const valueWidth = Math.max(...rows.map(row => row[1].length));
+
+  console.log('⚙️  RESOLVED CONFIGURATION');
+  console.log(`📄 Config file: ${resolved.configFile || `none (looked for ./${CONFIG_FILE_NAME})`}`);
+  console.log('─'.repeat(keyWidth + valueWidth + 20));
+  rows.forEach(([key, value, source]) => {
+    console.log(`${key.padEnd(keyWidth)}  ${value.padEnd(valueWidth)}  [${source}]`);
+  });
+}
+
+/**
+ * Resolve once per process so every module sees the same configuration
+ * A bad config file or flag is a startup error, not something to limp along with
+ */
+function loadRuntimeConfig() {
+  try {
+    return resolveConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export const RUNTIME_CONFIG = loadRuntimeConfig();
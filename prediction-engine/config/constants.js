@@ -3,6 +3,9 @@
  * All magic numbers, thresholds, and weights in one place
  */
 
+import { RUNTIME_CONFIG } from './config.js';
+import { loadParameterSetting, applyParameterValues, constantValues, parameterFingerprint } from './parameters.js';
+
 export const ENHANCEMENT_WEIGHTS = {
   MAX_MULTIPLIER: 1.20, // Maximum 20% total boost
   PACE_ADVANTAGE_THRESHOLD: 3, // Pace differential to trigger boost
@@ -36,6 +39,22 @@ export const INJURY_STATUS_IMPACTS = {
   probable: { playProbability: 0.90, effectiveness: 0.95, description: '90% plays, near full effectiveness' }
 };
 
+// How the reason for an absence changes its impact (categories from shared/injury-report-parser.js)
+// - limitsEffectiveness: whether the player is limited if active (rest, suspension and G League aren't injuries)
+// - teammateBoost: share of the usual OUT boost teammates get (two-way players on assignment free no rotation minutes)
+// - returnImpact: scale on the returning-player reduction (rest and suspension returns step straight back into a full role)
+// - uncertainty: scale on status uncertainty (planned rest is decided early; illness and personal absences flip late)
+export const INJURY_REASON_PROFILES = {
+  injury: { label: 'injury', limitsEffectiveness: true, teammateBoost: 1.0, returnImpact: 1.0, uncertainty: 1.0, note: null },
+  illness: { label: 'illness', limitsEffectiveness: true, teammateBoost: 1.0, returnImpact: 1.0, uncertainty: 1.25, note: 'illness - late decisions common' },
+  rest: { label: 'rest', limitsEffectiveness: false, teammateBoost: 1.0, returnImpact: 1.25, uncertainty: 0.5, note: 'rest - full role on return' },
+  'g-league': { label: 'G League', limitsEffectiveness: false, teammateBoost: 0, returnImpact: 0, uncertainty: 0.5, note: 'G League - no rotation impact' },
+  suspension: { label: 'suspension', limitsEffectiveness: false, teammateBoost: 1.0, returnImpact: 1.25, uncertainty: 0, note: 'suspension - fixed length, full role on return' },
+  personal: { label: 'personal', limitsEffectiveness: false, teammateBoost: 1.0, returnImpact: 1.0, uncertainty: 1.5, note: 'personal - return timing unknown' },
+  'not-with-team': { label: 'not with team', limitsEffectiveness: false, teammateBoost: 1.0, returnImpact: 1.0, uncertainty: 1.5, note: 'not with team - return timing unknown' },
+  other: { label: 'other', limitsEffectiveness: true, teammateBoost: 1.0, returnImpact: 1.0, uncertainty: 1.0, note: null }
+};
+
 export const INJURY_BOOST_MULTIPLIERS = {
   SUPERSTAR_OUT: 0.20,
   STAR_OUT: 0.15,
@@ -76,7 +95,18 @@ export const SCHEDULE_ADJUSTMENTS = {
   BACK_TO_BACK_EFFICIENCY: 0.97, // -3%
   REST_POSSESSIONS_PER_DAY: 0.3,
   REST_EFFICIENCY_PER_DAY: 0.005, // +0.5% per day
-  MAX_REST_EFFICIENCY_BOOST: 0.02 // Cap at +2%
+  MAX_REST_EFFICIENCY_BOOST: 0.02, // Cap at +2%
+
+  // Fatigue scoring used to build restAdvantage (positive = fresher)
+  REST_DAY_VALUE: 0.5, // Per rest day beyond the first
+  MAX_REST_DAYS_COUNTED: 3, // Extra rest stops helping after 3 days
+  THREE_IN_FOUR_FATIGUE: -0.5,
+  FOUR_IN_SIX_FATIGUE: -0.75,
+  TRAVEL_FATIGUE_PER_1000_MILES: -0.4, // Only counted on 0-1 days rest
+  TIMEZONE_FATIGUE_PER_HOUR: -0.25, // Only counted on 0-1 days rest
+  LONG_ROAD_TRIP_GAMES: 4, // Game 4+ of a road trip
+  LONG_ROAD_TRIP_FATIGUE: -0.5,
+  MAX_REST_ADVANTAGE: 3
 };
 
 export const OPPONENT_DEFENSE = {
@@ -111,27 +141,84 @@ export const VARIANCE_MODELING = {
   BACK_TO_BACK_MULTIPLIER: 1.2
 };
 
+// Monte Carlo game simulation (modules/simulation.js)
+export const SIMULATION = {
+  ITERATIONS: RUNTIME_CONFIG.values.simulations, // Games per matchup (--simulations); 0 = logistic win probability only
+  SEED: 20251104, // Base seed - each matchup mixes in its teams, so reruns reproduce
+  PACE_STD_DEV: { 'Very High': 2.5, 'High': 3.0, 'Medium': 3.5, 'Low': 4.5 }, // Possessions, by pace confidence
+  OVERTIME_MINUTES: 5,
+  MAX_OVERTIMES: 4, // Still tied after this many: decided by a coin flip
+  PERCENTILES: [5, 10, 25, 50, 75, 90, 95],
+  SCORE_RANGE: [25, 75], // Percentiles shown as each team's score range
+
+  // Player stats allocated from each simulated team score
+  STARTERS: 5, // Projected players by minutes treated as starters for blowout minutes
+  MINUTES_STD_DEV: 0.10, // Game-to-game minutes swing (share of projected minutes)
+  SHOT_SHARE_STD_DEV: 0.25, // Game-to-game swing in a player's share of the team's scoring
+  BLOWOUT_MARGIN: 20, // Final margin where rotations change
+  BLOWOUT_MINUTES: { starters: 0.85, bench: 1.20 } // Minutes multipliers in a blowout
+};
+
 export const HOME_ADVANTAGE = {
-  DEFAULT: 2.5,
+  DEFAULT: 2.5, // Points when either team has no home/away record yet
+  EARLY_SEASON_BASE: 1.5, // Baseline added to the overall record gap before teams have home/away splits
+  EARLY_SEASON_MAX: 6.0,
+  SPLIT_BASE: 1.0, // Baseline added to the home/away split gap
   MAX: 8.0,
   MIN_GAMES_FOR_SPLIT: 3 // Minimum home/away games to use split records
 };
 
-export const WORKERS = {
-  games: 'https://nba-worker-games.scottcinatl.workers.dev',
-  teams: 'https://nba-worker-teams.scottcinatl.workers.dev',
-  players: 'https://nba-worker-players.scottcinatl.workers.dev',
-  injuries: 'https://nba-worker-injuries.scottcinatl.workers.dev',
-  gamenotes: 'https://nba-worker-gamenotes.scottcinatl.workers.dev',
-  injuriesOfficial: 'https://nba-worker-injuries-official.scottcinatl.workers.dev',
-  lineups: 'https://nba-worker-lineups.scottcinatl.workers.dev',
-  teamstyle: 'https://nba-worker-teamstyle.scottcinatl.workers.dev',
-  results: 'https://nba-worker-results.scottcinatl.workers.dev'
+// Season-long Elo ratings from stored final scores (modules/team-ratings.js), blended into the predicted margin
+export const TEAM_RATINGS = {
+  MEAN: 1500,             // Every team's starting rating, and where ratings regress to between seasons
+  K: 20,                  // Rating points moved by a single game before the margin-of-victory multiplier
+  HOME_ELO: 70,           // Home court edge in rating points (~2.5 points)
+  ELO_PER_POINT: 28,      // Rating gap worth one point of margin
+  SEASON_CARRYOVER: 0.75, // Share of last season's distance from the mean kept at the start of a new season
+  MAX_WEIGHT: 0.6,        // Weight of the rating margin before teams have played (last-5 stats and early records are noise)
+  MIN_WEIGHT: 0.2,        // Floor the weight tightens toward as the season's gamesPlayed grows
+  HALF_WEIGHT_GAMES: 10   // gamesPlayed at which the weight is halfway between MAX_WEIGHT and MIN_WEIGHT
 };
 
+// Worker endpoints, season, lookback windows and the output directory are layered (defaults → nba.config.json → env → CLI)
+// See config.js, or run with --print-config to see where each value came from
+export const WORKERS = RUNTIME_CONFIG.values.workers;
+
+// Prediction files for the engine and validator (relative paths resolve from the working directory)
+export const OUTPUT_DIR = RUNTIME_CONFIG.values.outputDir;
+
 export const NBA_SEASON_CONFIG = {
   SEASON_START_MONTH: 10, // October
-  LAST_N_GAMES: 5 // Default lookback window
+  SEASON: RUNTIME_CONFIG.values.season,
+  LAST_N_GAMES: RUNTIME_CONFIG.values.lastN, // Default lookback window for team/player stats
+  LINEUPS_LAST_N_GAMES: RUNTIME_CONFIG.values.lineupsLastN,
+  STYLE_LAST_N_GAMES: RUNTIME_CONFIG.values.styleLastN
+};
+
+// Worker HTTP client (see shared/http-client.js) - workers retry stats.nba.com themselves,
+// so the engine retries less to avoid multiplying upstream calls
+export const HTTP_CLIENT_CONFIG = {
+  timeoutMs: 30000,          // Cold workers fetching several NBA endpoints can be slow
+  retries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 10000,
+  retryBudget: 40,
+  breakerThreshold: 5,
+  breakerCooldownMs: 60000,
+  maxFailureLog: Infinity    // Keep every failure for the run's failure report
+};
+
+// Response cache TTLs per data type (milliseconds) - see modules/cache.js
+export const CACHE_TTLS = {
+  games: 5 * 60 * 1000,            // Scores and status change during the night
+  teams: 60 * 60 * 1000,           // Team stats only move after games finish
+  players: 60 * 60 * 1000,
+  injuries: 10 * 60 * 1000,        // Official report refreshes hourly, ESPN more often
+  lineups: 12 * 60 * 60 * 1000,    // Season-level aggregates
+  teamstyle: 12 * 60 * 60 * 1000,
+  schedule: 6 * 60 * 60 * 1000,    // Only changes on postponements
+  gamenotes: 2 * 60 * 60 * 1000,   // Teams post notes once, occasionally revised before tip
+  results: 60 * 60 * 1000          // Final scores for the team ratings; a date's late games finish after its first fetch
 };
 
 export const INJURY_REPORT_TIMES = [
@@ -156,3 +243,83 @@ export const INJURY_REPORT_TIMES = [
   { hour: 18, minute: 0, format: '06PM' },  // 6:00 PM ET
   { hour: 19, minute: 0, format: '07PM' }   // 7:00 PM ET
 ];
+
+// --watch: poll for each new official report and re-run the matchups whose injuries changed
+export const WATCH_CONFIG = {
+  PUBLISH_DELAY_MINUTES: 35,  // Reports go up around half past the slot they're named for
+  RECHECK_MINUTES: 10,        // Report not up yet - try again after this long
+  MAX_RECHECKS: 3
+};
+
+// Injury history store: when a returning player is likely on a minutes restriction
+export const INJURY_HISTORY_CONFIG = {
+  RESTRICTION_MIN_GAMES_MISSED: 2,  // Shorter absences rarely come back on a restriction
+  RESTRICTION_WINDOW_GAMES: 3       // Games back before minutes are treated as normal again
+};
+
+// Returning-player minutes ramp: share of normal minutes by game back from a restriction window
+// (game 1 = first game after the absence; see INJURY_HISTORY_CONFIG.RESTRICTION_WINDOW_GAMES)
+export const MINUTES_RESTRICTION_RAMPS = {
+  'lower-body': [0.65, 0.75, 0.85],  // Knees, ankles, feet, hamstrings, calves - teams ease these back slowest
+  'upper-body': [0.80, 0.90, 0.95],
+  illness: [0.85, 0.95, 1.0],
+  default: [0.75, 0.85, 0.95]         // Injury with no usable body part
+};
+
+export const MINUTES_RESTRICTION_CONFIG = {
+  LONG_ABSENCE_GAMES: 10,  // Absences this long start the ramp a step lower
+  LONG_ABSENCE_STEP: 0.10,
+  MIN_FACTOR: 0.5
+};
+
+// Teammate boosts from on/off lineup data when a player is out (falls back to INJURY_BOOST_MULTIPLIERS)
+export const ON_OFF_REDISTRIBUTION = {
+  MIN_MINUTES_WITHOUT: 25,          // Lineup minutes the teammate needs without the absent player...
+  MIN_MINUTES_WITH: 25,             // ...and alongside them before the split is trusted
+  DEFAULT_POSSESSIONS_PER_MINUTE: 0.42, // Possessions used per minute for lineup members missing from player stats (~20% usage)
+  MAX_BOOST: 0.35,
+  MIN_BOOST: -0.15
+};
+
+// Constant groups a profile or parameter file can override (nba-calibrate fits TUNABLE_PARAMETERS among them)
+export const MODEL_PARAMETER_GROUPS = {
+  ENHANCEMENT_WEIGHTS, IMPACT_SCORE_THRESHOLDS, IMPACT_SCORE_WEIGHTS, INJURY_BOOST_MULTIPLIERS,
+  GAME_SCRIPT_THRESHOLDS, GAME_SCRIPT_ADJUSTMENTS, POSSESSION_MODEL, SCHEDULE_ADJUSTMENTS,
+  OPPONENT_DEFENSE, VARIANCE_MODELING, HOME_ADVANTAGE, ON_OFF_REDISTRIBUTION, TEAM_RATINGS
+};
+
+// The hand-tuned values above, which every profile and parameter file is applied on top of
+const CONSTANT_VALUES = constantValues(MODEL_PARAMETER_GROUPS);
+
+// The parameters the run's output is stamped with: { source, version, filePath, fingerprint, modelVersion }
+export const MODEL_PARAMETERS = {};
+
+/**
+ * Switch the model to a --parameters setting ("constants", "latest", a profile name or a file path)
+ * Values from a previous setting are reset first, so A/B runs can switch back and forth
+ * @returns {object} - MODEL_PARAMETERS
+ */
+export function useModelParameters(setting) {
+  const loaded = loadParameterSetting(setting, MODEL_PARAMETER_GROUPS);
+
+  applyParameterValues(MODEL_PARAMETER_GROUPS, CONSTANT_VALUES);
+  applyParameterValues(MODEL_PARAMETER_GROUPS, loaded.values);
+
+  const fingerprint = parameterFingerprint(MODEL_PARAMETER_GROUPS);
+  return Object.assign(MODEL_PARAMETERS, {
+    source: loaded.source,
+    version: loaded.version,
+    filePath: loaded.filePath,
+    fingerprint,
+    modelVersion: `${loaded.source}@${fingerprint}`
+  });
+}
+
+// Fitted values or a profile (--parameters) replace the hand-tuned ones above for the whole run
+try {
+  useModelParameters(RUNTIME_CONFIG.values.parameters);
+} catch (error) {
+  // Same as a bad config flag: a run on parameters other than the ones asked for isn't worth having
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
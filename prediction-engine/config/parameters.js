@@ -0,0 +1,263 @@
+/**
+ * Model Parameters
+ * The hand-tuned model constants nba-calibrate fits, the versioned parameter files it writes, and
+ * named profiles (config/profiles/<name>.json) that override any numeric model constant.
+ * --parameters picks one for the run: "constants" (the default, the values in constants.js),
+ * "latest" (the newest calibrated file), a profile name, or a parameter file path
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+export const PARAMETER_FILE_SCHEMA = 'nba-intelligence/parameters';
+export const PARAMETER_FILE_SCHEMA_VERSION = 1;
+export const PARAMETERS_DIR = './parameters';
+export const PROFILE_SCHEMA = 'nba-intelligence/profile';
+export const PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'profiles');
+
+// GROUP.NAME in constants.js, with the range a fit may move it in and the step it searches with
+// (the default home edge stays above 0 - scoring treats a zero home advantage as missing)
+export const TUNABLE_PARAMETERS = [
+  { key: 'HOME_ADVANTAGE.DEFAULT', min: 0.5, max: 5, step: 0.5 },
+  { key: 'HOME_ADVANTAGE.EARLY_SEASON_BASE', min: 0, max: 4, step: 0.5 },
+  { key: 'HOME_ADVANTAGE.SPLIT_BASE', min: 0, max: 4, step: 0.5 },
+  { key: 'POSSESSION_MODEL.DEFENSIVE_EXPONENT', min: 0.3, max: 1.2, step: 0.1 },
+  { key: 'ENHANCEMENT_WEIGHTS.MAX_MULTIPLIER', min: 1.0, max: 1.35, step: 0.05 },
+  { key: 'OPPONENT_DEFENSE.RIM_PROTECTOR_VS_DRIVER', min: 0.85, max: 1.0, step: 0.02 },
+  { key: 'OPPONENT_DEFENSE.ZONE_VS_SHOOTER', min: 1.0, max: 1.15, step: 0.02 },
+  { key: 'OPPONENT_DEFENSE.SWITCH_VS_ISO', min: 0.85, max: 1.0, step: 0.02 },
+  { key: 'OPPONENT_DEFENSE.ELITE_PERIMETER_VS_SHOOTER', min: 0.85, max: 1.0, step: 0.02 },
+  { key: 'OPPONENT_DEFENSE.WEAK_PAINT_VS_BIG', min: 1.0, max: 1.15, step: 0.02 },
+  { key: 'GAME_SCRIPT_ADJUSTMENTS.INTERIOR_HIGH', min: 0, max: 5, step: 0.5 },
+  { key: 'GAME_SCRIPT_ADJUSTMENTS.INTERIOR_MEDIUM', min: 0, max: 3, step: 0.25 },
+  { key: 'GAME_SCRIPT_ADJUSTMENTS.PERIMETER_HIGH', min: 0, max: 5, step: 0.5 },
+  { key: 'GAME_SCRIPT_ADJUSTMENTS.PERIMETER_MEDIUM', min: 0, max: 3, step: 0.25 },
+  { key: 'GAME_SCRIPT_ADJUSTMENTS.TEMPO_HIGH', min: 0, max: 4, step: 0.5 },
+  { key: 'GAME_SCRIPT_ADJUSTMENTS.TEMPO_MEDIUM', min: 0, max: 2, step: 0.25 }
+];
+
+function findParameter(key) {
+  return TUNABLE_PARAMETERS.find(parameter => parameter.key === key) || null;
+}
+
+/**
+ * Current values of the tunable parameters: { 'GROUP.NAME': value }
+ * @param {object} groups - constant groups by name (MODEL_PARAMETER_GROUPS in constants.js)
+ */
+export function getParameterValues(groups, parameters = TUNABLE_PARAMETERS) {
+  return Object.fromEntries(parameters.map(({ key }) => {
+    const [group, name] = key.split('.');
+    return [key, groups[group][name]];
+  }));
+}
+
+/**
+ * Every numeric constant in the groups: { 'GROUP.NAME': value } (nested tables like PACE_BOUNDS are left out)
+ */
+export function constantValues(groups) {
+  return Object.fromEntries(Object.entries(groups).flatMap(([group, constants]) =>
+    Object.entries(constants)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([name, value]) => [`${group}.${name}`, value])));
+}
+
+/**
+ * Short hash of every numeric constant in the groups - changes whenever any model value does,
+ * whether through a parameter file, a profile or an edit to constants.js
+ */
+export function parameterFingerprint(groups) {
+  const values = constantValues(groups);
+  const canonical = JSON.stringify(Object.keys(values).sort().map(key => [key, values[key]]));
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 8);
+}
+
+/**
+ * Problems with a set of parameter values (empty when every value is a known parameter inside its range)
+ * @param {object} [groups] - constant groups; when given, any numeric constant in them may be set
+ *   (profiles), otherwise only TUNABLE_PARAMETERS (calibrated files). Tunable values keep to their ranges either way
+ */
+export function checkParameterValues(values, groups = null) {
+  if (!values || typeof values !== 'object') return ['values is not an object'];
+
+  return Object.entries(values).flatMap(([key, value]) => {
+    const parameter = findParameter(key);
+    const [group, name] = key.split('.');
+    if (!parameter && typeof groups?.[group]?.[name] !== 'number') return [`unknown parameter "${key}"`];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [`${key} is not a number`];
+    if (parameter && (value < parameter.min || value > parameter.max)) return [`${key} = ${value} is outside ${parameter.min}-${parameter.max}`];
+    return [];
+  });
+}
+
+/**
+ * Write parameter values into the constant groups in place (every module reads them at call time)
+ */
+export function applyParameterValues(groups, values) {
+  const problems = checkParameterValues(values, groups);
+  if (problems.length > 0) {
+    throw new Error(`Invalid parameter values: ${problems.join('; ')}`);
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    const [group, name] = key.split('.');
+    groups[group][name] = value;
+  });
+}
+
+/**
+ * Parameter files in a directory, oldest version first: [{ version, filePath }]
+ */
+export function listParameterFiles(dir = PARAMETERS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(name => ({ name, match: name.match(/^parameters-v(\d+)\.json$/) }))
+    .filter(entry => entry.match)
+    .map(entry => ({ version: parseInt(entry.match[1], 10), filePath: path.join(dir, entry.name) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Turn "latest" or a path into a parameter file path (null = use constants.js)
+ */
+export function resolveParameterFile(setting, dir = PARAMETERS_DIR) {
+  if (!setting || setting === 'constants') return null;
+
+  if (setting === 'latest') {
+    const files = listParameterFiles(dir);
+    if (files.length === 0) {
+      throw new Error(`--parameters=latest but no parameter files in ${dir} (run nba-calibrate first)`);
+    }
+    return files[files.length - 1].filePath;
+  }
+
+  return setting;
+}
+
+/**
+ * Read and check a parameter file
+ * @returns {object} - the file: { schema, schemaVersion, version, createdAt, values, ... }
+ */
+export function readParameterFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Parameter file not found: ${filePath}`);
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Parameter file ${filePath} is not valid JSON: ${error.message}`);
+  }
+
+  if (file.schema !== PARAMETER_FILE_SCHEMA) {
+    throw new Error(`Parameter file ${filePath} has schema "${file.schema}" (expected "${PARAMETER_FILE_SCHEMA}")`);
+  }
+  if (file.schemaVersion > PARAMETER_FILE_SCHEMA_VERSION) {
+    throw new Error(`Parameter file ${filePath} is schema v${file.schemaVersion}; this version of the code reads up to v${PARAMETER_FILE_SCHEMA_VERSION}`);
+  }
+
+  const problems = checkParameterValues(file.values);
+  if (problems.length > 0) {
+    throw new Error(`Parameter file ${filePath}: ${problems.join('; ')}`);
+  }
+
+  return file;
+}
+
+/**
+ * Write fitted values as the next version in the directory
+ * @param {object} contents - { values, defaults, basedOn, fit, ... } stored alongside the version header
+ * @returns {object} - { version, filePath }
+ */
+export function writeParameterFile(contents, dir = PARAMETERS_DIR, now = new Date()) {
+  const problems = checkParameterValues(contents.values);
+  if (problems.length > 0) {
+    throw new Error(`Refusing to write invalid parameters: ${problems.join('; ')}`);
+  }
+
+  const files = listParameterFiles(dir);
+  const version = files.length > 0 ? files[files.length - 1].version + 1 : 1;
+  const filePath = path.join(dir, `parameters-v${String(version).padStart(3, '0')}.json`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    schema: PARAMETER_FILE_SCHEMA,
+    schemaVersion: PARAMETER_FILE_SCHEMA_VERSION,
+    version,
+    createdAt: now.toISOString(),
+    ...contents
+  }, null, 2), 'utf8');
+
+  return { version, filePath };
+}
+
+/**
+ * Names of the profiles in a directory
+ */
+export function listProfiles(dir = PROFILES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.replace(/\.json$/, ''))
+    .sort();
+}
+
+/**
+ * Read and check a named profile
+ * @param {object} groups - constant groups the profile's values must exist in (MODEL_PARAMETER_GROUPS)
+ * @returns {object} - { schema, name, description, values }
+ */
+export function readProfile(name, groups, dir = PROFILES_DIR) {
+  const filePath = path.join(dir, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    const available = listProfiles(dir);
+    throw new Error(`Unknown parameter profile "${name}" (available: ${available.length > 0 ? available.join(', ') : 'none'})`);
+  }
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Profile ${filePath} is not valid JSON: ${error.message}`);
+  }
+
+  if (profile.schema !== PROFILE_SCHEMA) {
+    throw new Error(`Profile ${filePath} has schema "${profile.schema}" (expected "${PROFILE_SCHEMA}")`);
+  }
+  if (profile.name !== name) {
+    throw new Error(`Profile ${filePath} is named "${profile.name}" - the name has to match the file name`);
+  }
+
+  const problems = checkParameterValues(profile.values, groups);
+  if (problems.length > 0) {
+    throw new Error(`Profile ${name}: ${problems.join('; ')}`);
+  }
+
+  return { ...profile, filePath };
+}
+
+/**
+ * Resolve a --parameters setting to the values it sets
+ * @param {string} setting - "constants", "latest", a profile name or a parameter file path
+ * @param {object} groups - constant groups (MODEL_PARAMETER_GROUPS)
+ * @returns {object} - { source, version, filePath, values } (source names the model in output: constants, a profile name, or vN)
+ */
+export function loadParameterSetting(setting, groups, { dir = PARAMETERS_DIR, profilesDir = PROFILES_DIR } = {}) {
+  if (!setting || setting === 'constants') {
+    return { source: 'constants', version: null, filePath: null, values: {} };
+  }
+
+  const isPath = setting.includes('/') || setting.includes(path.sep) || setting.endsWith('.json');
+  if (setting !== 'latest' && !isPath) {
+    const profile = readProfile(setting, groups, profilesDir);
+    return { source: profile.name, version: null, filePath: profile.filePath, values: profile.values };
+  }
+
+  const filePath = resolveParameterFile(setting, dir);
+  const file = readParameterFile(filePath);
+  return { source: `v${file.version}`, version: file.version, filePath, values: file.values };
+}
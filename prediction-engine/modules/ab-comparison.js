@@ -0,0 +1,106 @@
+/**
+ * A/B Comparison Module
+ * --ab=profileA,profileB analyzes the slate's fetched data once per profile, saves each as a normal run
+ * stamped with its model version, and lines the two up game by game and player by player
+ * (<slateDate>_<runId>_ab.csv / _ab-players.csv under the second run; validator.js --ab scores them head to head)
+ */
+
+/**
+ * The two --parameters settings to compare
+ * @param {string} value - "baseline,aggressive-injury"
+ * @returns {Array} - [a, b]
+ */
+export function parseAbProfiles(value) {
+  const profiles = String(value || '').split(',').map(profile => profile.trim()).filter(Boolean);
+
+  if (profiles.length !== 2) {
+    throw new Error(`--ab needs exactly two profiles (e.g. --ab=baseline,aggressive-injury), got "${value || ''}"`);
+  }
+  if (profiles[0] === profiles[1]) {
+    throw new Error(`--ab compares two different profiles, got "${profiles[0]}" twice`);
+  }
+  return profiles;
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function number(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function difference(a, b) {
+  return a !== null && b !== null ? round1(b - a) : '';
+}
+
+/**
+ * Side-by-side rows for two runs of the same slate
+ * @param {object} a - { runId, modelVersion, rows: { games, players } } (CSV rows from getCollectedRows)
+ * @param {object} b - same for the second profile
+ * @returns {object} - { games, players } - differences are B minus A
+ */
+export function buildAbComparison(a, b) {
+  const games = a.rows.games.map(gameA => {
+    const gameB = b.rows.games.find(row => row.Matchup === gameA.Matchup) || {};
+    const marginA = number(gameA.HomeScore) - number(gameA.AwayScore);
+    const marginB = gameB.Matchup ? number(gameB.HomeScore) - number(gameB.AwayScore) : null;
+
+    return {
+      Date: gameA.Date,
+      Matchup: gameA.Matchup,
+      ModelA: a.modelVersion,
+      ModelB: b.modelVersion,
+      RunA: a.runId,
+      RunB: b.runId,
+      AwayScoreA: gameA.AwayScore,
+      AwayScoreB: gameB.AwayScore ?? '',
+      HomeScoreA: gameA.HomeScore,
+      HomeScoreB: gameB.HomeScore ?? '',
+      HomeMarginA: marginA,
+      HomeMarginB: marginB ?? '',
+      HomeMarginDiff: difference(marginA, marginB),
+      TotalA: gameA.Total,
+      TotalB: gameB.Total ?? '',
+      TotalDiff: difference(number(gameA.Total), number(gameB.Total)),
+      FavoriteA: gameA.Favorite,
+      FavoriteB: gameB.Favorite ?? '',
+      AwayWinPctA: gameA.AwayWinPct,
+      AwayWinPctB: gameB.AwayWinPct ?? '',
+      ConfidenceA: gameA.Confidence,
+      ConfidenceB: gameB.Confidence ?? ''
+    };
+  });
+
+  // Injury adjustments can move a player in or out of a team's top 9, so take everyone either run projected
+  const playerKey = row => `${row.Matchup}|${row.PlayerId || row.Player}`;
+  const playersB = new Map(b.rows.players.map(row => [playerKey(row), row]));
+  const keys = [...new Set([...a.rows.players.map(playerKey), ...playersB.keys()])];
+  const playersA = new Map(a.rows.players.map(row => [playerKey(row), row]));
+
+  const players = keys.map(key => {
+    const playerA = playersA.get(key) || {};
+    const playerB = playersB.get(key) || {};
+    const player = playerA.Player ? playerA : playerB;
+
+    return {
+      Date: player.Date,
+      Matchup: player.Matchup,
+      Team: player.Team,
+      Player: player.Player,
+      PlayerId: player.PlayerId ?? '',
+      ModelA: a.modelVersion,
+      ModelB: b.modelVersion,
+      PointsA: playerA.EnhPoints ?? '',
+      PointsB: playerB.EnhPoints ?? '',
+      PointsDiff: difference(number(playerA.EnhPoints), number(playerB.EnhPoints)),
+      ReboundsA: playerA.EnhRebounds ?? '',
+      ReboundsB: playerB.EnhRebounds ?? '',
+      AssistsA: playerA.EnhAssists ?? '',
+      AssistsB: playerB.EnhAssists ?? '',
+      MinutesA: playerA.EnhMinutes ?? '',
+      MinutesB: playerB.EnhMinutes ?? ''
+    };
+  });
+
+  return { games, players };
+}
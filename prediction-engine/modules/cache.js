@@ -0,0 +1,207 @@
+/**
+ * Response Cache Module
+ * Persistent on-disk cache for worker responses with a TTL per data type.
+ * Stale entries are revalidated with If-None-Match / If-Modified-Since when the
+ * worker sent validators, so unchanged payloads (e.g. injury report PDFs) are not re-downloaded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { CACHE_TTLS } from '../config/constants.js';
+import { workerClient } from './http.js';
+
+export const DEFAULT_CACHE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.cache', 'responses');
+
+// Module-level state, configured once per run from the CLI flags
+const cacheState = {
+  enabled: true,
+  refresh: new Set(), // data types that skip fresh entries this run ('all' = every type)
+  dir: DEFAULT_CACHE_DIR,
+  stats: { hits: 0, revalidated: 0, misses: 0, bypassed: 0, stale: 0 }
+};
+
+// In-flight and successful requests for this run, so parallel callers share one fetch
+const memoryCache = new Map();
+
+/**
+ * Configure the cache for this run
+ * @param {object} options - { enabled, refresh: ['injuries', ...], dir }
+ */
+export function configureCache({ enabled = true, refresh = [], dir = DEFAULT_CACHE_DIR } = {}) {
+  cacheState.enabled = enabled;
+  cacheState.refresh = new Set(refresh);
+  cacheState.dir = dir;
+  cacheState.stats = { hits: 0, revalidated: 0, misses: 0, bypassed: 0, stale: 0 };
+  memoryCache.clear();
+}
+
+/**
+ * Parse a --refresh=injuries,lineups flag value into a list of data types
+ */
+export function parseRefreshTypes(value) {
+  if (!value) return [];
+
+  const types = value.split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => type !== 'all' && !CACHE_TTLS[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown cache type(s): ${unknown.join(', ')}. Use ${Object.keys(CACHE_TTLS).join(', ')} or all`);
+  }
+  return types;
+}
+
+/**
+ * Forget everything fetched during this run (the on-disk cache is untouched)
+ */
+export function clearMemoryCache() {
+  memoryCache.clear();
+}
+
+/**
+ * Ask the worker again for a data type from now on: fresh on-disk entries are skipped (as with
+ * --refresh) and this run's copies are forgotten. Used by --watch, where the same URL changes between polls
+ */
+export function refreshCacheType(type) {
+  cacheState.refresh.add(type);
+  [...memoryCache.keys()]
+    .filter(key => key.startsWith(`${type}:`))
+    .forEach(key => memoryCache.delete(key));
+}
+
+export function getCacheStats() {
+  return { ...cacheState.stats };
+}
+
+function cachePath(type, url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  return path.join(cacheState.dir, type, `${hash}.json`);
+}
+
+function readEntry(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null; // Corrupt entry - treat as a miss and overwrite
+  }
+}
+
+function writeEntry(filePath, entry) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(entry), 'utf8');
+  } catch (error) {
+    console.log(`   ⚠️  Could not write cache entry ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+function isFresh(entry, type) {
+  if (cacheState.refresh.has(type) || cacheState.refresh.has('all')) return false;
+  return Date.now() - new Date(entry.storedAt).getTime() < CACHE_TTLS[type];
+}
+
+/**
+ * Serve a stale entry when the worker can't be reached, otherwise a success:false body
+ * Stale data is marked with cacheStale so the game can be flagged as degraded
+ */
+function fallbackAfterError(entry, url, error) {
+  if (entry) {
+    cacheState.stats.stale++;
+    console.log(`   ⚠️  Using cached copy from ${entry.storedAt} (${error.message})`);
+    return { ...entry.data, cacheStale: true, cacheStoredAt: entry.storedAt };
+  }
+
+  return { success: false, error: error.message, url };
+}
+
+/**
+ * Fetch a worker URL and cache its JSON body
+ * Only successful responses (HTTP ok and body.success !== false) are written to disk
+ */
+async function fetchAndStore(type, url) {
+  const filePath = cachePath(type, url);
+  const entry = readEntry(filePath);
+
+  if (entry && isFresh(entry, type)) {
+    cacheState.stats.hits++;
+    return entry.data;
+  }
+
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+  let response;
+  let data;
+  try {
+    response = await workerClient.fetch(url, { headers });
+
+    if (response.status === 304 && entry) {
+      cacheState.stats.revalidated++;
+      writeEntry(filePath, { ...entry, storedAt: new Date().toISOString() });
+      return entry.data;
+    }
+
+    data = await response.json();
+  } catch (error) {
+    return fallbackAfterError(entry, url, error);
+  }
+  cacheState.stats.misses++;
+
+  // Worker gave up (e.g. stats.nba.com throttled it) - an older good copy beats a degraded projection
+  if ((!response.ok || data?.success === false) && entry) {
+    return fallbackAfterError(entry, url, new Error(data?.error || `HTTP ${response.status}`));
+  }
+
+  if (response.ok && data?.success !== false) {
+    writeEntry(filePath, {
+      url,
+      type,
+      storedAt: new Date().toISOString(),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      data
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Fetch JSON from a worker through the cache
+ * @param {string} type - data type, one of the CACHE_TTLS keys (decides the TTL)
+ * @param {string} url - full worker URL
+ * @returns {Promise<object>} - parsed JSON body
+ */
+export async function cachedFetchJson(type, url) {
+  if (!CACHE_TTLS[type]) {
+    throw new Error(`Unknown cache type "${type}"`);
+  }
+
+  if (!cacheState.enabled) {
+    cacheState.stats.bypassed++;
+    try {
+      const response = await workerClient.fetch(url);
+      return await response.json();
+    } catch (error) {
+      return fallbackAfterError(null, url, error);
+    }
+  }
+
+  const memoKey = `${type}:${url}`;
+  if (!memoryCache.has(memoKey)) {
+    const pending = fetchAndStore(type, url).then(data => {
+      // The worker gave up (or the report isn't out yet) - later callers in this run ask again
+      if (data?.success === false) memoryCache.delete(memoKey);
+      return data;
+    }, error => {
+      memoryCache.delete(memoKey); // Let the next caller retry
+      throw error;
+    });
+    memoryCache.set(memoKey, pending);
+  }
+
+  return memoryCache.get(memoKey);
+}
@@ -0,0 +1,129 @@
+/**
+ * Game Notes Module
+ * Client for the gamenotes worker: projected starters, injury notes, streaks and milestones
+ * parsed from a team's pregame notes PDF. Teams don't publish notes for every game, so a missing
+ * PDF is context we go without rather than a degraded projection.
+ */
+
+import { WORKERS } from '../config/constants.js';
+import { cachedFetchJson } from './cache.js';
+import { withSnapshot } from './replay.js';
+import { isSamePlayer } from '../../shared/player-identity.js';
+
+/**
+ * Fetch a team's parsed game notes
+ * @param {string} teamAbbr - team abbreviation (MIL, TOR, ...)
+ * @param {object} [game] - the game being analyzed; notes written for any other game are left out
+ * @returns {Promise<object>} - { success, notes, dataSource } (notes is null when unavailable)
+ *   notes: { pdfUrl, game, projectedStarters, injuryNotes, streaks, milestones, diagnostics }
+ */
+export async function fetchGameNotes(teamAbbr, game = null) {
+  try {
+    const data = await withSnapshot(['gamenotes', teamAbbr], async () => {
+      return cachedFetchJson('gamenotes', `${WORKERS.gamenotes}/gamenotes?team=${teamAbbr}`);
+    });
+
+    const mismatch = data.success && game ? describeNotesMismatch(data.game, game) : null;
+    if (mismatch) {
+      return { success: false, error: mismatch, notes: null, dataSource: 'OTHER_GAME' };
+    }
+
+    if (data.success) {
+      return {
+        success: true,
+        cacheStale: data.cacheStale || false,
+        cacheStoredAt: data.cacheStoredAt,
+        notes: {
+          pdfUrl: data.pdfUrl || null,
+          game: data.game || null,
+          projectedStarters: data.projectedStarters || [],
+          injuryNotes: data.injuryNotes || [],
+          streaks: data.streaks || [],
+          milestones: data.milestones || [],
+          diagnostics: data.diagnostics || null
+        },
+        dataSource: 'TEAM_GAME_NOTES'
+      };
+    }
+
+    return { success: false, error: data.error, notes: null, dataSource: 'ERROR' };
+
+  } catch (error) {
+    return { success: false, error: error.message, notes: null, dataSource: 'ERROR' };
+  }
+}
+
+function teamNickname(name) {
+  return (name || '').trim().split(/\s+/).pop().toLowerCase();
+}
+
+/**
+ * Why a notes PDF isn't for the game being analyzed, or null when it is. A team's notes URL
+ * never changes, so on an off day or before the new PDF goes up it still holds the last game's notes.
+ * Only a matchup or date the notes actually state can rule them out: a header the parser couldn't
+ * read says nothing about which game they cover
+ * @param {object} notesGame - notes.game ({ away: { name }, home: { name }, date }), or null
+ * @param {object} game - { date, awayTeam: { name }, homeTeam: { name } }
+ */
+export function describeNotesMismatch(notesGame, game) {
+  if (!notesGame) return null;
+
+  const differs = (stated, expected) => Boolean(stated) && stated !== expected;
+  const otherTeams = differs(teamNickname(notesGame.away?.name), teamNickname(game.awayTeam?.name)) ||
+    differs(teamNickname(notesGame.home?.name), teamNickname(game.homeTeam?.name));
+  const otherDate = differs(notesGame.date, game.date.split('T')[0]);
+
+  if (otherTeams || otherDate) {
+    return `Notes are for ${notesGame.away?.name} at ${notesGame.home?.name}${notesGame.date ? ` on ${notesGame.date}` : ''}, not this game`;
+  }
+  return null;
+}
+
+/**
+ * Attach PLAYER_IDs to every named player in the notes (team-level streaks keep a null name)
+ * @param {object} notes - notes from fetchGameNotes
+ * @param {string} teamAbbr - team the notes belong to
+ * @param {object} playerRegistry - from shared/player-identity.js createPlayerRegistry
+ */
+export function resolveGameNotes(notes, teamAbbr, playerRegistry) {
+  if (!notes) return null;
+
+  const withId = item => {
+    if (!item.playerName) return { ...item, playerId: null };
+    const match = playerRegistry.resolve(item.playerName, { team: teamAbbr, source: 'game notes' });
+    return { ...item, playerId: match?.playerId ?? null };
+  };
+
+  return {
+    ...notes,
+    projectedStarters: notes.projectedStarters.map(withId),
+    injuryNotes: notes.injuryNotes.map(withId),
+    streaks: notes.streaks.map(withId),
+    milestones: notes.milestones.map(withId)
+  };
+}
+
+/**
+ * Injury notes that disagree with the official report: players the team lists that the report
+ * doesn't, and players listed with a different status
+ * @returns {Array} - [{ playerName, notesStatus, reportStatus }]
+ */
+export function compareInjuryNotes(notes, injuries = []) {
+  if (!notes) return [];
+
+  return notes.injuryNotes
+    .filter(note => note.playerName)
+    .map(note => {
+      const listed = injuries.find(injury => isSamePlayer(injury, note));
+      return { playerName: note.playerName, notesStatus: note.status, reportStatus: listed?.status || null };
+    })
+    .filter(entry => entry.reportStatus === null || (entry.notesStatus && entry.notesStatus !== entry.reportStatus));
+}
+
+/**
+ * Whether the team's notes list the player as a projected starter (null when there are no notes to go on)
+ */
+export function isProjectedStarter(notes, player) {
+  if (!notes || notes.projectedStarters.length === 0) return null;
+  return notes.projectedStarters.some(starter => isSamePlayer(player, starter));
+}
@@ -0,0 +1,10 @@
+/**
+ * HTTP Module
+ * The prediction engine's client for worker calls (timeouts, backoff, circuit breaker)
+ * Failures are kept for the whole run and written to the run's failures CSV
+ */
+
+import { createHttpClient } from '../../shared/http-client.js';
+import { HTTP_CLIENT_CONFIG } from '../config/constants.js';
+
+export const workerClient = createHttpClient({ name: 'workers', ...HTTP_CLIENT_CONFIG });
@@ -4,57 +4,11 @@
  * Also handles fetching and parsing official NBA injury reports
  */
 
-import { IMPACT_SCORE_THRESHOLDS, IMPACT_SCORE_WEIGHTS, INJURY_STATUS_IMPACTS, INJURY_BOOST_MULTIPLIERS, WORKERS, INJURY_REPORT_TIMES } from '../config/constants.js';
-
-/**
- * Normalize player name for matching
- */
-export function normalizePlayerName(name) {
-  if (!name) return '';
-
-  // Remove extra whitespace and convert to lowercase
-  const cleaned = name.trim().toLowerCase();
-
-  // Handle "Last, First" format by converting to "First Last"
-  if (cleaned.includes(',')) {
-    const parts = cleaned.split(',').map(part => part.trim());
-    if (parts.length >= 2) {
-      // Convert "Last, First" to "First Last"
-      return `${parts[1]} ${parts[0]}`;
-    }
-  }
-
-  return cleaned;
-}
-
-/**
- * Check if two player names match, handling different formats
- */
-export function playersMatch(playerName, injuryName) {
-  if (!playerName || !injuryName) return false;
-
-  const normalizedPlayer = normalizePlayerName(playerName);
-  const normalizedInjury = normalizePlayerName(injuryName);
-
-  // Direct match
-  if (normalizedPlayer === normalizedInjury) return true;
-
-  // Check if either name contains the other (handles middle names, Jr., etc.)
-  if (normalizedPlayer.includes(normalizedInjury) || normalizedInjury.includes(normalizedPlayer)) {
-    return true;
-  }
-
-  // Split names and check for overlap (handles different ordering)
-  const playerWords = normalizedPlayer.split(' ').filter(word => word.length > 2);
-  const injuryWords = normalizedInjury.split(' ').filter(word => word.length > 2);
-
-  // Need at least 2 matching words for a match
-  const matchingWords = playerWords.filter(word =>
-    injuryWords.some(injWord => word === injWord || word.includes(injWord) || injWord.includes(word))
-  );
-
-  return matchingWords.length >= 2;
-}
+import { IMPACT_SCORE_THRESHOLDS, IMPACT_SCORE_WEIGHTS, INJURY_STATUS_IMPACTS, INJURY_BOOST_MULTIPLIERS, INJURY_REASON_PROFILES, MINUTES_RESTRICTION_RAMPS, MINUTES_RESTRICTION_CONFIG, ON_OFF_REDISTRIBUTION, WORKERS, INJURY_REPORT_TIMES } from '../config/constants.js';
+import { cachedFetchJson } from './cache.js';
+import { parseInjuryReportText, describeReason } from '../../shared/injury-report-parser.js';
+import { getReturnContext } from './injury-history.js';
+import { isSamePlayer, playerNameKey, playersMatch } from '../../shared/player-identity.js';
 
 /**
  * Analyze player role elevation compared to season average
@@ -100,6 +54,16 @@ export function analyzePlayerRoleElevation(player) {
   };
 }
 
+/**
+ * How an injury record's reason shapes its impact (records without a reason category are treated as injuries)
+ * @returns {object} - INJURY_REASON_PROFILES entry plus its category
+ */
+export function getReasonProfile(injury) {
+  const category = INJURY_REASON_PROFILES[injury?.reasonCategory] ? injury.reasonCategory : 'injury';
+  // Plain injuries (and reasons we couldn't classify) aren't called out in notes
+  return { category, ...INJURY_REASON_PROFILES[category], isNoted: !['injury', 'other'].includes(category) };
+}
+
 /**
  * Calculate the impact of a returning player on teammates based on role elevation
  * Uses research-backed methodology for measuring rotation changes
@@ -112,6 +76,15 @@ export function calculateReturnImpact(returningPlayer, teammate, teammateElevati
     };
   }
 
+  // A two-way player coming back from the G League doesn't take minutes from the rotation
+  const profile = getReasonProfile(returningPlayer.injury);
+  if (profile.returnImpact === 0) {
+    return {
+      adjustment: 0,
+      reason: `${returningPlayer.playerName} back from ${profile.label} - no rotation change`
+    };
+  }
+
   // Base impact based on returning player's tier (research-backed tiers)
   let baseImpact = 0;
   switch (returningPlayer.impact.tier) {
@@ -144,9 +117,10 @@ export function calculateReturnImpact(returningPlayer, teammate, teammateElevati
     }
   }
 
-  const finalAdjustment = baseImpact * elevationFactor * positionFactor;
+  const finalAdjustment = baseImpact * elevationFactor * positionFactor * profile.returnImpact;
 
-  const reason = `${returningPlayer.playerName} (${returningPlayer.impact.tier}) returning, ` +
+  const returningFrom = profile.isNoted ? ` from ${profile.label}` : '';
+  const reason = `${returningPlayer.playerName} (${returningPlayer.impact.tier}) returning${returningFrom}, ` +
     `${teammate.playerName} elevated ${Math.round(teammateElevation.elevationMagnitude * 100)}%`;
 
   return {
@@ -194,7 +168,7 @@ export function enhancePlayerData(players) {
 
 /**
  * Check if a player has actually missed recent games (indicating they're truly returning)
- * For now, we'll use a heuristic based on minutes played and games data
+ * Heuristic based on minutes played - only used when the injury history store has no games for the team
  */
 export function playerMissedRecentGames(player, teamStats) {
   // If we don't have enough data, be conservative
@@ -246,7 +220,17 @@ export function calculatePlayerImpact(player) {
  * NEW: Calculate injury status impact with probability weighting and effectiveness reduction
  */
 export function calculateInjuryStatusImpact(player, injury) {
-  const impact = INJURY_STATUS_IMPACTS[injury.status] || { playProbability: 1.0, effectiveness: 1.0, description: 'Full availability' };
+  const statusImpact = INJURY_STATUS_IMPACTS[injury.status] || { playProbability: 1.0, effectiveness: 1.0, description: 'Full availability' };
+  const profile = getReasonProfile(injury);
+
+  // Rest, suspension and G League listings aren't injuries: if the player is active they play at full strength
+  const impact = profile.limitsEffectiveness ? statusImpact : {
+    playProbability: statusImpact.playProbability,
+    effectiveness: 1.0,
+    description: statusImpact.playProbability > 0
+      ? `${Math.round(statusImpact.playProbability * 100)}% plays, full strength if active`
+      : statusImpact.description
+  };
 
   // Calculate probability-weighted expectations
   const basePoints = player.points || 0;
@@ -262,11 +246,12 @@ export function calculateInjuryStatusImpact(player, injury) {
     expectedAssists: baseAssists * impact.playProbability * impact.effectiveness,
 
     // Uncertainty and display info
-    uncertainty: Math.max(0, 1.0 - impact.playProbability),
+    uncertainty: Math.min(1.0, Math.max(0, 1.0 - impact.playProbability) * profile.uncertainty),
     playProbability: impact.playProbability,
     effectiveness: impact.effectiveness,
     displayNote: impact.playProbability < 1.0 ? `(${Math.round(impact.playProbability * 100)}% plays)` : '',
-    statusDescription: impact.description,
+    statusDescription: profile.isNoted ? `${impact.description} (${profile.label})` : impact.description,
+    reasonCategory: profile.category,
 
     // Reduction amounts for teammate boost calculations
     pointsReduction: basePoints - (basePoints * impact.playProbability * impact.effectiveness),
@@ -301,7 +286,7 @@ export function calculateConditionalProjection(player, injuries, playerImpacts)
   // In a full implementation, we'd handle all combinations
   const mostImpactfulUncertain = uncertainStars
     .map(inj => {
-      const injPlayer = playerImpacts.find(p => playersMatch(p.playerName, inj.playerName));
+      const injPlayer = playerImpacts.find(p => isSamePlayer(p, inj));
       return { injury: inj, player: injPlayer, impact: injPlayer?.impact?.score || 0 };
     })
     .filter(x => x.player)
@@ -340,6 +325,8 @@ export function calculateConditionalProjection(player, injuries, playerImpacts)
     boostIfOut = 1 + INJURY_BOOST_MULTIPLIERS.KEY_ROLE_OUT;
   }
 
+  boostIfOut = 1 + (boostIfOut - 1) * getReasonProfile(injury).teammateBoost;
+
   const scenarioB = {
     probability: 1 - playProb,
     points: player.points * boostIfOut,
@@ -368,28 +355,45 @@ export function calculateConditionalProjection(player, injuries, playerImpacts)
     uncertainty,
     scenarios,
     conditionalBoostApplied: true,
-    basedOn: `${injuredStar.playerName} ${injury.status}`
+    basedOn: `${injuredStar.playerName} ${injury.status}`,
+    reasonCategory: statusImpact.reasonCategory
   };
 }
 
+/**
+ * Adjustment note for a teammate's absence, e.g. "Gary Trent Jr. out" or "Jrue Holiday returns from rest"
+ */
+function describeAbsence(absentPlayer, profile, event) {
+  if (!profile.isNoted) return `${absentPlayer.playerName} ${event}`;
+  return event === 'out'
+    ? `${absentPlayer.playerName} out - ${profile.label}`
+    : `${absentPlayer.playerName} returns from ${profile.label}`;
+}
+
 /**
  * Simple injury impact logic for early season (< 10 games)
+ * @param {Array} injuryHistory - entries from the injury history store (see injury-history.js)
  */
-export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamStats) {
+export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamStats, injuryHistory = []) {
   // Find injured players and categorize them
   const injuredPlayers = [];
   const returningPlayers = [];
 
   injuries.forEach(injury => {
-    const player = playersWithImpact.find(p => playersMatch(p.playerName, injury.playerName));
+    const player = playersWithImpact.find(p => isSamePlayer(p, injury));
 
     if (player) {
       if (injury.status === 'out' || injury.status === 'doubtful') {
         injuredPlayers.push({ ...player, injury });
       } else if (injury.status === 'probable' && player.impact.tier !== 'Bench') {
-        // KEY FIX: Only apply return logic if player actually missed recent games
-        if (playerMissedRecentGames(player, teamStats)) {
-          returningPlayers.push({ ...player, injury });
+        // KEY FIX: Only apply return logic if player actually missed recent games -
+        // the stored report history knows; without it, fall back to the minutes heuristic
+        const returnContext = getReturnContext(injuryHistory, injury.teamAbbreviation, player.playerName, injury.gameDate);
+        const missedGames = returnContext.tracked
+          ? returnContext.consecutiveGamesMissed > 0
+          : playerMissedRecentGames(player, teamStats);
+        if (missedGames) {
+          returningPlayers.push({ ...player, injury, returnContext });
         }
         // If they haven't missed games (like Jaylen Brown), don't apply return logic
       }
@@ -400,9 +404,10 @@ export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamSt
   return playersWithImpact.map(player => {
     let adjustment = 0;
     let adjustmentNotes = [];
+    const reasons = new Set();
 
     // NEW: Check if this player has uncertain status (questionable/doubtful/probable)
-    const playerInjury = injuries.find(inj => playersMatch(player.playerName, inj.playerName));
+    const playerInjury = injuries.find(inj => isSamePlayer(player, inj));
     if (playerInjury && ['questionable', 'doubtful', 'probable'].includes(playerInjury.status)) {
       const statusImpact = calculateInjuryStatusImpact(player, playerInjury);
 
@@ -414,6 +419,7 @@ export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamSt
       adjustedPlayer.assists = statusImpact.expectedAssists;
 
       adjustedPlayer.injuryAdjusted = `${playerInjury.status}: ${statusImpact.statusDescription}`;
+      adjustedPlayer.injuryReasons = [statusImpact.reasonCategory];
       adjustedPlayer.statusNote = statusImpact.displayNote;
       adjustedPlayer.uncertainty = statusImpact.uncertainty;
 
@@ -429,6 +435,7 @@ export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamSt
       adjustedPlayer.rebounds = conditionalProjection.expectedRebounds;
       adjustedPlayer.uncertainty = conditionalProjection.uncertainty;
       adjustedPlayer.injuryAdjusted = `Conditional: ${conditionalProjection.basedOn}`;
+      adjustedPlayer.injuryReasons = [conditionalProjection.reasonCategory];
       adjustedPlayer.conditionalScenarios = conditionalProjection.scenarios;
 
       return adjustedPlayer;
@@ -456,8 +463,13 @@ export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamSt
           boost *= 1.2;
         }
 
+        const profile = getReasonProfile(injuredPlayer.injury);
+        boost *= profile.teammateBoost;
+        if (boost === 0) return;
+
         adjustment += boost;
-        adjustmentNotes.push(`+${Math.round(boost * 100)}% (${injuredPlayer.playerName} out)`);
+        adjustmentNotes.push(`+${Math.round(boost * 100)}% (${describeAbsence(injuredPlayer, profile, 'out')})`);
+        reasons.add(profile.category);
       }
     });
 
@@ -478,8 +490,13 @@ export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamSt
             break;
         }
 
+        const profile = getReasonProfile(returningPlayer.injury);
+        reduction *= profile.returnImpact;
+        if (reduction === 0) return;
+
         adjustment += reduction;
-        adjustmentNotes.push(`${Math.round(reduction * 100)}% (${returningPlayer.playerName} returns)`);
+        adjustmentNotes.push(`${Math.round(reduction * 100)}% (${describeAbsence(returningPlayer, profile, 'returns')})`);
+        reasons.add(profile.category);
       }
     });
 
@@ -494,6 +511,7 @@ export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamSt
       adjustedPlayer.usage = (player.usage || 0) * (1 + adjustment * 0.8);
 
       adjustedPlayer.injuryAdjusted = adjustmentNotes.join(', ');
+      adjustedPlayer.injuryReasons = [...reasons];
 
       return adjustedPlayer;
     }
@@ -502,10 +520,108 @@ export function applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamSt
   });
 }
 
+/**
+ * Whether a lineup includes a player - by ID when the lineup has them (see resolveLineupPlayers), by name otherwise
+ */
+function lineupIncludes(lineup, player) {
+  if (lineup.playerIds?.length && player.playerId) return lineup.playerIds.includes(player.playerId);
+  return (lineup.players || []).some(name => playersMatch(name, player.playerName));
+}
+
+/**
+ * Possessions a player uses per minute (FGA + 0.44 FTA + TOV) - the usage proxy for splitting a lineup's possessions
+ */
+function possessionsPerMinute(player) {
+  if (!player?.minutes) return ON_OFF_REDISTRIBUTION.DEFAULT_POSSESSIONS_PER_MINUTE;
+  const used = (player.fieldGoalsAttempted || 0) + 0.44 * (player.freeThrowsAttempted || 0) + (player.turnovers || 0);
+  return used > 0 ? used / player.minutes : ON_OFF_REDISTRIBUTION.DEFAULT_POSSESSIONS_PER_MINUTE;
+}
+
+/**
+ * Minutes-weighted average over lineups
+ */
+function minutesWeighted(lineups, valueOf) {
+  const minutes = lineups.reduce((sum, lineup) => sum + (lineup.minutesTogether || 0), 0);
+  if (minutes === 0) return 0;
+  return lineups.reduce((sum, lineup) => sum + valueOf(lineup) * (lineup.minutesTogether || 0), 0) / minutes;
+}
+
+/**
+ * Points per possession used (FGA + 0.44 FTA + TOV) across lineups
+ */
+function lineupEfficiency(lineups) {
+  const points = lineups.reduce((sum, lineup) => sum + (lineup.points || 0), 0);
+  const possessions = lineups.reduce((sum, lineup) =>
+    sum + (lineup.fieldGoalsAttempted || 0) + 0.44 * (lineup.freeThrowsAttempted || 0) + (lineup.turnovers || 0), 0);
+  return possessions > 0 ? points / possessions : 0;
+}
+
+/**
+ * How a teammate's role changes without an absent player, from the team's 5-man lineups
+ * - minutes: the teammate's share of lineup minutes without the absent player vs across all lineups
+ * - usage: the teammate's share of the possessions each lineup uses, with vs without the absent player
+ * - scoring: the usage change times the change in points per possession of those lineups
+ * @param {object} teammate - player record
+ * @param {object} absentPlayer - player record of the player who is out
+ * @param {Array} lineups - lineups worker rows
+ * @param {Array} players - the team's players (possessions used by the lineup members)
+ * @returns {object|null} - { minutesFactor, usageFactor, scoringFactor, boost, minutesWithout, minutesWith },
+ *   or null when the teammate hasn't played enough minutes both with and without the absent player
+ */
+export function calculateOnOffRedistribution(teammate, absentPlayer, lineups, players = []) {
+  if (!lineups?.length) return null;
+
+  const teammateLineups = lineups.filter(lineup => lineupIncludes(lineup, teammate));
+  const withAbsent = teammateLineups.filter(lineup => lineupIncludes(lineup, absentPlayer));
+  const withoutAbsent = teammateLineups.filter(lineup => !lineupIncludes(lineup, absentPlayer));
+
+  const totalMinutes = list => list.reduce((sum, lineup) => sum + (lineup.minutesTogether || 0), 0);
+  const minutesWith = totalMinutes(withAbsent);
+  const minutesWithout = totalMinutes(withoutAbsent);
+  if (minutesWith < ON_OFF_REDISTRIBUTION.MIN_MINUTES_WITH || minutesWithout < ON_OFF_REDISTRIBUTION.MIN_MINUTES_WITHOUT) {
+    return null;
+  }
+
+  // Share of the floor time the teammate gets when the absent player sits vs overall
+  const shareWithout = minutesWithout / totalMinutes(lineups.filter(lineup => !lineupIncludes(lineup, absentPlayer)));
+  const shareAll = totalMinutes(teammateLineups) / totalMinutes(lineups);
+  const minutesFactor = shareWithout / shareAll;
+
+  // Teammate's share of the lineup's possessions, from each member's possessions used per minute
+  const teammateRate = possessionsPerMinute(teammate);
+  const usageShare = lineup => {
+    const members = lineup.playerIds?.length
+      ? lineup.playerIds.map(id => players.find(player => player.playerId === id))
+      : (lineup.players || []).map(name => players.find(player => playersMatch(player.playerName, name)));
+    const lineupRate = members.reduce((sum, member) => sum + possessionsPerMinute(member), 0);
+    return lineupRate > 0 ? teammateRate / lineupRate : 0;
+  };
+  const usageWith = minutesWeighted(withAbsent, usageShare);
+  const usageFactor = usageWith > 0 ? minutesWeighted(withoutAbsent, usageShare) / usageWith : 1;
+
+  const efficiencyWith = lineupEfficiency(withAbsent);
+  const efficiencyFactor = efficiencyWith > 0 ? lineupEfficiency(withoutAbsent) / efficiencyWith : 1;
+  const scoringFactor = usageFactor * efficiencyFactor;
+
+  const boost = Math.min(ON_OFF_REDISTRIBUTION.MAX_BOOST,
+    Math.max(ON_OFF_REDISTRIBUTION.MIN_BOOST, minutesFactor * scoringFactor - 1));
+
+  return {
+    minutesFactor: Math.round(minutesFactor * 1000) / 1000,
+    usageFactor: Math.round(usageFactor * 1000) / 1000,
+    scoringFactor: Math.round(scoringFactor * 1000) / 1000,
+    boost: Math.round(boost * 1000) / 1000,
+    minutesWithout: Math.round(minutesWithout * 10) / 10,
+    minutesWith: Math.round(minutesWith * 10) / 10
+  };
+}
+
 /**
  * Advanced injury impact logic using role elevation analysis (10+ games)
+ * @param {Array} lineups - lineups worker rows; teammates with enough minutes with and without an absent
+ *   player get their boost from the on/off split instead of the tier multipliers
  */
-export function applyAdvancedInjuryImpact(players, injuries, teamStats) {
+export function applyAdvancedInjuryImpact(players, injuries, teamStats, lineups = []) {
   // Enhance player data with role analysis
   const playersWithRoleAnalysis = enhancePlayerData(players);
 
@@ -514,7 +630,7 @@ export function applyAdvancedInjuryImpact(players, injuries, teamStats) {
   const returningPlayers = [];
 
   injuries.forEach(injury => {
-    const player = playersWithRoleAnalysis.find(p => playersMatch(p.playerName, injury.playerName));
+    const player = playersWithRoleAnalysis.find(p => isSamePlayer(p, injury));
 
     if (player) {
       if (injury.status === 'out' || injury.status === 'doubtful') {
@@ -531,10 +647,27 @@ export function applyAdvancedInjuryImpact(players, injuries, teamStats) {
   return playersWithRoleAnalysis.map(player => {
     let adjustment = 0;
     let adjustmentNotes = [];
+    const reasons = new Set();
+    const redistribution = []; // where each absent player's boost came from
 
-    // POSITIVE ADJUSTMENTS: Boost when key players are out
+    // POSITIVE ADJUSTMENTS: Boost when key players are out - from the on/off lineup split when
+    // there's enough of a sample, from the tier multipliers otherwise
     injuredPlayers.forEach(injuredPlayer => {
       if (injuredPlayer.impact.tier !== 'Bench' && player.playerName !== injuredPlayer.playerName) {
+        const profile = getReasonProfile(injuredPlayer.injury);
+        const onOff = calculateOnOffRedistribution(player, injuredPlayer, lineups, playersWithRoleAnalysis);
+
+        if (onOff) {
+          const boost = onOff.boost * profile.teammateBoost;
+          if (boost === 0) return;
+
+          adjustment += boost;
+          adjustmentNotes.push(`${boost > 0 ? '+' : ''}${Math.round(boost * 100)}% (${describeAbsence(injuredPlayer, profile, 'out')}, on/off over ${Math.round(onOff.minutesWithout)} min)`);
+          reasons.add(profile.category);
+          redistribution.push({ absentPlayer: injuredPlayer.playerName, source: 'on-off', ...onOff, boost });
+          return;
+        }
+
         let boost = 0;
 
         switch (injuredPlayer.impact.tier) {
@@ -553,8 +686,13 @@ export function applyAdvancedInjuryImpact(players, injuries, teamStats) {
           boost *= 1.2;
         }
 
+        boost *= profile.teammateBoost;
+        if (boost === 0) return;
+
         adjustment += boost;
-        adjustmentNotes.push(`+${Math.round(boost * 100)}% (${injuredPlayer.playerName} out)`);
+        adjustmentNotes.push(`+${Math.round(boost * 100)}% (${describeAbsence(injuredPlayer, profile, 'out')})`);
+        reasons.add(profile.category);
+        redistribution.push({ absentPlayer: injuredPlayer.playerName, source: 'tier', boost });
       }
     });
 
@@ -564,8 +702,10 @@ export function applyAdvancedInjuryImpact(players, injuries, teamStats) {
         const returnImpact = calculateReturnImpact(returningPlayer, player, player.roleAnalysis);
 
         if (returnImpact.adjustment < 0) {
+          const profile = getReasonProfile(returningPlayer.injury);
           adjustment += returnImpact.adjustment;
-          adjustmentNotes.push(`${Math.round(returnImpact.adjustment * 100)}% (${returningPlayer.playerName} returns)`);
+          adjustmentNotes.push(`${Math.round(returnImpact.adjustment * 100)}% (${describeAbsence(returningPlayer, profile, 'returns')})`);
+          reasons.add(profile.category);
         }
       }
     });
@@ -580,6 +720,8 @@ export function applyAdvancedInjuryImpact(players, injuries, teamStats) {
       adjustedPlayer.usage = (player.usage || 0) * (1 + adjustment * 0.8);
 
       adjustedPlayer.injuryAdjusted = adjustmentNotes.join(', ');
+      adjustedPlayer.injuryReasons = [...reasons];
+      if (redistribution.length > 0) adjustedPlayer.injuryRedistribution = redistribution;
 
       return adjustedPlayer;
     }
@@ -588,10 +730,68 @@ export function applyAdvancedInjuryImpact(players, injuries, teamStats) {
   });
 }
 
+const LOWER_BODY = /knee|ankle|foot|toe|heel|achilles|hamstring|calf|shin|leg|hip|groin|quad|thigh|adductor|plantar/i;
+const UPPER_BODY = /shoulder|elbow|wrist|hand|finger|thumb|arm|back|neck|rib|chest|abdom|oblique|head|concussion|nose|eye|face/i;
+
+/**
+ * Which MINUTES_RESTRICTION_RAMPS entry a return follows, from the absence's reason
+ */
+export function getRestrictionRampType(restrictionWindow) {
+  if (restrictionWindow.reasonCategory === 'illness') return 'illness';
+
+  const reason = restrictionWindow.reason || '';
+  if (LOWER_BODY.test(reason)) return 'lower-body';
+  if (UPPER_BODY.test(reason)) return 'upper-body';
+  return 'default';
+}
+
+/**
+ * Minutes restriction for a player inside a restriction window (injury-history.js getReturnContext)
+ * Share of normal minutes comes from the ramp for the injury type and the game number back,
+ * one step lower after a long absence
+ * @returns {object|null} - { factor, gameNumber, gamesMissed, rampType, description } or null when unrestricted
+ */
+export function calculateMinutesRestriction(restrictionWindow) {
+  if (!restrictionWindow) return null;
+
+  const rampType = getRestrictionRampType(restrictionWindow);
+  let factor = MINUTES_RESTRICTION_RAMPS[rampType][restrictionWindow.gameNumber - 1] ?? 1.0;
+  if (restrictionWindow.gamesMissed >= MINUTES_RESTRICTION_CONFIG.LONG_ABSENCE_GAMES) {
+    factor -= MINUTES_RESTRICTION_CONFIG.LONG_ABSENCE_STEP;
+  }
+  factor = Math.min(1.0, Math.max(MINUTES_RESTRICTION_CONFIG.MIN_FACTOR, factor));
+  if (factor >= 1.0) return null;
+
+  return {
+    factor,
+    gameNumber: restrictionWindow.gameNumber,
+    gamesMissed: restrictionWindow.gamesMissed,
+    rampType,
+    description: `Game ${restrictionWindow.gameNumber} back from ${restrictionWindow.gamesMissed}-game absence (${rampType}): ${Math.round(factor * 100)}% of normal minutes`
+  };
+}
+
+/**
+ * Attach a minutesRestriction to players coming back from an absence, from the injury history
+ * @param {Array} injuryHistory - entries from the injury history store
+ * @param {string} gameDate - YYYY-MM-DD
+ */
+export function applyMinutesRestrictions(players, injuryHistory, gameDate) {
+  if (!players || !injuryHistory?.length) return players || [];
+
+  return players.map(player => {
+    const { restrictionWindow } = getReturnContext(injuryHistory, player.teamAbbreviation, player.playerName, gameDate);
+    const minutesRestriction = calculateMinutesRestriction(restrictionWindow);
+    return minutesRestriction ? { ...player, minutesRestriction } : player;
+  });
+}
+
 /**
  * Apply smart injury impact adjustments
+ * @param {Array} injuryHistory - entries from the injury history store; [] falls back to heuristics
+ * @param {Array} lineups - lineups worker rows for on/off redistribution (10+ games)
  */
-export function applyInjuryImpact(players, injuries, teamStats) {
+export function applyInjuryImpact(players, injuries, teamStats, injuryHistory = [], lineups = []) {
   if (!players || !Array.isArray(players)) {
     return [];
   }
@@ -615,10 +815,10 @@ export function applyInjuryImpact(players, injuries, teamStats) {
 
   if (useAdvancedAnalysis) {
     // Use research-based role elevation analysis (10+ games)
-    return applyAdvancedInjuryImpact(playersWithImpact, injuries, teamStats);
+    return applyAdvancedInjuryImpact(playersWithImpact, injuries, teamStats, lineups);
   } else {
     // Use simple early-season logic (< 10 games)
-    return applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamStats);
+    return applyEarlySeasonInjuryImpact(playersWithImpact, injuries, teamStats, injuryHistory);
   }
 }
 
@@ -633,9 +833,9 @@ export function applyInjuryImpact(players, injuries, teamStats) {
 /**
  * Get current time in ET timezone
  * Handles conversion from any local timezone to ET (UTC-5 or UTC-4 during DST)
+ * @param {Date} [now] - the moment to convert (defaults to the current time)
  */
-function getCurrentTimeET() {
-  const now = new Date();
+function getCurrentTimeET(now = new Date()) {
 
   // Convert to ET timezone using toLocaleString
   const etTimeString = now.toLocaleString('en-US', {
@@ -677,11 +877,22 @@ function formatReportTimeDescription(report) {
 /**
  * Get the most recent available injury report time
  * Returns the format string (e.g., "09AM") for the most recent report
+ * @param {string} [slateDate] - YYYY-MM-DD; an earlier day than today (ET) gets that day's last report
+ * @param {Date} [now] - current time
  */
-function getMostRecentReportTime() {
-  const etTime = getCurrentTimeET();
+function getMostRecentReportTime(slateDate = null, now = new Date()) {
+  const etTime = getCurrentTimeET(now);
   const currentMinutes = etTime.hour * 60 + etTime.minute;
 
+  if (slateDate && slateDate < etTime.dateString) {
+    const lastReport = INJURY_REPORT_TIMES[INJURY_REPORT_TIMES.length - 1];
+    return {
+      time: lastReport.format,
+      date: slateDate,
+      description: `${formatReportTimeDescription(lastReport)} (${slateDate})`
+    };
+  }
+
   // Find the most recent report time that has already passed
   let selectedReport = null;
 
@@ -729,19 +940,32 @@ function formatTimeFromCode(timeCode) {
 }
 
 /**
- * Try to fetch injury report for a specific date and time
+ * Report times the worker has found published for a date (e.g. ['01AM', ..., '05PM']), null if the list failed
+ */
+async function fetchPublishedReportTimes(date) {
+  try {
+    const data = await cachedFetchJson('injuries', `${WORKERS.injuriesOfficial}/list?date=${date}`);
+    return data.success ? data.available || [] : null;
+  } catch (error) {
+    console.log(`   ⚠️  Injury report list failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Try to fetch injury report for a specific date and time, parsed by the worker
  */
 async function tryFetchInjuryReport(date, time) {
   try {
-    const url = `${WORKERS.injuriesOfficial}/?date=${date}&time=${time}`;
-    const response = await fetch(url);
-    const data = await response.json();
+    const url = `${WORKERS.injuriesOfficial}/parsed?date=${date}&time=${time}`;
+    const data = await cachedFetchJson('injuries', url);
 
-    if (data.success && data.pdfData) {
+    if (data.success && data.records) {
       return {
         success: true,
         pdfUrl: data.pdfUrl,
-        pdfData: data.pdfData, // Base64 encoded PDF from worker
+        parsed: { records: data.records, notSubmitted: data.notSubmitted || [], diagnostics: data.diagnostics },
+        rawPdfLength: data.diagnostics?.pdf?.characters ?? null,
         reportDescription: data.time ? formatTimeFromCode(data.time) : '3:00 PM ET'
       };
     }
@@ -752,256 +976,198 @@ async function tryFetchInjuryReport(date, time) {
   }
 }
 
+// Parsed reports by date and time - every game in a run diffs the same set of reports
+const parsedReportCache = new Map();
+
 /**
- * Fall back to earlier report times if the most recent one isn't available
+ * Offset of US Eastern time from UTC at an instant, in ms (e.g. -5h in winter)
  */
-async function fallbackToEarlierReports(reportInfo) {
-  // Get the index of the time we tried
-  const targetIndex = INJURY_REPORT_TIMES.findIndex(r => r.format === reportInfo.time);
-
-  // Try all earlier times in reverse chronological order
-  for (let i = targetIndex - 1; i >= 0; i--) {
-    const report = INJURY_REPORT_TIMES[i];
-    const result = await tryFetchInjuryReport(reportInfo.date, report.format);
-
-    if (result.success) {
-      return result; // Result already has reportDescription from tryFetchInjuryReport
-    }
-  }
+function easternOffsetMs(instant) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
 
-  // No reports found for today
-  return { success: false };
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wallClock - instant.getTime();
 }
 
 /**
- * Extract team abbreviation from a line if it contains a team name
+ * ISO timestamp for a US Eastern wall-clock time, e.g. ('2025-11-04', 17) -> '2025-11-04T22:00:00.000Z'
  */
-function getTeamFromLine(line) {
-  const teamPatterns = [
-    { pattern: 'HoustonRockets', abbr: 'HOU' },
-    { pattern: 'TorontoRaptors', abbr: 'TOR' },
-    { pattern: 'ClevelandCavaliers', abbr: 'CLE' },
-    { pattern: 'BostonCeltics', abbr: 'BOS' },
-    { pattern: 'OrlandoMagic', abbr: 'ORL' },
-    { pattern: 'DetroitPistons', abbr: 'DET' },
-    { pattern: 'AtlantaHawks', abbr: 'ATL' },
-    { pattern: 'BrooklynNets', abbr: 'BKN' },
-    { pattern: 'CharlotteHornets', abbr: 'CHA' },
-    { pattern: 'ChicagoBulls', abbr: 'CHI' },
-    { pattern: 'DallasMavericks', abbr: 'DAL' },
-    { pattern: 'DenverNuggets', abbr: 'DEN' },
-    { pattern: 'GoldenStateWarriors', abbr: 'GSW' },
-    { pattern: 'IndianaPacers', abbr: 'IND' },
-    { pattern: 'LAClippers', abbr: 'LAC' },
-    { pattern: 'LosAngelesLakers', abbr: 'LAL' },
-    { pattern: 'MemphisGrizzlies', abbr: 'MEM' },
-    { pattern: 'MiamiHeat', abbr: 'MIA' },
-    { pattern: 'MilwaukeeBucks', abbr: 'MIL' },
-    { pattern: 'MinnesotaTimberwolves', abbr: 'MIN' },
-    { pattern: 'NewOrleansPelicans', abbr: 'NOP' },
-    { pattern: 'NewYorkKnicks', abbr: 'NYK' },
-    { pattern: 'OklahomaCityThunder', abbr: 'OKC' },
-    { pattern: 'Philadelphia76ers', abbr: 'PHI' },
-    { pattern: 'PhoenixSuns', abbr: 'PHX' },
-    { pattern: 'PortlandTrailBlazers', abbr: 'POR' },
-    { pattern: 'SacramentoKings', abbr: 'SAC' },
-    { pattern: 'SanAntonioSpurs', abbr: 'SAS' },
-    { pattern: 'UtahJazz', abbr: 'UTA' },
-    { pattern: 'WashingtonWizards', abbr: 'WAS' }
-  ];
-
-  for (const team of teamPatterns) {
-    if (line.includes(team.pattern)) {
-      return team.abbr;
-    }
-  }
-
-  return null;
+export function getEasternTimestamp(date, hour, minute = 0) {
+  const wallClockAsUtc = Date.parse(`${date}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00Z`);
+  return new Date(wallClockAsUtc - easternOffsetMs(new Date(wallClockAsUtc))).toISOString();
 }
 
 /**
- * Parse injury data from a concatenated line
- * Format: TeamNameLastName,FirstNameStatus[Reason]
- * Example: SacramentoKingsClifford,NiqueQuestionableInjury/Illness-RightHamstring
+ * Fetch one parsed report slot (null when the report wasn't published or couldn't be parsed)
+ * @returns {Promise<object|null>} - { time, description, reportAt, pdfUrl, rawPdfLength, injuries }
  */
-function parseInjuryFromConcatenatedLine(line, fallbackTeam = null) {
-  try {
-    // NEW: Remove game schedule prefix (format: "11/04/202507:30(ET)MIL@TOR")
-    // Pattern: Date + Time + (ET) + Matchup
-    const schedulePattern = /^\d{2}\/\d{2}\/\d{4}\d{2}:\d{2}\([^)]+\)[A-Z]{3}@[A-Z]{3}/;
-    line = line.replace(schedulePattern, '');
-
-    // Also remove embedded matchup patterns (e.g., "PHI@CHI" appearing in player names)
-    const matchupPattern = /[A-Z]{3}@[A-Z]{3}/g;
-    line = line.replace(matchupPattern, '');
-
-    // First try to find team in the line itself
-    let teamAbbr = getTeamFromLine(line);
-    let teamPattern = null;
-
-    if (teamAbbr) {
-      // Find the team pattern that matched
-      const teamPatterns = [
-        { pattern: 'HoustonRockets', abbr: 'HOU' },
-        { pattern: 'TorontoRaptors', abbr: 'TOR' },
-        { pattern: 'ClevelandCavaliers', abbr: 'CLE' },
-        { pattern: 'BostonCeltics', abbr: 'BOS' },
-        { pattern: 'OrlandoMagic', abbr: 'ORL' },
-        { pattern: 'DetroitPistons', abbr: 'DET' },
-        { pattern: 'AtlantaHawks', abbr: 'ATL' },
-        { pattern: 'BrooklynNets', abbr: 'BKN' },
-        { pattern: 'CharlotteHornets', abbr: 'CHA' },
-        { pattern: 'ChicagoBulls', abbr: 'CHI' },
-        { pattern: 'DallasMavericks', abbr: 'DAL' },
-        { pattern: 'DenverNuggets', abbr: 'DEN' },
-        { pattern: 'GoldenStateWarriors', abbr: 'GSW' },
-        { pattern: 'IndianaPacers', abbr: 'IND' },
-        { pattern: 'LAClippers', abbr: 'LAC' },
-        { pattern: 'LosAngelesLakers', abbr: 'LAL' },
-        { pattern: 'MemphisGrizzlies', abbr: 'MEM' },
-        { pattern: 'MiamiHeat', abbr: 'MIA' },
-        { pattern: 'MilwaukeeBucks', abbr: 'MIL' },
-        { pattern: 'MinnesotaTimberwolves', abbr: 'MIN' },
-        { pattern: 'NewOrleansPelicans', abbr: 'NOP' },
-        { pattern: 'NewYorkKnicks', abbr: 'NYK' },
-        { pattern: 'OklahomaCityThunder', abbr: 'OKC' },
-        { pattern: 'Philadelphia76ers', abbr: 'PHI' },
-        { pattern: 'PhoenixSuns', abbr: 'PHX' },
-        { pattern: 'PortlandTrailBlazers', abbr: 'POR' },
-        { pattern: 'SacramentoKings', abbr: 'SAC' },
-        { pattern: 'SanAntonioSpurs', abbr: 'SAS' },
-        { pattern: 'UtahJazz', abbr: 'UTA' },
-        { pattern: 'WashingtonWizards', abbr: 'WAS' }
-      ];
-
-      teamPattern = teamPatterns.find(tp => tp.abbr === teamAbbr);
-    } else {
-      // Use fallback team from context
-      teamAbbr = fallbackTeam;
-    }
-
-    if (!teamAbbr) return null;
-
-    // Extract status (check in priority order: Questionable before Question, etc.)
-    let status = null;
-    let statusWord = null;
-    if (line.includes('Questionable')) {
-      status = 'questionable';
-      statusWord = 'Questionable';
-    } else if (line.includes('Doubtful')) {
-      status = 'doubtful';
-      statusWord = 'Doubtful';
-    } else if (line.includes('Probable')) {
-      status = 'probable';
-      statusWord = 'Probable';
-    } else if (line.includes('Available')) {
-      status = 'available';
-      statusWord = 'Available';
-    } else if (line.includes('Out')) {
-      status = 'out';
-      statusWord = 'Out';
-    }
+function fetchParsedReport(date, report) {
+  const cacheKey = `${date}_${report.format}`;
+  if (!parsedReportCache.has(cacheKey)) {
+    parsedReportCache.set(cacheKey, (async () => {
+      const result = await tryFetchInjuryReport(date, report.format);
+      if (!result.success) {
+        parsedReportCache.delete(cacheKey); // Not published yet - ask again next time
+        return null;
+      }
 
-    if (!status) return null;
+      try {
+        return {
+          time: report.format,
+          description: formatReportTimeDescription(report),
+          reportAt: getEasternTimestamp(date, report.hour),
+          pdfUrl: result.pdfUrl,
+          rawPdfLength: result.rawPdfLength,
+          injuries: toOfficialInjuries(result.parsed)
+        };
+      } catch (error) {
+        console.log(`   ⚠️  ${formatReportTimeDescription(report)} report parsing failed: ${error.message}`);
+        return null;
+      }
+    })());
+  }
+  return parsedReportCache.get(cacheKey);
+}
 
-    // Remove team name from line if present
-    let workingLine = line;
-    if (teamPattern) {
-      workingLine = workingLine.replace(teamPattern.pattern, '');
-    }
+/**
+ * Fetch every report published so far for the report date, oldest first
+ * The worker's /list says which slots exist, so only published reports are requested
+ */
+async function fetchPublishedReports(reportInfo) {
+  const published = await fetchPublishedReportTimes(reportInfo.date);
+  if (!published) return [];
 
-    // Find where the status word appears
-    const statusIndex = workingLine.indexOf(statusWord);
-    if (statusIndex === -1) return null;
+  const latestIndex = INJURY_REPORT_TIMES.findIndex(r => r.format === reportInfo.time);
+  const reports = [];
 
-    // Extract player name (everything before status)
-    let playerName = workingLine.substring(0, statusIndex).trim();
+  // Sequential on purpose: the worker fetches and parses each PDF from the NBA CDN
+  for (const report of INJURY_REPORT_TIMES.slice(0, latestIndex + 1).filter(r => published.includes(r.format))) {
+    const parsed = await fetchParsedReport(reportInfo.date, report);
+    if (parsed) reports.push(parsed);
+  }
 
-    // Player name is in format "LastName,FirstName" - convert to "FirstName LastName"
-    if (playerName.includes(',')) {
-      const parts = playerName.split(',');
-      if (parts.length === 2) {
-        playerName = `${parts[1].trim()} ${parts[0].trim()}`;
-      }
-    }
+  return reports;
+}
 
-    // Extract description (everything after status)
-    let description = workingLine.substring(statusIndex + statusWord.length).trim();
+function injuryKey(injury) {
+  return `${injury.teamAbbreviation}|${playerNameKey(injury.playerName)}`;
+}
 
-    // Clean up description
-    description = description.substring(0, 100); // Truncate
+/**
+ * Diff consecutive injury reports into a per-player status timeline
+ * A player missing from a report is "not listed" (status null): newly added players
+ * change from null, players cleared from the report change to null
+ * @param {Array} reports - parsed reports, oldest first: [{ time, description, reportAt, injuries }]
+ * @returns {object} - { reports, players: [{ teamAbbreviation, playerName, history }], changes }
+ */
+export function buildInjuryTimeline(reports) {
+  const players = new Map();
+  const changes = [];
+  let previous = new Map();
 
-    // Final validation
-    if (!playerName || playerName.length < 3) return null;
+  reports.forEach((report, index) => {
+    const current = new Map(report.injuries.map(injury => [injuryKey(injury), injury]));
 
-    // Make sure we have at least first and last name (or it's a Jr./Sr. case)
-    const nameParts = playerName.split(' ').filter(p => p.length > 0);
-    if (nameParts.length < 2 && !playerName.includes('Jr') && !playerName.includes('Sr')) {
-      return null; // Invalid name format
-    }
+    current.forEach((injury, key) => {
+      if (!players.has(key)) {
+        players.set(key, { teamAbbreviation: injury.teamAbbreviation, playerName: injury.playerName, history: [] });
+      }
+      players.get(key).history.push({ time: report.time, status: injury.status });
+    });
 
-    // Clean up description further
-    if (description) {
-      // Remove trailing garbage
-      const cleanDesc = description.replace(/[^a-zA-Z0-9\s\-\/,\.()]+.*$/, '').trim();
-      description = cleanDesc;
+    // The first report is the baseline - everything on it was already known
+    if (index > 0) {
+      const keys = new Set([...previous.keys(), ...current.keys()]);
+      keys.forEach(key => {
+        const from = previous.get(key)?.status || null;
+        const to = current.get(key)?.status || null;
+        if (from === to) return;
+
+        const { teamAbbreviation, playerName } = players.get(key);
+        if (!to) players.get(key).history.push({ time: report.time, status: null });
+        changes.push({
+          teamAbbreviation,
+          playerName,
+          from,
+          to,
+          time: report.time,
+          description: report.description,
+          reportAt: report.reportAt
+        });
+      });
     }
 
-    return {
-      teamAbbreviation: teamAbbr,
-      playerName: playerName,
-      status: status,
-      description: description,
-      source: 'NBA_OFFICIAL'
-    };
+    previous = current;
+  });
 
-  } catch (error) {
-    return null;
-  }
+  return {
+    reports: reports.map(report => ({
+      time: report.time,
+      description: report.description,
+      reportAt: report.reportAt,
+      injuryCount: report.injuries.length
+    })),
+    players: [...players.values()],
+    changes
+  };
 }
 
 /**
- * Parse the official NBA injury report PDF (concatenated format with no spaces)
+ * Status changes for one team's players, oldest first
  */
-function parseOfficialInjuryReport(text) {
-  const injuries = [];
-
-  try {
-    // The official report has all text concatenated with no spaces
-    const lines = text.split('\n');
-    let currentTeam = null; // Track current team for continuation lines
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-
-      // Skip empty lines and headers
-      if (!line || line.includes('GameDate') || line.includes('Page') ||
-          line.includes('InjuryReport:') || line.length < 10) {
-        continue;
-      }
-
-      // Check if this line has a team name (establishes context)
-      const teamFromLine = getTeamFromLine(line);
-      if (teamFromLine) {
-        currentTeam = teamFromLine;
-      }
+export function getTeamStatusChanges(timeline, teamAbbr) {
+  return (timeline?.changes || []).filter(change => change.teamAbbreviation === teamAbbr.toUpperCase());
+}
 
-      // Look for lines that contain injury status (concatenated format)
-      if (line.includes('Out') || line.includes('Probable') || line.includes('Questionable') || line.includes('Doubtful')) {
+/**
+ * e.g. "Franz Wagner: probable → questionable (5:00 PM ET)"
+ */
+export function describeStatusChange(change) {
+  return `${change.playerName}: ${change.from || 'not listed'} → ${change.to || 'not listed'} (${change.description})`;
+}
 
-        // Try to extract player injury data from the concatenated line
-        const injuryData = parseInjuryFromConcatenatedLine(line, currentTeam);
-        if (injuryData) {
-          injuries.push(injuryData);
-        }
-      }
-    }
+/**
+ * Parse the official NBA injury report PDF text into injury records
+ * Layout-aware parsing lives in shared/injury-report-parser.js; this keeps the record shape the engine uses
+ * ({ teamAbbreviation, playerName, status, description }) and adds the game and reason columns
+ */
+export function parseOfficialInjuryReport(text) {
+  return toOfficialInjuries(parseInjuryReportText(text));
+}
 
-    // Simple summary instead of detailed team breakdown
-    console.log(`   📊 Extracted: ${injuries.length} total injuries from official report`);
+/**
+ * Engine injury records from parsed report records (parseInjuryReportText output, or the worker's /parsed response)
+ */
+function toOfficialInjuries({ records, notSubmitted = [], diagnostics }) {
+  const injuries = records.map(record => ({
+    teamAbbreviation: record.teamAbbreviation,
+    playerName: record.playerName,
+    status: record.status,
+    description: describeReason(record.reason),
+    reasonCategory: record.reason.category,
+    reason: record.reason,
+    gameDate: record.gameDate,
+    gameTime: record.gameTime,
+    matchup: record.matchup,
+    confidence: record.confidence,
+    source: 'NBA_OFFICIAL'
+  }));
 
-  } catch (error) {
-    console.log(`   ⚠️  Error parsing official injury report: ${error.message}`);
+  // Simple summary instead of detailed team breakdown
+  console.log(`   📊 Extracted: ${injuries.length} total injuries from official report`);
+  if (notSubmitted.length > 0) {
+    console.log(`   ⏳ Not yet submitted: ${notSubmitted.map(entry => entry.teamAbbreviation).join(', ')}`);
+  }
+  if (diagnostics.unparsedLines.length > 0) {
+    console.log(`   ⚠️  ${diagnostics.unparsedLines.length} report line${diagnostics.unparsedLines.length === 1 ? '' : 's'} not understood (parse confidence: ${diagnostics.confidence})`);
   }
 
   return injuries;
@@ -1018,69 +1184,47 @@ export function getTeamInjuries(allInjuries, teamAbbr) {
 
 /**
  * ENHANCED: Fetch injuries from official NBA injury report with smart time selection
- * Automatically selects most recent available report and falls back to earlier times if needed
- * @param {object} pdf - PDF parser instance (pdf-parse)
- * @returns {object} - { success, allInjuries, dataSource, pdfEnhanced, pdfUrl, rawPdfLength, reportTime }
+ * Fetches every report published so far for the slate's day, parsed by the worker: the most recent one supplies
+ * the injuries, and the earlier ones are diffed into a status timeline (e.g. questionable → out at 5:00 PM ET)
+ * @param {string} [slateDate] - YYYY-MM-DD slate being analyzed; a past day gets that day's reports, not today's
+ * @param {Date} [now] - current time, which decides the latest report slot that should be out
+ * @returns {object} - { success, allInjuries, dataSource, pdfEnhanced, pdfUrl, rawPdfLength, reportTime, reportAt, timeline }
  */
-export async function fetchInjuriesWithOfficial(pdf) {
-  let dataSource = 'NBA_OFFICIAL';
-  let pdfEnhanced = false;
-
+export async function fetchInjuriesWithOfficial(slateDate = null, now = new Date()) {
   try {
     console.log(`📋 Fetching official NBA injury report...`);
 
-    // Get the most recent report time based on current ET time
-    const reportInfo = getMostRecentReportTime();
+    // Get the most recent report time based on current ET time (or the slate day's last report)
+    const reportInfo = getMostRecentReportTime(slateDate, now);
     console.log(`   🕐 Targeting ${reportInfo.description} report`);
 
-    // Try the most recent report time first
-    let result = await tryFetchInjuryReport(reportInfo.date, reportInfo.time);
-
-    // If failed, fall back to earlier report times
-    if (!result.success) {
-      console.log(`   ⚠️  ${reportInfo.description} report not available, trying earlier times...`);
-      result = await fallbackToEarlierReports(reportInfo);
-    }
-
-    // If we got a successful result, parse the PDF
-    if (result.success && result.pdfData && pdf) {
-      console.log(`   📄 Processing official report from worker`);
-      console.log(`   ✅ Using ${result.reportDescription} report`);
-
-      try {
-        // Decode base64 PDF data from worker
-        const buffer = Buffer.from(result.pdfData, 'base64');
+    const reports = await fetchPublishedReports(reportInfo);
+    const latest = reports[reports.length - 1];
 
-        console.log(`   📝 Parsing official injury report...`);
-        const data = await pdf(buffer);
-        const text = data.text;
-
-        console.log(`   ✅ Official report parsed! ${text.length} characters extracted`);
-
-        const allInjuries = parseOfficialInjuryReport(text);
-        console.log(`   📊 Extracted: ${allInjuries.length} total injuries from official report`);
+    if (latest) {
+      if (latest.time !== reportInfo.time) {
+        console.log(`   ⚠️  ${reportInfo.description} report not available, using ${latest.description}`);
+      }
+      console.log(`   ✅ Using ${latest.description} report (${latest.rawPdfLength} characters extracted)`);
 
-        pdfEnhanced = true;
-        dataSource = 'NBA_OFFICIAL_PARSED';
+      const timeline = buildInjuryTimeline(reports);
+      console.log(`   🔁 Compared ${reports.length} report${reports.length === 1 ? '' : 's'}: ${timeline.changes.length} status change${timeline.changes.length === 1 ? '' : 's'}`);
 
-        return {
-          success: true,
-          allInjuries,
-          dataSource,
-          pdfEnhanced,
-          pdfUrl: result.pdfUrl,
-          rawPdfLength: text.length,
-          reportTime: result.reportDescription
-        };
-      } catch (pdfError) {
-        console.log(`   ⚠️  Official report parsing failed: ${pdfError.message}`);
-      }
-    } else if (!pdf) {
-      console.log(`   ⚠️  PDF parsing not available`);
-    } else {
-      console.log(`   ⚠️  No injury reports available for any time today`);
+      return {
+        success: true,
+        allInjuries: latest.injuries,
+        dataSource: 'NBA_OFFICIAL_PARSED',
+        pdfEnhanced: true,
+        pdfUrl: latest.pdfUrl,
+        rawPdfLength: latest.rawPdfLength,
+        reportTime: latest.description,
+        reportAt: latest.reportAt,
+        timeline
+      };
     }
 
+    console.log(`   ⚠️  No injury reports available for any time today`);
+
     return {
       success: false,
       allInjuries: [],
@@ -0,0 +1,284 @@
+/**
+ * Injury History Module
+ * Local JSON-lines store of every official injury report listing, one line per change:
+ *   {"reportAt":"2025-11-04T22:00:00.000Z","gameDate":"2025-11-04","matchup":"MIL@TOR","teamAbbreviation":"MIL",
+ *    "playerName":"Kevin Porter Jr.","status":"out","reasonCategory":"injury","reason":"Injury/Illness - Left Ankle; Sprain"}
+ * The last line for a game date / team / player is that game's final status; a player dropped from a
+ * later report for the same game is written as "available". Queries look only at games before the one
+ * being projected, so replaying an old slate sees the history it would have seen then.
+ *
+ * Team game dates come from the matchups on the reports, so a game where neither team listed anyone
+ * is missing - streaks count it as neither played nor missed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { INJURY_HISTORY_CONFIG } from '../config/constants.js';
+import { playerNameKey } from '../../shared/player-identity.js';
+
+export const DEFAULT_HISTORY_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'injury-history.jsonl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Module-level state, configured once per run from the CLI flags
+const historyState = {
+  mode: 'off', // 'off' (no history), 'read' (query only, e.g. replays), 'record' (query + append new reports)
+  path: DEFAULT_HISTORY_PATH,
+  entries: null // loaded lazily
+};
+
+/**
+ * Configure the history store for this run
+ * @param {object} options - { mode: 'off'|'read'|'record', path }
+ */
+export function configureInjuryHistory({ mode = 'off', path: historyPath = DEFAULT_HISTORY_PATH } = {}) {
+  historyState.mode = mode;
+  historyState.path = historyPath;
+  historyState.entries = null;
+}
+
+function playerKey(teamAbbreviation, playerName) {
+  return `${teamAbbreviation}|${playerNameKey(playerName)}`;
+}
+
+function matchupTeams(matchup) {
+  return (matchup || '').split('@').filter(Boolean);
+}
+
+/**
+ * Every stored listing, oldest report first ([] when history is off or the store doesn't exist yet)
+ */
+export function loadInjuryHistory() {
+  if (historyState.mode === 'off') return [];
+  if (historyState.entries) return historyState.entries;
+
+  historyState.entries = [];
+  if (fs.existsSync(historyState.path)) {
+    fs.readFileSync(historyState.path, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        historyState.entries.push(JSON.parse(line));
+      } catch (error) {
+        // A partly written last line (killed mid-append) shouldn't lose the rest of the history
+      }
+    });
+    historyState.entries.sort((a, b) => a.reportAt.localeCompare(b.reportAt));
+  }
+  return historyState.entries;
+}
+
+/**
+ * Latest entry per game date / team / player
+ * @returns {Map} - key `${gameDate}|${team}|${name}` -> entry
+ */
+function latestListings(entries) {
+  const latest = new Map();
+  entries.forEach(entry => latest.set(`${entry.gameDate}|${playerKey(entry.teamAbbreviation, entry.playerName)}`, entry));
+  return latest;
+}
+
+/**
+ * History lines a report adds: new or changed listings, plus "available" for players the report dropped
+ * A report older than one already stored for the same games adds nothing: the store only holds changes,
+ * so slotting it in behind the newer report would leave its statuses as the games' final ones
+ * @param {Array} entries - existing history
+ * @param {Array} injuries - parsed official report records (with gameDate and matchup)
+ * @param {string} reportAt - ISO time of the report
+ * @returns {Array} - entries to append
+ */
+export function diffReportIntoHistory(entries, injuries, reportAt) {
+  const listed = injuries.filter(injury => injury.gameDate && injury.matchup);
+  const covered = new Set(listed.flatMap(injury => matchupTeams(injury.matchup).map(team => `${injury.gameDate}|${team}`)));
+  if (entries.some(entry => entry.reportAt > reportAt && covered.has(`${entry.gameDate}|${entry.teamAbbreviation}`))) {
+    return [];
+  }
+
+  const latest = latestListings(entries);
+  const additions = [];
+
+  listed.forEach(injury => {
+    const previous = latest.get(`${injury.gameDate}|${playerKey(injury.teamAbbreviation, injury.playerName)}`);
+    if (previous && previous.status === injury.status && previous.reasonCategory === (injury.reasonCategory || null)) return;
+
+    additions.push({
+      reportAt,
+      gameDate: injury.gameDate,
+      matchup: injury.matchup,
+      teamAbbreviation: injury.teamAbbreviation,
+      playerName: injury.playerName,
+      status: injury.status,
+      reasonCategory: injury.reasonCategory || null,
+      reason: injury.description || null
+    });
+  });
+
+  // Players an earlier report listed for a game this report covers, but this report doesn't
+  const stillListed = new Set(listed.map(injury => `${injury.gameDate}|${playerKey(injury.teamAbbreviation, injury.playerName)}`));
+
+  latest.forEach((entry, key) => {
+    if (entry.status === 'available' || stillListed.has(key) || entry.reportAt >= reportAt) return;
+    if (!covered.has(`${entry.gameDate}|${entry.teamAbbreviation}`)) return;
+
+    additions.push({ ...entry, reportAt, status: 'available', reasonCategory: null, reason: null });
+  });
+
+  return additions;
+}
+
+/**
+ * Append an official report to the store (only in 'record' mode)
+ * @param {Array} injuries - parsed official report records
+ * @param {string} reportAt - ISO time of the report
+ * @returns {number} - lines written
+ */
+export function recordInjuryReport(injuries, reportAt) {
+  if (historyState.mode !== 'record' || !reportAt || !injuries?.length) return 0;
+
+  const entries = loadInjuryHistory();
+  const additions = diffReportIntoHistory(entries, injuries, reportAt);
+  if (additions.length === 0) return 0;
+
+  fs.mkdirSync(path.dirname(historyState.path), { recursive: true });
+  fs.appendFileSync(historyState.path, additions.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+  entries.push(...additions);
+  // A past slate recorded after later ones lands mid-history
+  entries.sort((a, b) => a.reportAt.localeCompare(b.reportAt));
+  return additions.length;
+}
+
+/**
+ * Dates a team played before a game, oldest first
+ */
+export function getTeamGameDates(entries, teamAbbreviation, beforeDate) {
+  const dates = new Set(entries
+    .filter(entry => entry.gameDate < beforeDate && matchupTeams(entry.matchup).includes(teamAbbreviation))
+    .map(entry => entry.gameDate));
+  return [...dates].sort();
+}
+
+/**
+ * A player's final status for each of their team's games before a date ('available' when not listed)
+ * @returns {Array} - [{ gameDate, status, reasonCategory, reason }], oldest first
+ */
+export function getPlayerGameLog(entries, teamAbbreviation, playerName, beforeDate) {
+  const latest = latestListings(entries);
+  const key = playerKey(teamAbbreviation, playerName);
+
+  return getTeamGameDates(entries, teamAbbreviation, beforeDate).map(gameDate => {
+    const entry = latest.get(`${gameDate}|${key}`);
+    return {
+      gameDate,
+      status: entry?.status || 'available',
+      reasonCategory: entry?.status === 'out' ? entry.reasonCategory : null,
+      reason: entry?.status === 'out' ? entry.reason : null
+    };
+  });
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T12:00:00Z`) - Date.parse(`${from}T12:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Stretches a player sat out, oldest first
+ * @returns {Array} - [{ start, end, gamesMissed, reasonCategory, reason, returnDate, gamesSinceReturn }]
+ *   returnDate is null while the stretch is still going; gamesSinceReturn counts games played from the return on
+ */
+function getAbsences(gameLog) {
+  const absences = [];
+  let current = null;
+
+  gameLog.forEach((game, index) => {
+    if (game.status === 'out') {
+      if (!current) {
+        current = { start: game.gameDate, end: game.gameDate, gamesMissed: 0, reasonCategory: game.reasonCategory, reason: null, returnDate: null, gamesSinceReturn: 0 };
+        absences.push(current);
+      }
+      current.end = game.gameDate;
+      current.gamesMissed++;
+      current.reason = game.reason || current.reason; // latest description of the injury
+      return;
+    }
+    if (current) {
+      current.returnDate = game.gameDate;
+      current.gamesSinceReturn = gameLog.length - index;
+      current = null;
+    }
+  });
+
+  return absences;
+}
+
+/**
+ * Windows where a returning player is likely on a minutes restriction: the first
+ * RESTRICTION_WINDOW_GAMES games back from an injury or illness that cost RESTRICTION_MIN_GAMES_MISSED+ games
+ * @returns {Array} - [{ start, end, gamesMissed, reasonCategory, reason, games }] - end is null while the window is open
+ */
+export function getMinutesRestrictionWindows(entries, teamAbbreviation, playerName, beforeDate) {
+  const gameLog = getPlayerGameLog(entries, teamAbbreviation, playerName, beforeDate);
+
+  return getAbsences(gameLog)
+    .filter(absence => absence.returnDate &&
+      absence.gamesMissed >= INJURY_HISTORY_CONFIG.RESTRICTION_MIN_GAMES_MISSED &&
+      ['injury', 'illness', null].includes(absence.reasonCategory))
+    .map(absence => {
+      const games = gameLog
+        .filter(game => game.gameDate >= absence.returnDate && game.status !== 'out')
+        .slice(0, INJURY_HISTORY_CONFIG.RESTRICTION_WINDOW_GAMES)
+        .map(game => game.gameDate);
+      return {
+        start: absence.returnDate,
+        end: games.length >= INJURY_HISTORY_CONFIG.RESTRICTION_WINDOW_GAMES ? games[games.length - 1] : null,
+        gamesMissed: absence.gamesMissed,
+        reasonCategory: absence.reasonCategory,
+        reason: absence.reason,
+        games
+      };
+    });
+}
+
+/**
+ * Where a player stands coming into a game, from the stored history
+ * @returns {object} - {
+ *   tracked,                 // false when the store has no games for the team (callers fall back to heuristics)
+ *   consecutiveGamesMissed,  // games missed in a row right before this one
+ *   lastAbsence,             // most recent stretch missed: { start, end, gamesMissed, reasonCategory, reason, returnDate }
+ *   daysSinceReturn,         // days since the first game back from lastAbsence (null if still out or never missed)
+ *   gamesSinceReturn,        // games played since that return
+ *   restrictionWindow        // open minutes-restriction window (including a return in this game), or null
+ * }
+ */
+export function getReturnContext(entries, teamAbbreviation, playerName, gameDate) {
+  const empty = { tracked: false, consecutiveGamesMissed: 0, lastAbsence: null, daysSinceReturn: null, gamesSinceReturn: null, restrictionWindow: null };
+  if (!entries?.length || !teamAbbreviation || !gameDate) return empty;
+
+  const gameLog = getPlayerGameLog(entries, teamAbbreviation, playerName, gameDate);
+  if (gameLog.length === 0) return empty;
+
+  const absences = getAbsences(gameLog);
+  const lastAbsence = absences[absences.length - 1] || null;
+  const stillOut = Boolean(lastAbsence && !lastAbsence.returnDate);
+
+  // Returning in this game counts as game one of a restriction window
+  const gamesBack = stillOut ? 0 : lastAbsence?.gamesSinceReturn ?? null;
+  const restricted = lastAbsence &&
+    lastAbsence.gamesMissed >= INJURY_HISTORY_CONFIG.RESTRICTION_MIN_GAMES_MISSED &&
+    ['injury', 'illness', null].includes(lastAbsence.reasonCategory) &&
+    gamesBack < INJURY_HISTORY_CONFIG.RESTRICTION_WINDOW_GAMES;
+
+  return {
+    tracked: true,
+    consecutiveGamesMissed: stillOut ? lastAbsence.gamesMissed : 0,
+    lastAbsence,
+    daysSinceReturn: lastAbsence && !stillOut ? daysBetween(lastAbsence.returnDate, gameDate) : null,
+    gamesSinceReturn: gamesBack,
+    restrictionWindow: restricted ? {
+      start: lastAbsence.returnDate || gameDate,
+      gamesMissed: lastAbsence.gamesMissed,
+      reasonCategory: lastAbsence.reasonCategory,
+      reason: lastAbsence.reason,
+      gameNumber: gamesBack + 1
+    } : null
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Output Files Module
+ * Names prediction files by slate and run: <slateDate>_<runId>_<kind>.<ext>
+ * - The slate date is the date the games are played (US Eastern), never the time of the run
+ * - Every run gets a UTC timestamp run ID, so re-running a slate after a late injury report
+ *   keeps the earlier files instead of overwriting them
+ * Files written before run IDs existed (<slateDate>_<kind>.<ext>) are read as a run with a null ID
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Time zone NBA slates are scheduled in
+export const SLATE_TIME_ZONE = 'America/New_York';
+
+// Sheets and documents a run can write
+export const OUTPUT_KINDS = {
+  games: 'games.csv',
+  players: 'players.csv',
+  strategy: 'strategy.csv',
+  summary: 'summary.csv',
+  failures: 'failures.csv',
+  injuryTimeline: 'injury-timeline.csv',
+  slate: 'slate.json',
+  ab: 'ab.csv', // --ab side-by-side games (written under the second profile's run)
+  abPlayers: 'ab-players.csv'
+};
+
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:_(\d{8}T\d{6}Z(?:-\d+)?))?_([a-z-]+\.(?:csv|json))$/;
+
+/**
+ * Today's slate date (YYYY-MM-DD in US Eastern time)
+ */
+export function getSlateDate(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: SLATE_TIME_ZONE });
+}
+
+/**
+ * Compact UTC timestamp for a run, e.g. 20251105T013012Z
+ */
+export function createRunId(now = new Date()) {
+  return now.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+/**
+ * File name for one output of a run
+ * @param {string} kind - key of OUTPUT_KINDS
+ */
+export function outputFileName(slateDate, runId, kind) {
+  if (!OUTPUT_KINDS[kind]) {
+    throw new Error(`Unknown output kind "${kind}"`);
+  }
+  return runId ? `${slateDate}_${runId}_${OUTPUT_KINDS[kind]}` : `${slateDate}_${OUTPUT_KINDS[kind]}`;
+}
+
+/**
+ * Every run found in the output directory, oldest first
+ * @param {string} outputDir
+ * @param {string} [slateDate] - only runs for this slate
+ * @returns {Array} - [{ slateDate, runId, files: { games: '/abs/path', ... } }]
+ */
+export function listRuns(outputDir, slateDate = null) {
+  if (!fs.existsSync(outputDir)) return [];
+
+  const kindsBySuffix = Object.fromEntries(Object.entries(OUTPUT_KINDS).map(([kind, suffix]) => [suffix, kind]));
+  const runs = new Map();
+
+  fs.readdirSync(outputDir).forEach(name => {
+    const match = name.match(FILE_PATTERN);
+    if (!match || !kindsBySuffix[match[3]]) return;
+
+    const [, date, runId = null] = match;
+    if (slateDate && date !== slateDate) return;
+
+    const key = `${date}_${runId || ''}`;
+    if (!runs.has(key)) {
+      runs.set(key, { slateDate: date, runId, files: {} });
+    }
+    runs.get(key).files[kindsBySuffix[match[3]]] = path.join(outputDir, name);
+  });
+
+  // Legacy files (no run ID) sort before any timestamped run of the same slate
+  return [...runs.values()].sort((a, b) =>
+    a.slateDate.localeCompare(b.slateDate) || compareRunIds(a.runId, b.runId));
+}
+
+/**
+ * Order two run IDs by time, then by collision suffix as a number (so -10 comes after -2)
+ */
+function compareRunIds(a, b) {
+  const [baseA = '', suffixA = '1'] = (a || '').split('-');
+  const [baseB = '', suffixB = '1'] = (b || '').split('-');
+  return baseA.localeCompare(baseB) || Number(suffixA) - Number(suffixB);
+}
+
+/**
+ * A slate's run by ID, or its latest run when no ID is given (null if there is none)
+ */
+export function findRun(outputDir, slateDate, runId = null) {
+  const runs = listRuns(outputDir, slateDate);
+  if (runId) {
+    return runs.find(run => run.runId === runId) || null;
+  }
+  return runs[runs.length - 1] || null;
+}
+
+/**
+ * Most recent slate date with any output, or null
+ */
+export function findLatestSlateDate(outputDir) {
+  const runs = listRuns(outputDir);
+  return runs.length > 0 ? runs[runs.length - 1].slateDate : null;
+}
+
+/**
+ * Run ID for a new run that can't collide with files already in the output directory
+ * (two runs inside the same second get -2, -3, ... suffixes)
+ */
+export function reserveRunId(outputDir, slateDate, now = new Date()) {
+  const baseId = createRunId(now);
+  const taken = new Set(listRuns(outputDir, slateDate).map(run => run.runId));
+
+  let runId = baseId;
+  for (let suffix = 2; taken.has(runId); suffix++) {
+    runId = `${baseId}-${suffix}`;
+  }
+  return runId;
+}
@@ -0,0 +1,113 @@
+/**
+ * Replay Module
+ * Records worker responses to date-keyed snapshot directories and serves them back
+ * so any past slate can be re-run without touching the live workers
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'snapshots');
+
+// Module-level state, configured once per run from the CLI flags
+const snapshotState = {
+  mode: 'live', // 'live' (fetch + record), 'replay' (serve from disk), 'off' (fetch only)
+  date: null,
+  dir: DEFAULT_SNAPSHOT_DIR
+};
+
+/**
+ * Configure the snapshot layer for this run
+ * @param {object} options - { mode: 'live'|'replay'|'off', date: 'YYYY-MM-DD', dir }
+ */
+export function configureSnapshots({ mode = 'live', date = null, dir = DEFAULT_SNAPSHOT_DIR } = {}) {
+  snapshotState.mode = mode;
+  snapshotState.date = date;
+  snapshotState.dir = dir;
+}
+
+export function isReplayMode() {
+  return snapshotState.mode === 'replay';
+}
+
+/**
+ * Build a filesystem-safe snapshot key from a worker name and its arguments
+ * e.g. ['teams', 1610612738, 5] -> "teams_1610612738_5"
+ */
+export function snapshotKey(parts) {
+  return parts
+    .filter(part => part !== null && part !== undefined && part !== '')
+    .map(part => String(part).replace(/[^a-zA-Z0-9.-]/g, '-'))
+    .join('_');
+}
+
+function snapshotPath(date, key) {
+  return path.join(snapshotState.dir, date, `${key}.json`);
+}
+
+/**
+ * Read a recorded response for the configured date
+ */
+export function readSnapshot(key, date = snapshotState.date) {
+  const filePath = snapshotPath(date, key);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No recorded snapshot for "${key}" on ${date} (${filePath})`);
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return snapshot.data;
+}
+
+/**
+ * Write a worker response to the snapshot directory for the configured date
+ */
+export function writeSnapshot(key, data, date = snapshotState.date) {
+  const filePath = snapshotPath(date, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    key,
+    date,
+    recordedAt: new Date().toISOString(),
+    data
+  }, null, 2), 'utf8');
+}
+
+/**
+ * Wrap a worker fetch with record/replay behaviour
+ * - replay: return the recorded response, never call the fetcher
+ * - live: call the fetcher and record its response under the run date
+ * - off: call the fetcher only
+ * @param {Array} keyParts - worker name followed by the arguments that identify the response
+ * @param {Function} fetcher - async function performing the live request
+ */
+export async function withSnapshot(keyParts, fetcher) {
+  const key = snapshotKey(keyParts);
+
+  if (snapshotState.mode === 'replay') {
+    return readSnapshot(key);
+  }
+
+  const data = await fetcher();
+
+  if (snapshotState.mode === 'live' && snapshotState.date) {
+    try {
+      writeSnapshot(key, data);
+    } catch (error) {
+      console.log(`   ⚠️  Could not record snapshot ${key}: ${error.message}`);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * List the dates that have recorded snapshots
+ */
+export function listSnapshotDates(dir = snapshotState.dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry))
+    .sort();
+}
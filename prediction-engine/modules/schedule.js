@@ -0,0 +1,63 @@
+/**
+ * Schedule Module
+ * Client for the schedule worker: rest days, back-to-backs, travel and road-trip context per team
+ */
+
+import { WORKERS } from '../config/constants.js';
+import { cachedFetchJson } from './cache.js';
+import { withSnapshot } from './replay.js';
+
+/**
+ * Fetch a team's schedule context for a game date
+ * @param {number} teamId - NBA team ID
+ * @param {string} date - game date, YYYY-MM-DD
+ * @returns {Promise<object>} - { success, schedule, dataSource } (schedule is null when unavailable)
+ */
+export async function fetchTeamSchedule(teamId, date) {
+  try {
+    const data = await withSnapshot(['schedule', teamId, date], async () => {
+      return cachedFetchJson('schedule', `${WORKERS.schedule}/schedule?team=${teamId}&date=${date}`);
+    });
+
+    if (data.success && data.schedule) {
+      return {
+        success: true,
+        cacheStale: data.cacheStale || false,
+        cacheStoredAt: data.cacheStoredAt,
+        schedule: data.schedule,
+        dataSource: data.metadata?.dataSource || 'NBA_SCHEDULE'
+      };
+    }
+
+    console.log(`   ⚠️  No schedule data available: ${data.error || 'Unknown error'}`);
+    return { success: false, error: data.error, schedule: null, dataSource: 'ERROR' };
+
+  } catch (error) {
+    console.log(`   ❌ Error fetching schedule: ${error.message}`);
+    return { success: false, error: error.message, schedule: null, dataSource: 'ERROR' };
+  }
+}
+
+/**
+ * One-line summary of a team's schedule situation, e.g. "B2B, 3-in-4, 640 mi, game 2 of 5-game road trip"
+ */
+export function describeSchedule(schedule) {
+  if (!schedule) return 'Schedule unavailable';
+
+  const parts = [];
+  if (schedule.backToBack) {
+    parts.push('B2B');
+  } else if (schedule.restDays !== null) {
+    parts.push(`${schedule.restDays} day${schedule.restDays === 1 ? '' : 's'} rest`);
+  }
+  if (schedule.fourInSix) parts.push('4-in-6');
+  else if (schedule.threeInFour) parts.push('3-in-4');
+  if (schedule.travelMiles > 0) parts.push(`${schedule.travelMiles} mi`);
+  if (schedule.timeZoneChange !== 0) parts.push(`${schedule.timeZoneChange > 0 ? '+' : ''}${schedule.timeZoneChange}h TZ`);
+  if (schedule.stretch && schedule.stretch.length > 1) {
+    const label = schedule.stretch.type === 'home' ? 'home stand' : 'road trip';
+    parts.push(`game ${schedule.stretch.gameNumber} of ${schedule.stretch.length}-game ${label}`);
+  }
+
+  return parts.length > 0 ? parts.join(', ') : 'Normal rest';
+}
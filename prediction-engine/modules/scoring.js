@@ -6,36 +6,84 @@
 import { POSSESSION_MODEL, SCHEDULE_ADJUSTMENTS } from '../config/constants.js';
 
 /**
- * NEW PHASE 3: Calculate schedule context factors (rest, back-to-back, etc.)
+ * Calculate schedule context factors (rest, back-to-back, travel, schedule density)
+ * Reads the schedule worker summaries on teamData.schedule / oppData.schedule
  * Returns adjustment object with fatigue and rest advantage impacts
  */
-export function calculateScheduleContext(teamData, oppData, gameDate) {
+export function calculateScheduleContext(teamData, oppData) {
+  const teamSchedule = teamData?.schedule || null;
+  const oppSchedule = oppData?.schedule || null;
+
   const context = {
     teamFatigue: 0, // Negative = tired, positive = well-rested
     oppFatigue: 0,
-    teamBackToBack: false,
-    oppBackToBack: false,
+    teamBackToBack: Boolean(teamSchedule?.backToBack),
+    oppBackToBack: Boolean(oppSchedule?.backToBack),
     restAdvantage: 0, // Positive favors team, negative favors opponent
     adjustmentDesc: []
   };
 
-  // TODO: In future, fetch actual schedule data from NBA API
-  // For now, use estimated impacts based on typical NBA scheduling
+  // Without both schedules there is nothing to compare, so stay neutral
+  if (!teamSchedule || !oppSchedule) {
+    return context;
+  }
 
-  // PLACEHOLDER: These would be calculated from actual game dates
-  // Example: if last game was yesterday, backToBack = true
-  // Example: if team had 3 days rest, restAdvantage = +1.5
+  const team = scoreFatigue(teamSchedule);
+  const opp = scoreFatigue(oppSchedule);
+  context.teamFatigue = team.fatigue;
+  context.oppFatigue = opp.fatigue;
 
-  // Back-to-back detection (simplified - would use actual schedule)
-  // const lastGameDate = getLastGameDate(teamData);
-  // const daysSinceLastGame = (gameDate - lastGameDate) / (1000 * 60 * 60 * 24);
+  const rawAdvantage = team.fatigue - opp.fatigue;
+  context.restAdvantage = Math.max(-SCHEDULE_ADJUSTMENTS.MAX_REST_ADVANTAGE, Math.min(SCHEDULE_ADJUSTMENTS.MAX_REST_ADVANTAGE, rawAdvantage));
 
-  // For now, apply typical league-average adjustments
-  // Will be enhanced when schedule API is integrated
+  if (context.teamBackToBack) context.adjustmentDesc.push('Back-to-back');
+  context.adjustmentDesc.push(...team.reasons);
+  if (context.oppBackToBack) context.adjustmentDesc.push('Opponent on back-to-back');
 
   return context;
 }
 
+/**
+ * Fatigue score for one team's schedule (back-to-backs are penalized separately via teamBackToBack)
+ */
+function scoreFatigue(schedule) {
+  let fatigue = 0;
+  const reasons = [];
+
+  if (schedule.restDays !== null && schedule.restDays > 1) {
+    const extraDays = Math.min(schedule.restDays, SCHEDULE_ADJUSTMENTS.MAX_REST_DAYS_COUNTED) - 1;
+    fatigue += extraDays * SCHEDULE_ADJUSTMENTS.REST_DAY_VALUE;
+    reasons.push(`${schedule.restDays} days rest`);
+  }
+
+  if (schedule.fourInSix) {
+    fatigue += SCHEDULE_ADJUSTMENTS.FOUR_IN_SIX_FATIGUE;
+    reasons.push('4-in-6');
+  } else if (schedule.threeInFour) {
+    fatigue += SCHEDULE_ADJUSTMENTS.THREE_IN_FOUR_FATIGUE;
+    reasons.push('3-in-4');
+  }
+
+  // Travel and time-zone changes only bite when there is little time to recover
+  if (schedule.restDays !== null && schedule.restDays <= 1) {
+    if (schedule.travelMiles > 0) {
+      fatigue += (schedule.travelMiles / 1000) * SCHEDULE_ADJUSTMENTS.TRAVEL_FATIGUE_PER_1000_MILES;
+      reasons.push(`${schedule.travelMiles} mi travel`);
+    }
+    if (schedule.timeZoneChange !== 0) {
+      fatigue += Math.abs(schedule.timeZoneChange) * SCHEDULE_ADJUSTMENTS.TIMEZONE_FATIGUE_PER_HOUR;
+      reasons.push(`${Math.abs(schedule.timeZoneChange)}h time-zone change`);
+    }
+  }
+
+  if (schedule.stretch?.type === 'road' && schedule.stretch.gameNumber >= SCHEDULE_ADJUSTMENTS.LONG_ROAD_TRIP_GAMES) {
+    fatigue += SCHEDULE_ADJUSTMENTS.LONG_ROAD_TRIP_FATIGUE;
+    reasons.push(`game ${schedule.stretch.gameNumber} of road trip`);
+  }
+
+  return { fatigue, reasons };
+}
+
 /**
  * Apply schedule context adjustments to team performance
  * Research shows: B2B games = -2 to -5 points, 3+ days rest = +1 to +2 points
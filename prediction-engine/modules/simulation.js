@@ -0,0 +1,374 @@
+/**
+ * Simulation Module
+ * Monte Carlo game simulation around the possession model: each simulated game draws a pace shared by
+ * both teams and a points-per-possession for each side, plays overtime on ties, and the results are
+ * kept as integer margin/total distributions so any spread or total line can be priced afterwards.
+ * Given player projections, each simulated team score is then split between the players, so player
+ * stat distributions add up to the team's and teammates' numbers move together
+ */
+
+import { SIMULATION } from '../config/constants.js';
+
+/**
+ * Seed from strings/numbers (FNV-1a), e.g. simulationSeed(SIMULATION.SEED, 'MIL', 'TOR')
+ */
+export function simulationSeed(...parts) {
+  let hash = 0x811c9dc5;
+  for (const char of parts.join('|')) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32) - simulations reproduce run to run
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function normal(random) {
+  const u = 1 - random(); // (0, 1] so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Poisson count (Knuth; normal approximation for large means)
+ */
+function poisson(random, mean) {
+  if (mean <= 0) return 0;
+  if (mean > 30) return Math.max(0, Math.round(mean + normal(random) * Math.sqrt(mean)));
+  const limit = Math.exp(-mean);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+function binomial(random, trials, probability) {
+  let successes = 0;
+  for (let trial = 0; trial < trials; trial++) {
+    if (random() < probability) successes++;
+  }
+  return successes;
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function addToDistribution(distribution, value) {
+  distribution.set(value, (distribution.get(value) || 0) + 1);
+}
+
+/**
+ * Map(value -> count) -> { value: count } in ascending value order
+ */
+function sortedDistribution(distribution) {
+  return Object.fromEntries([...distribution.entries()].sort((a, b) => a[0] - b[0]));
+}
+
+/**
+ * Percentile of a { value: count } distribution: the smallest value with at least p% of games at or below it
+ */
+export function distributionPercentile(distribution, percentile) {
+  const entries = Object.entries(distribution).map(([value, count]) => [Number(value), count]).sort((a, b) => a[0] - b[0]);
+  const games = entries.reduce((sum, [, count]) => sum + count, 0);
+  const target = (percentile / 100) * games;
+  let seen = 0;
+  for (const [value, count] of entries) {
+    seen += count;
+    if (seen >= target) return value;
+  }
+  return entries.length > 0 ? entries[entries.length - 1][0] : null;
+}
+
+function summarizeDistribution(distribution, games) {
+  const mean = Object.entries(distribution).reduce((sum, [value, count]) => sum + Number(value) * count, 0) / games;
+  return {
+    mean: round(mean),
+    percentiles: Object.fromEntries(SIMULATION.PERCENTILES.map(p => [`p${p}`, distributionPercentile(distribution, p)]))
+  };
+}
+
+/**
+ * Share of a distribution above / at / below a line
+ */
+function splitAtLine(distribution, line) {
+  let above = 0;
+  let at = 0;
+  let below = 0;
+  let games = 0;
+  Object.entries(distribution).forEach(([value, count]) => {
+    const number = Number(value);
+    if (number > line) above += count;
+    else if (number === line) at += count;
+    else below += count;
+    games += count;
+  });
+  return { above: above / games, at: at / games, below: below / games };
+}
+
+/**
+ * Points-per-possession spread that, with the pace spread, gives the team's score standard deviation
+ */
+function efficiencyStdDev(scoreStdDev, possessions, efficiency, paceStdDev) {
+  const fromPace = efficiency * paceStdDev;
+  return Math.sqrt(Math.max(0, scoreStdDev ** 2 - fromPace ** 2)) / possessions;
+}
+
+/**
+ * Pearson correlation of two equal-length series
+ */
+function pearson(xs, ys) {
+  const meanX = xs.reduce((sum, value) => sum + value, 0) / xs.length;
+  const meanY = ys.reduce((sum, value) => sum + value, 0) / ys.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
+
+/**
+ * Splits each simulated team score between a team's projected players
+ * Players get a share of the score in proportion to their projected points, moved game to game by
+ * their minutes and shot share; points the listed players don't account for go to the rest of the
+ * roster, and when the projections add up to more than the team score every share shrinks to fit
+ */
+function createPlayerAllocator(side, iterations, random) {
+  const players = side.players.map((player, idx) => ({
+    ...player,
+    starter: idx < SIMULATION.STARTERS,
+    threeRate: player.points > 0 ? Math.min(1, (3 * (player.threePointersMade || 0)) / player.points) : 0,
+    history: new Int16Array(iterations),
+    stats: { points: new Map(), rebounds: new Map(), assists: new Map(), threePointersMade: new Map(), pra: new Map() }
+  }));
+  const projectedPoints = players.reduce((sum, player) => sum + player.points, 0);
+  const restOfRoster = Math.max(0, side.score - projectedPoints);
+
+  return {
+    /**
+     * @param {object} game - { index, score, regulationScore, periods, margin, paceFactor, opponentMissFactor }
+     */
+    allocate(game) {
+      const overtimeFactor = 1 + game.periods * (SIMULATION.OVERTIME_MINUTES / 48);
+      const blowout = Math.abs(game.margin) >= SIMULATION.BLOWOUT_MARGIN;
+
+      const minutes = players.map(player => {
+        const rotation = blowout ? SIMULATION.BLOWOUT_MINUTES[player.starter ? 'starters' : 'bench'] : 1;
+        return Math.max(0, 1 + normal(random) * SIMULATION.MINUTES_STD_DEV) * rotation;
+      });
+      const weights = players.map((player, idx) =>
+        player.points * minutes[idx] * Math.max(0.05, 1 + normal(random) * SIMULATION.SHOT_SHARE_STD_DEV));
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) + restOfRoster;
+
+      // Largest remainder so the players never score more than the team
+      const shares = [...weights, restOfRoster].map(weight => totalWeight > 0 ? (game.score * weight) / totalWeight : 0);
+      const points = shares.map(Math.floor);
+      let leftover = game.score - points.reduce((sum, value) => sum + value, 0);
+      shares.map((share, idx) => [share - points[idx], idx])
+        .sort((a, b) => b[0] - a[0])
+        .forEach(([, idx]) => {
+          if (leftover > 0) {
+            points[idx]++;
+            leftover--;
+          }
+        });
+
+      players.forEach((player, idx) => {
+        const playedMinutes = minutes[idx] * overtimeFactor;
+        const threes = binomial(random, Math.floor(points[idx] / 3), player.threeRate);
+        // More opponent misses mean more defensive rebounds; more team scoring, more assists
+        const rebounds = poisson(random, (player.rebounds || 0) * playedMinutes * game.paceFactor * game.opponentMissFactor);
+        const assists = poisson(random, (player.assists || 0) * playedMinutes * (game.regulationScore / side.score));
+
+        player.history[game.index] = points[idx];
+        addToDistribution(player.stats.points, points[idx]);
+        addToDistribution(player.stats.rebounds, rebounds);
+        addToDistribution(player.stats.assists, assists);
+        addToDistribution(player.stats.threePointersMade, threes);
+        addToDistribution(player.stats.pra, points[idx] + rebounds + assists);
+      });
+    },
+
+    /**
+     * { projectedPoints, simulatedPoints, players: [{ playerName, points, rebounds, assists, threePointersMade, pra }],
+     *   correlations: [{ players: [a, b], points }] } - stat summaries are { mean, percentiles }
+     */
+    summarize() {
+      const summaries = players.map(player => ({
+        playerName: player.playerName,
+        ...Object.fromEntries(Object.entries(player.stats)
+          .map(([stat, distribution]) => [stat, summarizeDistribution(sortedDistribution(distribution), iterations)]))
+      }));
+
+      const correlations = [];
+      players.forEach((player, idx) => {
+        players.slice(idx + 1).forEach(teammate => {
+          correlations.push({
+            players: [player.playerName, teammate.playerName],
+            points: round(pearson(player.history, teammate.history), 2)
+          });
+        });
+      });
+
+      return {
+        projectedPoints: round(projectedPoints),
+        simulatedPoints: round(summaries.reduce((sum, summary) => sum + summary.points.mean, 0)),
+        players: summaries,
+        correlations
+      };
+    }
+  };
+}
+
+/**
+ * Simulate a game many times
+ * @param {object} options
+ *   away / home: { score, possessions, stdDev, players } - possession model score and possessions
+ *     (calculatePossessionBasedScore), score standard deviation (calculateGameVariance) and optionally
+ *     the projected players by minutes: [{ playerName, points, rebounds, assists, threePointersMade }]
+ *   pace: game pace (calculateSophisticatedPace base), paceStdDev: possessions
+ *   iterations, seed
+ * @returns {object} - { iterations, seed, awayWinProbability, homeWinProbability, overtimeProbability,
+ *   awayScore, homeScore, margin, total: { mean, percentiles }, marginDistribution, totalDistribution, players }
+ *   margin is away minus home; distributions are { value: games } over final (overtime included) scores;
+ *   players is { away, home } (see createPlayerAllocator summarize) or null without player projections
+ */
+export function simulateGame({ away, home, pace, paceStdDev, iterations = SIMULATION.ITERATIONS, seed = SIMULATION.SEED }) {
+  const random = createRandom(seed);
+  // Player draws come from their own stream so the team results don't depend on who is listed
+  const playerRandom = createRandom(seed ^ 0x9E3779B9);
+  const allocators = [away, home].map(side =>
+    side.players?.length > 0 ? createPlayerAllocator(side, iterations, playerRandom) : null);
+  const sides = [away, home].map(side => {
+    const efficiency = side.score / side.possessions;
+    return {
+      possessions: side.possessions,
+      efficiency,
+      efficiencyStdDev: efficiencyStdDev(side.stdDev, side.possessions, efficiency, paceStdDev),
+      overtimeStdDev: side.stdDev * Math.sqrt(SIMULATION.OVERTIME_MINUTES / 48)
+    };
+  });
+
+  const awayScores = new Map();
+  const homeScores = new Map();
+  const margins = new Map();
+  const totals = new Map();
+  let awayWins = 0;
+  let overtimes = 0;
+
+  for (let game = 0; game < iterations; game++) {
+    const paceFactor = Math.max(0.5, (pace + normal(random) * paceStdDev) / pace);
+    const efficiencies = sides.map(side => Math.max(0.5, side.efficiency + normal(random) * side.efficiencyStdDev));
+    const scores = sides.map((side, idx) => Math.round(side.possessions * paceFactor * efficiencies[idx]));
+    const regulationScores = [...scores];
+
+    let periods = 0;
+    while (scores[0] === scores[1] && periods < SIMULATION.MAX_OVERTIMES) {
+      periods++;
+      sides.forEach((side, idx) => {
+        const possessions = side.possessions * paceFactor * (SIMULATION.OVERTIME_MINUTES / 48);
+        scores[idx] += Math.max(0, Math.round(possessions * efficiencies[idx] + normal(random) * side.overtimeStdDev));
+      });
+    }
+    if (scores[0] === scores[1]) scores[random() < 0.5 ? 0 : 1] += 1;
+    if (periods > 0) overtimes++;
+
+    if (scores[0] > scores[1]) awayWins++;
+    addToDistribution(awayScores, scores[0]);
+    addToDistribution(homeScores, scores[1]);
+    addToDistribution(margins, scores[0] - scores[1]);
+    addToDistribution(totals, scores[0] + scores[1]);
+
+    allocators.forEach((allocator, idx) => {
+      if (!allocator) return;
+      const opponent = 1 - idx;
+      allocator.allocate({
+        index: game,
+        score: scores[idx],
+        regulationScore: regulationScores[idx],
+        periods,
+        margin: scores[0] - scores[1],
+        paceFactor,
+        opponentMissFactor: Math.sqrt(sides[opponent].efficiency / efficiencies[opponent])
+      });
+    });
+  }
+
+  const marginDistribution = sortedDistribution(margins);
+  const totalDistribution = sortedDistribution(totals);
+
+  return {
+    iterations,
+    seed,
+    awayWinProbability: awayWins / iterations,
+    homeWinProbability: 1 - awayWins / iterations,
+    overtimeProbability: overtimes / iterations,
+    awayScore: summarizeDistribution(sortedDistribution(awayScores), iterations),
+    homeScore: summarizeDistribution(sortedDistribution(homeScores), iterations),
+    margin: summarizeDistribution(marginDistribution, iterations),
+    total: summarizeDistribution(totalDistribution, iterations),
+    marginDistribution,
+    totalDistribution,
+    players: allocators.some(Boolean)
+      ? { away: allocators[0]?.summarize() || null, home: allocators[1]?.summarize() || null }
+      : null
+  };
+}
+
+/**
+ * Probability a side covers a spread, e.g. ('home', -3.5) = home wins by 4+
+ * @param {object} simulation - simulateGame result (or its slate record - only marginDistribution is read)
+ * @param {string} side - 'away' or 'home'
+ * @param {number} spread - the side's line (negative = favored)
+ * @returns {object} - { cover, push, lose }
+ */
+export function spreadCoverProbability(simulation, side, spread) {
+  // Away covers when (away - home) + spread > 0; home when (home - away) + spread > 0
+  const split = splitAtLine(simulation.marginDistribution, side === 'away' ? -spread : spread);
+  return side === 'away'
+    ? { cover: split.above, push: split.at, lose: split.below }
+    : { cover: split.below, push: split.at, lose: split.above };
+}
+
+/**
+ * Probability the combined score goes over / under a total line
+ * @returns {object} - { over, push, under }
+ */
+export function totalLineProbability(simulation, line) {
+  const split = splitAtLine(simulation.totalDistribution, line);
+  return { over: split.above, push: split.at, under: split.below };
+}
+
+/**
+ * A player's simulated stat summaries from a simulateGame result (null when they weren't simulated)
+ */
+export function findSimulatedPlayer(simulation, playerName) {
+  const teams = simulation?.players ? [simulation.players.away, simulation.players.home] : [];
+  for (const team of teams) {
+    const player = team?.players.find(candidate => candidate.playerName === playerName);
+    if (player) return player;
+  }
+  return null;
+}
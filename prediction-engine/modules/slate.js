@@ -0,0 +1,168 @@
+/**
+ * Slate Module
+ * Versioned JSON document for a slate of predictions (see docs/slate-json-format.md)
+ * Keeps the nested structures the CSV sheets flatten: pace breakdowns, confidence factors,
+ * enhancement reasons, game script battles and conditional injury scenarios
+ */
+
+export const SLATE_SCHEMA = 'nba-intelligence/slate';
+export const SLATE_SCHEMA_VERSION = 1;
+
+export const OUTPUT_FORMATS = ['csv', 'json', 'both'];
+
+/**
+ * Parse a --format=json|csv|both flag value (defaults to csv)
+ */
+export function parseOutputFormat(value) {
+  if (value === undefined || value === null || value === '') return 'csv';
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new Error(`Unknown output format "${value}". Use ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Wrap analyzed game records in the versioned slate envelope
+ * @param {object} options - { date, runId, games, requestFailures, generatedAt }
+ */
+export function buildSlateDocument({ date, runId = null, games, requestFailures = [], generatedAt = new Date().toISOString() }) {
+  return {
+    schema: SLATE_SCHEMA,
+    schemaVersion: SLATE_SCHEMA_VERSION,
+    date,
+    runId,
+    generatedAt,
+    gameCount: games.length,
+    games,
+    requestFailures
+  };
+}
+
+/**
+ * Check a parsed slate document can be read by this version of the code
+ * Returns a list of problems (empty when the document is usable)
+ */
+export function checkSlateDocument(doc) {
+  const problems = [];
+
+  if (!doc || typeof doc !== 'object') {
+    return ['Slate document is not an object'];
+  }
+  if (doc.schema !== SLATE_SCHEMA) {
+    problems.push(`Unexpected schema "${doc.schema}" (expected "${SLATE_SCHEMA}")`);
+  }
+  if (!Number.isInteger(doc.schemaVersion) || doc.schemaVersion > SLATE_SCHEMA_VERSION) {
+    problems.push(`Unsupported schemaVersion ${doc.schemaVersion} (this reader supports up to ${SLATE_SCHEMA_VERSION})`);
+  }
+  if (!Array.isArray(doc.games)) {
+    problems.push('Slate document has no games array');
+  }
+
+  return problems;
+}
+
+/**
+ * Convert a slate document into the row shapes of the CSV sheets
+ * so CSV consumers (e.g. validator.js) can read either format
+ * @returns {object} - { games, players, strategy, summary }
+ */
+export function slateToPredictionTables(doc) {
+  const games = [];
+  const players = [];
+  const strategy = [];
+  const summary = [];
+
+  doc.games.forEach(game => {
+    const { prediction } = game;
+
+    games.push({
+      Date: game.date,
+      Time: game.time,
+      Away: game.awayTeam.abbreviation,
+      Home: game.homeTeam.abbreviation,
+      Matchup: game.matchup,
+      AwayScore: prediction.awayScore,
+      HomeScore: prediction.homeScore,
+      Total: prediction.total,
+      Margin: prediction.margin.toFixed(1),
+      Favorite: prediction.favorite,
+      AwayWinPct: prediction.awayWinProbability,
+      HomeWinPct: prediction.homeWinProbability,
+      OvertimePct: prediction.simulation ? parseFloat((prediction.simulation.overtimeProbability * 100).toFixed(1)) : '',
+      AwayMarginP10: prediction.simulation?.margin.percentiles.p10 ?? '',
+      AwayMarginP90: prediction.simulation?.margin.percentiles.p90 ?? '',
+      TotalP10: prediction.simulation?.total.percentiles.p10 ?? '',
+      TotalP90: prediction.simulation?.total.percentiles.p90 ?? '',
+      Pace: prediction.pace.base,
+      PaceConfidence: prediction.pace.confidence,
+      Confidence: prediction.confidence.level,
+      Degraded: game.dataQuality.degraded ? 'Y' : 'N',
+      ModelVersion: game.modelVersion ?? ''
+    });
+
+    summary.push({
+      Date: game.date,
+      Matchup: game.matchup,
+      Prediction: `${prediction.favorite} by ${prediction.margin.toFixed(1)}`,
+      Total: prediction.total,
+      Confidence: prediction.confidence.level,
+      Degraded: game.dataQuality.degraded ? 'Y' : 'N',
+      ModelVersion: game.modelVersion ?? ''
+    });
+
+    game.players.forEach(player => {
+      players.push({
+        Date: game.date,
+        Matchup: game.matchup,
+        Team: player.team,
+        Player: player.playerName,
+        PlayerId: player.playerId ?? '',
+        Pos: player.position,
+        BasePoints: player.base.points,
+        BaseRebounds: player.base.rebounds,
+        BaseAssists: player.base.assists,
+        BaseSteals: player.base.steals,
+        BaseBlocks: player.base.blocks,
+        BaseMinutes: player.base.minutes,
+        EnhPoints: player.enhanced.points,
+        EnhRebounds: player.enhanced.rebounds,
+        EnhAssists: player.enhanced.assists,
+        EnhMinutes: player.enhanced.minutes,
+        SimPoints: player.simulated?.points.mean ?? '',
+        SimPointsP10: player.simulated?.points.percentiles.p10 ?? '',
+        SimPointsP90: player.simulated?.points.percentiles.p90 ?? '',
+        SimPRA: player.simulated?.pra.mean ?? '',
+        SimPRAP10: player.simulated?.pra.percentiles.p10 ?? '',
+        SimPRAP90: player.simulated?.pra.percentiles.p90 ?? '',
+        HasInjuryAdj: player.injury.adjusted ? 'Y' : 'N',
+        InjuryAdjReason: (player.injury.reasons || []).join(';'),
+        HasEnhancement: player.flags.enhanced ? 'Y' : 'N',
+        HasGameScript: player.flags.gameScript ? 'Y' : 'N',
+        HasMinutesRestriction: player.flags.minutesRestriction ? 'Y' : 'N',
+        MinutesRestriction: player.injury.minutesRestriction?.description || '',
+        'Injury Status': player.injury.status ? capitalize(player.injury.status) : 'Healthy',
+        StarTier: player.starTier,
+        ModelVersion: game.modelVersion ?? ''
+      });
+    });
+
+    if (game.gameScript) {
+      strategy.push({
+        Date: game.date,
+        Matchup: game.matchup,
+        AwayTeam: game.awayTeam.abbreviation,
+        HomeTeam: game.homeTeam.abbreviation,
+        KeyBattle: game.gameScript.keyBattles[0]?.type || '',
+        Recommendations: game.gameScript.strategicInsights.join('; '),
+        AnalysisConfidence: game.gameScript.confidence,
+        ModelVersion: game.modelVersion ?? ''
+      });
+    }
+  });
+
+  return { games, players, strategy, summary };
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
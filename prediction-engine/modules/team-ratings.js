@@ -0,0 +1,271 @@
+/**
+ * Team Ratings Module
+ * Season-long Elo ratings with a margin-of-victory multiplier, built from a local JSON-lines store of
+ * final scores from the results worker, one line per game:
+ *   {"date":"2025-11-04","gameId":"0022500150","season":"2025-26","awayTeam":"MIL","homeTeam":"TOR","awayScore":116,"homeScore":124}
+ * Live runs sync the store up to the slate; ratings are rebuilt from it for each game using only the
+ * games before that one, so replaying an old slate sees the ratings it would have seen then.
+ *
+ * Between seasons every rating regresses toward TEAM_RATINGS.MEAN (SEASON_CARRYOVER), so a team starts
+ * the season from last year's strength instead of from scratch or from a 3-game record.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TEAM_RATINGS, NBA_SEASON_CONFIG } from '../config/constants.js';
+
+export const DEFAULT_RESULTS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'team-results.jsonl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Preseason (001) and All-Star (003) games say nothing about a team's strength
+const RATED_GAME_ID_PREFIXES = ['002', '004', '005'];
+
+// Module-level state, configured once per run from the CLI flags
+const ratingsState = {
+  mode: 'off', // 'off' (no ratings), 'read' (query only, e.g. replays), 'record' (query + sync new results)
+  path: DEFAULT_RESULTS_PATH,
+  entries: null // loaded lazily
+};
+
+/**
+ * Configure the results store for this run
+ * @param {object} options - { mode: 'off'|'read'|'record', path }
+ */
+export function configureTeamRatings({ mode = 'off', path: resultsPath = DEFAULT_RESULTS_PATH } = {}) {
+  ratingsState.mode = mode;
+  ratingsState.path = resultsPath;
+  ratingsState.entries = null;
+}
+
+function byDateAndGame(a, b) {
+  return a.date.localeCompare(b.date) || String(a.gameId).localeCompare(String(b.gameId));
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T12:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Season a date belongs to ("2025-26" for anything from October 2025 through September 2026)
+ */
+export function seasonForDate(date) {
+  const [year, month] = date.split('-').map(Number);
+  const startYear = month >= NBA_SEASON_CONFIG.SEASON_START_MONTH ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Every stored result, oldest first ([] when ratings are off or the store doesn't exist yet)
+ */
+export function loadTeamResults() {
+  if (ratingsState.mode === 'off') return [];
+  if (ratingsState.entries) return ratingsState.entries;
+
+  ratingsState.entries = [];
+  if (fs.existsSync(ratingsState.path)) {
+    fs.readFileSync(ratingsState.path, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        ratingsState.entries.push(JSON.parse(line));
+      } catch (error) {
+        // A partly written last line (killed mid-append) shouldn't lose the rest of the store
+      }
+    });
+    ratingsState.entries.sort(byDateAndGame);
+  }
+  return ratingsState.entries;
+}
+
+/**
+ * Store lines a results worker response adds: finished regular season and playoff games not stored yet
+ * @param {Array} entries - existing results
+ * @param {object} results - results worker /results response ({ date, finishedGames })
+ * @returns {Array} - entries to append
+ */
+export function diffResultsIntoStore(entries, results) {
+  const stored = new Set(entries.map(entry => String(entry.gameId)));
+
+  return (results?.finishedGames || [])
+    .filter(game => game.gameId && !stored.has(String(game.gameId)))
+    .filter(game => RATED_GAME_ID_PREFIXES.some(prefix => String(game.gameId).startsWith(prefix)))
+    .filter(game => Number.isFinite(game.awayTeam?.score) && Number.isFinite(game.homeTeam?.score))
+    .map(game => ({
+      date: results.date,
+      gameId: String(game.gameId),
+      season: seasonForDate(results.date),
+      awayTeam: game.awayTeam.abbreviation,
+      homeTeam: game.homeTeam.abbreviation,
+      awayScore: game.awayTeam.score,
+      homeScore: game.homeTeam.score
+    }));
+}
+
+/**
+ * Append a date's final scores to the store (only in 'record' mode)
+ * @returns {number} - games written
+ */
+export function recordTeamResults(results) {
+  if (ratingsState.mode !== 'record' || !results?.success || !results.date) return 0;
+
+  const entries = loadTeamResults();
+  const additions = diffResultsIntoStore(entries, results);
+  if (additions.length === 0) return 0;
+
+  fs.mkdirSync(path.dirname(ratingsState.path), { recursive: true });
+  fs.appendFileSync(ratingsState.path, additions.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+  entries.push(...additions);
+  entries.sort(byDateAndGame);
+  return additions.length;
+}
+
+/**
+ * Bring the store up to date: fetch every date from the last stored one (its late games may have
+ * finished since) or the season's start through the given date
+ * @param {Function} fetchResults - async (date) -> results worker /results response
+ * @param {string} throughDate - last date to fetch (YYYY-MM-DD)
+ * @returns {Promise<object>} - { dates, recorded, error } - error is set when a date couldn't be fetched (later dates wait for the next run)
+ */
+export async function syncTeamResults(fetchResults, throughDate) {
+  const summary = { dates: 0, recorded: 0, error: null };
+  if (ratingsState.mode !== 'record') return summary;
+
+  const season = seasonForDate(throughDate);
+  const seasonStart = `${season.slice(0, 4)}-${String(NBA_SEASON_CONFIG.SEASON_START_MONTH).padStart(2, '0')}-01`;
+  const lastStored = loadTeamResults().filter(entry => entry.season === season).pop()?.date;
+
+  for (let date = lastStored || seasonStart; date <= throughDate; date = addDays(date, 1)) {
+    const results = await fetchResults(date);
+    if (!results?.success) {
+      summary.error = `${date}: ${results?.error || 'no response'}`;
+      break;
+    }
+    summary.dates++;
+    summary.recorded += recordTeamResults(results);
+  }
+
+  return summary;
+}
+
+/**
+ * Elo update for one final score (margin-of-victory multiplier damped for favorites, so blowouts by
+ * strong teams don't run their ratings away)
+ * @returns {number} - rating points moved to the home team (negative when the away team gains)
+ */
+export function ratingShift(homeRating, awayRating, homeScore, awayScore) {
+  const gap = homeRating + TEAM_RATINGS.HOME_ELO - awayRating;
+  const expectedHome = 1 / (1 + Math.pow(10, -gap / 400));
+  const margin = homeScore - awayScore;
+  const winnerGap = margin > 0 ? gap : -gap;
+  const multiplier = Math.pow(Math.abs(margin) + 3, 0.8) / (7.5 + 0.006 * winnerGap);
+
+  return TEAM_RATINGS.K * multiplier * ((margin > 0 ? 1 : 0) - expectedHome);
+}
+
+function regressToMean(rating) {
+  return TEAM_RATINGS.MEAN + TEAM_RATINGS.SEASON_CARRYOVER * (rating - TEAM_RATINGS.MEAN);
+}
+
+/**
+ * Ratings going into a date, from the stored games before it
+ * @returns {Map} - team -> { rating, games (this season), priorSeason (carried over from an earlier season) }
+ */
+export function computeTeamRatings(entries, beforeDate) {
+  const season = seasonForDate(beforeDate);
+  const teams = new Map();
+
+  // A team's first game of a new season (or the date asked about) starts from its regressed rating
+  const teamFor = (abbreviation, gameSeason) => {
+    const team = teams.get(abbreviation) || { rating: TEAM_RATINGS.MEAN, games: 0, season: gameSeason, priorSeason: false };
+    if (team.season !== gameSeason) {
+      Object.assign(team, { rating: regressToMean(team.rating), games: 0, season: gameSeason, priorSeason: true });
+    }
+    teams.set(abbreviation, team);
+    return team;
+  };
+
+  entries
+    .filter(entry => entry.date < beforeDate)
+    .forEach(entry => {
+      const home = teamFor(entry.homeTeam, entry.season);
+      const away = teamFor(entry.awayTeam, entry.season);
+      const shift = ratingShift(home.rating, away.rating, entry.homeScore, entry.awayScore);
+      home.rating += shift;
+      away.rating -= shift;
+      home.games++;
+      away.games++;
+    });
+
+  [...teams.keys()].forEach(abbreviation => teamFor(abbreviation, season));
+  return teams;
+}
+
+/**
+ * Where the ratings have a game
+ * @returns {object} - {
+ *   tracked,            // false when the store has no games for either team (callers skip the blend)
+ *   away, home,         // { rating, games, priorSeason }
+ *   homeMargin,         // home team's expected margin in points, home edge included
+ *   homeWinProbability
+ * }
+ */
+export function getMatchupRating(entries, awayTeam, homeTeam, gameDate) {
+  if (!entries?.length || !awayTeam || !homeTeam || !gameDate) return { tracked: false };
+
+  const ratings = computeTeamRatings(entries, gameDate);
+  if (!ratings.has(awayTeam) && !ratings.has(homeTeam)) return { tracked: false };
+
+  const side = abbreviation => {
+    const team = ratings.get(abbreviation);
+    return team
+      ? { rating: Math.round(team.rating * 10) / 10, games: team.games, priorSeason: team.priorSeason }
+      : { rating: TEAM_RATINGS.MEAN, games: 0, priorSeason: false };
+  };
+  const away = side(awayTeam);
+  const home = side(homeTeam);
+  const gap = home.rating + TEAM_RATINGS.HOME_ELO - away.rating;
+
+  return {
+    tracked: true,
+    away,
+    home,
+    homeMargin: Math.round(gap / TEAM_RATINGS.ELO_PER_POINT * 10) / 10,
+    homeWinProbability: Math.round(1000 / (1 + Math.pow(10, -gap / 400))) / 1000
+  };
+}
+
+/**
+ * Weight of the rating margin: MAX_WEIGHT before the teams have played, tightening toward
+ * MIN_WEIGHT as the smaller gamesPlayed sample of the two grows
+ */
+export function ratingBlendWeight(gamesPlayed) {
+  const games = Math.max(0, gamesPlayed || 0);
+  const { MAX_WEIGHT, MIN_WEIGHT, HALF_WEIGHT_GAMES } = TEAM_RATINGS;
+  return MIN_WEIGHT + (MAX_WEIGHT - MIN_WEIGHT) * HALF_WEIGHT_GAMES / (HALF_WEIGHT_GAMES + games);
+}
+
+/**
+ * Pull the model's predicted scores toward the rating margin, keeping the projected total
+ * @param {object} scores - { awayScore, homeScore } from the possession model
+ * @param {object} rating - getMatchupRating() result
+ * @param {number} gamesPlayed - season games played (smaller of the two teams)
+ * @returns {object|null} - { awayScore, homeScore, weight, modelMargin, ratingMargin } (home margins), null when the ratings don't track the game
+ */
+export function blendRatingMargin({ awayScore, homeScore }, rating, gamesPlayed) {
+  if (!rating?.tracked) return null;
+
+  const weight = ratingBlendWeight(gamesPlayed);
+  const total = awayScore + homeScore;
+  const modelMargin = homeScore - awayScore;
+  const blendedMargin = modelMargin + weight * (rating.homeMargin - modelMargin);
+  const blendedHome = Math.round((total + blendedMargin) / 2);
+
+  return {
+    awayScore: total - blendedHome,
+    homeScore: blendedHome,
+    weight: Math.round(weight * 1000) / 1000,
+    modelMargin,
+    ratingMargin: rating.homeMargin
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Watch Module
+ * Scheduling and change detection for --watch: when the next official injury report is due (and whether it's up yet),
+ * which games have already tipped off, and which matchups a new report affects
+ */
+
+import { INJURY_REPORT_TIMES, WATCH_CONFIG } from '../config/constants.js';
+import { getTeamInjuries, getEasternTimestamp, fetchInjuriesWithOfficial } from './injuries.js';
+import { refreshCacheType } from './cache.js';
+import { getSlateDate } from './output.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * When to look for the next report: the next INJURY_REPORT_TIMES slot after `now`, plus the publish delay
+ * @returns {Date}
+ */
+export function getNextReportCheck(now = new Date()) {
+  const today = getSlateDate(now);
+  const tomorrow = getSlateDate(new Date(Date.parse(`${today}T12:00:00Z`) + 24 * 60 * MINUTE_MS));
+
+  for (const date of [today, tomorrow]) {
+    for (const report of INJURY_REPORT_TIMES) {
+      const check = new Date(Date.parse(getEasternTimestamp(date, report.hour, report.minute)) + WATCH_CONFIG.PUBLISH_DELAY_MINUTES * MINUTE_MS);
+      if (check > now) return check;
+    }
+  }
+  return null;
+}
+
+/**
+ * The official injury report as published right now. The report list at /list?date= is the same
+ * URL all day, so each poll skips the cached copy instead of seeing the first poll's list again
+ * @param {string} slateDate - YYYY-MM-DD slate being watched
+ * @param {Date} [now] - current time
+ */
+export function fetchCurrentInjuryReport(slateDate, now = new Date()) {
+  refreshCacheType('injuries');
+  return fetchInjuriesWithOfficial(slateDate, now);
+}
+
+/**
+ * Fetch the report due at a slot, rechecking a few times while it still matches the baseline
+ * (a report named for the slot can go up late)
+ * @param {Function} fetchReport - async () -> fetchInjuriesWithOfficial() result (fetchCurrentInjuryReport in watch mode)
+ * @param {object} baseline - the report the current projections use
+ * @param {Function} wait - async (ms) -> resolves once that long has passed
+ * @returns {Promise<object>} - the last fetch result (still the baseline's report when nothing new went up)
+ */
+export async function fetchNextReport(fetchReport, baseline, wait) {
+  let latest = await fetchReport();
+  for (let recheck = 0; recheck < WATCH_CONFIG.MAX_RECHECKS && latest.success && latest.reportTime === baseline.reportTime; recheck++) {
+    console.log(`   ⏳ No new report yet, checking again in ${WATCH_CONFIG.RECHECK_MINUTES} min`);
+    await wait(WATCH_CONFIG.RECHECK_MINUTES * MINUTE_MS);
+    latest = await fetchReport();
+  }
+  return latest;
+}
+
+/**
+ * Scheduled tip-off for a game from its "7:30 pm ET" status text (null once the game has started)
+ * @returns {Date|null}
+ */
+export function getTipOff(game) {
+  const match = (game.time || '').match(/(\d{1,2}):(\d{2})\s*(am|pm)\s*ET/i);
+  if (!match) return null;
+
+  const hour12 = parseInt(match[1]) % 12;
+  const hour = match[3].toLowerCase() === 'pm' ? hour12 + 12 : hour12;
+  return new Date(getEasternTimestamp(game.date.split('T')[0], hour, parseInt(match[2])));
+}
+
+/**
+ * Games still worth re-projecting (scheduled and not yet tipped off)
+ */
+export function getUpcomingGames(games, now = new Date()) {
+  return games.filter(game => {
+    const tipOff = getTipOff(game);
+    return tipOff !== null && tipOff > now;
+  });
+}
+
+/**
+ * A team's injury list as "player:status" pairs, for comparing reports
+ */
+function teamInjurySignature(allInjuries, teamAbbr) {
+  return getTeamInjuries(allInjuries, teamAbbr)
+    .map(injury => `${injury.playerName}:${injury.status}`)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Matchups whose away or home injury list differs between two reports
+ * @returns {Array} - [{ game, changedTeams: ['MIL'] }]
+ */
+export function findAffectedGames(games, previousInjuries, currentInjuries) {
+  return games
+    .map(game => ({
+      game,
+      changedTeams: [game.awayTeam.abbreviation, game.homeTeam.abbreviation].filter(team =>
+        teamInjurySignature(previousInjuries, team) !== teamInjurySignature(currentInjuries, team))
+    }))
+    .filter(entry => entry.changedTeams.length > 0);
+}
@@ -13,58 +13,130 @@
 
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 
 // Import prediction engine modules
-import { WORKERS, ENHANCEMENT_WEIGHTS, IMPACT_SCORE_THRESHOLDS, POSSESSION_MODEL, OPPONENT_DEFENSE, HOME_ADVANTAGE } from './config/constants.js';
+import { WORKERS, OUTPUT_DIR, NBA_SEASON_CONFIG, ENHANCEMENT_WEIGHTS, IMPACT_SCORE_THRESHOLDS, POSSESSION_MODEL, OPPONENT_DEFENSE, HOME_ADVANTAGE, SIMULATION, MODEL_PARAMETERS, MODEL_PARAMETER_GROUPS, useModelParameters } from './config/constants.js';
+import { loadParameterSetting } from './config/parameters.js';
 import { calculatePossessionBasedScore, calculatePredictedScore, calculateWinProbability, calculateScheduleContext, applyScheduleAdjustments } from './modules/scoring.js';
+import { fetchTeamSchedule, describeSchedule } from './modules/schedule.js';
+import { simulateGame, simulationSeed, findSimulatedPlayer } from './modules/simulation.js';
+import { fetchGameNotes, resolveGameNotes, compareInjuryNotes, isProjectedStarter } from './modules/game-notes.js';
 import { applyPlayerEnhancements, calculateCappedMultipliers } from './modules/enhancements.js';
 import { analyzeOpponentDefense, applyOpponentDefensiveAdjustment, generateGameScriptAnalysis, applyGameScriptToProjections, calculateSophisticatedPace, calculatePlayerVariance, calculateGameVariance } from './modules/analysis.js';
-import { applyInjuryImpact, calculatePlayerImpact, calculateInjuryStatusImpact, playersMatch, normalizePlayerName, fetchInjuriesWithOfficial, getTeamInjuries } from './modules/injuries.js';
-
-// PDF parsing setup
-let pdf = null;
-try {
-  const { createRequire } = await import('module');
-  const require = createRequire(import.meta.url);
-  pdf = require('pdf-parse');
-  
-  if (typeof pdf !== 'function') {
-    if (pdf.default && typeof pdf.default === 'function') {
-      pdf = pdf.default;
-    } else {
-      pdf = null;
-    }
-  }
-  
-  if (pdf) {
-    console.log('✅ PDF parsing available for enhanced injury data');
-  } else {
-    console.log('⚠️  PDF parsing not available - will use base injury data only');
-  }
-} catch (e) {
-  console.log('⚠️  PDF parsing not available - will use base injury data only');
-  pdf = null;
-}
-
-console.log('🏀 NBA GAME ANALYZER - ENHANCED WITH SMART IMPACT DETECTION');
-console.log('📊 Real NBA Stats + PDF Injury Enhancement + Player Impact Analysis');
-console.log('='.repeat(80));
-console.log('');
+import { applyInjuryImpact, calculatePlayerImpact, calculateInjuryStatusImpact, fetchInjuriesWithOfficial, getTeamInjuries, getTeamStatusChanges, describeStatusChange, getReasonProfile, applyMinutesRestrictions } from './modules/injuries.js';
+import { configureSnapshots, withSnapshot, listSnapshotDates } from './modules/replay.js';
+import { configureCache, cachedFetchJson, parseRefreshTypes, getCacheStats } from './modules/cache.js';
+import { configureInjuryHistory, loadInjuryHistory, recordInjuryReport } from './modules/injury-history.js';
+import { configureTeamRatings, loadTeamResults, syncTeamResults, getMatchupRating, blendRatingMargin } from './modules/team-ratings.js';
+import { workerClient } from './modules/http.js';
+import { RUNTIME_CONFIG, printConfig } from './config/config.js';
+import { buildSlateDocument, parseOutputFormat } from './modules/slate.js';
+import { getSlateDate, outputFileName, reserveRunId } from './modules/output.js';
+import { getNextReportCheck, getTipOff, getUpcomingGames, findAffectedGames, fetchNextReport, fetchCurrentInjuryReport } from './modules/watch.js';
+import { parseAbProfiles, buildAbComparison } from './modules/ab-comparison.js';
+import { createPlayerRegistry, isSamePlayer } from '../shared/player-identity.js';
 
 // Enhanced CSV data collectors for multiple sheets
 let gameData = [];
 let playerData = [];  
 let gameScriptData = [];
 let gameScriptAnalysisData = null;
+let gameDataIssues = []; // Failed or stale data sources for the game being analyzed
+let gameUnresolvedPlayers = []; // Injury report / lineup names that matched no PLAYER_ID for the game being analyzed
+let slateGames = []; // Structured game records for the JSON slate (--format=json|both)
+let injuryChangeData = []; // Status changes across today's injury reports, per game
 
 async function main() {
+  console.log('🏀 NBA GAME ANALYZER - ENHANCED WITH SMART IMPACT DETECTION');
+  console.log('📊 Real NBA Stats + PDF Injury Enhancement + Player Impact Analysis');
+  console.log('='.repeat(80));
+  console.log('');
+
   const args = process.argv.slice(2);
   const isQuickScan = args.includes('--quick');
   const gameFilter = args.find(arg => arg.startsWith('--game='))?.split('=')[1];
   const dateParam = args.find(arg => arg.startsWith('--date='))?.split('=')[1];
+  const replayDate = args.find(arg => arg.startsWith('--replay='))?.split('=')[1];
+  const skipRecording = args.includes('--no-record');
+  const skipCache = args.includes('--no-cache');
+  const refreshParam = args.find(arg => arg.startsWith('--refresh='))?.split('=')[1];
+  const formatParam = args.find(arg => arg.startsWith('--format='))?.split('=')[1];
+  const watchMode = args.includes('--watch');
+  const abParam = args.find(arg => arg.startsWith('--ab='))?.split('=')[1];
+
+  if (args.includes('--print-config')) {
+    printConfig(RUNTIME_CONFIG);
+    return;
+  }
+
+  // --ab=profileA,profileB: both profiles on the same fetched data, checked before anything is fetched
+  let abProfiles = null;
+  if (abParam !== undefined) {
+    if (watchMode || isQuickScan) {
+      console.log('❌ --ab compares two full runs and can\'t be combined with --watch or --quick');
+      return;
+    }
+    try {
+      abProfiles = parseAbProfiles(abParam);
+      abProfiles.forEach(profile => loadParameterSetting(profile, MODEL_PARAMETER_GROUPS));
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      return;
+    }
+  }
 
-  // Use provided date or default to today's date in local timezone (YYYY-MM-DD format)
-  const targetDate = dateParam || new Date().toLocaleDateString('en-CA');
+  let outputFormat;
+  try {
+    outputFormat = parseOutputFormat(formatParam);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    return;
+  }
+
+  if (watchMode && replayDate) {
+    console.log('❌ --watch follows live injury reports and can\'t be combined with --replay');
+    return;
+  }
+
+  // The slate date names every output file: replay date, provided date, or today's slate (US Eastern)
+  const targetDate = replayDate || dateParam || getSlateDate();
+
+  // Live runs record every worker response so the slate can be replayed later
+  if (replayDate) {
+    if (!listSnapshotDates().includes(replayDate)) {
+      console.log(`❌ No recorded snapshots for ${replayDate}. Run a live analysis for that date first.`);
+      return;
+    }
+    configureSnapshots({ mode: 'replay', date: replayDate });
+    console.log(`⏪ Replay mode: serving recorded worker responses for ${replayDate}`);
+  } else {
+    configureSnapshots({ mode: skipRecording ? 'off' : 'live', date: targetDate });
+  }
+
+  // Live runs add each official report to the local injury history; replays only read it
+  configureInjuryHistory({ mode: replayDate ? 'read' : 'record' });
+
+  // Live runs add final scores to the local team ratings store; replays only read it
+  configureTeamRatings({ mode: replayDate ? 'read' : 'record' });
+
+  // A profile or fitted values from nba-calibrate (--parameters) instead of the hand-tuned constants
+  if (MODEL_PARAMETERS.filePath && !abProfiles) {
+    console.log(`🎛️  Model ${MODEL_PARAMETERS.modelVersion}: ${MODEL_PARAMETERS.filePath}`);
+  }
+
+  // Worker responses are cached on disk per data type; --refresh=injuries skips fresh entries for that type
+  try {
+    configureCache({ enabled: !skipCache, refresh: parseRefreshTypes(refreshParam) });
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    return;
+  }
+  if (skipCache) {
+    console.log('🚫 Response cache disabled for this run');
+  } else if (refreshParam) {
+    console.log(`🔄 Refreshing cached ${refreshParam} data`);
+  }
 
   try {
     console.log(`📅 Fetching games for ${targetDate}...`);
@@ -95,23 +167,43 @@ async function main() {
       await quickScanGames(gamesToAnalyze);
       return;
     }
-    
-    // Full analysis mode
-    for (let i = 0; i < gamesToAnalyze.length; i++) {
-      const game = gamesToAnalyze[i];
-      console.log(`\n${'='.repeat(80)}`);
-      console.log(`ANALYZING GAME ${i + 1} of ${gamesToAnalyze.length}`);
-      console.log('='.repeat(80));
-      
-      await analyzeGame(game);
+
+    if (!replayDate) {
+      await syncRatings(targetDate);
     }
     
-    // Save CSV output
-    const date = new Date().toISOString().split('T')[0];
-    await saveCsvOutput(date);
-    
-    console.log('\n\n✅ Analysis complete!');
-    console.log(`📁 Results saved to: output/${date}.csv`);
+    // A/B mode: one run per profile on the same data, plus the side-by-side comparison
+    if (abProfiles) {
+      const runIds = await runAbComparison(gamesToAnalyze, targetDate, outputFormat, abProfiles);
+
+      console.log('\n\n✅ A/B analysis complete!');
+      console.log(`📁 Results saved to: ${runIds.map(runId => path.join(OUTPUT_DIR, `${targetDate}_${runId}_*`)).join(' and ')}`);
+      console.log(`🆚 Score them head to head once the games are final: node results-validation/validator.js ${targetDate} --ab`);
+    } else {
+      // Full analysis mode
+      for (let i = 0; i < gamesToAnalyze.length; i++) {
+        const game = gamesToAnalyze[i];
+        console.log(`\n${'='.repeat(80)}`);
+        console.log(`ANALYZING GAME ${i + 1} of ${gamesToAnalyze.length}`);
+        console.log('='.repeat(80));
+
+        await analyzeGame(game);
+      }
+
+      const runId = await saveRun(targetDate, outputFormat);
+
+      console.log('\n\n✅ Analysis complete!');
+      console.log(`📁 Results saved to: ${path.join(OUTPUT_DIR, `${targetDate}_${runId}_*`)}`);
+
+      if (watchMode) {
+        await watchSlate(gamesToAnalyze, targetDate, outputFormat);
+      }
+    }
+
+    if (!skipCache) {
+      const cacheStats = getCacheStats();
+      console.log(`🗄️  Cache: ${cacheStats.hits} hits, ${cacheStats.revalidated} revalidated, ${cacheStats.misses} fetched`);
+    }
     
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -119,6 +211,128 @@ async function main() {
   }
 }
 
+/**
+ * Save CSV sheets and/or the JSON slate - each run gets its own files so re-runs never clobber earlier output
+ * Request failures are reported with the run they happened in, then cleared so --watch runs don't repeat them
+ * @param {object} options - { keepFailures } to report the same failures with the next run too (A/B runs share one fetch)
+ * @returns {Promise<string>} - run ID
+ */
+async function saveRun(date, outputFormat, { keepFailures = false } = {}) {
+  const runId = reserveRunId(OUTPUT_DIR, date);
+  const failures = workerClient.getFailures();
+  if (outputFormat !== 'json') {
+    await saveCsvOutput(date, runId, failures);
+  }
+  if (outputFormat !== 'csv') {
+    saveJsonOutput(date, runId, failures);
+  }
+  if (!keepFailures) {
+    workerClient.clearFailures();
+  }
+  return runId;
+}
+
+/**
+ * --ab: fetch every game once, analyze it under each profile and save each profile as its own run,
+ * then write the side-by-side comparison under the second run
+ * @returns {Promise<Array>} - the two run IDs
+ */
+async function runAbComparison(games, date, outputFormat, profiles) {
+  console.log(`\n🆚 A/B RUN - ${profiles.join(' vs ')} on the same fetched data`);
+
+  const fetched = [];
+  for (const game of games) {
+    console.log(`\n📥 ${game.awayTeam.abbreviation} @ ${game.homeTeam.abbreviation}`);
+    fetched.push({ game, data: await fetchGameData(game) });
+  }
+
+  const sides = [];
+  for (const profile of profiles) {
+    const model = useModelParameters(profile);
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`PROFILE ${profile.toUpperCase()} (${model.modelVersion})`);
+    console.log('='.repeat(80));
+
+    clearCollectedRows();
+    for (const { game, data } of fetched) {
+      await analyzeGame(game, data);
+    }
+
+    const runId = await saveRun(date, outputFormat, { keepFailures: profile !== profiles[profiles.length - 1] });
+    sides.push({ runId, modelVersion: model.modelVersion, rows: getCollectedRows() });
+  }
+
+  // Back to the run's own --parameters for anything after this
+  useModelParameters(RUNTIME_CONFIG.values.parameters);
+
+  const [a, b] = sides;
+  const comparison = buildAbComparison(a, b);
+  const abFile = writeOutputFile(date, b.runId, 'ab', createCleanCSV(comparison.games));
+  const abPlayersFile = writeOutputFile(date, b.runId, 'abPlayers', createCleanCSV(comparison.players));
+  console.log(`🆚 Side by side: ${abFile}, ${abPlayersFile}`);
+
+  comparison.games.forEach(row => {
+    console.log(`   ${row.Matchup}: home margin ${row.HomeMarginA} → ${row.HomeMarginB}, total ${row.TotalA} → ${row.TotalB}`);
+  });
+
+  return sides.map(side => side.runId);
+}
+
+/**
+ * --watch: wait for each new official injury report until the last tip-off,
+ * re-run only the matchups whose injury lists changed and save the updated slate as a new run
+ */
+async function watchSlate(games, date, outputFormat) {
+  console.log('\n👀 WATCH MODE - re-running games as new injury reports drop (Ctrl+C to stop)');
+
+  let baseline = await fetchInjuriesWithOfficial(date);
+
+  while (true) {
+    const upcoming = getUpcomingGames(games);
+    const nextCheck = getNextReportCheck();
+    const lastTipOff = Math.max(...upcoming.map(game => getTipOff(game).getTime()));
+
+    if (upcoming.length === 0 || !nextCheck || nextCheck.getTime() >= lastTipOff) {
+      console.log('🏁 No more injury reports before tip-off - watch finished');
+      return;
+    }
+
+    console.log(`\n⏰ Next report check at ${nextCheck.toLocaleTimeString('en-US', { timeZone: 'America/New_York' })} ET (${upcoming.length} game${upcoming.length === 1 ? '' : 's'} still to tip off)`);
+    await sleep(nextCheck.getTime() - Date.now());
+
+    const latest = await fetchNextReport(() => fetchCurrentInjuryReport(date), baseline, sleep);
+
+    if (!latest.success) {
+      console.log('   ⚠️  Injury report unavailable - keeping current projections');
+      continue;
+    }
+
+    const affected = findAffectedGames(getUpcomingGames(games), baseline.allInjuries, latest.allInjuries);
+    baseline = latest;
+
+    if (affected.length === 0) {
+      console.log(`   ✅ ${latest.reportTime} report: no changes for upcoming games`);
+      continue;
+    }
+
+    console.log(`   🔁 ${latest.reportTime} report changed: ${affected.map(({ game, changedTeams }) => `${game.awayTeam.abbreviation} @ ${game.homeTeam.abbreviation} (${changedTeams.join(', ')})`).join('; ')}`);
+    for (const { game } of affected) {
+      console.log(`\n${'='.repeat(80)}`);
+      console.log(`RE-ANALYZING ${game.awayTeam.abbreviation} @ ${game.homeTeam.abbreviation}`);
+      console.log('='.repeat(80));
+
+      await analyzeGame(game);
+    }
+
+    const runId = await saveRun(date, outputFormat);
+    console.log(`📁 Updated slate saved as run ${runId}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
 async function quickScanGames(games) {
   console.log('📊 QUICK SCAN - Today\'s Games\n');
   
@@ -129,8 +343,8 @@ async function quickScanGames(games) {
     
     try {
       const [awayTeamStats, homeTeamStats] = await Promise.all([
-        fetchTeamStats(game.awayTeam.id, 5),
-        fetchTeamStats(game.homeTeam.id, 5)
+        fetchTeamStats(game.awayTeam.id),
+        fetchTeamStats(game.homeTeam.id)
       ]);
       
       const awayGeneral = awayTeamStats.data?.general || {};
@@ -159,24 +373,46 @@ async function quickScanGames(games) {
 }
 
 async function fetchGames(date = null) {
-  const url = date ? `${WORKERS.games}/games?date=${date}` : `${WORKERS.games}/games`;
-  const response = await fetch(url);
-  return await response.json();
+  return withSnapshot(['games', date], async () => {
+    const url = date ? `${WORKERS.games}/games?date=${date}` : `${WORKERS.games}/games`;
+    return cachedFetchJson('games', url);
+  });
 }
 
-async function fetchTeamStats(teamId, lastN = 5) {
-  const response = await fetch(`${WORKERS.teams}/teams?id=${teamId}&lastN=${lastN}`);
-  return await response.json();
+async function fetchTeamStats(teamId, lastN = NBA_SEASON_CONFIG.LAST_N_GAMES, season = NBA_SEASON_CONFIG.SEASON) {
+  return withSnapshot(['teams', teamId, season, lastN], async () => {
+    return cachedFetchJson('teams', `${WORKERS.teams}/teams?id=${teamId}&season=${season}&lastN=${lastN}`);
+  });
 }
 
-async function fetchPlayerStats(teamId, lastN = 5) {
-  const response = await fetch(`${WORKERS.players}/players?team=${teamId}&lastN=${lastN}`);
-  return await response.json();
+async function fetchPlayerStats(teamId, lastN = NBA_SEASON_CONFIG.LAST_N_GAMES, season = NBA_SEASON_CONFIG.SEASON) {
+  return withSnapshot(['players', teamId, season, lastN], async () => {
+    return cachedFetchJson('players', `${WORKERS.players}/players?team=${teamId}&season=${season}&lastN=${lastN}`);
+  });
 }
 
 async function fetchInjuries(teamAbbr) {
-  const response = await fetch(`${WORKERS.injuries}/injuries?team=${teamAbbr}`);
-  return await response.json();
+  return cachedFetchJson('injuries', `${WORKERS.injuries}/injuries?team=${teamAbbr}`);
+}
+
+async function fetchResults(date) {
+  return cachedFetchJson('results', `${WORKERS.results}/results?date=${date}`);
+}
+
+/**
+ * Add the final scores since the last run to the team ratings store (through the day before the slate, never past today)
+ */
+async function syncRatings(targetDate) {
+  const dayBefore = new Date(Date.parse(`${targetDate}T12:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const throughDate = [dayBefore, getSlateDate()].sort()[0];
+
+  const sync = await syncTeamResults(fetchResults, throughDate);
+  if (sync.recorded > 0) {
+    console.log(`📈 Team ratings: ${sync.recorded} new result${sync.recorded === 1 ? '' : 's'} recorded`);
+  }
+  if (sync.error) {
+    console.log(`⚠️ Team ratings stop at the last stored result - couldn't fetch ${sync.error}`);
+  }
 }
 
 
@@ -185,10 +421,8 @@ async function fetchInjuries(teamAbbr) {
  */
 function calculateDynamicHomeAdvantage(homeTeamStats, awayTeamStats) {
   // Default home advantage if we don't have home/away splits
-  const defaultHomeAdvantage = 2.5;
-
   if (!homeTeamStats.homeRecord || !awayTeamStats.awayRecord) {
-    return defaultHomeAdvantage;
+    return HOME_ADVANTAGE.DEFAULT;
   }
 
   // Calculate actual home/away performance
@@ -207,14 +441,14 @@ function calculateDynamicHomeAdvantage(homeTeamStats, awayTeamStats) {
     const homeOverallWinPct = homeTeamStats.wins / (homeTeamStats.wins + homeTeamStats.losses);
     const awayOverallWinPct = awayTeamStats.wins / (awayTeamStats.wins + awayTeamStats.losses);
 
-    // Home advantage = difference in overall records + 1.5 point baseline
+    // Home advantage = difference in overall records + early season baseline
     const recordDifference = (homeOverallWinPct - awayOverallWinPct) * 10; // Scale to points
-    return Math.max(0, Math.min(6, 1.5 + recordDifference)); // Cap between 0-6 points
+    return Math.max(0, Math.min(HOME_ADVANTAGE.EARLY_SEASON_MAX, HOME_ADVANTAGE.EARLY_SEASON_BASE + recordDifference));
   }
 
   // Mid/late season: use actual home vs away performance
   const homeAdvantage = (homeWinPct - awayWinPct) * 8; // Scale to points
-  return Math.max(0, Math.min(8, homeAdvantage + 1.0)); // 1 point baseline + performance
+  return Math.max(0, Math.min(HOME_ADVANTAGE.MAX, homeAdvantage + HOME_ADVANTAGE.SPLIT_BASE)); // Baseline + performance
 }
 
 /**
@@ -240,17 +474,14 @@ function calculateTeamStrengthDifferential(homeTeam, awayTeam, homeTeamStats, aw
 }
 
 /**
- * Main game analysis function
+ * Fetch everything analyzeGame needs for a game from the workers (or snapshots / cache)
+ * @returns {Promise<object>} - { awayTeamStats, homeTeamStats, awayPlayers, homePlayers, officialInjuries, ... }
  */
-async function analyzeGame(game) {
+export async function fetchGameData(game) {
   const awayTeam = game.awayTeam;
   const homeTeam = game.homeTeam;
-  
-  console.log(`\n## ${awayTeam.abbreviation} @ ${homeTeam.abbreviation}`);
-  console.log(`**${awayTeam.name}** @ **${homeTeam.name}**`);
-  console.log(`Time: ${game.time}`);
-  console.log('');
-  
+  const gameDate = game.date.split('T')[0];
+
   console.log('📊 Fetching data...');
   
   const [
@@ -264,22 +495,96 @@ async function analyzeGame(game) {
     homeLineups,
     // NEW: Team style data
     awayTeamStyle,
-    homeTeamStyle
+    homeTeamStyle,
+    // NEW: Rest, travel and schedule density
+    awaySchedule,
+    homeSchedule,
+    // NEW: Team game notes (optional - not every team publishes them)
+    awayGameNotes,
+    homeGameNotes
   ] = await Promise.all([
-    fetchTeamStats(awayTeam.id, 5),
-    fetchTeamStats(homeTeam.id, 5),
-    fetchPlayerStats(awayTeam.id, 5),
-    fetchPlayerStats(homeTeam.id, 5),
-    fetchInjuriesWithOfficial(pdf),
+    fetchTeamStats(awayTeam.id),
+    fetchTeamStats(homeTeam.id),
+    fetchPlayerStats(awayTeam.id),
+    fetchPlayerStats(homeTeam.id),
+    withSnapshot(['injuries-official'], () => fetchInjuriesWithOfficial(gameDate)),
     // NEW: Fetch lineup combinations for both teams  
     fetchTeamLineups(awayTeam.id),
     fetchTeamLineups(homeTeam.id),
     // NEW: Fetch team style profiles
     fetchTeamStyleProfile(awayTeam.id),
-    fetchTeamStyleProfile(homeTeam.id)
+    fetchTeamStyleProfile(homeTeam.id),
+    // NEW: Fetch schedule context for both teams
+    fetchTeamSchedule(awayTeam.id, gameDate),
+    fetchTeamSchedule(homeTeam.id, gameDate),
+    // NEW: Fetch game notes for both teams
+    fetchGameNotes(awayTeam.abbreviation, game),
+    fetchGameNotes(homeTeam.abbreviation, game)
   ]);
   
   console.log('✅ Data fetched\n');
+
+  return {
+    awayTeamStats, homeTeamStats,
+    awayPlayers, homePlayers,
+    officialInjuries,
+    awayLineups, homeLineups,
+    awayTeamStyle, homeTeamStyle,
+    awaySchedule, homeSchedule,
+    awayGameNotes, homeGameNotes
+  };
+}
+
+/**
+ * Main game analysis function
+ * Results are collected into the CSV sheets (see getCollectedRows)
+ * @param {object} [fetchedData] - worker responses from fetchGameData, to analyze without fetching again
+ */
+export async function analyzeGame(game, fetchedData = null) {
+  const awayTeam = game.awayTeam;
+  const homeTeam = game.homeTeam;
+  const gameDate = game.date.split('T')[0];
+
+  // Re-analyzing a matchup (watch mode, calibration) replaces its rows rather than adding a second set
+  removeGameRows(`${awayTeam.abbreviation} @ ${homeTeam.abbreviation}`);
+  
+  console.log(`\n## ${awayTeam.abbreviation} @ ${homeTeam.abbreviation}`);
+  console.log(`**${awayTeam.name}** @ **${homeTeam.name}**`);
+  console.log(`Time: ${game.time}`);
+  console.log('');
+  
+  // A/B runs analyze the same fetched data once per profile; each pass gets its own copy to annotate
+  const data = fetchedData ? structuredClone(fetchedData) : await fetchGameData(game);
+  const {
+    awayTeamStats, homeTeamStats,
+    awayPlayers, homePlayers,
+    officialInjuries,
+    awayLineups, homeLineups,
+    awayTeamStyle, homeTeamStyle,
+    awaySchedule, homeSchedule,
+    awayGameNotes, homeGameNotes
+  } = data;
+
+  // Flag anything that failed or came from a stale cache so a degraded projection isn't hidden
+  gameDataIssues = collectDataIssues({
+    [`${awayTeam.abbreviation} team stats`]: awayTeamStats,
+    [`${homeTeam.abbreviation} team stats`]: homeTeamStats,
+    [`${awayTeam.abbreviation} players`]: awayPlayers,
+    [`${homeTeam.abbreviation} players`]: homePlayers,
+    'Official injuries': officialInjuries,
+    [`${awayTeam.abbreviation} lineups`]: awayLineups,
+    [`${homeTeam.abbreviation} lineups`]: homeLineups,
+    [`${awayTeam.abbreviation} team style`]: awayTeamStyle,
+    [`${homeTeam.abbreviation} team style`]: homeTeamStyle,
+    [`${awayTeam.abbreviation} schedule`]: awaySchedule,
+    [`${homeTeam.abbreviation} schedule`]: homeSchedule
+  });
+
+  if (gameDataIssues.length > 0) {
+    console.log('⚠️  DEGRADED DATA - projection uses incomplete inputs:');
+    gameDataIssues.forEach(issue => console.log(`   • ${issue}`));
+    console.log('');
+  }
   
   // Log team style data availability for debugging
   if (awayTeamStyle.success && awayTeamStyle.profile) {
@@ -297,13 +602,37 @@ async function analyzeGame(game) {
   }
   console.log('');
   
+  // Resolve injury report and lineup names to PLAYER_IDs so players are matched on ID from here on
+  const playerRegistry = createPlayerRegistry([...(awayPlayers.players || []), ...(homePlayers.players || [])]);
+
   // Get team-specific injuries from the official report
-  const awayInjuries = getTeamInjuries(officialInjuries.allInjuries || [], awayTeam.abbreviation);
-  const homeInjuries = getTeamInjuries(officialInjuries.allInjuries || [], homeTeam.abbreviation);
+  const awayInjuries = playerRegistry.resolveAll(getTeamInjuries(officialInjuries.allInjuries || [], awayTeam.abbreviation), { source: 'injury report' });
+  const homeInjuries = playerRegistry.resolveAll(getTeamInjuries(officialInjuries.allInjuries || [], homeTeam.abbreviation), { source: 'injury report' });
+  resolveLineupPlayers(awayLineups, awayTeam.abbreviation, playerRegistry);
+  resolveLineupPlayers(homeLineups, homeTeam.abbreviation, playerRegistry);
+  const awayNotes = resolveGameNotes(awayGameNotes.notes, awayTeam.abbreviation, playerRegistry);
+  const homeNotes = resolveGameNotes(homeGameNotes.notes, homeTeam.abbreviation, playerRegistry);
+
+  gameUnresolvedPlayers = playerRegistry.getUnresolved();
+  if (gameUnresolvedPlayers.length > 0) {
+    console.log('🪪 Unresolved player names (not in the team player stats):');
+    gameUnresolvedPlayers.forEach(entry => console.log(`   • ${entry.name} (${entry.team}, ${entry.source}): ${entry.reason}`));
+    console.log('');
+  }
+
+  // Games missed and returns come from the stored report history
+  const recorded = recordInjuryReport(officialInjuries.allInjuries, officialInjuries.reportAt);
+  if (recorded > 0) {
+    console.log(`🗃️  Injury history: ${recorded} new listing${recorded === 1 ? '' : 's'} recorded`);
+  }
+  const injuryHistory = loadInjuryHistory();
+
+  // Season-long Elo ratings from the stored final scores before this game
+  const rating = getMatchupRating(loadTeamResults(), awayTeam.abbreviation, homeTeam.abbreviation, gameDate);
   
-  // Apply our enhanced injury impact analysis
-  const awayPlayersAdjusted = applyInjuryImpact(awayPlayers.players, awayInjuries, awayTeamStats);
-  const homePlayersAdjusted = applyInjuryImpact(homePlayers.players, homeInjuries, homeTeamStats);
+  // Apply our enhanced injury impact analysis, then cap the minutes of players just back from an absence
+  const awayPlayersAdjusted = applyMinutesRestrictions(applyInjuryImpact(awayPlayers.players, awayInjuries, awayTeamStats, injuryHistory, awayLineups.allLineups), injuryHistory, gameDate);
+  const homePlayersAdjusted = applyMinutesRestrictions(applyInjuryImpact(homePlayers.players, homeInjuries, homeTeamStats, injuryHistory, homeLineups.allLineups), injuryHistory, gameDate);
   
   generateGameAnalysis(game, {
     away: {
@@ -311,29 +640,71 @@ async function analyzeGame(game) {
       stats: awayTeamStats.data,
       players: awayPlayersAdjusted,
       injuries: awayInjuries,
+      injuryChanges: getTeamStatusChanges(officialInjuries.timeline, awayTeam.abbreviation),
       injuryDataSource: officialInjuries.dataSource,
+      injuryReportTime: officialInjuries.reportTime || null,
       pdfEnhanced: officialInjuries.pdfEnhanced,
       // NEW: Team style and lineup context for enhanced projections
       teamStyle: awayTeamStyle,
-      lineups: awayLineups
+      lineups: awayLineups,
+      schedule: awaySchedule.schedule,
+      gameNotes: awayNotes,
+      gameNotesError: awayGameNotes.success ? null : awayGameNotes.error
     },
     home: {
       team: homeTeam,
       stats: homeTeamStats.data,
       players: homePlayersAdjusted,
       injuries: homeInjuries,
+      injuryChanges: getTeamStatusChanges(officialInjuries.timeline, homeTeam.abbreviation),
       injuryDataSource: officialInjuries.dataSource,
+      injuryReportTime: officialInjuries.reportTime || null,
       pdfEnhanced: officialInjuries.pdfEnhanced,
       // NEW: Team style and lineup context for enhanced projections
       teamStyle: homeTeamStyle,
-      lineups: homeLineups
-    }
+      lineups: homeLineups,
+      schedule: homeSchedule.schedule,
+      gameNotes: homeNotes,
+      gameNotesError: homeGameNotes.success ? null : homeGameNotes.error
+    },
+    rating
   });
 
   // NEW: Display enhanced analysis including team styles
   displayEnhancedMatchupAnalysis(awayTeam, homeTeam, awayLineups, homeLineups, awayTeamStyle, homeTeamStyle);
 }
 
+/**
+ * Attach the PLAYER_IDs of each lineup's players - from the worker's GROUP_ID when it sent them,
+ * otherwise by resolving the GROUP_NAME names against the team's players
+ */
+function resolveLineupPlayers(lineups, teamAbbr, playerRegistry) {
+  (lineups.allLineups || []).forEach(lineup => {
+    if (lineup.playerIds?.length) return;
+    lineup.playerIds = (lineup.players || [])
+      .map(name => playerRegistry.resolve(name, { team: teamAbbr, source: 'lineups' })?.playerId)
+      .filter(Boolean);
+  });
+}
+
+/**
+ * List data sources that failed (after retries / with an open circuit breaker)
+ * or fell back to a stale cache copy
+ */
+function collectDataIssues(sources) {
+  const issues = [];
+
+  Object.entries(sources).forEach(([label, result]) => {
+    if (!result?.success) {
+      issues.push(`${label}: unavailable${result?.error ? ` (${result.error})` : ''}`);
+    } else if (result.cacheStale) {
+      issues.push(`${label}: stale cache from ${result.cacheStoredAt}`);
+    }
+  });
+
+  return issues;
+}
+
 /**
  * Generate complete game analysis with enhanced displays
  */
@@ -366,6 +737,10 @@ function generateGameAnalysis(game, data) {
   console.log('\n## INJURY REPORT');
   console.log('');
   generateInjuryReport(away, home);
+
+  console.log('\n## GAME NOTES');
+  console.log('');
+  generateGameNotesReport(away, home);
   
   // NEW: Generate game script analysis for strategic insights
   const gameScript = generateGameScriptAnalysis(away, home, away.teamStyle, home.teamStyle);
@@ -385,7 +760,7 @@ function generateGameAnalysis(game, data) {
 
   console.log(`\n## ${away.team.abbreviation} PROJECTED STATS`);
   console.log('');
-  generateEnhancedPlayerProjections(away.players, away.team.abbreviation, game.date, {
+  const awayProjectionDetails = generateEnhancedPlayerProjections(away.players, away.team.abbreviation, game.date, {
     teamStyle: away.teamStyle,
     lineups: away.lineups,
     opponentStyle: home.teamStyle,
@@ -397,7 +772,7 @@ function generateGameAnalysis(game, data) {
 
   console.log(`\n## ${home.team.abbreviation} PROJECTED STATS`);
   console.log('');
-  generateEnhancedPlayerProjections(home.players, home.team.abbreviation, game.date, {
+  const homeProjectionDetails = generateEnhancedPlayerProjections(home.players, home.team.abbreviation, game.date, {
     teamStyle: home.teamStyle,
     lineups: home.lineups,
     opponentStyle: away.teamStyle,
@@ -409,9 +784,10 @@ function generateGameAnalysis(game, data) {
   
   console.log('\n## GAME PREDICTION');
   console.log('');
-  const prediction = generatePrediction(away, home, gameScript);
+  const prediction = generatePrediction(away, home, gameScript, { away: awayProjectionDetails, home: homeProjectionDetails }, data.rating);
 
   addGameToCsv(game, away, home, prediction);
+  addGameToSlate(game, away, home, prediction, gameScript, { ...awayProjectionDetails, ...homeProjectionDetails });
 }
 
 function generateTeamComparison(away, home) {
@@ -437,28 +813,78 @@ function generateTeamComparison(away, home) {
 }
 
 function generateInjuryReport(away, home) {
+  if (away.injuryReportTime) {
+    console.log(`_Official report: ${away.injuryReportTime}_`);
+    console.log('');
+  }
+
   console.log(`**${away.team.abbreviation} Injuries:**`);
   if (away.injuries.length === 0) {
     console.log('- No injuries reported');
   } else {
-    away.injuries.forEach(inj => {
-      const statusIcon = inj.status === 'out' ? '❌' : inj.status === 'doubtful' ? '⚠️' : '❓';
-      const source = inj.source ? ` [${inj.source}]` : '';
-      console.log(`${statusIcon} ${inj.playerName} - ${inj.status} - ${inj.description || 'No details'}${source}`);
-    });
+    away.injuries.forEach(printInjury);
   }
+  printStatusChanges(away.injuryChanges);
   
   console.log('');
   console.log(`**${home.team.abbreviation} Injuries:**`);
   if (home.injuries.length === 0) {
     console.log('- No injuries reported');
   } else {
-    home.injuries.forEach(inj => {
-      const statusIcon = inj.status === 'out' ? '❌' : inj.status === 'doubtful' ? '⚠️' : '❓';
-      const source = inj.source ? ` [${inj.source}]` : '';
-      console.log(`${statusIcon} ${inj.playerName} - ${inj.status} - ${inj.description || 'No details'}${source}`);
-    });
+    home.injuries.forEach(printInjury);
   }
+  printStatusChanges(home.injuryChanges);
+}
+
+/**
+ * Projected starters, streaks and milestones from each team's notes, and injury notes the
+ * official report disagrees with
+ */
+function generateGameNotesReport(away, home) {
+  [away, home].forEach((side, idx) => {
+    if (idx > 0) console.log('');
+    console.log(`**${side.team.abbreviation} Game Notes:**`);
+
+    const notes = side.gameNotes;
+    if (!notes) {
+      console.log(`- Not available${side.gameNotesError ? ` (${side.gameNotesError})` : ''}`);
+      return;
+    }
+
+    if (notes.projectedStarters.length > 0) {
+      console.log(`📋 Projected starters: ${notes.projectedStarters.map(starter => starter.playerName).join(', ')}`);
+    }
+    notes.streaks.forEach(streak => console.log(`🔥 ${streak.text}`));
+    notes.milestones.forEach(milestone => console.log(`🏁 ${milestone.text}`));
+    compareInjuryNotes(notes, side.injuries).forEach(conflict => {
+      const report = conflict.reportStatus ? `official report: ${conflict.reportStatus}` : 'not on the official report';
+      console.log(`⚠️  ${conflict.playerName}: ${conflict.notesStatus || 'listed'} in team notes, ${report}`);
+    });
+    if (notes.diagnostics?.confidence && notes.diagnostics.confidence !== 'high') {
+      console.log(`_Notes parsed with ${notes.diagnostics.confidence} confidence (${notes.diagnostics.unparsedLines.length} unparsed lines)_`);
+    }
+  });
+}
+
+/**
+ * One injury report line; rest, G League, suspension and personal absences say how they're modeled
+ */
+function printInjury(inj) {
+  const statusIcon = inj.status === 'out' ? '❌' : inj.status === 'doubtful' ? '⚠️' : '❓';
+  const source = inj.source ? ` [${inj.source}]` : '';
+  const { note } = getReasonProfile(inj);
+  const reasonNote = note ? ` (${note})` : '';
+  console.log(`${statusIcon} ${inj.playerName} - ${inj.status} - ${inj.description || 'No details'}${reasonNote}${source}`);
+}
+
+/**
+ * Status flips across today's earlier injury reports (late scratches show up here)
+ */
+function printStatusChanges(changes = []) {
+  if (changes.length === 0) return;
+
+  console.log('🔁 Status changes today:');
+  changes.forEach(change => console.log(`   ${describeStatusChange(change)}`));
 }
 
 /**
@@ -469,7 +895,7 @@ function generateEnhancedPlayerProjections(players, teamAbbr, gameDate, enhancem
   const availablePlayers = players.filter(player => {
     // Check if player is OUT due to injury
     const outInjury = enhancementContext.injuries?.find(injury => 
-      playersMatch(player.playerName, injury.playerName) && injury.status === 'out'
+      isSamePlayer(player, injury) && injury.status === 'out'
     );
     
     if (outInjury) {
@@ -487,7 +913,7 @@ function generateEnhancedPlayerProjections(players, teamAbbr, gameDate, enhancem
   
   if (topPlayers.length === 0) {
     console.log('*No player data available*');
-    return;
+    return {};
   }
   
   const rows = [
@@ -496,6 +922,7 @@ function generateEnhancedPlayerProjections(players, teamAbbr, gameDate, enhancem
   
   let enhancementNotes = [];
   let gameScriptNotes = [];
+  const projectionDetails = {}; // playerName -> matchup projection and the reasons behind it (JSON slate)
   
   // Apply game script analysis to players if available
   const playersWithGameScript = gameScript ? 
@@ -534,6 +961,28 @@ function generateEnhancedPlayerProjections(players, teamAbbr, gameDate, enhancem
       }
     }
 
+    // Back from an absence on a minutes ramp: fewer minutes, and the counting stats scale with them
+    const restrictionFactor = player.minutesRestriction?.factor || 1;
+    enhancedPoints *= restrictionFactor;
+    enhancedAssists *= restrictionFactor;
+    enhancedRebounds *= restrictionFactor;
+    enhancedThreePointers *= restrictionFactor;
+    const projectedMinutes = player.minutes * restrictionFactor;
+
+    projectionDetails[player.playerName] = {
+      points: enhancedPoints,
+      rebounds: enhancedRebounds,
+      assists: enhancedAssists,
+      threePointersMade: enhancedThreePointers,
+      minutes: projectedMinutes,
+      minutesRestriction: player.minutesRestriction || null,
+      enhancementPercent: enhancements.totalEnhancement,
+      enhancementReasons: enhancements.reasons,
+      gameScriptBoost: player.gameScriptBoost || 0,
+      gameScriptReasons: player.gameScriptReasons || [],
+      defenseMatchup: player.defenseMatchup || null
+    };
+
     // Track significant enhancements for notes
     if (enhancements.totalEnhancement > 2) { // 2% or more enhancement
       enhancementNotes.push({
@@ -560,7 +1009,7 @@ function generateEnhancedPlayerProjections(players, teamAbbr, gameDate, enhancem
     const blk = formatRange(player.blocks, 0.5);
     const tpm = formatRange(enhancedThreePointers, 0.5);
     const fgPct = `${(player.fieldGoalPct * 100).toFixed(0)}%`;
-    const min = formatRange(player.minutes, 2);
+    const min = formatRange(projectedMinutes, 2);
     const usage = player.advanced?.usageRate 
       ? `${(player.advanced.usageRate * 100).toFixed(0)}%`
       : 'N/A';
@@ -604,6 +1053,16 @@ function generateEnhancedPlayerProjections(players, teamAbbr, gameDate, enhancem
     console.log('');
   }
   
+  // Minutes ramps for players back from an absence
+  const restrictedPlayers = topPlayers.filter(p => p.minutesRestriction);
+  if (restrictedPlayers.length > 0) {
+    console.log('**⏱️ Minutes Restrictions:**');
+    restrictedPlayers.forEach(p => {
+      console.log(`- ${p.playerName}: ${p.minutesRestriction.description} (~${(p.minutes * p.minutesRestriction.factor).toFixed(0)} of ${p.minutes.toFixed(0)} min)`);
+    });
+    console.log('');
+  }
+
   // NEW: Show uncertainty adjustments for questionable players (more prominent)
   const uncertainPlayers = topPlayers.filter(p => p.uncertainty > 0);
   if (uncertainPlayers.length > 0) {
@@ -644,6 +1103,8 @@ function generateEnhancedPlayerProjections(players, teamAbbr, gameDate, enhancem
   console.log('- Uncertainty info: See "🎲 UNCERTAINTY ADJUSTMENTS" section above for probability details');
   console.log('- Enhanced projections use team style + lineup intelligence + game script analysis + injury uncertainty');
   console.log('- Ranges show uncertainty (e.g., 35-40 points)');
+
+  return projectionDetails;
 }
 // applyPlayerEnhancements and calculateCappedMultipliers now imported from modules/enhancements.js
 
@@ -773,7 +1234,7 @@ function generatePlayerProjections(players, teamAbbr, gameDate) {
 /**
  * Generate enhanced prediction with confidence breakdown
  */
-function generatePrediction(away, home, gameScript = null) {
+function generatePrediction(away, home, gameScript = null, projectionDetails = {}, rating = null) {
   const awayAdv = away.stats?.advanced || {};
   const homeAdv = home.stats?.advanced || {};
   const awayStats = away.stats?.general || {};
@@ -785,18 +1246,16 @@ function generatePrediction(away, home, gameScript = null) {
   // NEW: Calculate team strength differential with record weighting
   const teamStrengthDiff = calculateTeamStrengthDifferential(home, away, homeStats, awayStats);
   
+  // NEW PHASE 3: Calculate schedule context for both teams from the schedule worker
+  const awayScheduleContext = calculateScheduleContext(away, home);
+  const homeScheduleContext = calculateScheduleContext(home, away);
+
   // NEW: Calculate sophisticated pace using all available data layers
   const paceAnalysis = calculateSophisticatedPace(away, home, {
-    // Add contextual factors when needed
-    // backToBack: isBackToBack(away, home),
+    backToBack: awayScheduleContext.teamBackToBack || homeScheduleContext.teamBackToBack
     // overtimeLikely: isCloseMatchup(away, home)
   });
 
-  // NEW PHASE 3: Calculate schedule context for both teams
-  // Note: Currently placeholder - will integrate actual schedule API in Phase 4
-  const awayScheduleContext = calculateScheduleContext(away, home, null);
-  const homeScheduleContext = calculateScheduleContext(home, away, null);
-
   // NEW PHASE 3: Calculate predicted scores with possession-based model + schedule context
   const awayPredictionData = calculatePossessionBasedScore(
     awayStats, homeStats, awayAdv, homeAdv,
@@ -811,16 +1270,26 @@ function generatePrediction(away, home, gameScript = null) {
     homeScheduleContext // NEW: Schedule context integration
   );
 
+  // Season-long ratings pull the margin toward the Elo margin, hardest early in the season
+  // (team stats cover the last 5 games, so the season's games played come from the ratings store)
+  const gamesPlayed = rating?.tracked ? Math.min(rating.away.games, rating.home.games) : 0;
+  const ratingBlend = blendRatingMargin({ awayScore: awayPredictionData.score, homeScore: homePredictionData.score }, rating, gamesPlayed);
+  if (ratingBlend) {
+    awayPredictionData.score = ratingBlend.awayScore;
+    homePredictionData.score = ratingBlend.homeScore;
+  }
+
   const awayPredicted = awayPredictionData.score;
   const homePredicted = homePredictionData.score;
-  
-  // Calculate uncertainty range
-  const awayRange = calculateUncertaintyRange(awayPredicted, away);
-  const homeRange = calculateUncertaintyRange(homePredicted, home);
-  
-  // Calculate win probability
   const margin = awayPredicted - homePredicted;
-  const awayWinProb = calculateWinProbability(margin);
+
+  // Simulate the game around the possession model for win probability and score distributions
+  const simulation = simulatePrediction(away, home, awayPredictionData, homePredictionData, paceAnalysis, awayScheduleContext, homeScheduleContext, projectionDetails);
+
+  // Score ranges and win probability from the simulation; fixed bands and the logistic curve without one
+  const awayRange = simulation ? percentileRange(simulation.awayScore) : calculateUncertaintyRange(awayPredicted, away);
+  const homeRange = simulation ? percentileRange(simulation.homeScore) : calculateUncertaintyRange(homePredicted, home);
+  const awayWinProb = simulation ? simulation.awayWinProbability : calculateWinProbability(margin);
   
   console.log(`**Predicted Score:**`);
   console.log(`${away.team.name}: ${awayRange.low}-${awayRange.high} (${awayPredicted})`);
@@ -849,6 +1318,26 @@ function generatePrediction(away, home, gameScript = null) {
   }
   
   console.log(`- Projected Total: ${(awayPredicted + homePredicted).toFixed(1)} points`);
+  if (simulation) {
+    const { margin: simMargin, total: simTotal } = simulation;
+    console.log(`- Simulation (${simulation.iterations.toLocaleString('en-US')} games): OT ${(simulation.overtimeProbability * 100).toFixed(1)}%`);
+    console.log(`  └─ ${away.team.abbreviation} margin p10/p50/p90: ${simMargin.percentiles.p10} / ${simMargin.percentiles.p50} / ${simMargin.percentiles.p90}`);
+    console.log(`  └─ Total p10/p50/p90: ${simTotal.percentiles.p10} / ${simTotal.percentiles.p50} / ${simTotal.percentiles.p90}`);
+    [[away, simulation.players?.away], [home, simulation.players?.home]].forEach(([side, team]) => {
+      if (!team) return;
+      console.log(`  └─ ${side.team.abbreviation} players: ${team.simulatedPoints} simulated pts (projections summed to ${team.projectedPoints})`);
+    });
+  }
+  if (ratingBlend) {
+    const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    console.log(`- Ratings: ${away.team.abbreviation} ${rating.away.rating.toFixed(0)} (${rating.away.games} GP) | ${home.team.abbreviation} ${rating.home.rating.toFixed(0)} (${rating.home.games} GP)`);
+    console.log(`  └─ ${home.team.abbreviation} margin: model ${signed(ratingBlend.modelMargin)}, ratings ${signed(ratingBlend.ratingMargin)} → ${signed(homePredicted - awayPredicted)} (${(ratingBlend.weight * 100).toFixed(0)}% ratings)`);
+  }
+  console.log(`- Schedule: ${away.team.abbreviation} ${describeSchedule(away.schedule)} | ${home.team.abbreviation} ${describeSchedule(home.schedule)}`);
+  if (awayScheduleContext.restAdvantage !== 0) {
+    const rested = awayScheduleContext.restAdvantage > 0 ? away.team.abbreviation : home.team.abbreviation;
+    console.log(`  └─ Rest edge: ${rested} (${Math.abs(awayScheduleContext.restAdvantage).toFixed(1)})`);
+  }
   
   // Enhanced confidence calculation
   const confidence = calculateEnhancedConfidence(away, home, margin);
@@ -870,14 +1359,71 @@ function generatePrediction(away, home, gameScript = null) {
     favorite,
     awayWinProb: (awayWinProb * 100).toFixed(1),
     homeWinProb: ((1 - awayWinProb) * 100).toFixed(1),
+    scoreRanges: { away: awayRange, home: homeRange },
     confidence: confidence.stars,
     confidenceLevel: confidence.level,
+    confidenceFactors: confidence.factors,
     pace: paceAnalysis.base,
     paceBreakdown: paceAnalysis.breakdown,
-    paceConfidence: paceAnalysis.confidence
+    paceConfidence: paceAnalysis.confidence,
+    awayScheduleContext,
+    homeScheduleContext,
+    rating: ratingBlend ? { ...rating, weight: ratingBlend.weight, modelMargin: ratingBlend.modelMargin } : null,
+    simulation
   };
 }
 
+/**
+ * Monte Carlo simulation of the game (null when --simulations=0)
+ * Score spreads come from calculateGameVariance: injuries to rotation players, a pace mismatch
+ * and back-to-backs widen them. Each team's projected players (by minutes) share its simulated score
+ */
+function simulatePrediction(away, home, awayPredictionData, homePredictionData, paceAnalysis, awayScheduleContext, homeScheduleContext, projectionDetails) {
+  if (SIMULATION.ITERATIONS <= 0) return null;
+
+  const paceVolatility = Math.abs((away.stats?.advanced?.pace || 0) - (home.stats?.advanced?.pace || 0));
+  const majorInjuries = side => side.injuries.filter(injury => {
+    if (injury.status !== 'out' && injury.status !== 'doubtful') return false;
+    const player = side.players.find(candidate => isSamePlayer(candidate, injury));
+    return player && player.impact?.tier && player.impact.tier !== 'Bench';
+  }).length;
+
+  const awayVariance = calculateGameVariance(away.stats?.general || {}, home.stats?.general || {}, {
+    paceVolatility,
+    majorInjuries: majorInjuries(away),
+    backToBack: awayScheduleContext.teamBackToBack
+  });
+  const homeVariance = calculateGameVariance(home.stats?.general || {}, away.stats?.general || {}, {
+    paceVolatility,
+    majorInjuries: majorInjuries(home),
+    backToBack: homeScheduleContext.teamBackToBack
+  });
+
+  const simulatedPlayers = details => Object.entries(details || {}).map(([playerName, projection]) => ({
+    playerName,
+    points: projection.points,
+    rebounds: projection.rebounds,
+    assists: projection.assists,
+    threePointersMade: projection.threePointersMade
+  }));
+
+  return simulateGame({
+    away: { score: awayPredictionData.score, possessions: awayPredictionData.possessions, stdDev: awayVariance.stdDev, players: simulatedPlayers(projectionDetails.away) },
+    home: { score: homePredictionData.score, possessions: homePredictionData.possessions, stdDev: homeVariance.stdDev, players: simulatedPlayers(projectionDetails.home) },
+    pace: paceAnalysis.base,
+    paceStdDev: SIMULATION.PACE_STD_DEV[paceAnalysis.confidence] || SIMULATION.PACE_STD_DEV.Medium,
+    seed: simulationSeed(SIMULATION.SEED, away.team.abbreviation, home.team.abbreviation)
+  });
+}
+
+/**
+ * { low, high } score range from a simulated score summary (SIMULATION.SCORE_RANGE percentiles)
+ */
+function percentileRange(summary) {
+  const [low, high] = SIMULATION.SCORE_RANGE;
+  return { low: summary.percentiles[`p${low}`], high: summary.percentiles[`p${high}`] };
+}
+
 /**
  * Calculate enhanced confidence based on multiple factors
  */
@@ -1108,6 +1654,35 @@ function truncate(str, maxLen) {
   return str.substring(0, maxLen - 1) + '.';
 }
 
+/**
+ * Rows collected for each CSV sheet so far this run
+ */
+export function getCollectedRows() {
+  return { games: gameData, players: playerData, strategy: gameScriptData, injuryChanges: injuryChangeData, slate: slateGames };
+}
+
+/**
+ * Start a fresh set of rows (each A/B profile saves its own run)
+ */
+function clearCollectedRows() {
+  gameData = [];
+  playerData = [];
+  gameScriptData = [];
+  injuryChangeData = [];
+  slateGames = [];
+}
+
+/**
+ * Drop a matchup's rows before it is re-analyzed, so each saved run holds one set per game
+ */
+function removeGameRows(matchup) {
+  gameData = gameData.filter(row => row.Matchup !== matchup);
+  playerData = playerData.filter(row => row.Matchup !== matchup);
+  gameScriptData = gameScriptData.filter(row => row.Matchup !== matchup);
+  injuryChangeData = injuryChangeData.filter(row => row.Matchup !== matchup);
+  slateGames = slateGames.filter(record => record.matchup !== matchup);
+}
+
 /**
  * Add game data to CSV collection with enhanced Google Sheets formatting
  */
@@ -1133,6 +1708,13 @@ function addGameToCsv(game, away, home, prediction) {
     // Win Probabilities (clean percentages)
     AwayWinPct: parseFloat(prediction.awayWinProb),
     HomeWinPct: parseFloat(prediction.homeWinProb),
+
+    // Simulated distributions (blank when --simulations=0)
+    OvertimePct: prediction.simulation ? parseFloat((prediction.simulation.overtimeProbability * 100).toFixed(1)) : '',
+    AwayMarginP10: prediction.simulation?.margin.percentiles.p10 ?? '',
+    AwayMarginP90: prediction.simulation?.margin.percentiles.p90 ?? '',
+    TotalP10: prediction.simulation?.total.percentiles.p10 ?? '',
+    TotalP90: prediction.simulation?.total.percentiles.p90 ?? '',
     
     // Enhanced Analysis
     Pace: prediction.pace || 'N/A',
@@ -1146,33 +1728,54 @@ function addGameToCsv(game, away, home, prediction) {
     HomeOffRtg: home.stats?.advanced?.offensiveRating?.toFixed(1) || '',
     AwayDefRtg: away.stats?.advanced?.defensiveRating?.toFixed(1) || '',
     HomeDefRtg: home.stats?.advanced?.defensiveRating?.toFixed(1) || '',
+
+    // Team ratings (blank when the ratings store has no games for either team)
+    AwayElo: prediction.rating?.away.rating ?? '',
+    HomeElo: prediction.rating?.home.rating ?? '',
+    EloHomeMargin: prediction.rating?.homeMargin ?? '',
+    EloWeight: prediction.rating?.weight ?? '',
+    
+    // Schedule Context
+    AwayRestDays: away.schedule?.restDays ?? '',
+    HomeRestDays: home.schedule?.restDays ?? '',
+    AwayB2B: prediction.awayScheduleContext.teamBackToBack ? 'Y' : 'N',
+    HomeB2B: prediction.homeScheduleContext.teamBackToBack ? 'Y' : 'N',
+    AwayTravelMiles: away.schedule?.travelMiles ?? '',
+    HomeTravelMiles: home.schedule?.travelMiles ?? '',
+    AwayRestAdvantage: prediction.awayScheduleContext.restAdvantage.toFixed(2), // Negative favors home
     
     // Injury Impact
     AwayInjuries: away.injuries.length,
     HomeInjuries: home.injuries.length,
+    InjuryReport: away.injuryReportTime || '',
+    InjuryStatusChanges: away.injuryChanges.length + home.injuryChanges.length,
     
     // Data Quality
     DataSource: away.pdfEnhanced ? 'Enhanced' : 'Standard',
+    Degraded: gameDataIssues.length > 0 ? 'Y' : 'N',
+    DataIssues: gameDataIssues.join('; '),
+
+    // Parameters the prediction was made with (profile or parameter file, and a fingerprint of every value)
+    ModelVersion: MODEL_PARAMETERS.modelVersion,
     LastUpdated: timestamp
   });
   
   // PLAYER PROJECTIONS - Separate sheet with enhanced data
-  const awayPlayers = away.players.filter(p => p.minutes > 5).sort((a, b) => b.minutes - a.minutes).slice(0, 9);
-  const homePlayers = home.players.filter(p => p.minutes > 5).sort((a, b) => b.minutes - a.minutes).slice(0, 9);
-  
-  [...awayPlayers, ...homePlayers].forEach((player, idx) => {
+  selectOutputPlayers(away, home).forEach((player, idx) => {
     const position = getPlayerPosition(player, idx);
     
     // Enhanced projections calculation for CSV
     const enhancedProjections = calculatePlayerEnhancementsForCsv(player, 
       player.teamAbbreviation === away.team.abbreviation ? away : home, 
       player.teamAbbreviation === away.team.abbreviation ? home : away);
+    const simulated = findSimulatedPlayer(prediction.simulation, player.playerName);
     
     playerData.push({
       Date: gameDate,
       Matchup: `${away.team.abbreviation} @ ${home.team.abbreviation}`,
       Team: player.teamAbbreviation,
       Player: player.playerName,
+      PlayerId: player.playerId ?? '',
       Pos: position,
       
       // Base Projections (clean numbers)
@@ -1189,12 +1792,23 @@ function addGameToCsv(game, away, home, prediction) {
       EnhRebounds: enhancedProjections.rebounds?.toFixed(1) || '0',
       EnhAssists: enhancedProjections.assists?.toFixed(1) || '0',
       EnhMinutes: enhancedProjections.minutes?.toFixed(1) || '0',
+
+      // Simulated distributions (share of each simulated team score; blank when not simulated)
+      SimPoints: simulated?.points.mean ?? '',
+      SimPointsP10: simulated?.points.percentiles.p10 ?? '',
+      SimPointsP90: simulated?.points.percentiles.p90 ?? '',
+      SimPRA: simulated?.pra.mean ?? '',
+      SimPRAP10: simulated?.pra.percentiles.p10 ?? '',
+      SimPRAP90: simulated?.pra.percentiles.p90 ?? '',
       
       // Enhancement Analysis
       PointsBoost: enhancedProjections.pointsBoost?.toFixed(1) || '0',
       HasInjuryAdj: player.injuryAdjusted ? 'Y' : 'N',
+      InjuryAdjReason: (player.injuryReasons || []).join(';'),
       HasEnhancement: enhancedProjections.totalBoost > 1 ? 'Y' : 'N',
       HasGameScript: enhancedProjections.gameScriptBoost > 0.5 ? 'Y' : 'N',
+      HasMinutesRestriction: player.minutesRestriction ? 'Y' : 'N',
+      MinutesRestriction: player.minutesRestriction?.description || '',
       
       // Player Context  
       StarTier: player.impact?.tier || '',
@@ -1205,6 +1819,22 @@ function addGameToCsv(game, away, home, prediction) {
       IsHome: player.teamAbbreviation === home.team.abbreviation ? 'Y' : 'N',
       GamesPlayed: player.gamesPlayed || 0,
       
+      ModelVersion: MODEL_PARAMETERS.modelVersion,
+      LastUpdated: timestamp
+    });
+  });
+  
+  // INJURY TIMELINE - When each player's status flipped across today's reports
+  [...away.injuryChanges, ...home.injuryChanges].forEach(change => {
+    injuryChangeData.push({
+      Date: gameDate,
+      Matchup: `${away.team.abbreviation} @ ${home.team.abbreviation}`,
+      Team: change.teamAbbreviation,
+      Player: change.playerName,
+      From: change.from || 'Not listed',
+      To: change.to || 'Not listed',
+      Report: change.description,
+      ReportAt: change.reportAt,
       LastUpdated: timestamp
     });
   });
@@ -1234,11 +1864,209 @@ function addGameToCsv(game, away, home, prediction) {
       AnalysisConfidence: gameScriptAnalysisData.confidence || 'Conservative',
       BattleCount: gameScriptAnalysisData.keyBattles?.length || 0,
       
+      ModelVersion: MODEL_PARAMETERS.modelVersion,
       LastUpdated: timestamp
     });
   }
 }
 
+/**
+ * Players written to the output files: each team's top 9 by minutes (5+ min)
+ */
+function selectOutputPlayers(away, home) {
+  const topByMinutes = players => players.filter(p => p.minutes > 5).sort((a, b) => b.minutes - a.minutes).slice(0, 9);
+  return [...topByMinutes(away.players), ...topByMinutes(home.players)];
+}
+
+/**
+ * Build the structured JSON slate record for a game (same projections as the CSV rows,
+ * plus the breakdowns, factors and reasons the CSV sheets flatten)
+ */
+function addGameToSlate(game, away, home, prediction, gameScript, projectionDetails) {
+  const matchup = `${away.team.abbreviation} @ ${home.team.abbreviation}`;
+  const round1 = value => typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+
+  const teamRecord = (side, schedule) => ({
+    id: side.team.id,
+    abbreviation: side.team.abbreviation,
+    name: side.team.name,
+    record: { wins: side.stats?.general?.wins ?? null, losses: side.stats?.general?.losses ?? null },
+    offensiveRating: side.stats?.advanced?.offensiveRating ?? null,
+    defensiveRating: side.stats?.advanced?.defensiveRating ?? null,
+    pace: side.stats?.advanced?.pace ?? null,
+    schedule: side.schedule || null,
+    scheduleContext: schedule
+  });
+
+  const gameNotesRecord = side => side.gameNotes ? {
+    pdfUrl: side.gameNotes.pdfUrl,
+    projectedStarters: side.gameNotes.projectedStarters,
+    injuryNotes: side.gameNotes.injuryNotes,
+    injuryConflicts: compareInjuryNotes(side.gameNotes, side.injuries),
+    streaks: side.gameNotes.streaks,
+    milestones: side.gameNotes.milestones,
+    confidence: side.gameNotes.diagnostics?.confidence || null
+  } : null;
+
+  // Distributions kept so spread/total lines can be priced from the slate; player summaries live on the player records
+  const simulationRecord = simulation => simulation ? {
+    ...simulation,
+    players: simulation.players ? Object.fromEntries(Object.entries(simulation.players).map(([side, team]) => [side, team ? {
+      projectedPoints: team.projectedPoints,
+      simulatedPoints: team.simulatedPoints,
+      correlations: team.correlations
+    } : null])) : null
+  } : null;
+
+  const simulatedRecord = simulated => {
+    if (!simulated) return null;
+    const { playerName, ...stats } = simulated;
+    return stats;
+  };
+
+  const injuryRecord = injury => ({
+    playerName: injury.playerName,
+    playerId: injury.playerId ?? null,
+    status: injury.status,
+    reason: injury.description || null,
+    reasonCategory: getReasonProfile(injury).category
+  });
+
+  const players = selectOutputPlayers(away, home).map((player, idx) => {
+    const isHome = player.teamAbbreviation === home.team.abbreviation;
+    const team = isHome ? home : away;
+    const enhanced = calculatePlayerEnhancementsForCsv(player, team, isHome ? away : home);
+    const injury = team.injuries.find(inj => isSamePlayer(player, inj));
+    const details = projectionDetails[player.playerName] || null;
+
+    return {
+      playerName: player.playerName,
+      playerId: player.playerId ?? null,
+      team: player.teamAbbreviation,
+      position: getPlayerPosition(player, idx),
+      isHome,
+      starTier: player.impact?.tier || null,
+      projectedStarter: isProjectedStarter(team.gameNotes, player),
+      gamesPlayed: player.gamesPlayed || 0,
+      base: {
+        points: round1(player.points),
+        rebounds: round1(player.rebounds),
+        assists: round1(player.assists),
+        steals: round1(player.steals),
+        blocks: round1(player.blocks),
+        threePointersMade: round1(player.threePointersMade),
+        minutes: round1(player.minutes)
+      },
+      enhanced: {
+        points: round1(enhanced.points),
+        rebounds: round1(enhanced.rebounds),
+        assists: round1(enhanced.assists),
+        minutes: round1(enhanced.minutes),
+        pointsBoost: round1(enhanced.pointsBoost)
+      },
+      matchupProjection: details ? {
+        points: round1(details.points),
+        rebounds: round1(details.rebounds),
+        assists: round1(details.assists),
+        threePointersMade: round1(details.threePointersMade),
+        minutes: round1(details.minutes),
+        enhancementPercent: round1(details.enhancementPercent),
+        enhancementReasons: details.enhancementReasons,
+        gameScriptBoost: round1(details.gameScriptBoost),
+        gameScriptReasons: details.gameScriptReasons,
+        defenseMatchup: details.defenseMatchup
+      } : null,
+      simulated: simulatedRecord(findSimulatedPlayer(prediction.simulation, player.playerName)),
+      injury: {
+        status: injury?.status || null,
+        adjusted: player.injuryAdjusted || null,
+        reasons: player.injuryReasons || [],
+        redistribution: player.injuryRedistribution || [],
+        minutesRestriction: player.minutesRestriction ? {
+          factor: player.minutesRestriction.factor,
+          gameNumber: player.minutesRestriction.gameNumber,
+          gamesMissed: player.minutesRestriction.gamesMissed,
+          rampType: player.minutesRestriction.rampType,
+          description: player.minutesRestriction.description
+        } : null,
+        uncertainty: player.uncertainty || 0,
+        conditionalScenarios: (player.conditionalScenarios || []).map(scenario => ({
+          description: scenario.description,
+          probability: scenario.probability,
+          points: round1(scenario.points),
+          rebounds: round1(scenario.rebounds),
+          assists: round1(scenario.assists)
+        }))
+      },
+      flags: {
+        injuryAdjusted: Boolean(player.injuryAdjusted),
+        enhanced: enhanced.totalBoost > 1,
+        gameScript: enhanced.gameScriptBoost > 0.5,
+        minutesRestriction: Boolean(player.minutesRestriction)
+      }
+    };
+  });
+
+  slateGames.push({
+    gameId: game.gameId || null,
+    date: game.date.split('T')[0],
+    time: game.time,
+    matchup,
+    modelVersion: MODEL_PARAMETERS.modelVersion,
+    awayTeam: teamRecord(away, prediction.awayScheduleContext),
+    homeTeam: teamRecord(home, prediction.homeScheduleContext),
+    prediction: {
+      awayScore: prediction.awayScore,
+      homeScore: prediction.homeScore,
+      total: prediction.awayScore + prediction.homeScore,
+      margin: prediction.margin,
+      favorite: prediction.favorite,
+      scoreRanges: prediction.scoreRanges,
+      awayWinProbability: parseFloat(prediction.awayWinProb),
+      homeWinProbability: parseFloat(prediction.homeWinProb),
+      simulation: simulationRecord(prediction.simulation),
+      rating: prediction.rating,
+      pace: {
+        base: prediction.pace,
+        confidence: prediction.paceConfidence,
+        breakdown: prediction.paceBreakdown
+      },
+      confidence: {
+        stars: prediction.confidence,
+        level: prediction.confidenceLevel,
+        factors: prediction.confidenceFactors
+      }
+    },
+    gameScript: gameScript ? {
+      keyBattles: gameScript.keyBattles,
+      strategicInsights: gameScript.strategicInsights,
+      predictedApproaches: gameScript.predictedApproaches,
+      confidence: gameScript.confidence
+    } : null,
+    injuries: {
+      away: away.injuries.map(injuryRecord),
+      home: home.injuries.map(injuryRecord)
+    },
+    injuryChanges: {
+      away: away.injuryChanges,
+      home: home.injuryChanges
+    },
+    gameNotes: {
+      away: gameNotesRecord(away),
+      home: gameNotesRecord(home)
+    },
+    players,
+    dataQuality: {
+      degraded: gameDataIssues.length > 0,
+      issues: [...gameDataIssues],
+      unresolvedPlayers: [...gameUnresolvedPlayers],
+      injuryDataSource: away.injuryDataSource || null,
+      injuryReport: away.injuryReportTime,
+      pdfEnhanced: Boolean(away.pdfEnhanced)
+    }
+  });
+}
+
 /**
  * NEW: Calculate enhanced projections for CSV with clear boost tracking
  */
@@ -1272,6 +2100,13 @@ function calculatePlayerEnhancementsForCsv(player, playerTeam, opponentTeam) {
     
     enhancedPoints += pointsBoost;
   }
+
+  // Minutes ramp after an absence scales minutes and the counting stats with them
+  const restrictionFactor = player.minutesRestriction?.factor || 1;
+  enhancedPoints *= restrictionFactor;
+  enhancedRebounds *= restrictionFactor;
+  enhancedAssists *= restrictionFactor;
+  enhancedMinutes *= restrictionFactor;
   
   return {
     points: enhancedPoints,
@@ -1285,36 +2120,39 @@ function calculatePlayerEnhancementsForCsv(player, playerTeam, opponentTeam) {
 }
 
 /**
- * Enhanced CSV output with multiple sheets for Google Sheets
+ * Write one output file of this run (slate date + run ID naming, see modules/output.js)
+ * @returns {string} - file name written
  */
-async function saveCsvOutput(date) {
-  const outputDir = './output';
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir);
+function writeOutputFile(date, runId, kind, contents) {
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
   }
-  
+
+  const fileName = outputFileName(date, runId, kind);
+  fs.writeFileSync(path.join(OUTPUT_DIR, fileName), contents, 'utf8');
+  return fileName;
+}
+
+/**
+ * Enhanced CSV output with multiple sheets for Google Sheets
+ */
+async function saveCsvOutput(date, runId, failures) {
   // 1. GAMES SUMMARY - Main analysis sheet
   if (gameData.length > 0) {
-    const gamesCSV = createCleanCSV(gameData);
-    const gamesFile = path.join(outputDir, `${date}_games.csv`);
-    fs.writeFileSync(gamesFile, gamesCSV, 'utf8');
-    console.log(`📊 Games analysis: ${date}_games.csv`);
+    const gamesFile = writeOutputFile(date, runId, 'games', createCleanCSV(gameData));
+    console.log(`📊 Games analysis: ${gamesFile}`);
   }
   
   // 2. PLAYER PROJECTIONS - Detailed player data  
   if (playerData.length > 0) {
-    const playersCSV = createCleanCSV(playerData);
-    const playersFile = path.join(outputDir, `${date}_players.csv`);
-    fs.writeFileSync(playersFile, playersCSV, 'utf8');
-    console.log(`👥 Player projections: ${date}_players.csv`);
+    const playersFile = writeOutputFile(date, runId, 'players', createCleanCSV(playerData));
+    console.log(`👥 Player projections: ${playersFile}`);
   }
   
   // 3. GAME SCRIPT ANALYSIS - Strategic insights
   if (gameScriptData.length > 0) {
-    const gameScriptCSV = createCleanCSV(gameScriptData);
-    const scriptFile = path.join(outputDir, `${date}_strategy.csv`);
-    fs.writeFileSync(scriptFile, gameScriptCSV, 'utf8');
-    console.log(`⚔️ Strategic analysis: ${date}_strategy.csv`);
+    const scriptFile = writeOutputFile(date, runId, 'strategy', createCleanCSV(gameScriptData));
+    console.log(`⚔️ Strategic analysis: ${scriptFile}`);
   }
   
   // 4. COMBINED SUMMARY - Quick overview
@@ -1325,17 +2163,54 @@ async function saveCsvOutput(date) {
     Total: game.Total,
     Confidence: game.Confidence,
     AwayInjuries: game.AwayInjuries,
-    HomeInjuries: game.HomeInjuries
+    HomeInjuries: game.HomeInjuries,
+    Degraded: game.Degraded,
+    ModelVersion: game.ModelVersion
   }));
   
   if (summaryData.length > 0) {
-    const summaryCSV = createCleanCSV(summaryData);
-    const summaryFile = path.join(outputDir, `${date}_summary.csv`);
-    fs.writeFileSync(summaryFile, summaryCSV, 'utf8');
-    console.log(`📋 Quick summary: ${date}_summary.csv`);
+    const summaryFile = writeOutputFile(date, runId, 'summary', createCleanCSV(summaryData));
+    console.log(`📋 Quick summary: ${summaryFile}`);
+  }
+
+  // 5. INJURY TIMELINE - Status changes between the day's official reports
+  if (injuryChangeData.length > 0) {
+    const timelineFile = writeOutputFile(date, runId, 'injuryTimeline', createCleanCSV(injuryChangeData));
+    console.log(`🔁 Injury status changes: ${timelineFile}`);
+  }
+
+  // 6. REQUEST FAILURES - Every worker call that needed retries or never succeeded
+  const failureData = failures.map(failure => ({
+    Time: failure.at,
+    Host: failure.host,
+    Url: failure.url,
+    Attempts: failure.attempts,
+    Status: failure.status || '',
+    Error: failure.error || '',
+    Recovered: failure.recovered ? 'Y' : 'N'
+  }));
+
+  if (failureData.length > 0) {
+    const failuresFile = writeOutputFile(date, runId, 'failures', createCleanCSV(failureData));
+    console.log(`🚨 Request failures: ${failuresFile} (${failureData.filter(f => f.Recovered === 'N').length} unrecovered)`);
   }
 }
 
+/**
+ * Write the versioned JSON slate (see docs/slate-json-format.md)
+ */
+function saveJsonOutput(date, runId, failures) {
+  const slate = buildSlateDocument({
+    date,
+    runId,
+    games: slateGames,
+    requestFailures: failures
+  });
+
+  const slateFile = writeOutputFile(date, runId, 'slate', JSON.stringify(slate, null, 2));
+  console.log(`🧾 JSON slate: ${slateFile} (schema v${slate.schemaVersion})`);
+}
+
 /**
  * NEW: Create clean CSV with proper formatting for Google Sheets
  */
@@ -1380,12 +2255,13 @@ function createCleanCSV(data) {
  * NEW: Fetch team's lineup combinations and rotation data
  * Uses the new lineups Cloudflare Worker to get 5-man unit stats
  */
-async function fetchTeamLineups(teamId, season = '2024-25', lastNGames = 10) {
+async function fetchTeamLineups(teamId, season = NBA_SEASON_CONFIG.SEASON, lastNGames = NBA_SEASON_CONFIG.LINEUPS_LAST_N_GAMES) {
   try {
     console.log(`   🔄 Fetching lineup data for team ${teamId}...`);
     
-    const response = await fetch(`${WORKERS.lineups}/lineups?team=${teamId}&season=${season}&lastN=${lastNGames}`);
-    const data = await response.json();
+    const data = await withSnapshot(['lineups', teamId, season, lastNGames], async () => {
+      return cachedFetchJson('lineups', `${WORKERS.lineups}/lineups?team=${teamId}&season=${season}&lastN=${lastNGames}`);
+    });
     
     if (data.success && data.lineups) {
       console.log(`   ✅ Retrieved ${data.lineups.length} lineup combinations`);
@@ -1400,6 +2276,8 @@ async function fetchTeamLineups(teamId, season = '2024-25', lastNGames = 10) {
       
       return {
         success: true,
+        cacheStale: data.cacheStale || false,
+        cacheStoredAt: data.cacheStoredAt,
         ...processedLineups
       };
       
@@ -1407,6 +2285,7 @@ async function fetchTeamLineups(teamId, season = '2024-25', lastNGames = 10) {
       console.log(`   ⚠️  No lineup data available: ${data.error || 'Unknown error'}`);
       return {
         success: false,
+        error: data.error,
         primaryLineups: [],
         allLineups: [],
         rotationIntelligence: {},
@@ -1473,18 +2352,21 @@ function analyzeRotationPatterns(lineups) {
 /**
  * NEW: Fetch team's style profile (pace, shot selection, defensive tendencies)
  */
-async function fetchTeamStyleProfile(teamId, season = '2024-25', lastNGames = 10) {
+async function fetchTeamStyleProfile(teamId, season = NBA_SEASON_CONFIG.SEASON, lastNGames = NBA_SEASON_CONFIG.STYLE_LAST_N_GAMES) {
   try {
     console.log(`   🎯 Fetching team style profile for team ${teamId}...`);
     
-    const response = await fetch(`${WORKERS.teamstyle}/profile?team=${teamId}&season=${season}&lastN=${lastNGames}`);
-    const data = await response.json();
+    const data = await withSnapshot(['teamstyle', teamId, season, lastNGames], async () => {
+      return cachedFetchJson('teamstyle', `${WORKERS.teamstyle}/profile?team=${teamId}&season=${season}&lastN=${lastNGames}`);
+    });
     
     if (data.success && data.profile) {
       console.log(`   ✅ Retrieved team style profile (pace: ${data.profile.offensiveStyle?.pace || 'N/A'})`);
       
       return {
         success: true,
+        cacheStale: data.cacheStale || false,
+        cacheStoredAt: data.cacheStoredAt,
         profile: data.profile,
         dataSource: data.metadata.dataSource || 'NBA_ADVANCED_STATS'
       };
@@ -1493,6 +2375,7 @@ async function fetchTeamStyleProfile(teamId, season = '2024-25', lastNGames = 10
       console.log(`   ⚠️  No team style data available: ${data.error || 'Unknown error'}`);
       return {
         success: false,
+        error: data.error,
         profile: {},
         dataSource: 'ERROR'
       };
@@ -1907,4 +2790,7 @@ function findStyleMatchups(strengths, weaknesses) {
   return matchups;
 }
 
-main().catch(console.error);
\ No newline at end of file
+// Only run the CLI when executed directly (the test suite imports analyzeGame)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(console.error);
+}
\ No newline at end of file
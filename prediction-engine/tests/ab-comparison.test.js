@@ -0,0 +1,137 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyzeGame, fetchGameData, getCollectedRows } from '../prediction-engine.js';
+import { MODEL_PARAMETERS, MODEL_PARAMETER_GROUPS, INJURY_BOOST_MULTIPLIERS, useModelParameters } from '../config/constants.js';
+import { PROFILE_SCHEMA, listProfiles, loadParameterSetting, parameterFingerprint } from '../config/parameters.js';
+import { configureSnapshots } from '../modules/replay.js';
+import { configureCache } from '../modules/cache.js';
+import { parseAbProfiles, buildAbComparison } from '../modules/ab-comparison.js';
+import { buildHeadToHeadReport, headToHeadRows } from '../../results-validation/head-to-head.js';
+import { FIXTURES_DIR, loadSnapshot, quietly, SNAPSHOT_DIR, SLATE_DATE } from './helpers/fixtures.js';
+
+const RESULTS = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'results', `${SLATE_DATE}.json`), 'utf8'));
+
+test('parseAbProfiles takes exactly two different profiles', () => {
+  assert.deepEqual(parseAbProfiles('baseline, aggressive-injury'), ['baseline', 'aggressive-injury']);
+  assert.throws(() => parseAbProfiles('baseline'), /exactly two/);
+  assert.throws(() => parseAbProfiles('a,b,c'), /exactly two/);
+  assert.throws(() => parseAbProfiles('baseline,baseline'), /twice/);
+});
+
+test('profiles load by name and are checked against the constant groups', () => {
+  assert.ok(listProfiles().includes('baseline'));
+  assert.ok(listProfiles().includes('aggressive-injury'));
+
+  const aggressive = loadParameterSetting('aggressive-injury', MODEL_PARAMETER_GROUPS);
+  assert.equal(aggressive.source, 'aggressive-injury');
+  assert.ok(aggressive.values['INJURY_BOOST_MULTIPLIERS.STAR_OUT'] > INJURY_BOOST_MULTIPLIERS.STAR_OUT);
+  assert.throws(() => loadParameterSetting('nope', MODEL_PARAMETER_GROUPS), /Unknown parameter profile "nope" \(available: .*baseline/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-profiles-'));
+  try {
+    const write = (name, profile) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(profile));
+    write('renamed', { schema: PROFILE_SCHEMA, name: 'other', values: {} });
+    write('bogus', { schema: PROFILE_SCHEMA, name: 'bogus', values: { 'INJURY_BOOST_MULTIPLIERS.BOGUS': 1 } });
+
+    assert.throws(() => loadParameterSetting('renamed', MODEL_PARAMETER_GROUPS, { profilesDir: dir }), /has to match the file name/);
+    assert.throws(() => loadParameterSetting('bogus', MODEL_PARAMETER_GROUPS, { profilesDir: dir }), /unknown parameter/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the model version names the profile and fingerprints the values in effect', () => {
+  try {
+    const constants = { ...useModelParameters('constants') };
+    assert.equal(constants.modelVersion, `constants@${parameterFingerprint(MODEL_PARAMETER_GROUPS)}`);
+
+    // An empty profile runs the same model as the constants under a different name
+    const baseline = { ...useModelParameters('baseline') };
+    assert.equal(baseline.fingerprint, constants.fingerprint);
+    assert.equal(baseline.modelVersion, `baseline@${constants.fingerprint}`);
+
+    const aggressive = { ...useModelParameters('aggressive-injury') };
+    assert.notEqual(aggressive.fingerprint, constants.fingerprint);
+    assert.equal(INJURY_BOOST_MULTIPLIERS.SUPERSTAR_OUT, 0.28);
+
+    // Switching back resets everything the previous profile set
+    useModelParameters('baseline');
+    assert.equal(MODEL_PARAMETERS.fingerprint, constants.fingerprint);
+  } finally {
+    useModelParameters('constants');
+  }
+});
+
+test('an A/B run analyzes the same fetched data under both profiles and scores them head to head', async () => {
+  configureSnapshots({ mode: 'replay', date: SLATE_DATE, dir: SNAPSHOT_DIR });
+  configureCache({ enabled: false });
+
+  const [game] = loadSnapshot(`games_${SLATE_DATE}`).games;
+  const data = await quietly(() => fetchGameData(game));
+
+  const runs = [];
+  try {
+    for (const [runId, profile] of [['run-a', 'baseline'], ['run-b', 'aggressive-injury']]) {
+      useModelParameters(profile);
+      await quietly(() => analyzeGame(game, data));
+      const rows = getCollectedRows();
+      runs.push({
+        runId,
+        modelVersion: MODEL_PARAMETERS.modelVersion,
+        rows: { games: rows.games.map(row => ({ ...row })), players: rows.players.map(row => ({ ...row })) }
+      });
+    }
+  } finally {
+    useModelParameters('constants');
+  }
+
+  // Every row is stamped with the model that produced it
+  runs.forEach(run => {
+    assert.ok(run.rows.games.every(row => row.ModelVersion === run.modelVersion));
+    assert.ok(run.rows.players.every(row => row.ModelVersion === run.modelVersion));
+  });
+  assert.ok(runs[0].modelVersion.startsWith('baseline@'));
+  assert.ok(runs[1].modelVersion.startsWith('aggressive-injury@'));
+
+  const comparison = buildAbComparison(runs[0], runs[1]);
+  assert.equal(comparison.games.length, 1);
+  const [row] = comparison.games;
+  assert.equal(row.Matchup, 'MIL @ TOR');
+  assert.equal(row.ModelA, runs[0].modelVersion);
+  assert.equal(row.RunB, 'run-b');
+  assert.equal(row.TotalDiff, Math.round((parseFloat(row.TotalB) - parseFloat(row.TotalA)) * 10) / 10);
+  assert.ok(comparison.players.length >= runs[0].rows.players.length);
+
+  const sides = runs.map(run => ({ runId: run.runId, modelVersion: run.modelVersion, predictions: run.rows }));
+  const report = buildHeadToHeadReport(sides, RESULTS.results, RESULTS.boxScores);
+  assert.equal(report.games.length, 1);
+  assert.deepEqual(report.models.map(model => model.label), ['A', 'B']);
+  assert.deepEqual(report.models.map(model => model.modelVersion), runs.map(run => run.modelVersion));
+  assert.ok(report.models.every(model => model.games === 1 && model.players >= 15));
+
+  const [scored] = report.games;
+  assert.deepEqual(scored.actual, { awayScore: 116, homeScore: 124 });
+  const expectedCloser = scored.errors[0].marginError === scored.errors[1].marginError ? 'tie'
+    : scored.errors[0].marginError < scored.errors[1].marginError ? 'A' : 'B';
+  assert.equal(scored.closerMargin, expectedCloser);
+  assert.equal(report.wins.margin[expectedCloser], 1);
+  assert.ok(['A', 'B', 'tie'].includes(report.leader));
+
+  const [csvRow] = headToHeadRows(report);
+  assert.equal(csvRow.Matchup, 'MIL @ TOR');
+  assert.equal(csvRow.MarginErrorB, scored.errors[1].marginError);
+});
+
+test('a game neither run predicted is left out of the head-to-head report', () => {
+  const sides = [
+    { runId: 'a', modelVersion: 'baseline@0', predictions: { games: [], players: [] } },
+    { runId: 'b', modelVersion: 'other@0', predictions: { games: [], players: [] } }
+  ];
+  const report = buildHeadToHeadReport(sides, RESULTS.results, RESULTS.boxScores);
+  assert.equal(report.games.length, 0);
+  assert.equal(report.leader, null);
+});
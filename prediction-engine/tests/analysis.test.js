@@ -0,0 +1,36 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { calculateSophisticatedPace } from '../modules/analysis.js';
+import { assertGolden } from './helpers/golden.js';
+import { loadSnapshot, MIL, TOR } from './helpers/fixtures.js';
+
+function teamData(team, { style = true, lineupPace = null } = {}) {
+  return {
+    stats: loadSnapshot(`teams_${team.id}_2025-26_5`).data,
+    teamStyle: style ? loadSnapshot(`teamstyle_${team.id}_2025-26_10`) : { success: false },
+    lineups: lineupPace
+      ? { success: true, rotationIntelligence: { startingLineup: { pace: lineupPace } } }
+      : { success: false }
+  };
+}
+
+test('calculateSophisticatedPace matches golden output for each data layer', () => {
+  assertGolden('sophisticated-pace', {
+    statsOnly: calculateSophisticatedPace(teamData(MIL, { style: false }), teamData(TOR, { style: false })),
+    withStyle: calculateSophisticatedPace(teamData(MIL), teamData(TOR)),
+    withLineupClash: calculateSophisticatedPace(teamData(MIL, { lineupPace: 96.5 }), teamData(TOR, { lineupPace: 104.2 })),
+    backToBackRested: calculateSophisticatedPace(teamData(MIL), teamData(TOR), { backToBack: true, restAdvantage: 1 })
+  });
+});
+
+test('no team data falls back to league-average pace with low confidence', () => {
+  const pace = calculateSophisticatedPace({}, {});
+  assert.equal(pace.base, 100);
+  assert.equal(pace.confidence, 'Low');
+});
+
+test('pace stays within the 85-115 bounds', () => {
+  const fast = { stats: { advanced: { pace: 140 } } };
+  assert.equal(calculateSophisticatedPace(fast, fast).base, 115);
+});
@@ -0,0 +1,52 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { analyzeGame, getCollectedRows } from '../prediction-engine.js';
+import { configureSnapshots } from '../modules/replay.js';
+import { configureCache } from '../modules/cache.js';
+import { buildSlateDocument, slateToPredictionTables } from '../modules/slate.js';
+import { assertGolden } from './helpers/golden.js';
+import { loadSnapshot, quietly, SNAPSHOT_DIR, SLATE_DATE } from './helpers/fixtures.js';
+
+// Strip per-run timestamps so the CSV rows can be compared against golden output
+function withoutTimestamps(rows) {
+  return rows.map(({ LastUpdated, ...row }) => row);
+}
+
+test('analyzeGame replays recorded worker responses into stable CSV rows', async () => {
+  configureSnapshots({ mode: 'replay', date: SLATE_DATE, dir: SNAPSHOT_DIR });
+  configureCache({ enabled: false });
+
+  const [game] = loadSnapshot(`games_${SLATE_DATE}`).games;
+  await quietly(() => analyzeGame(game));
+
+  const rows = getCollectedRows();
+  assert.equal(rows.games.length, 1);
+  assert.equal(rows.games[0].Matchup, 'MIL @ TOR');
+  assert.equal(rows.games[0].Degraded, 'N', `unexpected data issues: ${rows.games[0].DataIssues}`);
+  assert.ok(rows.players.length > 0);
+
+  assertGolden('analyze-game-mil-tor', {
+    games: withoutTimestamps(rows.games),
+    players: withoutTimestamps(rows.players),
+    strategy: withoutTimestamps(rows.strategy),
+    slate: rows.slate
+  });
+});
+
+test('the JSON slate reads back into the same rows the CSV sheets hold', () => {
+  const rows = getCollectedRows();
+  const tables = slateToPredictionTables(buildSlateDocument({ date: SLATE_DATE, games: rows.slate }));
+
+  for (const column of ['Matchup', 'AwayScore', 'HomeScore', 'Total', 'Margin', 'Favorite', 'Confidence']) {
+    assert.equal(String(tables.games[0][column]), String(rows.games[0][column]), column);
+  }
+
+  assert.equal(tables.players.length, rows.players.length);
+  tables.players.forEach((player, idx) => {
+    assert.equal(player.Player, rows.players[idx].Player);
+    assert.equal(player.EnhPoints.toFixed(1), rows.players[idx].EnhPoints);
+    assert.equal(player.HasInjuryAdj, rows.players[idx].HasInjuryAdj);
+  });
+  assert.equal(tables.players.find(player => player.Player === 'Immanuel Quickley')['Injury Status'], 'Questionable');
+});
@@ -0,0 +1,136 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MODEL_PARAMETER_GROUPS, HOME_ADVANTAGE, SIMULATION } from '../config/constants.js';
+import {
+  TUNABLE_PARAMETERS, getParameterValues, applyParameterValues, listParameterFiles,
+  resolveParameterFile, readParameterFile, writeParameterFile
+} from '../config/parameters.js';
+import { configureCache } from '../modules/cache.js';
+import { loadCalibrationGames, evaluateParameters, fitParameters } from '../../results-validation/calibration.js';
+import { scoreGame, summarizeErrors } from '../../results-validation/prediction-errors.js';
+import { FIXTURES_DIR, SNAPSHOT_DIR, SLATE_DATE } from './helpers/fixtures.js';
+
+const RESULTS = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'results', `${SLATE_DATE}.json`), 'utf8'));
+
+// Results worker stand-in serving the recorded final score and box score
+const resultsClient = {
+  fetchActualResults: async date => (date === SLATE_DATE ? RESULTS.results : { success: false, error: 'no games' }),
+  fetchBoxScores: async gameIds => RESULTS.boxScores.filter(boxScore => gameIds.includes(boxScore.gameId))
+};
+
+test('parameter files are versioned and "latest" resolves to the newest', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-parameters-'));
+  try {
+    assert.equal(resolveParameterFile('constants', dir), null);
+    assert.throws(() => resolveParameterFile('latest', dir), /no parameter files/);
+
+    const values = getParameterValues(MODEL_PARAMETER_GROUPS);
+    const first = writeParameterFile({ values }, dir, new Date('2025-11-05T12:00:00Z'));
+    const second = writeParameterFile({ values: { ...values, 'HOME_ADVANTAGE.DEFAULT': 3 }, basedOn: 'v1' }, dir);
+
+    assert.equal(first.version, 1);
+    assert.equal(path.basename(second.filePath), 'parameters-v002.json');
+    assert.deepEqual(listParameterFiles(dir).map(file => file.version), [1, 2]);
+    assert.equal(resolveParameterFile('latest', dir), second.filePath);
+
+    const file = readParameterFile(second.filePath);
+    assert.equal(file.version, 2);
+    assert.equal(file.basedOn, 'v1');
+    assert.equal(file.values['HOME_ADVANTAGE.DEFAULT'], 3);
+    assert.equal(readParameterFile(first.filePath).createdAt, '2025-11-05T12:00:00.000Z');
+
+    // Values outside a parameter's range (or unknown parameters) never get written or loaded
+    assert.throws(() => writeParameterFile({ values: { 'HOME_ADVANTAGE.DEFAULT': 12 } }, dir), /outside/);
+    fs.writeFileSync(path.join(dir, 'parameters-v003.json'), JSON.stringify({ ...file, values: { 'HOME_ADVANTAGE.BOGUS': 1 } }));
+    assert.throws(() => readParameterFile(path.join(dir, 'parameters-v003.json')), /unknown parameter/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('applying parameter values writes into the constant groups', () => {
+  const groups = { HOME_ADVANTAGE: { ...HOME_ADVANTAGE } };
+  applyParameterValues(groups, { 'HOME_ADVANTAGE.DEFAULT': 4 });
+  assert.equal(groups.HOME_ADVANTAGE.DEFAULT, 4);
+  assert.equal(groups.HOME_ADVANTAGE.MAX, HOME_ADVANTAGE.MAX);
+  assert.throws(() => applyParameterValues(groups, { 'HOME_ADVANTAGE.DEFAULT': 'high' }), /not a number/);
+});
+
+test('fitParameters walks each parameter toward lower loss within its range', async () => {
+  const parameters = [
+    { key: 'A.X', min: 0, max: 10, step: 1 },
+    { key: 'A.Y', min: 0, max: 1, step: 0.1 }
+  ];
+  // Loss falls as X approaches 4 and Y keeps rising toward (and past) its maximum
+  const evaluate = async values => ({ loss: 5 * Math.abs(values['A.X'] - 4) + 10 * (2 - values['A.Y']) });
+
+  const fit = await fitParameters(evaluate, { parameters, start: { 'A.X': 8, 'A.Y': 0.5 } });
+  assert.equal(fit.values['A.X'], 4);
+  assert.equal(fit.values['A.Y'], 1);
+  assert.ok(fit.converged);
+  assert.equal(fit.before.loss, 35);
+  assert.equal(fit.after.loss, 10);
+
+  const capped = await fitParameters(evaluate, { parameters, start: { 'A.X': 8, 'A.Y': 0.5 }, maxEvaluations: 3 });
+  assert.equal(capped.evaluations, 3);
+  assert.equal(capped.converged, false);
+});
+
+test('scoreGame compares margins, totals and box score lines', () => {
+  const prediction = {
+    awayScore: 110,
+    homeScore: 115,
+    players: [{ playerId: 203507, playerName: 'Giannis Antetokounmpo', points: 30, rebounds: 11, assists: 6 }]
+  };
+  const [boxScore] = RESULTS.boxScores;
+  const scored = scoreGame(prediction, RESULTS.results.finishedGames[0], boxScore);
+
+  // Predicted TOR by 5, won by 8; predicted 225, finished at 240
+  assert.equal(scored.marginError, 3);
+  assert.equal(scored.totalError, 15);
+  assert.ok(scored.winnerCorrect);
+  assert.deepEqual(scored.players, [{ points: 4, rebounds: 1, assists: 0 }]);
+
+  const summary = summarizeErrors([scored]);
+  assert.equal(summary.loss, 3 + 0.5 * 15 + 4 + 1 + 0);
+});
+
+test('calibration replays recorded slates and restores the constants afterwards', async () => {
+  configureCache({ enabled: false });
+
+  const { games, skipped } = await loadCalibrationGames([SLATE_DATE, '2025-11-03'], { resultsClient, snapshotDir: SNAPSHOT_DIR });
+  assert.equal(games.length, 1);
+  assert.equal(games[0].matchup, 'MIL @ TOR');
+  assert.equal(games[0].published, null);
+  assert.deepEqual(skipped.map(entry => entry.date), ['2025-11-03']);
+
+  const defaults = getParameterValues(MODEL_PARAMETER_GROUPS);
+  const iterations = SIMULATION.ITERATIONS;
+
+  const baseline = await evaluateParameters(defaults, games, { snapshotDir: SNAPSHOT_DIR });
+  assert.equal(baseline.games, 1);
+  assert.deepEqual(baseline.failures, []);
+  assert.ok(baseline.players >= 15, `${baseline.players} players matched`);
+
+  // The fixture teams have no home/away records yet, so the default home edge applies:
+  // Toronto is already favored by more than its 8-point win, and a bigger edge widens the miss
+  const homier = await evaluateParameters({ ...defaults, 'HOME_ADVANTAGE.DEFAULT': 5 }, games, { snapshotDir: SNAPSHOT_DIR });
+  assert.ok(homier.marginMAE > baseline.marginMAE, `${homier.marginMAE} vs ${baseline.marginMAE}`);
+  assert.equal(homier.players, baseline.players);
+
+  assert.deepEqual(getParameterValues(MODEL_PARAMETER_GROUPS), defaults);
+  assert.equal(SIMULATION.ITERATIONS, iterations);
+
+  const fit = await fitParameters(values => evaluateParameters(values, games, { snapshotDir: SNAPSHOT_DIR }), {
+    start: defaults,
+    maxEvaluations: 12
+  });
+  assert.equal(fit.before.loss, baseline.loss);
+  assert.ok(fit.after.loss <= fit.before.loss);
+  assert.ok(Object.keys(fit.values).every(key => TUNABLE_PARAMETERS.some(parameter => parameter.key === key)));
+  assert.deepEqual(getParameterValues(MODEL_PARAMETER_GROUPS), defaults);
+});
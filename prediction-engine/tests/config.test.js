@@ -0,0 +1,136 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveConfig, DEFAULT_WORKERS, CONFIG_FILE_NAME } from '../config/config.js';
+
+/**
+ * Resolve against a scratch directory, optionally holding ./nba.config.json
+ */
+function resolveIn(fileContents, { argv = [], env = {} } = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-config-'));
+  try {
+    if (fileContents !== undefined) {
+      const text = typeof fileContents === 'string' ? fileContents : JSON.stringify(fileContents);
+      fs.writeFileSync(path.join(cwd, CONFIG_FILE_NAME), text);
+    }
+    return resolveConfig({ argv, env, cwd });
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+test('with no file, env or flags every value is a default', () => {
+  const { values, sources, configFile } = resolveIn(undefined);
+
+  assert.equal(configFile, null);
+  assert.deepEqual(values.workers, DEFAULT_WORKERS);
+  assert.equal(values.lastN, 5);
+  assert.equal(values.simulations, 10000);
+  assert.equal(sources.lastN, 'default');
+  assert.equal(sources.workers.games, 'default');
+});
+
+test('layers apply in order: defaults, then the file, then env, then CLI flags', () => {
+  const { values, sources } = resolveIn(
+    { season: '2023-24', lastN: 10, lineupsLastN: 15, styleLastN: 20 },
+    {
+      env: { NBA_LAST_N: '8', NBA_LINEUPS_LAST_N: '12' },
+      argv: ['--lineups-last-n=3']
+    }
+  );
+
+  assert.equal(values.season, '2023-24');
+  assert.equal(sources.season, `file ${CONFIG_FILE_NAME}`);
+  assert.equal(values.styleLastN, 20);
+  assert.equal(values.lastN, 8);
+  assert.equal(sources.lastN, 'env NBA_LAST_N');
+  assert.equal(values.lineupsLastN, 3);
+  assert.equal(sources.lineupsLastN, 'cli --lineups-last-n');
+  assert.equal(values.outputDir, 'output');
+  assert.equal(sources.outputDir, 'default');
+});
+
+test('a specific worker URL beats the base URL from the same layer, and later layers beat both', () => {
+  const { values, sources } = resolveIn(
+    { workersBaseUrl: 'http://file-base.test/', workers: { teams: 'http://file-teams.test' } },
+    {
+      env: { NBA_WORKERS_BASE_URL: 'http://env-base.test', NBA_WORKER_INJURIES_OFFICIAL_URL: 'http://env-official.test' },
+      argv: ['--worker-games=http://cli-games.test']
+    }
+  );
+
+  // env's base URL overrides everything the file set, including the file's specific teams URL
+  assert.equal(values.workers.teams, 'http://env-base.test/teams');
+  assert.equal(sources.workers.teams, 'env NBA_WORKERS_BASE_URL');
+
+  // ...but within env, the specific URL wins over env's base URL
+  assert.equal(values.workers.injuriesOfficial, 'http://env-official.test');
+  assert.equal(sources.workers.injuriesOfficial, 'env NBA_WORKER_INJURIES_OFFICIAL_URL');
+
+  assert.equal(values.workers.games, 'http://cli-games.test');
+  assert.equal(sources.workers.games, 'cli --worker-games');
+});
+
+test('a file base URL mounts each worker under its name and is labelled as such', () => {
+  const { values, sources } = resolveIn({ workersBaseUrl: 'http://localhost:8787/', workers: { results: 'http://results.test' } });
+
+  assert.equal(values.workers.lineups, 'http://localhost:8787/lineups');
+  assert.equal(sources.workers.lineups, `file ${CONFIG_FILE_NAME} (workersBaseUrl)`);
+  assert.equal(values.workers.results, 'http://results.test');
+  assert.equal(sources.workers.results, `file ${CONFIG_FILE_NAME}`);
+});
+
+test('--config and NBA_CONFIG pick the file, and the flag wins over the env var', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-config-'));
+  try {
+    fs.writeFileSync(path.join(cwd, 'flag.json'), JSON.stringify({ lastN: 7 }));
+    fs.writeFileSync(path.join(cwd, 'env.json'), JSON.stringify({ lastN: 9 }));
+
+    const fromEnv = resolveConfig({ argv: [], env: { NBA_CONFIG: 'env.json' }, cwd });
+    assert.equal(fromEnv.values.lastN, 9);
+    assert.equal(fromEnv.configFile, path.join(cwd, 'env.json'));
+
+    const fromFlag = resolveConfig({ argv: ['--config=flag.json'], env: { NBA_CONFIG: 'env.json' }, cwd });
+    assert.equal(fromFlag.values.lastN, 7);
+    assert.equal(fromFlag.sources.lastN, 'file flag.json');
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test('--config pointing at a missing file is an error, a missing ./nba.config.json is not', () => {
+  assert.throws(
+    () => resolveIn(undefined, { argv: ['--config=missing.json'] }),
+    /Config file not found: .*missing\.json/
+  );
+  assert.doesNotThrow(() => resolveIn(undefined));
+});
+
+test('a config file that is not valid JSON is an error naming the file', () => {
+  assert.throws(
+    () => resolveIn('{ "lastN": 5, }'),
+    /Config file .*nba\.config\.json is not valid JSON/
+  );
+});
+
+test('invalid values name the setting and the layer they came from', () => {
+  assert.throws(
+    () => resolveIn(undefined, { env: { NBA_WORKER_TEAMS_URL: 'not a url' } }),
+    /Config error for workers\.teams \(env NBA_WORKER_TEAMS_URL\): invalid URL "not a url"/
+  );
+  assert.throws(
+    () => resolveIn({ workersBaseUrl: 'nba-workers.example.com' }),
+    /Config error for workers\.games \(file nba\.config\.json \(workersBaseUrl\)\): invalid URL/
+  );
+  assert.throws(
+    () => resolveIn(undefined, { argv: ['--season=2025'] }),
+    /Config error for season \(cli --season\): season must look like 2025-26/
+  );
+  assert.throws(
+    () => resolveIn({ lastN: -1 }),
+    /Config error for lastN \(file nba\.config\.json\): lookback windows must be whole numbers/
+  );
+});
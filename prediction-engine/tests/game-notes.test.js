@@ -0,0 +1,194 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { parseGameNotesText } from '../../shared/game-notes.js';
+import { extractPdfText } from '../../shared/pdf-text.js';
+import { createPlayerRegistry } from '../../shared/player-identity.js';
+import { fetchGameNotes, describeNotesMismatch, resolveGameNotes, compareInjuryNotes, isProjectedStarter } from '../modules/game-notes.js';
+import { configureSnapshots } from '../modules/replay.js';
+import { configureCache } from '../modules/cache.js';
+import { loadSnapshot, loadText, MIL, SNAPSHOT_DIR, SLATE_DATE } from './helpers/fixtures.js';
+
+const bucksNotes = parseGameNotesText(loadText('gamenotes/bucks-2025-11-04.txt'));
+
+/**
+ * Smallest PDF the extractor has to cope with: an inherited font resource, a compressed content
+ * stream, TJ kerning and a second font whose codes only mean something through its ToUnicode CMap
+ */
+function buildPdf() {
+  const content = zlib.deflateSync(Buffer.from([
+    'BT /F1 12 Tf 72 720 Td (PROBABLE STARTERS) Tj',
+    '0 -14 Td [(F 34 Gian) -20 (nis) -400 (Antetokounmpo)] TJ',
+    '0 -14 Td /F2 12 Tf <0102> Tj ET'
+  ].join('\n')));
+  const cmap = zlib.deflateSync(Buffer.from('begincmap 2 beginbfchar <01> <0048> <02> <0069> endbfchar endcmap'));
+
+  const parts = [
+    Buffer.from('%PDF-1.4\n'),
+    Buffer.from('1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n'),
+    Buffer.from('2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >> endobj\n'),
+    Buffer.from('3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj\n'),
+    Buffer.from(`4 0 obj << /Length ${content.length} /Filter /FlateDecode >> stream\n`), content, Buffer.from('\nendstream endobj\n'),
+    Buffer.from('5 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj\n'),
+    Buffer.from('6 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Custom /ToUnicode 7 0 R >> endobj\n'),
+    Buffer.from(`7 0 obj << /Length ${cmap.length} /Filter /FlateDecode >> stream\n`), cmap, Buffer.from('\nendstream endobj\n'),
+    Buffer.from('trailer << /Root 1 0 R >>\n%%EOF\n')
+  ];
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+test('parseGameNotesText pulls starters, injury notes, streaks and milestones out of a notes PDF', () => {
+  assert.deepEqual(bucksNotes.game, {
+    away: { name: 'Milwaukee Bucks', wins: 3, losses: 2 },
+    home: { name: 'Toronto Raptors', wins: 2, losses: 3 },
+    gameNumber: 6,
+    date: '2025-11-04'
+  });
+
+  assert.deepEqual(bucksNotes.projectedStarters.map(starter => starter.playerName),
+    ['Giannis Antetokounmpo', 'Kyle Kuzma', 'Myles Turner', 'Ryan Rollins', 'Gary Trent Jr.']);
+  assert.deepEqual(bucksNotes.projectedStarters[0], { position: 'F', jersey: '34', playerName: 'Giannis Antetokounmpo', stats: [31.8, 12.3, 6.1] });
+
+  const [{ text, ...porter }, prince] = bucksNotes.injuryNotes;
+  assert.deepEqual(porter, { playerName: 'Kevin Porter Jr.', status: 'out', detail: 'left ankle sprain', gamesMissed: 2 });
+  assert.match(text, /has missed the last 2 games$/);
+  assert.equal(prince.status, 'probable');
+
+  // Wrapped bullets are joined; a team streak has no player
+  assert.deepEqual(bucksNotes.streaks.map(streak => [streak.playerName, streak.length]),
+    [['Giannis Antetokounmpo', 5], ['Myles Turner', 12], [null, 3]]);
+  assert.match(bucksNotes.streaks[0].text, /longest active streak in the NBA this season\.$/);
+
+  assert.deepEqual(bucksNotes.milestones.map(({ playerName, needed, stat, target }) => ({ playerName, needed, stat, target })), [
+    { playerName: 'Giannis Antetokounmpo', needed: 112, stat: 'points', target: 22000 },
+    { playerName: 'Bobby Portis', needed: 4, stat: '3-pointers', target: 500 },
+    { playerName: 'Kyle Kuzma', needed: 9, stat: 'rebounds', target: 3000 }
+  ]);
+
+  assert.deepEqual(bucksNotes.diagnostics.sections, ['starters', 'injuries', 'streaks', 'milestones']);
+  assert.equal(bucksNotes.diagnostics.confidence, 'high');
+});
+
+test('parseGameNotesText reports low confidence when no sections are recognized', () => {
+  const empty = parseGameNotesText('');
+  assert.equal(empty.diagnostics.confidence, 'low');
+  assert.deepEqual(empty.projectedStarters, []);
+
+  const partial = parseGameNotesText('PROJECTED STARTERS\nG 0 Some Guy 10.0\nTBD after shootaround');
+  assert.equal(partial.diagnostics.confidence, 'medium');
+  assert.deepEqual(partial.diagnostics.unparsedLines, [{ line: 3, text: 'TBD after shootaround', section: 'starters' }]);
+});
+
+test('extractPdfText reads compressed content streams through inherited fonts and ToUnicode maps', async () => {
+  const { text, diagnostics } = await extractPdfText(buildPdf());
+
+  assert.equal(text, 'PROBABLE STARTERS\nF 34 Giannis Antetokounmpo\nHi');
+  assert.deepEqual(diagnostics, { pages: 1, streams: 1, unreadableStreams: 0 });
+});
+
+test('game notes resolve to PLAYER_IDs and flag injury notes the official report disagrees with', () => {
+  const registry = createPlayerRegistry(loadSnapshot(`players_${MIL.id}_2025-26_5`).players);
+  const notes = resolveGameNotes(bucksNotes, 'MIL', registry);
+
+  assert.ok(notes.projectedStarters.every(starter => starter.playerId));
+  assert.equal(notes.streaks[2].playerId, null);
+  assert.deepEqual(registry.getUnresolved(), []);
+
+  const injuries = [
+    { playerName: 'Kevin PorterJr.', playerId: 1629645, status: 'out' },
+    { playerName: 'Taurean Prince', playerId: 1627752, status: 'questionable' }
+  ];
+  assert.deepEqual(compareInjuryNotes(notes, injuries),
+    [{ playerName: 'Taurean Prince', notesStatus: 'probable', reportStatus: 'questionable' }]);
+  assert.deepEqual(compareInjuryNotes(notes, injuries.slice(1)).map(conflict => conflict.playerName),
+    ['Kevin Porter Jr.', 'Taurean Prince']);
+
+  assert.equal(isProjectedStarter(notes, { playerId: 1629018, playerName: 'Gary Trent Jr.' }), true);
+  assert.equal(isProjectedStarter(notes, { playerId: 1627752, playerName: 'Taurean Prince' }), false);
+  assert.equal(isProjectedStarter(null, { playerName: 'Taurean Prince' }), null);
+});
+
+test('notes written for a different game are treated as unavailable', async () => {
+  const [game] = loadSnapshot(`games_${SLATE_DATE}`).games;
+  configureCache({ enabled: false });
+
+  configureSnapshots({ mode: 'replay', date: SLATE_DATE, dir: SNAPSHOT_DIR });
+  const current = await fetchGameNotes('MIL', game);
+  assert.equal(current.success, true);
+  assert.equal(current.notes.game.date, '2025-11-04');
+
+  // The Bucks' notes PDF still holds the previous night's game in Indiana
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-gamenotes-'));
+  try {
+    const recorded = loadSnapshot('gamenotes_MIL');
+    const stale = {
+      ...recorded,
+      game: {
+        away: { name: 'Milwaukee Bucks', wins: 2, losses: 2 },
+        home: { name: 'Indiana Pacers', wins: 1, losses: 4 },
+        gameNumber: 5,
+        date: '2025-11-03'
+      }
+    };
+    fs.mkdirSync(path.join(dir, SLATE_DATE));
+    fs.writeFileSync(path.join(dir, SLATE_DATE, 'gamenotes_MIL.json'), JSON.stringify({ key: 'gamenotes_MIL', date: SLATE_DATE, data: stale }));
+
+    configureSnapshots({ mode: 'replay', date: SLATE_DATE, dir });
+    const notes = await fetchGameNotes('MIL', game);
+    assert.equal(notes.success, false);
+    assert.equal(notes.notes, null);
+    assert.equal(notes.error, 'Notes are for Milwaukee Bucks at Indiana Pacers on 2025-11-03, not this game');
+  } finally {
+    configureSnapshots();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Same matchup on another night (a two-game set) is still a different game
+  assert.match(describeNotesMismatch({ ...current.notes.game, date: '2025-11-06' }, game), /on 2025-11-06, not this game/);
+  assert.match(describeNotesMismatch({ ...current.notes.game, away: { name: 'Detroit Pistons' } }, game), /Detroit Pistons at Toronto Raptors on 2025-11-04/);
+});
+
+test('notes that don\'t state a date or matchup the parser can read are kept for the game', async () => {
+  const [game] = loadSnapshot(`games_${SLATE_DATE}`).games;
+  const bucksText = loadText('gamenotes/bucks-2025-11-04.txt');
+
+  // No game line at all: the matchup agrees and nothing says it's another night
+  const undated = parseGameNotesText(bucksText.replace(/^Game 6 .*\n/m, ''));
+  assert.equal(undated.game.date, null);
+  assert.equal(describeNotesMismatch(undated.game, game), null);
+
+  // Nor is a header the parser couldn't read at all
+  assert.equal(describeNotesMismatch(null, game), null);
+  assert.equal(describeNotesMismatch({ away: { name: null }, home: { name: null }, date: null }, game), null);
+
+  configureCache({ enabled: false });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-gamenotes-'));
+  try {
+    fs.mkdirSync(path.join(dir, SLATE_DATE));
+    const data = { ...loadSnapshot('gamenotes_MIL'), game: undated.game };
+    fs.writeFileSync(path.join(dir, SLATE_DATE, 'gamenotes_MIL.json'), JSON.stringify({ key: 'gamenotes_MIL', date: SLATE_DATE, data }));
+
+    configureSnapshots({ mode: 'replay', date: SLATE_DATE, dir });
+    const notes = await fetchGameNotes('MIL', game);
+    assert.equal(notes.success, true);
+    assert.equal(notes.dataSource, 'TEAM_GAME_NOTES');
+  } finally {
+    configureSnapshots();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('game dates are read in the formats team notes print them', () => {
+  const dateOf = gameLine => parseGameNotesText(`Milwaukee Bucks (3-2) at Toronto Raptors (2-3)\n${gameLine}`).game.date;
+
+  assert.equal(dateOf('Game 6 • Tuesday, November 4, 2025 • 6:30 p.m. CT'), '2025-11-04');
+  assert.equal(dateOf('Game 6 • Tue., Nov. 4, 2025 • 6:30 p.m. CT'), '2025-11-04');
+  assert.equal(dateOf('Game 6 | Sept. 30 2025 | Preseason'), '2025-09-30');
+  assert.equal(dateOf('Game 6 • 11/4/25 • Scotiabank Arena'), '2025-11-04');
+  assert.equal(dateOf('Game 6 • 11/04/2025'), '2025-11-04');
+  assert.equal(dateOf('Game 6 • Scotiabank Arena'), null);
+});
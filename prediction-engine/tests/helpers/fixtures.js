@@ -0,0 +1,42 @@
+/**
+ * Fixture helpers
+ * Recorded worker responses live in fixtures/snapshots/<date>/ in the replay module's format
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+export const SNAPSHOT_DIR = path.join(FIXTURES_DIR, 'snapshots');
+export const SLATE_DATE = '2025-11-04';
+
+export const MIL = { id: 1610612749, abbreviation: 'MIL' };
+export const TOR = { id: 1610612761, abbreviation: 'TOR' };
+
+/**
+ * Load the recorded worker response for a snapshot key on the fixture slate
+ */
+export function loadSnapshot(key, date = SLATE_DATE) {
+  const snapshot = JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, date, `${key}.json`), 'utf8'));
+  return snapshot.data;
+}
+
+export function loadText(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Run a function with console.log silenced (the engine logs heavily)
+ */
+export async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
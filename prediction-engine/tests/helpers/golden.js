@@ -0,0 +1,28 @@
+/**
+ * Golden file assertions
+ * Compare model output against a checked-in JSON snapshot in tests/golden/.
+ * After an intentional model change, regenerate with: UPDATE_GOLDEN=1 npm test
+ */
+
+import fs from 'fs';
+import path from 'path';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'golden');
+
+export function assertGolden(name, actual) {
+  const filePath = path.join(GOLDEN_DIR, `${name}.json`);
+  // Round-trip through JSON so undefined/NaN are compared the way they are stored
+  const normalized = JSON.parse(JSON.stringify(actual));
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(normalized, null, 2) + '\n', 'utf8');
+    return;
+  }
+
+  assert.ok(fs.existsSync(filePath), `Missing golden file ${name}.json - run UPDATE_GOLDEN=1 npm test`);
+  const expected = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(normalized, expected, `Output differs from golden ${name}.json (UPDATE_GOLDEN=1 npm test if intentional)`);
+}
@@ -0,0 +1,60 @@
+/**
+ * Fake official injury report worker for tests
+ * Answers /list and /parsed from an object the test can change between fetches (to publish a report),
+ * with the response cache pointed at a temp directory
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../../modules/cache.js';
+import { quietly } from './fixtures.js';
+
+/**
+ * /parsed body for a report slot, every listing for MIL@TOR on the report's date
+ * @param {Array} injuries - [[team, playerName, status], ...]
+ */
+export function parsedReport(date, time, injuries) {
+  return {
+    success: true,
+    date,
+    time,
+    pdfUrl: `https://ak-static.cms.nba.com/referee/injury/Injury-Report_${date}_${time}.pdf`,
+    records: injuries.map(([teamAbbreviation, playerName, status]) => ({
+      gameDate: date, matchup: 'MIL@TOR', teamAbbreviation, playerName, status, reason: { category: 'injury', bodyPart: 'Ankle', raw: 'Injury/Illness-Ankle' }
+    })),
+    notSubmitted: [],
+    diagnostics: { unparsedLines: [], confidence: 'high', pdf: { characters: 1000 } }
+  };
+}
+
+/**
+ * Run a scenario against a fake injuries worker with the on-disk cache enabled
+ * @param {object} worker - { list: [...published times], parsed: { '05PM': body } } - change it between fetches to publish a report
+ * @param {Function} scenario - async ({ requests }) => ...
+ */
+export async function withFakeInjuriesWorker(worker, scenario) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-injuries-worker-'));
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async input => {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    const route = url.pathname.split('/').pop();
+    requests.push(`${route}${url.search}`);
+    const date = url.searchParams.get('date');
+    const time = url.searchParams.get('time');
+    const body = route === 'list'
+      ? { success: true, date, available: [...worker.list] }
+      : worker.parsed[time] || { success: false, status: 403, error: `No ${time} report for ${date}` };
+    return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+  };
+  configureCache({ dir });
+
+  try {
+    return await quietly(() => scenario({ requests }));
+  } finally {
+    globalThis.fetch = originalFetch;
+    configureCache({ enabled: false });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
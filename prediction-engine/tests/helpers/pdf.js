@@ -0,0 +1,31 @@
+/**
+ * PDF builder for worker tests
+ * Writes text lines into a one-page PDF with a compressed content stream, the way report PDFs
+ * come down from the NBA CDN, so the workers' PDF text extraction can be run on known content
+ */
+
+import zlib from 'zlib';
+
+const escapeLiteral = text => text.replace(/[\\()]/g, char => `\\${char}`);
+
+/**
+ * @param {Array<string>} lines - text lines, top to bottom
+ * @returns {Uint8Array} - the PDF file
+ */
+export function buildTextPdf(lines) {
+  const content = zlib.deflateSync(Buffer.from([
+    'BT /F1 9 Tf 36 760 Td',
+    ...lines.map((line, idx) => `${idx > 0 ? '0 -12 Td ' : ''}(${escapeLiteral(line)}) Tj`),
+    'ET'
+  ].join('\n')));
+
+  return new Uint8Array(Buffer.concat([
+    Buffer.from('%PDF-1.4\n'),
+    Buffer.from('1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n'),
+    Buffer.from('2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj\n'),
+    Buffer.from('3 0 obj << /Type /Page /Parent 2 0 R /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >> endobj\n'),
+    Buffer.from(`4 0 obj << /Length ${content.length} /Filter /FlateDecode >> stream\n`), content, Buffer.from('\nendstream endobj\n'),
+    Buffer.from('5 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj\n'),
+    Buffer.from('trailer << /Root 1 0 R >>\n%%EOF\n')
+  ]));
+}
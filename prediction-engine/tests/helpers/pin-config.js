@@ -0,0 +1,17 @@
+/**
+ * Pin the runtime configuration for the test suite
+ * Import this before any engine module: config.js resolves once at load time, so
+ * developer env vars or a local nba.config.json would otherwise change snapshot keys.
+ * Workers point at an unroutable address so a missing fixture can never hit production.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+Object.keys(process.env)
+  .filter(name => name.startsWith('NBA_'))
+  .forEach(name => delete process.env[name]);
+
+process.env.NBA_CONFIG = path.join(__dirname, '..', 'fixtures', 'nba.config.test.json');
@@ -0,0 +1,190 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { createHttpClient, backoffDelay, DEFAULT_HTTP_OPTIONS } from '../../shared/http-client.js';
+
+const URL_A = 'https://stats.nba.test/stats/scoreboardv2';
+
+/**
+ * A client on a fake clock: backoff waits advance the clock instead of sleeping
+ * `responses` is consumed one per attempt; a function entry is called, an Error entry is thrown
+ */
+function fakeClient(responses, options = {}) {
+  const clock = { now: 0 };
+  const delays = [];
+  const calls = [];
+
+  const client = createHttpClient({
+    name: 'test',
+    random: () => 0.5,
+    ...options,
+    now: () => clock.now,
+    sleepImpl: async ms => {
+      delays.push(ms);
+      clock.now += ms;
+    },
+    fetchImpl: async (input, init) => {
+      calls.push({ url: input, init });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return typeof next === 'function' ? next(init) : next;
+    }
+  });
+
+  return { client, clock, delays, calls };
+}
+
+/**
+ * A response whose body records whether it was cancelled
+ */
+function trackedResponse(status, headers = {}) {
+  const tracker = { cancelled: false };
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('upstream error page'));
+    },
+    cancel() {
+      tracker.cancelled = true;
+    }
+  });
+  return { response: new Response(body, { status, headers }), tracker };
+}
+
+test('backoff is full jitter between 0 and min(maxDelay, base * 2^attempt)', () => {
+  const options = { ...DEFAULT_HTTP_OPTIONS, baseDelayMs: 500, maxDelayMs: 8000 };
+
+  assert.equal(backoffDelay(0, { ...options, random: () => 0 }), 0);
+  assert.equal(backoffDelay(0, { ...options, random: () => 0.9999 }), 499);
+  assert.equal(backoffDelay(2, { ...options, random: () => 0.9999 }), 1999);
+  assert.equal(backoffDelay(2, { ...options, random: () => 0.5 }), 1000);
+  // 500 * 2^6 = 32000, capped at maxDelay
+  assert.equal(backoffDelay(6, { ...options, random: () => 0.9999 }), 7999);
+});
+
+test('Retry-After seconds replace the jitter, capped at maxDelay, and are ignored when not a number', () => {
+  const options = { ...DEFAULT_HTTP_OPTIONS, random: () => 0.5 };
+
+  assert.equal(backoffDelay(0, options, '2'), 2000);
+  assert.equal(backoffDelay(0, options, '120'), options.maxDelayMs);
+  assert.equal(backoffDelay(0, options, 'Wed, 05 Nov 2025 00:00:00 GMT'), 250);
+});
+
+test('429 and 5xx responses are retried with backoff and their bodies released', async () => {
+  const throttled = trackedResponse(429, { 'Retry-After': '1' });
+  const unavailable = trackedResponse(503);
+  const { client, delays, calls } = fakeClient([throttled.response, unavailable.response, new Response('ok')]);
+
+  const response = await client.fetch(URL_A);
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), 'ok');
+  assert.equal(calls.length, 3);
+  // Retry-After for the 429, then jitter (0.5 * 500 * 2^1) for the 503
+  assert.deepEqual(delays, [1000, 500]);
+  assert.equal(throttled.tracker.cancelled, true);
+  assert.equal(unavailable.tracker.cancelled, true);
+
+  const [failure] = client.getFailures();
+  assert.equal(failure.recovered, true);
+  assert.equal(failure.attempts, 3);
+  assert.equal(failure.status, 503);
+});
+
+test('other statuses are returned as they are, without a retry', async () => {
+  for (const status of [400, 403, 404, 501]) {
+    const { client, calls } = fakeClient([new Response('no', { status })]);
+    const response = await client.fetch(URL_A);
+    assert.equal(response.status, status);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(client.getFailures(), []);
+  }
+});
+
+test('once retries run out the last failed response is handed back with its body intact', async () => {
+  const { client, calls } = fakeClient([
+    new Response('busy', { status: 502 }),
+    new Response('busy', { status: 502 }),
+    new Response('still busy', { status: 502 })
+  ], { retries: 2 });
+
+  const response = await client.fetch(URL_A);
+
+  assert.equal(response.status, 502);
+  assert.equal(await response.text(), 'still busy');
+  assert.equal(calls.length, 3);
+  assert.deepEqual(client.getFailures().map(({ attempts, recovered }) => ({ attempts, recovered })), [{ attempts: 3, recovered: false }]);
+});
+
+test('the retry budget is shared by every request and refills after its window', async () => {
+  const failing = () => new Response('busy', { status: 503 });
+  const { client, clock, calls } = fakeClient(Array.from({ length: 10 }, failing), {
+    retries: 3,
+    retryBudget: 2,
+    retryBudgetWindowMs: 60000,
+    breakerThreshold: 100
+  });
+
+  await client.fetch(URL_A);
+  assert.equal(calls.length, 3); // first attempt plus the whole budget
+
+  await client.fetch(URL_A);
+  assert.equal(calls.length, 4); // budget spent: no retry
+
+  clock.now += 60000;
+  await client.fetch(URL_A);
+  assert.equal(calls.length, 7); // fresh window, two retries again
+});
+
+test('an attempt that outlives timeoutMs is aborted and reported as a timeout', async () => {
+  const hang = init => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+  });
+  const { client, calls } = fakeClient([hang, hang], { timeoutMs: 20, retries: 1 });
+
+  await assert.rejects(client.fetch(URL_A), /Timed out after 20ms \(https:\/\/stats\.nba\.test/);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].init.signal.aborted, true);
+});
+
+test('the breaker opens after consecutive failures, fails fast, then half-opens after the cooldown', async () => {
+  const { client, clock, calls } = fakeClient([
+    new Error('ECONNRESET'),
+    new Error('ECONNRESET'),
+    new Error('ECONNRESET'),
+    new Response('ok')
+  ], { retries: 0, breakerThreshold: 2, breakerCooldownMs: 30000 });
+  const host = new URL(URL_A).host;
+
+  await assert.rejects(client.fetch(URL_A), /ECONNRESET/);
+  assert.equal(client.getBreakerStates()[host], 'closed');
+  await assert.rejects(client.fetch(URL_A), /ECONNRESET/);
+  assert.equal(client.getBreakerStates()[host], 'open');
+
+  // Open: no request reaches the host
+  await assert.rejects(client.fetch(URL_A), /Circuit open for stats\.nba\.test after 2 consecutive failures/);
+  assert.equal(calls.length, 2);
+
+  // Cooldown over: one probe goes through; it fails, so the breaker stays open for another cooldown
+  clock.now += 30000;
+  await assert.rejects(client.fetch(URL_A), /ECONNRESET/);
+  assert.equal(calls.length, 3);
+  await assert.rejects(client.fetch(URL_A), /Circuit open/);
+  assert.equal(calls.length, 3);
+
+  // Next probe succeeds and closes it
+  clock.now += 30000;
+  const response = await client.fetch(URL_A);
+  assert.equal(response.status, 200);
+  assert.equal(client.getBreakerStates()[host], 'closed');
+});
+
+test('breakers are per host', async () => {
+  const { client, calls } = fakeClient([new Error('ECONNRESET'), new Response('ok')], { retries: 0, breakerThreshold: 1 });
+
+  await assert.rejects(client.fetch(URL_A), /ECONNRESET/);
+  const response = await client.fetch('https://cdn.nba.test/static/json/staticData/scheduleLeagueV2.json');
+
+  assert.equal(response.status, 200);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(client.getBreakerStates(), { 'stats.nba.test': 'open', 'cdn.nba.test': 'closed' });
+});
@@ -0,0 +1,126 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import worker from '../../workers/nba-worker-injuries-official.js';
+import { parseInjuryReportText } from '../../shared/injury-report-parser.js';
+import { buildTextPdf } from './helpers/pdf.js';
+import { FIXTURES_DIR, loadText, quietly } from './helpers/fixtures.js';
+
+const WORKER = 'https://nba-worker-injuries-official.test';
+const reportText = loadText('injury-report-2025-11-04.txt');
+
+/**
+ * Run a worker request against a fake NBA CDN: report PDFs by time slot, 403 (what the CDN sends) for the rest
+ */
+async function callWorker(route, reports, headers = {}) {
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    requests.push({ url, method: init.method || 'GET', ifNoneMatch: new Headers(init.headers).get('If-None-Match') });
+    const time = url.match(/_(\d{2}[AP]M)\.pdf$/)?.[1];
+    if (!reports[time]) return new Response('AccessDenied', { status: 403 });
+    return new Response(init.method === 'HEAD' ? null : reports[time], { headers: { 'Content-Type': 'application/pdf', 'ETag': `"${time}"` } });
+  };
+
+  try {
+    const response = await quietly(() => worker.fetch(new Request(`${WORKER}${route}`, { headers })));
+    return { response, body: response.status === 304 ? null : await response.json(), requests };
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+test('/parsed extracts and parses the report PDF in the worker', async () => {
+  const pdf = buildTextPdf(reportText.trim().split('\n'));
+  const { response, body } = await callWorker('/parsed?date=2025-11-04&time=05PM', { '05PM': pdf });
+
+  assert.equal(body.success, true);
+  assert.deepEqual(body.report, { date: '2025-11-04', time: '05:30PM' });
+
+  // Same records the parser gives for the text pdf-parse would have produced
+  const expected = parseInjuryReportText(reportText);
+  assert.deepEqual(body.records, expected.records);
+  assert.deepEqual(body.notSubmitted, expected.notSubmitted);
+  assert.equal(body.diagnostics.confidence, expected.diagnostics.confidence);
+  assert.equal(body.diagnostics.pdf.pages, 1);
+  assert.ok(body.diagnostics.pdf.characters > 0);
+  assert.equal('pdfData' in body, false);
+});
+
+test('/parsed reads a report laid out by a real PDF producer', async () => {
+  // Same report as the text fixture, typeset as a table by pdfkit rather than helpers/pdf.js: subset TrueType
+  // fonts (Type0, Identity-H) that only decode through their ToUnicode CMaps and one positioned text run per
+  // cell, the way generated report PDFs are built. Not a file the NBA published - replace it with a trimmed
+  // official report when one is at hand.
+  const pdf = new Uint8Array(fs.readFileSync(path.join(FIXTURES_DIR, 'injury-report-2025-11-04.pdf')));
+  const { body } = await callWorker('/parsed?date=2025-11-04&time=05PM', { '05PM': pdf });
+
+  assert.equal(body.success, true);
+  assert.deepEqual(body.report, { date: '2025-11-04', time: '05:30PM' });
+
+  const expected = parseInjuryReportText(reportText);
+  assert.deepEqual(body.records, expected.records);
+  assert.deepEqual(body.notSubmitted, expected.notSubmitted);
+  assert.deepEqual(body.diagnostics.unparsedLines, []);
+  assert.equal(body.diagnostics.confidence, 'high');
+});
+
+test('/parsed tags the parse, not the PDF, so a cached parse is only reused while it is still current', async () => {
+  const pdf = buildTextPdf(reportText.trim().split('\n'));
+  const { response } = await callWorker('/parsed?date=2025-11-04&time=05PM', { '05PM': pdf });
+  const etag = response.headers.get('ETag');
+  assert.match(etag, /^"parsed-[0-9a-f]{32}"$/);
+  assert.equal(response.headers.get('Last-Modified'), null);
+
+  // Same parse: 304, without handing the client's validator to the CDN
+  const unchanged = await callWorker('/parsed?date=2025-11-04&time=05PM', { '05PM': pdf }, { 'If-None-Match': etag });
+  assert.equal(unchanged.response.status, 304);
+  assert.equal(unchanged.response.headers.get('ETag'), etag);
+  assert.deepEqual(unchanged.requests.map(request => request.ifNoneMatch), [null]);
+
+  // A copy tagged with the PDF's ETag (or an older parse) gets the current parse
+  const outdated = await callWorker('/parsed?date=2025-11-04&time=05PM', { '05PM': pdf }, { 'If-None-Match': '"05PM"' });
+  assert.equal(outdated.response.status, 200);
+  assert.equal(outdated.body.success, true);
+  assert.equal(outdated.response.headers.get('ETag'), etag);
+
+  // A republished report with one status changed is a new parse with a new tag
+  const revisedPdf = buildTextPdf(reportText.replace('Wagner,FranzQuestionable', 'Wagner,FranzOut').trim().split('\n'));
+  const revised = await callWorker('/parsed?date=2025-11-04&time=05PM', { '05PM': revisedPdf }, { 'If-None-Match': etag });
+  assert.equal(revised.response.status, 200);
+  assert.notEqual(revised.response.headers.get('ETag'), etag);
+
+  // The PDF route still passes the CDN's validators through
+  const raw = await callWorker('/?date=2025-11-04&time=05PM', { '05PM': pdf });
+  assert.equal(raw.response.headers.get('ETag'), '"05PM"');
+});
+
+test('/list reports the published report times from HEAD requests', async () => {
+  const pdf = buildTextPdf(['InjuryReport:11/04/2501:30PM']);
+  const { body, requests } = await callWorker('/list?date=2025-11-04', { '01PM': pdf, '05PM': pdf });
+
+  assert.deepEqual(body.available, ['01PM', '05PM']);
+  assert.equal(body.latest, '05PM');
+  assert.equal(body.reports.length, 20);
+  assert.deepEqual(body.reports.find(report => report.time === '05PM'),
+    { time: '05PM', pdfUrl: 'https://ak-static.cms.nba.com/referee/injury/Injury-Report_2025-11-04_05PM.pdf', available: true });
+  assert.ok(requests.every(request => request.method === 'HEAD'));
+});
+
+test('the base64 route still serves PDFs too large to spread into one call', async () => {
+  const large = new Uint8Array(400000).map((_, idx) => idx % 251);
+  const { body } = await callWorker('/?date=2025-11-04&time=05PM', { '05PM': large });
+
+  assert.equal(body.success, true);
+  assert.deepEqual(new Uint8Array(Buffer.from(body.pdfData, 'base64')), large);
+
+  const missing = await callWorker('/parsed?date=2025-11-04&time=07PM', {});
+  assert.equal(missing.body.success, false);
+  assert.equal(missing.body.status, 403);
+
+  const unknown = await callWorker('/injuries', {});
+  assert.equal(unknown.response.status, 404);
+});
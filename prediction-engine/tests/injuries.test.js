@@ -0,0 +1,197 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { applyInjuryImpact, applyMinutesRestrictions, calculateMinutesRestriction, calculateOnOffRedistribution, calculateInjuryStatusImpact, calculateReturnImpact, getReasonProfile, parseOfficialInjuryReport, getTeamInjuries, buildInjuryTimeline, getTeamStatusChanges, describeStatusChange, getEasternTimestamp, fetchInjuriesWithOfficial } from '../modules/injuries.js';
+import { assertGolden } from './helpers/golden.js';
+import { loadSnapshot, loadText, quietly, MIL, TOR } from './helpers/fixtures.js';
+import { parsedReport, withFakeInjuriesWorker } from './helpers/injuries-worker.js';
+
+const reportText = loadText('injury-report-2025-11-04.txt');
+
+test('parseOfficialInjuryReport matches golden output', async () => {
+  const injuries = await quietly(() => parseOfficialInjuryReport(reportText));
+  assertGolden('official-injury-report', injuries);
+});
+
+test('parseOfficialInjuryReport skips headers, page markers and unsubmitted teams', async () => {
+  const injuries = await quietly(() => parseOfficialInjuryReport(reportText));
+  assert.equal(injuries.filter(injury => injury.teamAbbreviation === 'DEN').length, 0);
+  assert.ok(injuries.every(injury => ['out', 'doubtful', 'questionable', 'probable'].includes(injury.status)));
+});
+
+test('buildInjuryTimeline diffs the day\'s reports into per-player status changes', async () => {
+  const report = (time, description, hour, text) => ({ time, description, reportAt: getEasternTimestamp('2025-11-04', hour), injuries: parseOfficialInjuryReport(text) });
+  const reports = await quietly(() => [
+    report('01PM', '1:00 PM ET', 13, loadText('injury-report-2025-11-04-01PM.txt')),
+    report('05PM', '5:00 PM ET', 17, reportText)
+  ]);
+
+  const timeline = buildInjuryTimeline(reports);
+  assert.deepEqual(timeline.changes.map(describeStatusChange), [
+    'Franz Wagner: probable → questionable (5:00 PM ET)',
+    'Joel Embiid: questionable → out (5:00 PM ET)',
+    'Myles Turner: questionable → not listed (5:00 PM ET)',
+    'Nique Clifford: questionable → doubtful (5:00 PM ET)',
+    'Immanuel Quickley: not listed → questionable (5:00 PM ET)'
+  ]);
+  assert.equal(timeline.changes[0].reportAt, '2025-11-04T22:00:00.000Z');
+
+  assert.deepEqual(getTeamStatusChanges(timeline, 'tor').map(change => [change.from, change.to]), [[null, 'questionable']]);
+  assert.deepEqual(getTeamStatusChanges(undefined, 'TOR'), []);
+
+  const turner = timeline.players.find(player => player.playerName === 'Myles Turner');
+  assert.deepEqual(turner.history, [{ time: '01PM', status: 'questionable' }, { time: '05PM', status: null }]);
+});
+
+test('applyInjuryImpact matches golden output for early-season and advanced analysis', async () => {
+  const injuries = await quietly(() => parseOfficialInjuryReport(reportText));
+  const milPlayers = loadSnapshot(`players_${MIL.id}_2025-26_5`).players;
+  const torPlayers = loadSnapshot(`players_${TOR.id}_2025-26_5`).players;
+  const milInjuries = getTeamInjuries(injuries, 'MIL');
+  const torInjuries = getTeamInjuries(injuries, 'TOR');
+
+  const summarize = players => players.map(player => ({
+    playerName: player.playerName,
+    points: player.points,
+    rebounds: player.rebounds,
+    assists: player.assists,
+    minutes: player.minutes,
+    injuryAdjusted: player.injuryAdjusted || false,
+    injuryStatus: player.injuryStatus || null,
+    impact: player.impact
+  }));
+
+  const result = await quietly(() => ({
+    milEarlySeason: summarize(applyInjuryImpact(milPlayers, milInjuries, { gamesPlayed: 5 })),
+    torEarlySeason: summarize(applyInjuryImpact(torPlayers, torInjuries, { gamesPlayed: 5 })),
+    milAdvanced: summarize(applyInjuryImpact(milPlayers, milInjuries, { gamesPlayed: 20 })),
+    torNoInjuries: summarize(applyInjuryImpact(torPlayers, [], { gamesPlayed: 5 }))
+  }));
+
+  assertGolden('injury-impact', result);
+});
+
+test('applyInjuryImpact tolerates missing player data', () => {
+  assert.deepEqual(applyInjuryImpact(null, [], {}), []);
+});
+
+test('absence reasons change how injuries flow into projections', async () => {
+  const milPlayers = loadSnapshot(`players_${MIL.id}_2025-26_5`).players;
+  const star = [...milPlayers].sort((a, b) => b.points - a.points)[0];
+  const listing = (status, reasonCategory) => [{ teamAbbreviation: 'MIL', playerName: star.playerName, status, reasonCategory }];
+  const teammate = players => players.find(player => player.playerName !== star.playerName && player.minutes >= 20);
+
+  // Teammates of a player on G League assignment get no OUT boost; an injury or rest day does boost them
+  const injuryOut = await quietly(() => applyInjuryImpact(milPlayers, listing('out', 'injury'), { gamesPlayed: 20 }));
+  const restOut = await quietly(() => applyInjuryImpact(milPlayers, listing('out', 'rest'), { gamesPlayed: 20 }));
+  const gLeagueOut = await quietly(() => applyInjuryImpact(milPlayers, listing('out', 'g-league'), { gamesPlayed: 20 }));
+  assert.match(teammate(injuryOut).injuryAdjusted, new RegExp(`${star.playerName} out\\)`));
+  assert.match(teammate(restOut).injuryAdjusted, /out - rest\)/);
+  assert.deepEqual(teammate(restOut).injuryReasons, ['rest']);
+  assert.equal(teammate(gLeagueOut).injuryAdjusted, undefined);
+
+  // A questionable rest day plays at full strength if active, with less uncertainty than an injury
+  const injured = calculateInjuryStatusImpact(star, listing('questionable', 'injury')[0]);
+  const resting = calculateInjuryStatusImpact(star, listing('questionable', 'rest')[0]);
+  assert.equal(resting.effectiveness, 1.0);
+  assert.ok(resting.expectedPoints > injured.expectedPoints);
+  assert.ok(resting.uncertainty < injured.uncertainty);
+  assert.equal(resting.statusDescription, '65% plays, full strength if active (rest)');
+
+  // Returning from a rest day or suspension costs elevated teammates more than returning from injury
+  const elevation = { isElevated: true, elevationMagnitude: 0.5 };
+  const returning = reasonCategory => ({ playerName: star.playerName, impact: { tier: 'Star' }, injury: { reasonCategory } });
+  const fromInjury = calculateReturnImpact(returning('injury'), { playerName: 'Teammate' }, elevation);
+  assert.ok(calculateReturnImpact(returning('suspension'), { playerName: 'Teammate' }, elevation).adjustment < fromInjury.adjustment);
+  assert.equal(calculateReturnImpact(returning('g-league'), { playerName: 'Teammate' }, elevation).adjustment, 0);
+
+  assert.equal(getReasonProfile({ reasonCategory: 'unknown' }).category, 'injury');
+});
+
+test('players back from an absence follow a minutes ramp by injury type and game number', () => {
+  const window = (gameNumber, gamesMissed, reason, reasonCategory = 'injury') => ({ start: '2025-11-02', gameNumber, gamesMissed, reason, reasonCategory });
+
+  const calf = calculateMinutesRestriction(window(1, 3, 'Injury/Illness - Left Calf; Strain'));
+  assert.equal(calf.rampType, 'lower-body');
+  assert.equal(calf.factor, 0.65);
+  assert.equal(calf.description, 'Game 1 back from 3-game absence (lower-body): 65% of normal minutes');
+
+  assert.equal(calculateMinutesRestriction(window(2, 3, 'Injury/Illness - Right Wrist; Sprain')).factor, 0.9);
+  assert.equal(calculateMinutesRestriction(window(1, 12, 'Injury/Illness - Left Knee; Surgery')).factor, 0.55);
+  assert.equal(calculateMinutesRestriction(window(3, 2, null, 'illness')), null);
+  assert.equal(calculateMinutesRestriction(null), null);
+
+  // The ramp comes from the injury history: back on Nov 2 after two games out
+  const milPlayers = loadSnapshot(`players_${MIL.id}_2025-26_5`).players;
+  const [starter] = milPlayers;
+  const out = (gameDate, reportAt) => ({ reportAt, gameDate, matchup: 'MIL@NYK', teamAbbreviation: 'MIL', playerName: starter.playerName, status: 'out', reasonCategory: 'injury', reason: 'Injury/Illness - Right Hamstring; Strain' });
+  const history = [
+    out('2025-10-29', '2025-10-29T22:00:00.000Z'),
+    out('2025-10-31', '2025-10-31T22:00:00.000Z'),
+    { ...out('2025-11-02', '2025-11-02T22:00:00.000Z'), playerName: 'Bobby Portis' }
+  ];
+
+  const restricted = applyMinutesRestrictions(milPlayers, history, '2025-11-04');
+  assert.deepEqual(restricted.filter(player => player.minutesRestriction).map(player => [player.playerName, player.minutesRestriction.gameNumber, player.minutesRestriction.factor]),
+    [[starter.playerName, 2, 0.75]]);
+  assert.equal(applyMinutesRestrictions(milPlayers, [], '2025-11-04'), milPlayers);
+});
+
+test('teammate boosts come from on/off lineup splits when the sample allows', () => {
+  // Lineup members missing from the player list count as average-usage players, so every
+  // lineup below splits its possessions evenly and scores at the same rate
+  const lineup = (players, minutesTogether) => ({
+    players, minutesTogether, points: 2 * minutesTogether, fieldGoalsAttempted: minutesTogether, freeThrowsAttempted: 0, turnovers: 0
+  });
+  const star = { playerId: 1, playerName: 'Star Player' };
+  const wing = { playerId: 2, playerName: 'Wing Player' };
+  const lineups = [
+    lineup(['Star Player', 'Wing Player', 'A One', 'A Two', 'A Three'], 50),
+    lineup(['Star Player', 'B One', 'B Two', 'B Three', 'B Four'], 50),
+    lineup(['Wing Player', 'B One', 'B Two', 'B Three', 'B Four'], 50)
+  ];
+
+  // Half the floor time without the star is his, and half of it overall: no boost
+  const even = calculateOnOffRedistribution(wing, star, [...lineups, lineup(['C One', 'C Two', 'C Three', 'C Four', 'C Five'], 50)]);
+  assert.deepEqual([even.minutesFactor, even.usageFactor, even.scoringFactor, even.boost], [1, 1, 1, 0]);
+
+  // Every minute without the star is his - capped at MAX_BOOST
+  assert.equal(calculateOnOffRedistribution(wing, star, lineups).boost, 0.35);
+
+  // Under 25 minutes apart from the star isn't enough to go on
+  assert.equal(calculateOnOffRedistribution(wing, star, [lineups[0], lineup(['Wing Player', 'B One', 'B Two', 'B Three', 'B Four'], 20)]), null);
+
+  // With the Bucks' lineups, only teammates who played without Giannis get the on/off split
+  const milPlayers = loadSnapshot(`players_${MIL.id}_2025-26_5`).players;
+  const milLineups = loadSnapshot(`lineups_${MIL.id}_2025-26_10`).lineups;
+  const out = [{ teamAbbreviation: 'MIL', playerName: 'Giannis Antetokounmpo', status: 'out', description: 'Injury/Illness-LeftCalf;Strain' }];
+  const adjusted = applyInjuryImpact(milPlayers, out, { gamesPlayed: 12 }, [], milLineups);
+  const sources = Object.fromEntries(adjusted.filter(player => player.injuryRedistribution)
+    .map(player => [player.playerName, player.injuryRedistribution[0].source]));
+
+  assert.equal(sources['Bobby Portis'], 'on-off');
+  assert.equal(sources['Ryan Rollins'], 'on-off');
+  assert.equal(sources['Kevin Porter Jr.'], 'tier');
+  assert.match(adjusted.find(player => player.playerName === 'Bobby Portis').injuryAdjusted, /on\/off over 34 min/);
+});
+
+test('a past slate gets its own day\'s reports, not today\'s', async () => {
+  const worker = {
+    list: ['05PM', '07PM'],
+    parsed: {
+      '05PM': parsedReport('2025-11-08', '05PM', [['MIL', 'Kevin Porter Jr.', 'Questionable']]),
+      '07PM': parsedReport('2025-11-08', '07PM', [['MIL', 'Kevin Porter Jr.', 'Out']])
+    }
+  };
+
+  // Two days later at 9:40 AM ET, when today's list would only reach the 9 AM slot
+  const now = new Date('2025-11-10T14:40:00Z');
+  await withFakeInjuriesWorker(worker, async ({ requests }) => {
+    const report = await fetchInjuriesWithOfficial('2025-11-08', now);
+    assert.equal(report.success, true);
+    assert.equal(report.reportAt, getEasternTimestamp('2025-11-08', 19));
+    assert.equal(report.allInjuries[0].status, 'Out');
+    assert.equal(report.timeline.changes.length, 1);
+    assert.ok(requests.every(request => request.includes('date=2025-11-08')));
+  });
+});
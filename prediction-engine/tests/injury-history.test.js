@@ -0,0 +1,155 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  configureInjuryHistory, diffReportIntoHistory, getMinutesRestrictionWindows, getPlayerGameLog,
+  getReturnContext, loadInjuryHistory, recordInjuryReport
+} from '../modules/injury-history.js';
+import { applyInjuryImpact, fetchInjuriesWithOfficial, getEasternTimestamp } from '../modules/injuries.js';
+import { loadSnapshot, MIL } from './helpers/fixtures.js';
+import { parsedReport, withFakeInjuriesWorker } from './helpers/injuries-worker.js';
+
+const listing = (gameDate, matchup, teamAbbreviation, playerName, status, reasonCategory = 'injury') =>
+  ({ gameDate, matchup, teamAbbreviation, playerName, status, reasonCategory, description: null });
+
+// MIL plays Oct 29, Oct 31, Nov 1 and Nov 2; Giannis sits the middle two with a calf strain
+function buildHistory(playerName = 'Giannis Antetokounmpo') {
+  const reports = [
+    ['2025-10-29T21:30:00.000Z', [listing('2025-10-29', 'MIL@BOS', 'MIL', playerName, 'questionable')]],
+    ['2025-10-29T22:30:00.000Z', []],
+    ['2025-10-31T22:00:00.000Z', [listing('2025-10-31', 'MIL@NYK', 'MIL', playerName, 'out')]],
+    ['2025-11-01T22:00:00.000Z', [listing('2025-11-01', 'CHI@MIL', 'MIL', playerName, 'out')]],
+    ['2025-11-02T22:00:00.000Z', [listing('2025-11-02', 'MIL@IND', 'MIL', 'Bobby Portis', 'out', 'personal')]]
+  ];
+
+  return reports.reduce((entries, [reportAt, injuries]) => [...entries, ...diffReportIntoHistory(entries, injuries, reportAt)], []);
+}
+
+test('the history stores changes only and marks players dropped from a later report as available', () => {
+  const entries = buildHistory();
+  const report = [listing('2025-10-31', 'MIL@NYK', 'MIL', 'Giannis Antetokounmpo', 'out')];
+
+  assert.deepEqual(diffReportIntoHistory(entries, report, '2025-10-31T23:00:00.000Z'), []);
+
+  // The 1:00 PM report listed him questionable for Oct 29 - he's off the 5:30 PM one
+  const firstReport = [listing('2025-10-29', 'MIL@BOS', 'MIL', 'Giannis Antetokounmpo', 'questionable')];
+  const dropped = diffReportIntoHistory([], firstReport, '2025-10-29T17:00:00.000Z');
+  const later = diffReportIntoHistory(dropped, [listing('2025-10-29', 'MIL@BOS', 'BOS', 'Jayson Tatum', 'out')], '2025-10-29T21:30:00.000Z');
+  assert.deepEqual(later.map(entry => [entry.playerName, entry.status]), [['Jayson Tatum', 'out'], ['Giannis Antetokounmpo', 'available']]);
+
+  // An empty report covers no games, so Oct 29 keeps its last listing
+  assert.deepEqual(getPlayerGameLog(entries, 'MIL', 'Giannis Antetokounmpo', '2025-11-04').map(game => game.status),
+    ['questionable', 'out', 'out', 'available']);
+});
+
+test('getReturnContext tracks games missed, days since return and restriction windows', () => {
+  const entries = buildHistory();
+
+  // Coming into Nov 1 he has missed one game in a row
+  const stillOut = getReturnContext(entries, 'MIL', 'Giannis Antetokounmpo', '2025-11-01');
+  assert.equal(stillOut.consecutiveGamesMissed, 1);
+  assert.equal(stillOut.daysSinceReturn, null);
+
+  // Back on Nov 2 after missing two: one game into a three-game restriction window by Nov 4
+  const back = getReturnContext(entries, 'MIL', 'Giannis Antetokounmpo', '2025-11-04');
+  assert.equal(back.consecutiveGamesMissed, 0);
+  assert.equal(back.lastAbsence.gamesMissed, 2);
+  assert.equal(back.daysSinceReturn, 2);
+  assert.equal(back.gamesSinceReturn, 1);
+  assert.deepEqual(back.restrictionWindow, { start: '2025-11-02', gamesMissed: 2, reasonCategory: 'injury', reason: null, gameNumber: 2 });
+
+  assert.deepEqual(getMinutesRestrictionWindows(entries, 'MIL', 'Giannis Antetokounmpo', '2025-11-04'), [
+    { start: '2025-11-02', end: null, gamesMissed: 2, reasonCategory: 'injury', reason: null, games: ['2025-11-02'] }
+  ]);
+
+  // A one-game personal absence isn't a restriction, and unknown teams aren't tracked
+  assert.equal(getReturnContext(entries, 'MIL', 'Bobby Portis', '2025-11-04').restrictionWindow, null);
+  assert.equal(getReturnContext(entries, 'TOR', 'Scottie Barnes', '2025-11-04').tracked, false);
+});
+
+test('recordInjuryReport appends to the JSON-lines store only in record mode', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-injury-history-'));
+  const historyPath = path.join(dir, 'injury-history.jsonl');
+  const report = [listing('2025-11-04', 'MIL@TOR', 'MIL', 'Kevin Porter Jr.', 'out')];
+
+  try {
+    configureInjuryHistory({ mode: 'read', path: historyPath });
+    assert.equal(recordInjuryReport(report, '2025-11-04T22:00:00.000Z'), 0);
+    assert.equal(fs.existsSync(historyPath), false);
+
+    configureInjuryHistory({ mode: 'record', path: historyPath });
+    assert.equal(recordInjuryReport(report, '2025-11-04T22:00:00.000Z'), 1);
+    assert.equal(recordInjuryReport(report, '2025-11-04T23:00:00.000Z'), 0);
+
+    configureInjuryHistory({ mode: 'read', path: historyPath });
+    assert.deepEqual(loadInjuryHistory().map(entry => entry.playerName), ['Kevin Porter Jr.']);
+  } finally {
+    configureInjuryHistory();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a report older than one already recorded for the same game leaves the later statuses final', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-injury-history-'));
+  const historyPath = path.join(dir, 'injury-history.jsonl');
+
+  try {
+    configureInjuryHistory({ mode: 'record', path: historyPath });
+    recordInjuryReport([listing('2025-11-04', 'MIL@TOR', 'MIL', 'Kevin Porter Jr.', 'out')], '2025-11-04T22:00:00.000Z');
+    assert.equal(recordInjuryReport([listing('2025-11-04', 'MIL@TOR', 'MIL', 'Kevin Porter Jr.', 'questionable')], '2025-11-04T18:00:00.000Z'), 0);
+
+    // A different game's earlier report still goes in, sorted into place
+    assert.equal(recordInjuryReport([listing('2025-11-02', 'MIL@IND', 'MIL', 'Kevin Porter Jr.', 'out')], '2025-11-02T22:00:00.000Z'), 1);
+    assert.deepEqual(loadInjuryHistory().map(entry => entry.gameDate), ['2025-11-02', '2025-11-04']);
+
+    configureInjuryHistory({ mode: 'read', path: historyPath });
+    const log = getPlayerGameLog(loadInjuryHistory(), 'MIL', 'Kevin Porter Jr.', '2025-11-05');
+    assert.deepEqual(log.map(game => [game.gameDate, game.status]), [['2025-11-02', 'out'], ['2025-11-04', 'out']]);
+  } finally {
+    configureInjuryHistory();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a past-date live run records that day\'s report under its own date and time', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-injury-history-'));
+  const worker = {
+    list: ['05PM', '07PM'],
+    parsed: {
+      '05PM': parsedReport('2025-11-08', '05PM', [['MIL', 'Kevin Porter Jr.', 'Questionable']]),
+      '07PM': parsedReport('2025-11-08', '07PM', [['MIL', 'Kevin Porter Jr.', 'Out']])
+    }
+  };
+
+  try {
+    configureInjuryHistory({ mode: 'record', path: path.join(dir, 'injury-history.jsonl') });
+    await withFakeInjuriesWorker(worker, async () => {
+      const report = await fetchInjuriesWithOfficial('2025-11-08', new Date('2025-11-10T14:40:00Z'));
+      recordInjuryReport(report.allInjuries, report.reportAt);
+    });
+
+    assert.deepEqual(loadInjuryHistory().map(({ reportAt, gameDate, playerName, status }) => ({ reportAt, gameDate, playerName, status })), [
+      { reportAt: getEasternTimestamp('2025-11-08', 19), gameDate: '2025-11-08', playerName: 'Kevin Porter Jr.', status: 'Out' }
+    ]);
+  } finally {
+    configureInjuryHistory();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('early-season return logic follows the history instead of the minutes heuristic', () => {
+  const milPlayers = loadSnapshot(`players_${MIL.id}_2025-26_5`).players;
+  const starter = milPlayers.find(player => player.minutes >= 15 && player.points >= 12);
+  const probable = [{ teamAbbreviation: 'MIL', playerName: starter.playerName, status: 'probable', gameDate: '2025-11-01' }];
+  const returnNotes = players => players.filter(player => (player.injuryAdjusted || '').includes('returns'));
+
+  // 15+ minutes a night reads as "never missed time" to the heuristic
+  assert.equal(returnNotes(applyInjuryImpact(milPlayers, probable, { gamesPlayed: 5 })).length, 0);
+
+  // The history shows him out for the previous game, so teammates lose the return share
+  const history = buildHistory(starter.playerName);
+  assert.ok(returnNotes(applyInjuryImpact(milPlayers, probable, { gamesPlayed: 5 }, history)).length > 0);
+});
@@ -0,0 +1,78 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseInjuryReportText, classifyReason, describeReason } from '../../shared/injury-report-parser.js';
+import { assertGolden } from './helpers/golden.js';
+import { FIXTURES_DIR, loadText } from './helpers/fixtures.js';
+
+// Report text in pdf-parse layout, one file per layout quirk (see file names)
+const CORPUS_DIR = path.join(FIXTURES_DIR, 'injury-reports');
+const corpus = fs.readdirSync(CORPUS_DIR).filter(name => name.endsWith('.txt')).sort();
+
+const parseCorpus = name => parseInjuryReportText(loadText(path.join('injury-reports', name)));
+
+for (const name of corpus) {
+  test(`parseInjuryReportText matches golden output for ${name}`, () => {
+    assertGolden(`injury-report-corpus-${name.replace(/\.txt$/, '')}`, parseCorpus(name));
+  });
+}
+
+test('parseInjuryReportText carries game and team context down the table', () => {
+  const { report, records, notSubmitted, diagnostics } = parseInjuryReportText(loadText('injury-report-2025-11-04.txt'));
+
+  assert.deepEqual(report, { date: '2025-11-04', time: '05:30PM' });
+  assert.ok(records.every(record => [record.awayTeam, record.homeTeam].includes(record.teamAbbreviation)));
+  assert.ok(notSubmitted.some(entry => entry.teamAbbreviation === 'DEN'));
+  assert.equal(diagnostics.unparsedLines.length, 0);
+
+  const porter = records.find(record => record.playerName === 'Kevin Porter Jr.');
+  assert.equal(porter.matchup, 'MIL@TOR');
+  assert.equal(porter.gameTime, '07:30 ET');
+});
+
+test('parseInjuryReportText joins reasons that wrap across lines and page breaks', () => {
+  const { records, diagnostics } = parseCorpus('2025-11-05_06PM-multipage.txt');
+
+  const leonard = records.find(record => record.playerName === 'Kawhi Leonard');
+  assert.equal(leonard.reason.detail, 'Injury Management');
+  assert.equal(leonard.confidence, 'medium');
+  assert.deepEqual(leonard.issues, ['reason wrapped onto next line']);
+  assert.equal(diagnostics.coverage, 1);
+});
+
+test('parseInjuryReportText reports unparsed lines and lowers report confidence', () => {
+  const { records, notSubmitted, diagnostics } = parseCorpus('2025-11-06_05PM-reasons.txt');
+
+  assert.deepEqual(notSubmitted.map(entry => entry.teamAbbreviation), ['DAL']);
+  assert.equal(diagnostics.unparsedLines.length, 1);
+  assert.equal(diagnostics.unparsedLines[0].reason, 'unrecognized layout');
+  assert.equal(diagnostics.confidence, 'medium');
+  assert.ok(records.some(record => record.reason.category === 'other' && record.confidence === 'medium'));
+});
+
+test('parseInjuryReportText rates empty or unrecognized text as low confidence', () => {
+  assert.equal(parseInjuryReportText('').diagnostics.confidence, 'low');
+  assert.equal(parseInjuryReportText('not a report\nat all').diagnostics.coverage, 0);
+});
+
+test('classifyReason splits the Reason cell into categories', () => {
+  const cases = {
+    'Injury/Illness-LeftAnkle;Sprain': ['injury', 'Left Ankle', 'Sprain'],
+    'Injury/Illness-Illness;Flu': ['illness', null, 'Flu'],
+    'GLeague-Two-Way': ['g-league', null, 'Two-Way'],
+    'GLeague-OnAssignment': ['g-league', null, 'On Assignment'],
+    'RestInjury Management': ['rest', null, 'Rest Injury Management'],
+    'LeagueSuspension': ['suspension', null, 'League Suspension'],
+    'PersonalReasons': ['personal', null, 'Personal Reasons'],
+    'NotWithTeam': ['not-with-team', null, 'Not With Team'],
+    'Something new': ['other', null, 'Something new']
+  };
+
+  for (const [raw, [category, bodyPart, detail]] of Object.entries(cases)) {
+    assert.deepEqual(classifyReason(raw), { category, bodyPart, detail, raw }, raw);
+  }
+  assert.equal(describeReason(classifyReason('Injury/Illness-LeftAnkle;Sprain')), 'Injury/Illness - Left Ankle; Sprain');
+  assert.equal(describeReason(classifyReason('GLeague-Two-Way')), 'G League - Two-Way');
+});
@@ -0,0 +1,71 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRunId, findLatestSlateDate, findRun, getSlateDate, listRuns, outputFileName, reserveRunId } from '../modules/output.js';
+
+function tempOutputDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-output-'));
+  files.forEach(name => fs.writeFileSync(path.join(dir, name), ''));
+  return dir;
+}
+
+test('a late-night Eastern run still belongs to that evening\'s slate', () => {
+  // 11:30 PM EST on Nov 4 is already Nov 5 in UTC
+  const lateNight = new Date('2025-11-05T04:30:00Z');
+  assert.equal(getSlateDate(lateNight), '2025-11-04');
+  assert.equal(createRunId(lateNight), '20251105T043000Z');
+  assert.equal(outputFileName('2025-11-04', createRunId(lateNight), 'games'), '2025-11-04_20251105T043000Z_games.csv');
+});
+
+test('runs are grouped per slate with unversioned files first and the latest run last', () => {
+  const dir = tempOutputDir([
+    '2025-11-04_games.csv',
+    '2025-11-04_20251104T230000Z_games.csv',
+    '2025-11-04_20251104T230000Z_players.csv',
+    '2025-11-04_20251104T180000Z_slate.json',
+    '2025-11-03_games.csv',
+    'schema.ini'
+  ]);
+
+  try {
+    const runs = listRuns(dir, '2025-11-04');
+    assert.deepEqual(runs.map(run => run.runId), [null, '20251104T180000Z', '20251104T230000Z']);
+    assert.deepEqual(Object.keys(runs[2].files).sort(), ['games', 'players']);
+
+    assert.equal(findRun(dir, '2025-11-04').runId, '20251104T230000Z');
+    assert.equal(findRun(dir, '2025-11-04', '20251104T180000Z').files.slate, path.join(dir, '2025-11-04_20251104T180000Z_slate.json'));
+    assert.equal(findRun(dir, '2025-11-04', '20990101T000000Z'), null);
+    assert.equal(findLatestSlateDate(dir), '2025-11-04');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('reserveRunId never reuses a run ID already on disk', () => {
+  const now = new Date('2025-11-04T23:00:00Z');
+  const dir = tempOutputDir(['2025-11-04_20251104T230000Z_games.csv', '2025-11-04_20251104T230000Z-2_games.csv']);
+
+  try {
+    assert.equal(reserveRunId(dir, '2025-11-04', now), '20251104T230000Z-3');
+    assert.equal(reserveRunId(dir, '2025-11-05', now), '20251104T230000Z');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runs inside the same second order by their numeric suffix', () => {
+  const now = new Date('2025-11-04T23:00:00Z');
+  const suffixes = ['', '-2', '-3', '-4', '-5', '-6', '-7', '-8', '-9', '-10'];
+  const dir = tempOutputDir(suffixes.map(suffix => `2025-11-04_20251104T230000Z${suffix}_games.csv`));
+
+  try {
+    assert.deepEqual(listRuns(dir, '2025-11-04').map(run => run.runId), suffixes.map(suffix => `20251104T230000Z${suffix}`));
+    assert.equal(findRun(dir, '2025-11-04').runId, '20251104T230000Z-10');
+    assert.equal(reserveRunId(dir, '2025-11-04', now), '20251104T230000Z-11');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,78 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import {
+  createPlayerRegistry, isSamePlayer, parseGroupPlayerIds, parsePlayerName, playersMatch
+} from '../../shared/player-identity.js';
+import { loadSnapshot, MIL, TOR } from './helpers/fixtures.js';
+
+const roster = [
+  ...loadSnapshot(`players_${MIL.id}_2025-26_5`).players,
+  ...loadSnapshot(`players_${TOR.id}_2025-26_5`).players
+];
+
+test('parsePlayerName reads report, lineup and box score forms of a name alike', () => {
+  const expected = { first: 'kevin', last: 'porter', suffix: 'jr', initial: false, key: 'kevin porter' };
+  assert.deepEqual(parsePlayerName('Kevin Porter Jr.'), expected);
+  assert.deepEqual(parsePlayerName('Porter Jr., Kevin'), expected);
+  assert.deepEqual(parsePlayerName('Kevin PorterJr.'), expected);
+
+  assert.deepEqual(parsePlayerName('K. Porter Jr.'), { ...expected, first: 'k', initial: true, key: 'k porter' });
+  assert.equal(parsePlayerName('Nikola Jokić').key, 'nikola jokic');
+  assert.equal(parsePlayerName('Robert Williams III').suffix, 'iii');
+  assert.deepEqual(parsePlayerName('Jokic'), { first: '', last: 'jokic', suffix: null, initial: false, key: 'jokic' });
+});
+
+test('playersMatch needs the same last name and a compatible first name', () => {
+  assert.ok(playersMatch('Jokic, Nikola', 'Nikola Jokić'));
+  assert.ok(playersMatch('K. Porter Jr.', 'Kevin Porter Jr.'));
+  assert.ok(playersMatch('Nic Claxton', 'Nicolas Claxton'));
+
+  assert.ok(!playersMatch('Gary Trent Jr.', 'Gary Harris'));
+  assert.ok(!playersMatch('Jalen Williams', 'Jaylin Williams'));
+  assert.ok(!playersMatch('Kevin Porter Jr.', null));
+
+  // IDs win over names when both sides carry one
+  assert.ok(isSamePlayer({ playerId: '1629645', playerName: 'K. Porter' }, { playerId: 1629645, playerName: 'Kevin Porter Jr.' }));
+  assert.ok(!isSamePlayer({ playerId: 1, playerName: 'Kevin Porter Jr.' }, { playerId: 2, playerName: 'Kevin Porter Jr.' }));
+});
+
+test('the registry resolves names to PLAYER_IDs and lists the ones it could not place', () => {
+  const registry = createPlayerRegistry(roster);
+
+  assert.deepEqual(registry.resolve('Porter Jr., Kevin', { team: 'MIL' }),
+    { playerId: 1629645, playerName: 'Kevin Porter Jr.', teamAbbreviation: 'MIL', method: 'exact' });
+  assert.equal(registry.resolve('G. Antetokounmpo', { team: 'MIL' }).method, 'initial');
+  assert.equal(registry.resolve('Poeltl', { team: 'TOR' }).method, 'last-name');
+
+  // The Bucks have two Garys, so the last name decides
+  assert.equal(registry.resolve('G. Trent Jr.', { team: 'MIL' }).playerId, 1629018);
+  assert.equal(registry.resolve('Kevin Porter Jr.', { team: 'TOR', source: 'lineups' }), null);
+
+  const thunder = createPlayerRegistry([
+    { playerId: 1631114, playerName: 'Jalen Williams', teamAbbreviation: 'OKC' },
+    { playerId: 1631119, playerName: 'Jaylin Williams', teamAbbreviation: 'OKC' }
+  ]);
+  assert.equal(thunder.resolve('J. Williams', { team: 'OKC' }), null);
+  assert.equal(thunder.getUnresolved()[0].reason, 'ambiguous (2 candidates)');
+
+  // Each name is listed once however often it comes up
+  assert.equal(registry.resolve('Jonathan Mogbo', { team: 'TOR', source: 'injury report' }), null);
+  assert.equal(registry.resolve('Jonathan Mogbo', { team: 'TOR', source: 'injury report' }), null);
+
+  assert.deepEqual(registry.getUnresolved(), [
+    { name: 'Kevin Porter Jr.', team: 'TOR', source: 'lineups', reason: 'no matching player' },
+    { name: 'Jonathan Mogbo', team: 'TOR', source: 'injury report', reason: 'no matching player' }
+  ]);
+
+  const injuries = registry.resolveAll([
+    { teamAbbreviation: 'MIL', playerName: 'Taurean Prince', status: 'probable' },
+    { teamAbbreviation: 'TOR', playerName: 'Immanuel Quickley', playerId: 1629626, status: 'questionable' }
+  ]);
+  assert.deepEqual(injuries.map(injury => injury.playerId), [1627752, 1629626]);
+});
+
+test('parseGroupPlayerIds reads the IDs out of a lineup GROUP_ID', () => {
+  assert.deepEqual(parseGroupPlayerIds('-203507-1629645-1628398-1626167-1626171-'), [203507, 1629645, 1628398, 1626167, 1626171]);
+  assert.deepEqual(parseGroupPlayerIds(null), []);
+});
@@ -0,0 +1,32 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadPredictionFiles, parseCsvFile } from '../../results-validation/prediction-files.js';
+import { outputFileName } from '../modules/output.js';
+import { quietly, SLATE_DATE } from './helpers/fixtures.js';
+
+test('an empty or header-only prediction CSV loads as no rows', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-predictions-'));
+  const runId = '20251104T150000Z';
+  const write = (kind, content) => fs.writeFileSync(path.join(dir, outputFileName(SLATE_DATE, runId, kind)), content);
+  try {
+    write('games', '');
+    write('players', 'Matchup,Player,Team,Points\n');
+    write('strategy', '﻿Matchup,Insight');
+    write('summary', '\n\n');
+
+    assert.deepEqual(parseCsvFile(path.join(dir, outputFileName(SLATE_DATE, runId, 'games'))), []);
+
+    const predictions = await quietly(() => loadPredictionFiles(dir, SLATE_DATE));
+    assert.deepEqual(predictions, { games: [], players: [], strategy: [], summary: [], runId });
+
+    write('players', 'Matchup,Player,Team,Points\nMIL @ TOR,Giannis Antetokounmpo,MIL,31.5\n');
+    const [player] = (await quietly(() => loadPredictionFiles(dir, SLATE_DATE))).players;
+    assert.equal(player.Player, 'Giannis Antetokounmpo');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,62 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import path from 'path';
+import { buildRangeReport, datesEndingOn, findLatestValidationDate, loadValidationReports, rangeReportRows } from '../../results-validation/range-report.js';
+import { FIXTURES_DIR } from './helpers/fixtures.js';
+
+const VALIDATION_FIXTURES = path.join(FIXTURES_DIR, 'validation');
+
+function buildFixtureReport(days) {
+  const end = findLatestValidationDate(VALIDATION_FIXTURES);
+  const dates = datesEndingOn(end, days);
+  const { reports, missingDates } = loadValidationReports(VALIDATION_FIXTURES, dates);
+  return buildRangeReport(reports, { start: dates[0], end, missingDates });
+}
+
+test('range window ends on the latest validated date and lists gaps', () => {
+  const report = buildFixtureReport(4);
+  assert.deepEqual(report.range, { start: '2025-11-01', end: '2025-11-04', days: 4, rollingDates: 3 });
+  assert.deepEqual(report.datesAnalyzed, ['2025-11-01', '2025-11-02', '2025-11-04']);
+  assert.deepEqual(report.missingDates, ['2025-11-03']);
+});
+
+test('daily and rolling accuracy / MAE pool games across report dates', () => {
+  const report = buildFixtureReport(4);
+  const [first, second, third] = report.daily;
+
+  // 11-01: TOR picked and won, BOS picked but NYK won
+  assert.equal(first.winnerAccuracy, 50);
+  assert.equal(first.marginMAE, (5 + 12) / 2);
+  assert.equal(first.playerPointsMAE, (3 + 2) / 2);
+  assert.equal(second.winnerAccuracy, 100);
+  assert.equal(second.rollingWinnerAccuracy.toFixed(2), (200 / 3).toFixed(2));
+  assert.equal(third.rollingTotalMAE, (1 + 10 + 3 + 1 + 1) / 5);
+  assert.equal(report.overall.games, 5);
+  assert.equal(report.overall.winnerAccuracy, 60);
+});
+
+test('enhancement effectiveness is grouped by enhancement type', () => {
+  const { enhancementEffectiveness } = buildFixtureReport(4);
+  assert.deepEqual(Object.keys(enhancementEffectiveness).sort(), ['Game script', 'Injury adjustment', 'Style matchup', 'Unclassified']);
+  assert.equal(enhancementEffectiveness['Style matchup'].players, 2);
+  assert.equal(enhancementEffectiveness['Style matchup'].helpfulRate, 50);
+  assert.equal(enhancementEffectiveness['Style matchup'].avgPointsImprovement, 0);
+});
+
+test('confidence calibration reports drift and inversions', () => {
+  const { confidenceCalibration } = buildFixtureReport(4);
+  const high = confidenceCalibration.levels.high;
+  assert.equal(high.games, 3);
+  assert.equal(high.earlyWinnerAccuracy, 100);
+  assert.equal(high.lateWinnerAccuracy, 50);
+  assert.equal(high.drift, -50);
+  assert.deepEqual(confidenceCalibration.inversions, ['medium (100.0%) beat high (66.7%)']);
+});
+
+test('CSV rows carry one trend line per analyzed date', () => {
+  const rows = rangeReportRows(buildFixtureReport(2));
+  assert.deepEqual(rows.map(row => row.Date), ['2025-11-04']);
+  assert.equal(rows[0].WinnerAccuracy, 50);
+  assert.equal(rows[0].RollingWinnerAccuracy, 50);
+});
@@ -0,0 +1,81 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { parseLeagueSchedule, summarizeTeamSchedule, travelMiles, timeZoneShift, utcOffsetOn } from '../../shared/schedule.js';
+import { calculateScheduleContext } from '../modules/scoring.js';
+import { loadText, MIL, TOR, SLATE_DATE } from './helpers/fixtures.js';
+
+const games = parseLeagueSchedule(JSON.parse(loadText('schedule-league-2025-26.json')));
+
+test('parseLeagueSchedule drops preseason games and sorts by date', () => {
+  assert.ok(games.every(game => game.gameId.startsWith('002')));
+  assert.deepEqual(games.map(game => game.date), [...games.map(game => game.date)].sort());
+});
+
+test('summarizeTeamSchedule detects a back-to-back in a 4-in-6 road stretch', () => {
+  const mil = summarizeTeamSchedule(games, MIL.id, SLATE_DATE);
+  assert.equal(mil.previousGameDate, '2025-11-03');
+  assert.equal(mil.nextGameDate, '2025-11-06');
+  assert.equal(mil.restDays, 0);
+  assert.equal(mil.backToBack, true);
+  assert.equal(mil.threeInFour, true);
+  assert.equal(mil.fourInSix, true);
+  assert.equal(mil.travelMiles, travelMiles('IND', 'TOR'));
+  assert.deepEqual(mil.stretch, { type: 'road', gameNumber: 2, length: 3 });
+});
+
+test('summarizeTeamSchedule reports rest and home-stand position for the rested team', () => {
+  const tor = summarizeTeamSchedule(games, TOR.id, SLATE_DATE);
+  assert.equal(tor.restDays, 2);
+  assert.equal(tor.backToBack, false);
+  assert.equal(tor.frontOfBackToBack, true);
+  assert.equal(tor.travelMiles, 0);
+  assert.deepEqual(tor.stretch, { type: 'home', gameNumber: 3, length: 3 });
+});
+
+test('summarizeTeamSchedule handles an off day', () => {
+  const offDay = summarizeTeamSchedule(games, TOR.id, '2025-11-02');
+  assert.equal(offDay.hasGame, false);
+  assert.equal(offDay.stretch, null);
+  assert.equal(offDay.travelMiles, 0);
+});
+
+test('travel and time-zone helpers measure arena to arena', () => {
+  assert.equal(travelMiles('LAL', 'LAC'), travelMiles('LAC', 'LAL'));
+  assert.ok(travelMiles('BOS', 'POR') > 2500);
+  assert.equal(timeZoneShift('POR', 'BOS'), 3);
+  assert.equal(timeZoneShift('MIL', 'DEN'), -1);
+  assert.equal(travelMiles('XXX', 'BOS'), 0);
+});
+
+test('time-zone shifts follow daylight saving on the game date', () => {
+  assert.equal(utcOffsetOn('America/Denver', '2025-11-04'), -7);
+  assert.equal(utcOffsetOn('America/Denver', '2026-03-20'), -6);
+  assert.equal(utcOffsetOn('America/Phoenix', '2026-03-20'), -7);
+
+  // Arizona stays on standard time, so Phoenix and Denver only line up in the winter
+  assert.equal(timeZoneShift('PHX', 'DEN', '2025-12-01'), 0);
+  assert.equal(timeZoneShift('PHX', 'DEN', '2026-03-20'), 1);
+  assert.equal(timeZoneShift('DEN', 'PHX', '2026-04-10'), -1);
+  assert.equal(timeZoneShift('POR', 'BOS', '2026-04-10'), 3);
+});
+
+test('calculateScheduleContext gives the rested team the rest advantage', () => {
+  const away = { schedule: summarizeTeamSchedule(games, MIL.id, SLATE_DATE) };
+  const home = { schedule: summarizeTeamSchedule(games, TOR.id, SLATE_DATE) };
+
+  const awayContext = calculateScheduleContext(away, home);
+  const homeContext = calculateScheduleContext(home, away);
+
+  assert.equal(awayContext.teamBackToBack, true);
+  assert.equal(homeContext.oppBackToBack, true);
+  assert.ok(awayContext.restAdvantage < 0);
+  assert.equal(homeContext.restAdvantage, -awayContext.restAdvantage);
+  assert.ok(awayContext.adjustmentDesc.includes('4-in-6'));
+});
+
+test('calculateScheduleContext stays neutral without schedule data', () => {
+  const context = calculateScheduleContext({}, { schedule: null });
+  assert.equal(context.restAdvantage, 0);
+  assert.equal(context.teamBackToBack, false);
+});
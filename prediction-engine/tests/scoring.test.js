@@ -0,0 +1,47 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { calculatePossessionBasedScore } from '../modules/scoring.js';
+import { assertGolden } from './helpers/golden.js';
+import { loadSnapshot, MIL, TOR } from './helpers/fixtures.js';
+
+const mil = loadSnapshot(`teams_${MIL.id}_2025-26_5`).data;
+const tor = loadSnapshot(`teams_${TOR.id}_2025-26_5`).data;
+
+const gameScript = {
+  keyBattles: [
+    { type: 'Interior Battle', advantage: 'MIL', confidence: 'High' },
+    { type: 'Tempo Control', advantage: 'TOR', confidence: 'Medium' }
+  ]
+};
+
+function score(team, opp, isHome, options = {}) {
+  return calculatePossessionBasedScore(
+    team.general, opp.general, team.advanced, opp.advanced,
+    isHome, options.homeAdvantage ?? 2.5, options.strengthDiff ?? 0,
+    options.pace ?? null, options.gameScript ?? null, options.teamAbbr ?? null, options.schedule ?? null
+  );
+}
+
+test('calculatePossessionBasedScore matches golden output', () => {
+  assertGolden('possession-based-score', {
+    awayBaseline: score(mil, tor, false),
+    homeBaseline: score(tor, mil, true),
+    awayWithPace: score(mil, tor, false, { pace: 99.2, strengthDiff: 1.4 }),
+    homeWithGameScript: score(tor, mil, true, { gameScript, teamAbbr: 'TOR' }),
+    awayWithGameScript: score(mil, tor, false, { gameScript, teamAbbr: 'MIL' }),
+    awayBackToBack: score(mil, tor, false, { schedule: { teamBackToBack: true, restAdvantage: -1 } }),
+    homeRested: score(tor, mil, true, { schedule: { teamBackToBack: false, restAdvantage: 2 } })
+  });
+});
+
+test('home court and rest move the score in the expected direction', () => {
+  assert.ok(score(tor, mil, true).score > score(tor, mil, false).score);
+  assert.ok(score(mil, tor, false, { schedule: { teamBackToBack: true, restAdvantage: -1 } }).score < score(mil, tor, false).score);
+});
+
+test('missing team stats fall back to league-average defaults', () => {
+  const result = calculatePossessionBasedScore({}, {}, {}, {}, false, 2.5, 0);
+  assert.ok(result.score > 95 && result.score < 125, `unexpected fallback score ${result.score}`);
+  assert.equal(result.breakdown.basePace, 100);
+});
@@ -0,0 +1,97 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { simulateGame, simulationSeed, distributionPercentile, spreadCoverProbability, totalLineProbability, findSimulatedPlayer } from '../modules/simulation.js';
+
+const matchup = {
+  away: { score: 110, possessions: 100, stdDev: 9 },
+  home: { score: 114, possessions: 100, stdDev: 9 },
+  pace: 100,
+  paceStdDev: 3.5,
+  iterations: 20000,
+  seed: simulationSeed(20251104, 'MIL', 'TOR')
+};
+
+test('simulateGame reproduces with the same seed and centers on the possession model', () => {
+  const sim = simulateGame(matchup);
+  assert.deepEqual(simulateGame(matchup), sim);
+  assert.notDeepEqual(simulateGame({ ...matchup, seed: matchup.seed + 1 }).marginDistribution, sim.marginDistribution);
+
+  assert.equal(sim.iterations, 20000);
+  assert.ok(Math.abs(sim.awayScore.mean - 110) < 1, `away mean ${sim.awayScore.mean}`);
+  assert.ok(Math.abs(sim.homeScore.mean - 114) < 1, `home mean ${sim.homeScore.mean}`);
+  assert.ok(Math.abs(sim.margin.percentiles.p50 + 4) <= 1);
+
+  // Independent 9-point team spreads give a ~12.7 margin spread: P(away wins by 1+) ~ 37%
+  assert.ok(sim.awayWinProbability > 0.33 && sim.awayWinProbability < 0.41, `away win ${sim.awayWinProbability}`);
+  assert.equal(sim.awayWinProbability + sim.homeWinProbability, 1);
+
+  // Ties go to overtime, so no final margin is zero
+  assert.equal(sim.marginDistribution[0], undefined);
+  assert.ok(sim.overtimeProbability > 0.01 && sim.overtimeProbability < 0.06, `overtime ${sim.overtimeProbability}`);
+});
+
+test('wider team spreads widen the score percentiles', () => {
+  const tight = simulateGame(matchup);
+  const wide = simulateGame({ ...matchup, away: { ...matchup.away, stdDev: 14 }, home: { ...matchup.home, stdDev: 14 } });
+
+  const spread = sim => sim.total.percentiles.p90 - sim.total.percentiles.p10;
+  assert.ok(spread(wide) > spread(tight) * 1.3, `${spread(wide)} vs ${spread(tight)}`);
+});
+
+test('player stats are shares of the simulated team score', () => {
+  const star = { playerName: 'Star', points: 30, rebounds: 8, assists: 6, threePointersMade: 2 };
+  const wing = { playerName: 'Wing', points: 15, rebounds: 4, assists: 2, threePointersMade: 3 };
+  const big = { playerName: 'Big', points: 12, rebounds: 11, assists: 2, threePointersMade: 0 };
+  const iterations = 5000;
+
+  // Players covering part of the score keep their projections; the rest of the roster scores the remainder
+  const roomy = simulateGame({ ...matchup, iterations, away: { ...matchup.away, players: [star, wing, big] } });
+  assert.equal(roomy.players.home, null);
+  assert.equal(roomy.players.away.projectedPoints, 57);
+  assert.ok(Math.abs(findSimulatedPlayer(roomy, 'Star').points.mean - 30) < 0.8);
+  assert.ok(Math.abs(findSimulatedPlayer(roomy, 'Big').rebounds.mean - 11) < 0.5);
+  assert.equal(findSimulatedPlayer(roomy, 'Big').threePointersMade.percentiles.p95, 0);
+  assert.equal(findSimulatedPlayer(roomy, 'Bench'), null);
+
+  // Team results don't depend on who is listed
+  assert.deepEqual(roomy.marginDistribution, simulateGame({ ...matchup, iterations }).marginDistribution);
+
+  // Projections adding up to more than the team score shrink to fit it, and teammates compete for shots
+  const crowded = simulateGame({ ...matchup, iterations, away: { ...matchup.away, players: [star, wing, big, { ...star, playerName: 'Second Star' }, { ...wing, playerName: 'Sixth Man', points: 25 }] } });
+  const team = crowded.players.away;
+  assert.equal(team.projectedPoints, 112);
+  assert.ok(Math.abs(team.simulatedPoints - crowded.awayScore.mean) < 0.5, `${team.simulatedPoints} vs ${crowded.awayScore.mean}`);
+  assert.ok(findSimulatedPlayer(crowded, 'Star').points.mean < 30);
+  assert.equal(team.correlations.length, 10);
+  const stars = team.correlations.find(pair => pair.players.join() === 'Star,Second Star');
+  assert.ok(stars.points < 0, `star correlation ${stars.points}`);
+
+  // Sharing the team score ties a roomy rotation's scoring to the team's
+  const roomyPair = roomy.players.away.correlations.find(pair => pair.players.join() === 'Star,Wing');
+  assert.ok(roomyPair.points > stars.points);
+
+  const pra = findSimulatedPlayer(crowded, 'Big').pra.mean;
+  const parts = ['points', 'rebounds', 'assists'].reduce((sum, stat) => sum + findSimulatedPlayer(crowded, 'Big')[stat].mean, 0);
+  assert.ok(Math.abs(pra - parts) < 0.2);
+});
+
+test('cover and total probabilities price any line from the distributions', () => {
+  const sim = {
+    marginDistribution: { '-10': 2, '-3': 3, '2': 4, '6': 1 },
+    totalDistribution: { '210': 1, '220': 2, '221': 5, '230': 2 }
+  };
+
+  // Home -3: home wins by 4+ covers, by exactly 3 pushes
+  assert.deepEqual(spreadCoverProbability(sim, 'home', -3), { cover: 0.2, push: 0.3, lose: 0.5 });
+  // Away +3 is the other side of the same line
+  assert.deepEqual(spreadCoverProbability(sim, 'away', 3), { cover: 0.5, push: 0.3, lose: 0.2 });
+  assert.deepEqual(spreadCoverProbability(sim, 'away', -1.5), { cover: 0.5, push: 0, lose: 0.5 });
+
+  assert.deepEqual(totalLineProbability(sim, 220.5), { over: 0.7, push: 0, under: 0.3 });
+  assert.deepEqual(totalLineProbability(sim, 221), { over: 0.2, push: 0.5, under: 0.3 });
+
+  assert.equal(distributionPercentile(sim.totalDistribution, 10), 210);
+  assert.equal(distributionPercentile(sim.totalDistribution, 50), 221);
+  assert.equal(distributionPercentile(sim.totalDistribution, 95), 230);
+});
@@ -0,0 +1,16 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { buildSlateDocument, checkSlateDocument, parseOutputFormat, SLATE_SCHEMA, SLATE_SCHEMA_VERSION } from '../modules/slate.js';
+
+test('parseOutputFormat defaults to csv and rejects unknown formats', () => {
+  assert.equal(parseOutputFormat(undefined), 'csv');
+  assert.equal(parseOutputFormat('both'), 'both');
+  assert.throws(() => parseOutputFormat('xml'), /Unknown output format "xml"/);
+});
+
+test('checkSlateDocument rejects other schemas and newer versions', () => {
+  assert.deepEqual(checkSlateDocument(buildSlateDocument({ date: '2025-11-04', games: [] })), []);
+  assert.equal(checkSlateDocument({ schema: 'other', schemaVersion: 1, games: [] }).length, 1);
+  assert.match(checkSlateDocument({ schema: SLATE_SCHEMA, schemaVersion: SLATE_SCHEMA_VERSION + 1, games: [] })[0], /Unsupported schemaVersion/);
+});
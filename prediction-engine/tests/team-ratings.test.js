@@ -0,0 +1,189 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TEAM_RATINGS } from '../config/constants.js';
+import {
+  configureTeamRatings, loadTeamResults, diffResultsIntoStore, recordTeamResults, syncTeamResults, seasonForDate,
+  ratingShift, computeTeamRatings, getMatchupRating, ratingBlendWeight, blendRatingMargin
+} from '../modules/team-ratings.js';
+import { analyzeGame, getCollectedRows } from '../prediction-engine.js';
+import { configureSnapshots } from '../modules/replay.js';
+import { configureCache } from '../modules/cache.js';
+import { loadSnapshot, quietly, SNAPSHOT_DIR, SLATE_DATE } from './helpers/fixtures.js';
+
+function result(date, gameId, awayTeam, awayScore, homeTeam, homeScore) {
+  return { date, gameId, season: seasonForDate(date), awayTeam, homeTeam, awayScore, homeScore };
+}
+
+function workerResults(date, games) {
+  return {
+    success: true,
+    date,
+    finishedGames: games.map(([gameId, away, awayScore, home, homeScore]) => ({
+      gameId,
+      awayTeam: { abbreviation: away, score: awayScore },
+      homeTeam: { abbreviation: home, score: homeScore }
+    }))
+  };
+}
+
+test('seasons run from October through September', () => {
+  assert.equal(seasonForDate('2025-10-21'), '2025-26');
+  assert.equal(seasonForDate('2026-04-12'), '2025-26');
+  assert.equal(seasonForDate('2025-09-30'), '2024-25');
+  assert.equal(seasonForDate('2099-11-01'), '2099-00');
+});
+
+test('the Elo update rewards winners, bigger margins and upsets', () => {
+  const narrow = ratingShift(1500, 1500, 101, 100);
+  const blowout = ratingShift(1500, 1500, 130, 100);
+  assert.ok(narrow > 0);
+  assert.ok(blowout > narrow);
+
+  // An evenly rated home team is expected to win, so a home loss moves more than a home win
+  assert.ok(Math.abs(ratingShift(1500, 1500, 100, 101)) > narrow);
+
+  // The same blowout is worth less to a heavy favorite than to an underdog
+  assert.ok(ratingShift(1700, 1400, 130, 100) < ratingShift(1400, 1700, 130, 100));
+});
+
+test('ratings only see earlier games and regress toward the mean between seasons', () => {
+  const entries = [
+    result('2025-04-10', '0022401200', 'MIL', 90, 'TOR', 130),
+    result('2025-04-12', '0022401210', 'TOR', 125, 'MIL', 95),
+    result('2025-11-01', '0022500100', 'MIL', 110, 'TOR', 108)
+  ];
+
+  const lastSeason = computeTeamRatings(entries, '2025-04-12');
+  assert.equal(lastSeason.get('TOR').games, 1);
+  assert.ok(lastSeason.get('TOR').rating > TEAM_RATINGS.MEAN);
+
+  const endOfSeason = computeTeamRatings(entries, '2025-05-01');
+  const preseason = computeTeamRatings(entries, '2025-10-21');
+  const tor = preseason.get('TOR');
+  assert.equal(tor.games, 0);
+  assert.ok(tor.priorSeason);
+  assert.equal(
+    Math.round(tor.rating * 1000),
+    Math.round((TEAM_RATINGS.MEAN + TEAM_RATINGS.SEASON_CARRYOVER * (endOfSeason.get('TOR').rating - TEAM_RATINGS.MEAN)) * 1000)
+  );
+
+  const rating = getMatchupRating(entries, 'MIL', 'TOR', '2025-11-04');
+  assert.ok(rating.tracked);
+  assert.equal(rating.away.games, 1);
+  assert.equal(rating.home.games, 1);
+  assert.ok(rating.homeMargin > 0, 'TOR carries last season\'s edge plus home court');
+  assert.ok(rating.homeWinProbability > 0.5);
+
+  assert.deepEqual(getMatchupRating([], 'MIL', 'TOR', '2025-11-04'), { tracked: false });
+  assert.deepEqual(getMatchupRating(entries, 'BOS', 'NYK', '2025-11-04'), { tracked: false });
+});
+
+test('the rating weight tightens as the season goes on and the blend keeps the total', () => {
+  assert.equal(ratingBlendWeight(0), TEAM_RATINGS.MAX_WEIGHT);
+  assert.equal(ratingBlendWeight(TEAM_RATINGS.HALF_WEIGHT_GAMES), (TEAM_RATINGS.MAX_WEIGHT + TEAM_RATINGS.MIN_WEIGHT) / 2);
+  assert.ok(ratingBlendWeight(40) < ratingBlendWeight(10));
+  assert.ok(ratingBlendWeight(82) > TEAM_RATINGS.MIN_WEIGHT);
+
+  const rating = { tracked: true, homeMargin: 10 };
+  const early = blendRatingMargin({ awayScore: 112, homeScore: 110 }, rating, 0);
+  assert.equal(early.awayScore + early.homeScore, 222);
+  assert.equal(early.modelMargin, -2);
+  assert.equal(early.homeScore - early.awayScore, 6); // -2 + 0.6 * (10 - -2) = 5.2, rounded to whole scores
+
+  const late = blendRatingMargin({ awayScore: 112, homeScore: 110 }, rating, 60);
+  assert.ok(late.homeScore - late.awayScore < early.homeScore - early.awayScore);
+
+  assert.equal(blendRatingMargin({ awayScore: 112, homeScore: 110 }, { tracked: false }, 0), null);
+  assert.equal(blendRatingMargin({ awayScore: 112, homeScore: 110 }, null, 0), null);
+});
+
+test('the store records each finished regular season game once and syncs from the last stored date', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-ratings-'));
+  const storePath = path.join(dir, 'team-results.jsonl');
+  try {
+    const days = {
+      '2025-11-02': workerResults('2025-11-02', [['0022500120', 'MIL', 101, 'TOR', 99], ['0012500001', 'BOS', 90, 'NYK', 80]]),
+      '2025-11-03': workerResults('2025-11-03', [['0022500140', 'TOR', 118, 'BOS', 104]]),
+      '2025-11-04': { success: false, error: 'HTTP 503' }
+    };
+    const fetched = [];
+    const fetchResults = async date => {
+      fetched.push(date);
+      return days[date] || workerResults(date, []);
+    };
+
+    // Preseason games are skipped, and a game already stored isn't written twice
+    assert.equal(diffResultsIntoStore([], days['2025-11-02']).length, 1);
+    assert.equal(diffResultsIntoStore([result('2025-11-02', '0022500120', 'MIL', 101, 'TOR', 99)], days['2025-11-02']).length, 0);
+
+    configureTeamRatings({ mode: 'read', path: storePath });
+    assert.equal(recordTeamResults(days['2025-11-02']), 0);
+    assert.equal((await syncTeamResults(fetchResults, '2025-11-03')).dates, 0);
+
+    configureTeamRatings({ mode: 'record', path: storePath });
+    fs.writeFileSync(storePath, JSON.stringify(result('2025-11-01', '0022500100', 'MIL', 110, 'TOR', 108)) + '\n');
+
+    const sync = await syncTeamResults(fetchResults, '2025-11-04');
+    assert.deepEqual(fetched, ['2025-11-01', '2025-11-02', '2025-11-03', '2025-11-04']);
+    assert.equal(sync.recorded, 2);
+    assert.equal(sync.dates, 3);
+    assert.match(sync.error, /2025-11-04: HTTP 503/);
+
+    // The next run starts again from the last stored date
+    fetched.length = 0;
+    days['2025-11-04'] = workerResults('2025-11-04', []);
+    const again = await syncTeamResults(fetchResults, '2025-11-04');
+    assert.deepEqual(fetched, ['2025-11-03', '2025-11-04']);
+    assert.equal(again.recorded, 0);
+
+    configureTeamRatings({ mode: 'read', path: storePath });
+    assert.deepEqual(loadTeamResults().map(entry => entry.gameId), ['0022500100', '0022500120', '0022500140']);
+  } finally {
+    configureTeamRatings();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('analyzeGame blends the rating margin into the predicted scores', async () => {
+  configureSnapshots({ mode: 'replay', date: SLATE_DATE, dir: SNAPSHOT_DIR });
+  configureCache({ enabled: false });
+  const [game] = loadSnapshot(`games_${SLATE_DATE}`).games;
+
+  await quietly(() => analyzeGame(game));
+  const [unrated] = getCollectedRows().games.map(row => ({ ...row }));
+  assert.equal(unrated.EloWeight, '');
+
+  // Milwaukee swept a strong start to the season, so the ratings like them more than the last-5 stats do
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-ratings-'));
+  const storePath = path.join(dir, 'team-results.jsonl');
+  try {
+    fs.writeFileSync(storePath, [
+      result('2025-10-24', '0022500010', 'MIL', 125, 'TOR', 100),
+      result('2025-10-28', '0022500050', 'TOR', 98, 'MIL', 121),
+      result('2025-11-04', '0022500150', 'MIL', 116, 'TOR', 124) // the game itself - never used for its own prediction
+    ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    configureTeamRatings({ mode: 'read', path: storePath });
+
+    await quietly(() => analyzeGame(game));
+    const rows = getCollectedRows();
+    const [rated] = rows.games;
+    const [record] = rows.slate;
+
+    assert.equal(rows.games.length, 1);
+    assert.ok(rated.AwayElo > rated.HomeElo);
+    assert.equal(record.prediction.rating.away.games, 2);
+    assert.equal(rated.EloWeight, Math.round(ratingBlendWeight(2) * 1000) / 1000);
+
+    const margin = row => row.HomeScore - row.AwayScore;
+    assert.ok(margin(rated) < margin(unrated), `${margin(rated)} vs ${margin(unrated)}`);
+    assert.equal(record.prediction.rating.modelMargin, margin(unrated));
+    assert.equal(rated.Total, unrated.Total);
+  } finally {
+    configureTeamRatings();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
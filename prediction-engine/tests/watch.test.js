@@ -0,0 +1,94 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { fetchCurrentInjuryReport, fetchNextReport, findAffectedGames, getNextReportCheck, getTipOff, getUpcomingGames } from '../modules/watch.js';
+import { fetchInjuriesWithOfficial } from '../modules/injuries.js';
+import { WATCH_CONFIG } from '../config/constants.js';
+import { loadSnapshot, SLATE_DATE } from './helpers/fixtures.js';
+import { parsedReport, withFakeInjuriesWorker } from './helpers/injuries-worker.js';
+
+const [game] = loadSnapshot(`games_${SLATE_DATE}`).games;
+
+test('report checks land on the next hourly slot plus the publish delay', () => {
+  // 4:50 PM ET -> the 5:00 PM report, checked at 5:35 PM ET
+  assert.equal(getNextReportCheck(new Date('2025-11-04T21:50:00Z')).toISOString(), '2025-11-04T22:35:00.000Z');
+  // Just after the 5:35 check -> 6:35 PM ET
+  assert.equal(getNextReportCheck(new Date('2025-11-04T22:36:00Z')).toISOString(), '2025-11-04T23:35:00.000Z');
+  // After the last report of the day -> tomorrow's 12:00 AM report
+  assert.equal(getNextReportCheck(new Date('2025-11-05T01:00:00Z')).toISOString(), '2025-11-05T05:35:00.000Z');
+});
+
+test('tip-off comes from the scheduled status text and drops started games', () => {
+  assert.equal(getTipOff(game).toISOString(), '2025-11-05T00:30:00.000Z');
+  assert.equal(getTipOff({ ...game, time: 'Q2 5:12' }), null);
+
+  assert.equal(getUpcomingGames([game], new Date('2025-11-05T00:00:00Z')).length, 1);
+  assert.equal(getUpcomingGames([game], new Date('2025-11-05T00:31:00Z')).length, 0);
+});
+
+test('findAffectedGames flags only matchups whose injury lists changed', () => {
+  const earlier = [
+    { teamAbbreviation: 'MIL', playerName: 'Kevin Porter Jr.', status: 'out' },
+    { teamAbbreviation: 'TOR', playerName: 'Immanuel Quickley', status: 'probable' },
+    { teamAbbreviation: 'ORL', playerName: 'Jalen Suggs', status: 'out' }
+  ];
+  const later = [
+    { teamAbbreviation: 'ORL', playerName: 'Jalen Suggs', status: 'out' },
+    { teamAbbreviation: 'TOR', playerName: 'Immanuel Quickley', status: 'questionable' },
+    { teamAbbreviation: 'MIL', playerName: 'Kevin Porter Jr.', status: 'out' }
+  ];
+
+  assert.deepEqual(findAffectedGames([game], earlier, earlier), []);
+  assert.deepEqual(findAffectedGames([game], earlier, later).map(entry => entry.changedTeams), [['TOR']]);
+});
+
+test('a slot whose report only goes up on the second recheck is still picked up', async () => {
+  const date = '2025-11-10';
+  const worker = {
+    list: ['04PM', '05PM'],
+    parsed: { '04PM': parsedReport(date, '04PM', [['MIL', 'Kevin Porter Jr.', 'Out']]) }
+  };
+
+  // 5:40 PM ET: the 5 PM report is listed but its PDF can't be fetched yet
+  const now = new Date(`${date}T22:40:00Z`);
+  await withFakeInjuriesWorker(worker, async ({ requests }) => {
+    const baseline = { success: true, reportTime: '4:00 PM ET' };
+    const waits = [];
+    const wait = async ms => {
+      waits.push(ms);
+      if (waits.length === 2) {
+        worker.parsed['05PM'] = parsedReport(date, '05PM', [['MIL', 'Kevin Porter Jr.', 'Out'], ['TOR', 'Immanuel Quickley', 'Questionable']]);
+      }
+    };
+
+    const latest = await fetchNextReport(() => fetchInjuriesWithOfficial(date, now), baseline, wait);
+    assert.equal(waits.length, 2);
+    assert.ok(waits.every(ms => ms === WATCH_CONFIG.RECHECK_MINUTES * 60 * 1000));
+    assert.equal(latest.reportTime, '5:00 PM ET');
+    assert.equal(latest.allInjuries.length, 2);
+    assert.equal(requests.filter(request => request.startsWith('parsed') && request.endsWith('05PM')).length, 3);
+  });
+});
+
+test('a report published between two watch polls is seen by the second poll', async () => {
+  const date = '2025-11-11';
+  const worker = {
+    list: ['04PM'],
+    parsed: { '04PM': parsedReport(date, '04PM', [['MIL', 'Kevin Porter Jr.', 'Out']]) }
+  };
+
+  const now = new Date(`${date}T22:40:00Z`);
+  await withFakeInjuriesWorker(worker, async ({ requests }) => {
+    const baseline = await fetchInjuriesWithOfficial(date, now);
+    assert.equal(baseline.reportTime, '4:00 PM ET');
+
+    // The 5 PM report goes up after the run's first look at the list
+    worker.list.push('05PM');
+    worker.parsed['05PM'] = parsedReport(date, '05PM', [['MIL', 'Kevin Porter Jr.', 'Questionable']]);
+
+    const latest = await fetchNextReport(() => fetchCurrentInjuryReport(date, now), baseline, async () => assert.fail('no recheck needed'));
+    assert.equal(latest.reportTime, '5:00 PM ET');
+    assert.equal(latest.allInjuries[0].status, 'Questionable');
+    assert.equal(requests.filter(request => request.startsWith('list')).length, 2);
+  });
+});
@@ -0,0 +1,94 @@
+import './helpers/pin-config.js';
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import http from 'http';
+import { loadWorkers, createMountedServer, createSingleWorkerServer, DEFAULT_FIXTURES_DIR } from '../../worker-emulator/worker-emulator.js';
+import { createFixtureBackend, installUpstreamBackend } from '../../worker-emulator/backends.js';
+import { quietly } from './helpers/fixtures.js';
+
+// One route per worker, all answered from the fixtures shipped in worker-emulator/fixtures (MIL at TOR, 2025-11-04)
+const ROUTES = {
+  games: '/games?date=2025-11-04',
+  teams: '/teams?id=1610612749&season=2025-26&lastN=5',
+  players: '/players?team=1610612749&season=2025-26&lastN=5',
+  injuries: '/injuries?team=MIL',
+  gamenotes: '/gamenotes?team=MIL',
+  injuriesOfficial: '/list?date=2025-11-04',
+  lineups: '/lineups?team=1610612749&season=2025-26&lastN=5',
+  teamstyle: '/profile?team=1610612749&season=2025-26&lastN=5',
+  schedule: '/schedule?team=1610612749&date=2025-11-04',
+  results: '/games-status?date=2025-11-04'
+};
+
+/**
+ * Start a server on an ephemeral port, run the scenario against its base URL, then close it
+ */
+async function withServer(server, scenario) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await scenario(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('the emulator serves every worker from the shipped fixtures without touching the network', async () => {
+  const restore = installUpstreamBackend(createFixtureBackend(DEFAULT_FIXTURES_DIR));
+
+  try {
+    const workers = await loadWorkers();
+    const bodies = await quietly(() => withServer(createMountedServer(workers), async base => {
+      const results = {};
+      for (const [name, route] of Object.entries(ROUTES)) {
+        const response = await fetch(`${base}/${name}${route}`);
+        assert.equal(response.status, 200, `${name} answered ${response.status}`);
+        results[name] = await response.json();
+        assert.equal(results[name].success, true, `${name}: ${results[name].error}`);
+      }
+      return results;
+    }));
+
+    assert.deepEqual(bodies.games.games.map(game => game.gameCode), ['20251104/MILTOR']);
+    assert.equal(bodies.teams.data.general.teamName, 'Milwaukee Bucks');
+    assert.equal(bodies.players.players[0].position, 'F');
+    assert.equal(bodies.injuries.injuries[0].playerName, 'Kevin Porter Jr.');
+    assert.equal(bodies.gamenotes.game.date, '2025-11-04');
+    assert.deepEqual(bodies.injuriesOfficial.reports.filter(report => report.available).map(report => report.time), ['05PM']);
+    assert.equal(bodies.lineups.lineups.length, 1);
+    assert.equal(bodies.teamstyle.profile.teamId, '1610612749');
+    assert.equal(bodies.schedule.schedule.hasGame, true);
+    assert.equal(bodies.results.games[0].gameId, '0022500150');
+  } finally {
+    restore();
+  }
+});
+
+test('the emulator answers unmounted paths with the list of mounted workers', async () => {
+  const workers = await loadWorkers();
+  const body = await withServer(createMountedServer(workers), async base => {
+    const response = await fetch(`${base}/nope/anything`);
+    assert.equal(response.status, 404);
+    return response.json();
+  });
+
+  assert.equal(body.success, false);
+  assert.ok(body.available.includes('/injuriesOfficial'));
+});
+
+test('repeated request headers reach the worker as separate values', async () => {
+  const echo = { fetch: request => Response.json({ setCookie: request.headers.get('set-cookie'), accept: request.headers.get('accept') }) };
+
+  const body = await withServer(createSingleWorkerServer('echo', echo), base => new Promise((resolve, reject) => {
+    // fetch() would merge the values client-side, so send the raw header lines with http.request
+    const req = http.request(`${base}/`, { headers: { 'Set-Cookie': ['a=1', 'b=2'], Accept: 'application/json' } }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(JSON.parse(Buffer.concat(chunks).toString())));
+    });
+    req.on('error', reject);
+    req.end();
+  }));
+
+  assert.equal(body.setCookie, 'a=1, b=2');
+  assert.equal(body.accept, 'application/json');
+});
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * NBA Model Calibration
+ * Fits the tunable model constants (home advantage, possession model, enhancement weights,
+ * opponent defense multipliers, game script adjustments) to finished games and writes them
+ * as the next versioned parameter file (./parameters/parameters-vNNN.json)
+ *
+ * Every calibration date needs recorded worker responses (live runs record them) so the slate can
+ * be replayed under candidate values; final scores and box scores come from the results worker.
+ * The date's published run (JSON slate or CSVs in --output-dir), when there is one, picks the games
+ * and is reported as the baseline.
+ *
+ * Usage:
+ *   node calibrate.js                         # Every recorded slate date
+ *   node calibrate.js --range=14              # Recorded dates in the last 14 days
+ *   node calibrate.js --dates=2025-11-03,2025-11-04
+ *   node calibrate.js --max-evaluations=100   # Cap the search (each evaluation replays every game)
+ *   node calibrate.js --dry-run               # Fit and report without writing a parameter file
+ *   node calibrate.js --print-config          # Show resolved settings and where they came from
+ *
+ * The engine uses a parameter file with --parameters=latest (or a path); the fit starts from the
+ * parameters this run was started with, so calibrating with --parameters=latest refines the last fit
+ */
+
+import { OUTPUT_DIR, MODEL_PARAMETERS, MODEL_PARAMETER_GROUPS } from '../prediction-engine/config/constants.js';
+import { RUNTIME_CONFIG, printConfig, stripConfigFlags } from '../prediction-engine/config/config.js';
+import { TUNABLE_PARAMETERS, getParameterValues, writeParameterFile } from '../prediction-engine/config/parameters.js';
+import { listSnapshotDates } from '../prediction-engine/modules/replay.js';
+import { configureCache } from '../prediction-engine/modules/cache.js';
+import { configureInjuryHistory } from '../prediction-engine/modules/injury-history.js';
+import { configureTeamRatings } from '../prediction-engine/modules/team-ratings.js';
+import { createResultsClient } from './results-client.js';
+import { loadPredictionFiles } from './prediction-files.js';
+import { datesEndingOn } from './range-report.js';
+import { loadCalibrationGames, evaluateParameters, fitParameters, scorePublished, REGULARIZATION, MIN_GAMES } from './calibration.js';
+import { LOSS_WEIGHTS } from './prediction-errors.js';
+
+const resultsClient = createResultsClient({ name: 'calibrate' });
+
+async function main() {
+  try {
+    if (process.argv.includes('--print-config')) {
+      printConfig(RUNTIME_CONFIG);
+      return;
+    }
+
+    // Config flags (--workers-base-url=, --parameters=, ...) are handled by config.js
+    const args = stripConfigFlags(process.argv.slice(2));
+    const datesParam = args.find(arg => arg.startsWith('--dates='))?.split('=')[1];
+    const rangeParam = args.find(arg => arg.startsWith('--range='))?.split('=')[1];
+    const maxEvaluationsParam = args.find(arg => arg.startsWith('--max-evaluations='))?.split('=')[1];
+    const dryRun = args.includes('--dry-run');
+
+    console.log('🎛️  NBA MODEL CALIBRATION');
+    console.log('='.repeat(80));
+
+    const recorded = listSnapshotDates();
+    let dates;
+    if (datesParam) {
+      dates = datesParam.split(',').map(date => date.trim()).filter(Boolean);
+    } else if (rangeParam) {
+      const days = parseInt(rangeParam);
+      if (!Number.isInteger(days) || days < 1) {
+        console.log(`❌ Invalid range "${rangeParam}" - use --range=N with N >= 1`);
+        return;
+      }
+      const end = recorded[recorded.length - 1];
+      dates = end ? datesEndingOn(end, days).filter(date => recorded.includes(date)) : [];
+    } else {
+      dates = recorded;
+    }
+
+    const maxEvaluations = maxEvaluationsParam ? parseInt(maxEvaluationsParam) : 200;
+    if (!Number.isInteger(maxEvaluations) || maxEvaluations < 1) {
+      console.log(`❌ Invalid --max-evaluations "${maxEvaluationsParam}" - use a whole number >= 1`);
+      return;
+    }
+
+    if (dates.length === 0) {
+      console.log('❌ No recorded slates to calibrate on. Live runs record them (snapshots/<date>/).');
+      return;
+    }
+
+    // Replays read recorded responses, the local injury history and team ratings; nothing is fetched from the data workers
+    configureCache({ enabled: false });
+    configureInjuryHistory({ mode: 'read' });
+    configureTeamRatings({ mode: 'read' });
+
+    console.log(`📅 Loading ${dates.length} date${dates.length === 1 ? '' : 's'}: ${dates[0]} → ${dates[dates.length - 1]}`);
+    const { games, skipped } = await loadCalibrationGames(dates, {
+      resultsClient,
+      loadPublished: date => loadPredictionFiles(OUTPUT_DIR, date)
+    });
+
+    skipped.forEach(({ date, reason }) => console.log(`  ⏭️  ${date}: ${reason}`));
+    resultsClient.getFailures()
+      .filter(failure => !failure.recovered)
+      .forEach(failure => console.log(`  ⚠️ ${failure.url}: ${failure.error}`));
+
+    if (games.length === 0) {
+      console.log('❌ No finished games with recorded slates to calibrate on');
+      return;
+    }
+
+    console.log(`✅ ${games.length} finished game${games.length === 1 ? '' : 's'} to fit`);
+    if (games.length < MIN_GAMES) {
+      console.log(`⚠️ Fewer than ${MIN_GAMES} games - treat the fitted values as a rough guide`);
+    }
+
+    const published = scorePublished(games);
+    if (published.games > 0) {
+      console.log(`📰 As published (${published.games} games): margin MAE ${published.marginMAE.toFixed(2)}, total MAE ${published.totalMAE.toFixed(2)}, winners ${published.winnerAccuracy.toFixed(1)}%`);
+    }
+
+    console.log(`🔎 Searching ${TUNABLE_PARAMETERS.length} parameters from ${MODEL_PARAMETERS.source} (up to ${maxEvaluations} evaluations)...`);
+    const start = getParameterValues(MODEL_PARAMETER_GROUPS);
+    const fit = await fitParameters(values => evaluateParameters(values, games), {
+      start,
+      maxEvaluations,
+      onProgress: (evaluations, best) => console.log(`  ↘️  [${evaluations}] loss ${best.result.loss.toFixed(3)}`)
+    });
+
+    fit.after.failures.forEach(failure => console.log(`  ⚠️ ${failure.date} ${failure.matchup}: ${failure.error}`));
+
+    console.log('');
+    printErrors('Before', fit.before);
+    printErrors('After', fit.after);
+    console.log(`  ${fit.evaluations} evaluations${fit.converged ? ', converged' : ' (stopped at --max-evaluations)'}`);
+
+    const changed = TUNABLE_PARAMETERS.filter(({ key }) => fit.values[key] !== start[key]);
+    console.log('');
+    if (changed.length === 0) {
+      console.log('🟰 No parameter moved - the starting values already fit these games best');
+    } else {
+      console.log('📐 Changed parameters:');
+      changed.forEach(({ key }) => console.log(`  ${key.padEnd(42)} ${String(start[key]).padStart(6)} → ${fit.values[key]}`));
+    }
+
+    if (dryRun) {
+      console.log('\n🧪 Dry run - no parameter file written');
+      return;
+    }
+
+    const { version, filePath } = writeParameterFile({
+      basedOn: MODEL_PARAMETERS.source,
+      dates: [...new Set(games.map(entry => entry.date))],
+      games: fit.after.games,
+      players: fit.after.players,
+      defaults: start,
+      values: fit.values,
+      fit: {
+        before: withoutFailures(fit.before),
+        after: withoutFailures(fit.after),
+        published: published.games > 0 ? published : null,
+        evaluations: fit.evaluations,
+        converged: fit.converged,
+        lossWeights: LOSS_WEIGHTS,
+        regularization: REGULARIZATION
+      }
+    });
+
+    console.log(`\n💾 Parameters v${version}: ${filePath}`);
+    console.log('   Use them with: nba-predict --parameters=latest (or NBA_PARAMETERS / "parameters" in nba.config.json)');
+
+  } catch (error) {
+    console.error('❌ Calibration failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+function printErrors(label, errors) {
+  console.log(`${label.padEnd(7)} loss ${errors.loss.toFixed(3)} | margin MAE ${errors.marginMAE.toFixed(2)} | total MAE ${errors.totalMAE.toFixed(2)} | ` +
+    `player PTS/REB/AST MAE ${errors.playerPointsMAE.toFixed(2)}/${errors.playerReboundsMAE.toFixed(2)}/${errors.playerAssistsMAE.toFixed(2)} (${errors.players} players)`);
+}
+
+function withoutFailures({ failures, ...errors }) {
+  return errors;
+}
+
+main();
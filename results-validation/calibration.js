@@ -0,0 +1,195 @@
+/**
+ * Calibration
+ * Fits the tunable model constants (prediction-engine/config/parameters.js) to finished games:
+ * recorded slates are replayed through the engine under candidate values and scored against
+ * final scores and box scores from the results worker
+ */
+
+import { analyzeGame, getCollectedRows } from '../prediction-engine/prediction-engine.js';
+import { MODEL_PARAMETER_GROUPS, SIMULATION } from '../prediction-engine/config/constants.js';
+import { TUNABLE_PARAMETERS, getParameterValues, applyParameterValues } from '../prediction-engine/config/parameters.js';
+import { configureSnapshots, readSnapshot, snapshotKey, DEFAULT_SNAPSHOT_DIR } from '../prediction-engine/modules/replay.js';
+import { predictionFromSlateRecord, predictionFromRows, scoreGame, summarizeErrors } from './prediction-errors.js';
+
+// Loss added for moving a parameter its whole range away from where the fit started (scaled by the squared share),
+// so a handful of games can't drag values to the edges of their ranges
+export const REGULARIZATION = 2.0;
+
+// Fewer finished games than this and the fitted values are mostly noise
+export const MIN_GAMES = 20;
+
+/**
+ * Run a function with console.log silenced (the engine logs every game it analyzes)
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function matchupOf(game) {
+  return `${game.awayTeam.abbreviation} @ ${game.homeTeam.abbreviation}`;
+}
+
+/**
+ * Finished games to calibrate on, from recorded slates
+ * A date needs recorded worker responses (snapshots) to be replayed; when it also has a published
+ * run, only the games that run predicted are used and its predictions are kept as the baseline
+ * @param {Array} dates - YYYY-MM-DD
+ * @param {object} options - { resultsClient (results-client.js), loadPublished(date) -> prediction rows | null, snapshotDir }
+ * @returns {Promise<object>} - { games: [{ date, matchup, game, actual, boxScore, published }], skipped: [{ date, reason }] }
+ */
+export async function loadCalibrationGames(dates, { resultsClient, loadPublished = () => null, snapshotDir = DEFAULT_SNAPSHOT_DIR }) {
+  const games = [];
+  const skipped = [];
+
+  for (const date of dates) {
+    let scheduled;
+    try {
+      configureSnapshots({ mode: 'replay', date, dir: snapshotDir });
+      scheduled = readSnapshot(snapshotKey(['games', date]), date).games || [];
+    } catch (error) {
+      skipped.push({ date, reason: `no recorded slate (${error.message})` });
+      continue;
+    }
+
+    const results = await resultsClient.fetchActualResults(date);
+    if (!results.success) {
+      skipped.push({ date, reason: `no results (${results.error})` });
+      continue;
+    }
+
+    const finished = results.finishedGames || [];
+    if (finished.length === 0) {
+      skipped.push({ date, reason: 'no finished games' });
+      continue;
+    }
+
+    const published = loadPublished(date);
+    const boxScores = await resultsClient.fetchBoxScores(finished.map(game => game.gameId));
+
+    scheduled.forEach(game => {
+      const matchup = matchupOf(game);
+      const actual = finished.find(result => matchupOf(result) === matchup);
+      if (!actual) return;
+
+      const publishedGame = published?.games?.find(row => row.Matchup === matchup) || null;
+      if (published && !publishedGame) return;
+
+      games.push({
+        date,
+        matchup,
+        game,
+        actual,
+        boxScore: boxScores.find(boxScore => boxScore.gameId === actual.gameId) || null,
+        published: publishedGame ? {
+          game: publishedGame,
+          players: (published.players || []).filter(row => row.Matchup === matchup)
+        } : null
+      });
+    });
+  }
+
+  return { games, skipped };
+}
+
+/**
+ * Errors of the runs as they were published (games without a published run are left out)
+ */
+export function scorePublished(calibrationGames) {
+  return summarizeErrors(calibrationGames
+    .filter(entry => entry.published)
+    .map(entry => scoreGame(predictionFromRows(entry.published.game, entry.published.players), entry.actual, entry.boxScore)));
+}
+
+/**
+ * Replay every calibration game with the given parameter values and score the predictions
+ * The constants (and the simulation count - win probabilities don't enter the loss) are restored afterwards
+ */
+export async function evaluateParameters(values, calibrationGames, { snapshotDir = DEFAULT_SNAPSHOT_DIR } = {}) {
+  const original = getParameterValues(MODEL_PARAMETER_GROUPS);
+  const iterations = SIMULATION.ITERATIONS;
+  const scored = [];
+  const failures = [];
+
+  try {
+    applyParameterValues(MODEL_PARAMETER_GROUPS, values);
+    SIMULATION.ITERATIONS = 0;
+
+    for (const entry of calibrationGames) {
+      configureSnapshots({ mode: 'replay', date: entry.date, dir: snapshotDir });
+      try {
+        await quietly(() => analyzeGame(entry.game));
+      } catch (error) {
+        failures.push({ date: entry.date, matchup: entry.matchup, error: error.message });
+        continue;
+      }
+
+      const record = getCollectedRows().slate.find(game => game.matchup === entry.matchup && game.date === entry.date);
+      if (!record) {
+        failures.push({ date: entry.date, matchup: entry.matchup, error: 'no prediction produced' });
+        continue;
+      }
+      scored.push(scoreGame(predictionFromSlateRecord(record), entry.actual, entry.boxScore));
+    }
+  } finally {
+    applyParameterValues(MODEL_PARAMETER_GROUPS, original);
+    SIMULATION.ITERATIONS = iterations;
+  }
+
+  return { ...summarizeErrors(scored), failures };
+}
+
+function roundValue(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Pattern search over the tunable parameters: step each one up or down, keep any move that lowers
+ * the regularized loss, and repeat until a full pass finds nothing better or the evaluations run out
+ * @param {Function} evaluate - async (values) -> { loss, ... }
+ * @param {object} options - { parameters, start (values), maxEvaluations, onProgress(evaluations, best) }
+ * @returns {Promise<object>} - { values, before, after, evaluations, converged }
+ *   before / after are the evaluate() results for the start and fitted values
+ */
+export async function fitParameters(evaluate, { parameters = TUNABLE_PARAMETERS, start, maxEvaluations = 200, onProgress = () => {} }) {
+  const penalty = values => REGULARIZATION * parameters.reduce((sum, { key, min, max }) =>
+    sum + ((values[key] - start[key]) / (max - min)) ** 2, 0);
+  const score = async values => {
+    const result = await evaluate(values);
+    return { values, result, objective: result.loss + penalty(values) };
+  };
+
+  let best = await score({ ...start });
+  const before = best.result;
+  let evaluations = 1;
+  let improved = true;
+
+  while (improved && evaluations < maxEvaluations) {
+    improved = false;
+
+    for (const { key, min, max, step } of parameters) {
+      for (const direction of [1, -1]) {
+        if (evaluations >= maxEvaluations) break;
+
+        const value = roundValue(Math.min(max, Math.max(min, best.values[key] + direction * step)));
+        if (value === best.values[key]) continue;
+
+        const candidate = await score({ ...best.values, [key]: value });
+        evaluations++;
+        if (candidate.objective < best.objective - 1e-9) {
+          best = candidate;
+          improved = true;
+          onProgress(evaluations, best);
+          break;
+        }
+      }
+    }
+  }
+
+  return { values: best.values, before, after: best.result, evaluations, converged: !improved };
+}
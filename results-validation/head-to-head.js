@@ -0,0 +1,105 @@
+/**
+ * Head-to-Head Report
+ * Scores the two runs of an A/B comparison (engine --ab=profileA,profileB) against the same
+ * final scores and box scores: errors per model, and which model was closer game by game
+ */
+
+import { predictionFromRows, scoreGame, summarizeErrors } from './prediction-errors.js';
+
+const LABELS = ['A', 'B'];
+
+function closer(errorA, errorB) {
+  if (errorA === errorB) return 'tie';
+  return errorA < errorB ? 'A' : 'B';
+}
+
+function countWins(games, field) {
+  return games.reduce((wins, game) => {
+    wins[game[field]]++;
+    return wins;
+  }, { A: 0, B: 0, tie: 0 });
+}
+
+/**
+ * Score both runs on the games they both predicted that have finished
+ * @param {Array} sides - [{ runId, modelVersion, predictions }] for A then B (predictions from loadPredictionFiles)
+ * @param {object} actualResults - results worker /results response
+ * @param {Array} boxScores - results worker /boxscore responses
+ * @returns {object} - { date, models: [{ label, runId, modelVersion, ...errors }], games, wins, leader }
+ */
+export function buildHeadToHeadReport(sides, actualResults, boxScores) {
+  const scored = sides.map(() => []);
+  const games = [];
+
+  (actualResults.finishedGames || []).forEach(actual => {
+    const matchup = `${actual.awayTeam.abbreviation} @ ${actual.homeTeam.abbreviation}`;
+    const rows = sides.map(side => side.predictions.games?.find(row => row.Matchup === matchup));
+    if (rows.some(row => !row)) return;
+
+    const boxScore = boxScores.find(score => score.gameId === actual.gameId) || null;
+    const results = sides.map((side, idx) => scoreGame(
+      predictionFromRows(rows[idx], (side.predictions.players || []).filter(row => row.Matchup === matchup)),
+      actual,
+      boxScore
+    ));
+    results.forEach((result, idx) => scored[idx].push(result));
+
+    const playerPointsMAE = result => summarizeErrors([result]).playerPointsMAE;
+    games.push({
+      matchup,
+      actual: { awayScore: actual.awayTeam.score, homeScore: actual.homeTeam.score },
+      errors: results.map(result => ({
+        marginError: result.marginError,
+        totalError: result.totalError,
+        winnerCorrect: result.winnerCorrect,
+        playerPointsMAE: playerPointsMAE(result)
+      })),
+      closerMargin: closer(results[0].marginError, results[1].marginError),
+      closerTotal: closer(results[0].totalError, results[1].totalError),
+      closerPlayers: closer(playerPointsMAE(results[0]), playerPointsMAE(results[1]))
+    });
+  });
+
+  const models = sides.map((side, idx) => ({
+    label: LABELS[idx],
+    runId: side.runId,
+    modelVersion: side.modelVersion,
+    ...summarizeErrors(scored[idx])
+  }));
+
+  return {
+    date: actualResults.date,
+    models,
+    games,
+    wins: {
+      margin: countWins(games, 'closerMargin'),
+      total: countWins(games, 'closerTotal'),
+      players: countWins(games, 'closerPlayers')
+    },
+    // Lower weighted loss (margin + total + player errors, see prediction-errors.js) wins the comparison
+    leader: games.length === 0 ? null : closer(models[0].loss, models[1].loss)
+  };
+}
+
+/**
+ * One CSV row per game for the head-to-head report
+ */
+export function headToHeadRows(report) {
+  return report.games.map(game => ({
+    Date: report.date,
+    Matchup: game.matchup,
+    AwayScore: game.actual.awayScore,
+    HomeScore: game.actual.homeScore,
+    MarginErrorA: game.errors[0].marginError,
+    MarginErrorB: game.errors[1].marginError,
+    CloserMargin: game.closerMargin,
+    TotalErrorA: game.errors[0].totalError,
+    TotalErrorB: game.errors[1].totalError,
+    CloserTotal: game.closerTotal,
+    PlayerPointsMAEA: Math.round(game.errors[0].playerPointsMAE * 100) / 100,
+    PlayerPointsMAEB: Math.round(game.errors[1].playerPointsMAE * 100) / 100,
+    CloserPlayers: game.closerPlayers,
+    WinnerA: game.errors[0].winnerCorrect ? 'Y' : 'N',
+    WinnerB: game.errors[1].winnerCorrect ? 'Y' : 'N'
+  }));
+}
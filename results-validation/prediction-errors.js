@@ -0,0 +1,93 @@
+/**
+ * Prediction Errors
+ * Scores predictions against final scores and box scores - margin, total and player
+ * points / rebounds / assists errors, and the weighted loss nba-calibrate minimizes
+ * (shared by calibration and the validator's A/B head-to-head report)
+ */
+
+import { isSamePlayer } from '../shared/player-identity.js';
+
+// Loss = weighted mean absolute errors in points: margin + total + player (points + rebounds + assists)
+export const LOSS_WEIGHTS = { margin: 1.0, total: 0.5, player: 1.0 };
+
+const PLAYER_STATS = ['points', 'rebounds', 'assists'];
+
+/**
+ * Prediction to score from a replayed slate record (matchup projections carry every enhancement)
+ */
+export function predictionFromSlateRecord(record) {
+  return {
+    awayScore: record.prediction.awayScore,
+    homeScore: record.prediction.homeScore,
+    players: record.players.map(player => ({
+      playerId: player.playerId,
+      playerName: player.playerName,
+      ...Object.fromEntries(PLAYER_STATS.map(stat => [stat, player.matchupProjection?.[stat] ?? player.enhanced[stat]]))
+    }))
+  };
+}
+
+/**
+ * Prediction to score from a published run's CSV-shaped rows
+ */
+export function predictionFromRows(gameRow, playerRows) {
+  return {
+    awayScore: parseFloat(gameRow.AwayScore),
+    homeScore: parseFloat(gameRow.HomeScore),
+    players: playerRows.map(row => ({
+      playerId: row.PlayerId || null,
+      playerName: row.Player,
+      points: parseFloat(row.EnhPoints ?? row.BasePoints),
+      rebounds: parseFloat(row.EnhRebounds ?? row.BaseBounds),
+      assists: parseFloat(row.EnhAssists ?? row.BaseAssists)
+    }))
+  };
+}
+
+/**
+ * Errors for one game: margin (home minus away, signed before the absolute value) and total,
+ * plus each predicted player who appears in the box score
+ */
+export function scoreGame(prediction, actual, boxScore) {
+  const predictedMargin = prediction.homeScore - prediction.awayScore;
+  const actualMargin = actual.homeTeam.score - actual.awayTeam.score;
+
+  const players = [];
+  (boxScore?.players || []).forEach(actualPlayer => {
+    const predicted = prediction.players.find(player => isSamePlayer(player, actualPlayer));
+    if (!predicted) return;
+    players.push(Object.fromEntries(PLAYER_STATS.map(stat => [stat, Math.abs((predicted[stat] || 0) - (actualPlayer[stat] || 0))])));
+  });
+
+  return {
+    marginError: Math.abs(predictedMargin - actualMargin),
+    totalError: Math.abs((prediction.awayScore + prediction.homeScore) - (actual.awayTeam.score + actual.homeTeam.score)),
+    winnerCorrect: predictedMargin !== 0 && Math.sign(predictedMargin) === Math.sign(actualMargin),
+    players
+  };
+}
+
+const mean = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+/**
+ * Mean errors across scored games and the weighted loss they add up to
+ */
+export function summarizeErrors(scoredGames) {
+  const players = scoredGames.flatMap(game => game.players);
+  const summary = {
+    games: scoredGames.length,
+    players: players.length,
+    winnerAccuracy: mean(scoredGames.map(game => (game.winnerCorrect ? 100 : 0))),
+    marginMAE: mean(scoredGames.map(game => game.marginError)),
+    totalMAE: mean(scoredGames.map(game => game.totalError)),
+    playerPointsMAE: mean(players.map(player => player.points)),
+    playerReboundsMAE: mean(players.map(player => player.rebounds)),
+    playerAssistsMAE: mean(players.map(player => player.assists))
+  };
+
+  summary.loss = LOSS_WEIGHTS.margin * summary.marginMAE +
+    LOSS_WEIGHTS.total * summary.totalMAE +
+    LOSS_WEIGHTS.player * (summary.playerPointsMAE + summary.playerReboundsMAE + summary.playerAssistsMAE);
+
+  return summary;
+}
@@ -0,0 +1,95 @@
+/**
+ * Prediction Files
+ * Reads a slate run the engine wrote - the JSON slate when present, otherwise the prediction CSVs -
+ * as CSV-shaped rows (shared by the validator and nba-calibrate)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { checkSlateDocument, slateToPredictionTables } from '../prediction-engine/modules/slate.js';
+import { findRun, listRuns } from '../prediction-engine/modules/output.js';
+
+/**
+ * Load predictions for one run of a slate (the latest unless a run ID is given) -
+ * the JSON slate if the run has one, otherwise its CSV files
+ * @param {string} outputDir - the engine's output directory (OUTPUT_DIR)
+ * @returns {object|null} - { games, players, strategy, summary, runId }
+ */
+export function loadPredictionFiles(outputDir, date, runId = null) {
+  const run = findRun(outputDir, date, runId);
+  if (!run) return null;
+  console.log(`  🏷️  Run: ${run.runId || 'unversioned (written before run IDs)'}`);
+
+  if (run.files.slate) {
+    const predictions = loadSlateFile(run.files.slate);
+    if (predictions) return { ...predictions, runId: run.runId };
+    console.log('  ↩️  Falling back to CSV files');
+  }
+
+  const predictions = {};
+
+  for (const type of ['games', 'players', 'strategy', 'summary']) {
+    const filePath = run.files[type];
+    if (filePath) {
+      try {
+        predictions[type] = parseCsvFile(filePath);
+        console.log(`  ✅ Loaded ${predictions[type].length} ${type} predictions`);
+      } catch (error) {
+        console.log(`  ⚠️ Failed to load ${type}: ${error.message}`);
+      }
+    } else {
+      console.log(`  ❌ Missing ${type} file for this run`);
+    }
+  }
+
+  return Object.keys(predictions).length > 0 ? { ...predictions, runId: run.runId } : null;
+}
+
+/**
+ * The two runs of a slate's latest A/B comparison (engine --ab), read from its side-by-side file
+ * @returns {object|null} - { runA, runB, modelA, modelB }
+ */
+export function findAbComparison(outputDir, date) {
+  const run = listRuns(outputDir, date).reverse().find(candidate => candidate.files.ab);
+  if (!run) return null;
+
+  const [row] = parseCsvFile(run.files.ab);
+  if (!row) return null;
+
+  return { runA: row.RunA, runB: row.RunB, modelA: row.ModelA, modelB: row.ModelB };
+}
+
+/**
+ * Rows of a CSV file keyed by its header ([] for an empty file or one with only a header row)
+ */
+export function parseCsvFile(filePath) {
+  const csvContent = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  if (!csvContent.trim()) return [];
+
+  return parse(csvContent, {
+    columns: true,
+    skip_empty_lines: true
+  });
+}
+
+/**
+ * Load a JSON slate as CSV-shaped prediction rows (null when it can't be used)
+ */
+function loadSlateFile(slatePath) {
+  try {
+    const slate = JSON.parse(fs.readFileSync(slatePath, 'utf8'));
+    const problems = checkSlateDocument(slate);
+    if (problems.length > 0) {
+      console.log(`  ⚠️ Unusable slate ${path.basename(slatePath)}: ${problems.join('; ')}`);
+      return null;
+    }
+
+    const predictions = slateToPredictionTables(slate);
+    console.log(`  ✅ Loaded JSON slate (schema v${slate.schemaVersion}): ${predictions.games.length} games, ${predictions.players.length} players`);
+    return predictions;
+  } catch (error) {
+    console.log(`  ⚠️ Failed to load slate: ${error.message}`);
+    return null;
+  }
+}
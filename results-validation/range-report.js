@@ -0,0 +1,283 @@
+/**
+ * Range Report
+ * Aggregates per-date validation reports (validation/<date>/detailed_validation.json)
+ * into accuracy trends, enhancement effectiveness and confidence calibration drift
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Trailing number of report dates pooled into each rolling value
+export const ROLLING_DATES = 3;
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Every YYYY-MM-DD date from start to end inclusive
+ */
+export function datesInRange(start, end) {
+  const dates = [];
+  for (let time = Date.parse(start); time <= Date.parse(end); time += DAY_MS) {
+    dates.push(new Date(time).toISOString().split('T')[0]);
+  }
+  return dates;
+}
+
+/**
+ * The N calendar dates ending on (and including) the given date
+ */
+export function datesEndingOn(end, days) {
+  const start = new Date(Date.parse(end) - (days - 1) * DAY_MS).toISOString().split('T')[0];
+  return datesInRange(start, end);
+}
+
+/**
+ * Most recent date with a detailed validation report, or null
+ */
+export function findLatestValidationDate(validationDir) {
+  if (!fs.existsSync(validationDir)) return null;
+
+  const dates = fs.readdirSync(validationDir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name))
+    .filter(name => fs.existsSync(path.join(validationDir, name, 'detailed_validation.json')))
+    .sort();
+
+  return dates[dates.length - 1] || null;
+}
+
+/**
+ * Load detailed validation reports for each date in the window
+ * @returns {object} - { reports: [{ date, validation }], missingDates: [] }
+ */
+export function loadValidationReports(validationDir, dates) {
+  const reports = [];
+  const missingDates = [];
+
+  dates.forEach(date => {
+    const filePath = path.join(validationDir, date, 'detailed_validation.json');
+    if (!fs.existsSync(filePath)) {
+      missingDates.push(date);
+      return;
+    }
+
+    try {
+      reports.push({ date, validation: JSON.parse(fs.readFileSync(filePath, 'utf8')) });
+    } catch (error) {
+      console.log(`  ⚠️ Skipping unreadable report for ${date}: ${error.message}`);
+      missingDates.push(date);
+    }
+  });
+
+  return { reports, missingDates };
+}
+
+/**
+ * Per-game errors, computed from the recorded scores
+ * (winner is taken from the predicted scores so it doesn't depend on how Favorite was written)
+ */
+function gameErrors(gameValidation) {
+  const { predicted, actual } = gameValidation;
+  const predictedMargin = predicted.homeScore - predicted.awayScore;
+  const actualMargin = actual.homeScore - actual.awayScore;
+
+  return {
+    winnerCorrect: Math.sign(predictedMargin) === Math.sign(actualMargin) && actualMargin !== 0,
+    marginError: Math.abs(predictedMargin - actualMargin),
+    totalError: Math.abs(predicted.total - actual.total),
+    confidence: (gameValidation.confidence || 'unknown').toLowerCase()
+  };
+}
+
+/**
+ * Absolute points errors for every validated player (enhanced projection when there is one)
+ */
+function playerPointsErrors(playerValidation) {
+  return playerValidation
+    .map(pv => pv.statValidations?.points)
+    .filter(points => points && points.actual !== null && points.actual !== undefined)
+    .map(points => Math.abs((points.enhancedProjection ?? points.baseProjection) - points.actual));
+}
+
+/**
+ * Raw counts for one date, summed later for rolling and overall values
+ */
+function summarizeDate({ date, validation }) {
+  const games = (validation.gameValidation || []).map(gameErrors);
+  const pointsErrors = playerPointsErrors(validation.playerValidation || []);
+
+  return {
+    date,
+    games: games.length,
+    winnersCorrect: games.filter(game => game.winnerCorrect).length,
+    marginErrorSum: games.reduce((sum, game) => sum + game.marginError, 0),
+    totalErrorSum: games.reduce((sum, game) => sum + game.totalError, 0),
+    players: pointsErrors.length,
+    pointsErrorSum: pointsErrors.reduce((sum, error) => sum + error, 0),
+    gameErrors: games
+  };
+}
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? (part / whole) * 100 : null;
+}
+
+/**
+ * Accuracy and MAE values for a set of date summaries pooled together
+ */
+function poolMetrics(summaries) {
+  const sum = key => summaries.reduce((total, summary) => total + summary[key], 0);
+  const games = sum('games');
+  const players = sum('players');
+
+  return {
+    games,
+    players,
+    winnerAccuracy: percent(sum('winnersCorrect'), games),
+    marginMAE: rate(sum('marginErrorSum'), games),
+    totalMAE: rate(sum('totalErrorSum'), games),
+    playerPointsMAE: rate(sum('pointsErrorSum'), players)
+  };
+}
+
+/**
+ * Helpful-rate and points improvement per enhancement type across every report
+ * Reports written before enhancement types were recorded count as 'Unclassified'
+ */
+function aggregateEnhancements(reports) {
+  const byType = {};
+
+  reports.forEach(({ validation }) => {
+    (validation.enhancementValidation || []).forEach(enhancement => {
+      const types = enhancement.enhancementTypes?.length ? enhancement.enhancementTypes : ['Unclassified'];
+      const pointsImprovement = enhancement.enhancementDetails?.points?.improvement;
+
+      types.forEach(type => {
+        if (!byType[type]) {
+          byType[type] = { players: 0, statsEvaluated: 0, statsHelped: 0, pointsImprovementSum: 0, pointsSamples: 0 };
+        }
+        const entry = byType[type];
+        entry.players++;
+        entry.statsEvaluated += enhancement.totalEnhancements || 0;
+        entry.statsHelped += enhancement.enhancementsHelpful || 0;
+        if (typeof pointsImprovement === 'number') {
+          entry.pointsImprovementSum += pointsImprovement;
+          entry.pointsSamples++;
+        }
+      });
+    });
+  });
+
+  return Object.fromEntries(Object.entries(byType).map(([type, entry]) => [type, {
+    players: entry.players,
+    statsEvaluated: entry.statsEvaluated,
+    helpfulRate: percent(entry.statsHelped, entry.statsEvaluated),
+    avgPointsImprovement: rate(entry.pointsImprovementSum, entry.pointsSamples)
+  }]));
+}
+
+/**
+ * Winner accuracy per confidence level, overall and for the early/late halves of the window
+ * drift = late - early; a lower level out-performing a higher one is flagged as an inversion
+ */
+function aggregateCalibration(summaries) {
+  const middle = Math.ceil(summaries.length / 2);
+  const halves = { early: summaries.slice(0, middle), late: summaries.slice(middle) };
+
+  const accuracyFor = (dateSummaries, level) => {
+    const games = dateSummaries.flatMap(summary => summary.gameErrors).filter(game => game.confidence === level);
+    const correct = games.filter(game => game.winnerCorrect).length;
+    return { games: games.length, winnerAccuracy: percent(correct, games.length) };
+  };
+
+  const levels = {};
+  CONFIDENCE_LEVELS.forEach(level => {
+    const overall = accuracyFor(summaries, level);
+    const early = accuracyFor(halves.early, level);
+    const late = accuracyFor(halves.late, level);
+
+    levels[level] = {
+      ...overall,
+      earlyWinnerAccuracy: early.winnerAccuracy,
+      lateWinnerAccuracy: late.winnerAccuracy,
+      drift: early.winnerAccuracy !== null && late.winnerAccuracy !== null ? late.winnerAccuracy - early.winnerAccuracy : null
+    };
+  });
+
+  const inversions = [];
+  CONFIDENCE_LEVELS.forEach((higher, index) => {
+    CONFIDENCE_LEVELS.slice(index + 1).forEach(lower => {
+      if (levels[higher].winnerAccuracy !== null && levels[lower].winnerAccuracy !== null &&
+          levels[lower].winnerAccuracy > levels[higher].winnerAccuracy) {
+        inversions.push(`${lower} (${levels[lower].winnerAccuracy.toFixed(1)}%) beat ${higher} (${levels[higher].winnerAccuracy.toFixed(1)}%)`);
+      }
+    });
+  });
+
+  return { levels, inversions };
+}
+
+/**
+ * Build the range report from loaded per-date reports
+ * @param {Array} reports - [{ date, validation }] sorted by date
+ * @param {object} window - { start, end, missingDates }
+ */
+export function buildRangeReport(reports, { start, end, missingDates = [] }) {
+  const summaries = reports.map(summarizeDate);
+
+  const daily = summaries.map((summary, index) => {
+    const trailing = summaries.slice(Math.max(0, index - ROLLING_DATES + 1), index + 1);
+    const day = poolMetrics([summary]);
+    const rolling = poolMetrics(trailing);
+
+    return {
+      date: summary.date,
+      games: day.games,
+      players: day.players,
+      winnerAccuracy: day.winnerAccuracy,
+      marginMAE: day.marginMAE,
+      totalMAE: day.totalMAE,
+      playerPointsMAE: day.playerPointsMAE,
+      rollingWinnerAccuracy: rolling.winnerAccuracy,
+      rollingMarginMAE: rolling.marginMAE,
+      rollingTotalMAE: rolling.totalMAE,
+      rollingPlayerPointsMAE: rolling.playerPointsMAE
+    };
+  });
+
+  return {
+    range: { start, end, days: datesInRange(start, end).length, rollingDates: ROLLING_DATES },
+    datesAnalyzed: summaries.map(summary => summary.date),
+    missingDates,
+    overall: poolMetrics(summaries),
+    daily,
+    enhancementEffectiveness: aggregateEnhancements(reports),
+    confidenceCalibration: aggregateCalibration(summaries),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Flatten the daily trend rows for the CSV report
+ */
+export function rangeReportRows(report) {
+  const format = value => value === null || value === undefined ? '' : Number(value.toFixed(2));
+
+  return report.daily.map(day => ({
+    Date: day.date,
+    Games: day.games,
+    Players: day.players,
+    WinnerAccuracy: format(day.winnerAccuracy),
+    RollingWinnerAccuracy: format(day.rollingWinnerAccuracy),
+    MarginMAE: format(day.marginMAE),
+    RollingMarginMAE: format(day.rollingMarginMAE),
+    TotalMAE: format(day.totalMAE),
+    RollingTotalMAE: format(day.rollingTotalMAE),
+    PlayerPointsMAE: format(day.playerPointsMAE),
+    RollingPlayerPointsMAE: format(day.rollingPlayerPointsMAE)
+  }));
+}
@@ -0,0 +1,65 @@
+/**
+ * Results Client
+ * Results worker calls shared by the validator and nba-calibrate: which games are finished,
+ * final scores and box scores. Failures come back as { success: false, error } rather than throwing
+ */
+
+import { WORKERS, HTTP_CLIENT_CONFIG } from '../prediction-engine/config/constants.js';
+import { createHttpClient } from '../shared/http-client.js';
+
+/**
+ * @param {object} options - { name } for the http client's failure log and circuit breaker
+ * @returns {object} - { fetchGameStatus, fetchActualResults, fetchBoxScores, getFailures }
+ */
+export function createResultsClient({ name }) {
+  const resultsWorker = WORKERS.results;
+  const httpClient = createHttpClient({ name, ...HTTP_CLIENT_CONFIG });
+
+  /**
+   * Fetch game status for a date
+   */
+  async function fetchGameStatus(date) {
+    try {
+      const response = await httpClient.fetch(`${resultsWorker}/games-status?date=${date}`);
+      return await response.json();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch actual game results
+   */
+  async function fetchActualResults(date) {
+    try {
+      const response = await httpClient.fetch(`${resultsWorker}/results?date=${date}`);
+      return await response.json();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch detailed box scores for finished games
+   */
+  async function fetchBoxScores(gameIds) {
+    const boxScores = [];
+
+    for (const gameId of gameIds) {
+      try {
+        const response = await httpClient.fetch(`${resultsWorker}/boxscore?gameId=${gameId}`);
+        const boxScore = await response.json();
+
+        if (boxScore.success) {
+          boxScores.push(boxScore);
+        }
+      } catch (error) {
+        console.log(`  ⚠️ Failed to fetch box score for game ${gameId}: ${error.message}`);
+      }
+    }
+
+    return boxScores;
+  }
+
+  return { fetchGameStatus, fetchActualResults, fetchBoxScores, getFailures: () => httpClient.getFailures() };
+}
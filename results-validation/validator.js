@@ -5,21 +5,35 @@
  * 
  * FIXED: All toFixed() errors with null safety checks
  * 
+ * Reads a slate's latest run from the output directory (--output-dir, same as the engine):
+ * the JSON slate (from --format=json|both) when present, otherwise the prediction CSVs
+ * 
  * Usage:
  *   node validator.js 2025-10-30          # Analyze specific date
+ *   node validator.js 2025-10-30 --run=20251030T221503Z  # Analyze an earlier run of that slate
  *   node validator.js --latest            # Analyze most recent predictions
- *   node validator.js --range=7           # Analyze last 7 days
+ *   node validator.js --range=7           # Trend report across the last 7 validated days
+ *   node validator.js 2025-10-30 --ab     # Score the slate's A/B runs (engine --ab=profileA,profileB) head to head
+ *   node validator.js 2025-10-30 --ab=RUN_A,RUN_B  # ...or any two runs of the slate
+ *   node validator.js --print-config      # Show resolved worker URLs and where they came from
  */
 
 import fs from 'fs';
 import path from 'path';
-import { parse } from 'csv-parse/sync';
+import { OUTPUT_DIR } from '../prediction-engine/config/constants.js';
+import { RUNTIME_CONFIG, printConfig, stripConfigFlags } from '../prediction-engine/config/config.js';
+import { isSamePlayer } from '../shared/player-identity.js';
+import { findLatestSlateDate } from '../prediction-engine/modules/output.js';
+import { createResultsClient } from './results-client.js';
+import { loadPredictionFiles, findAbComparison } from './prediction-files.js';
+import { buildHeadToHeadReport, headToHeadRows } from './head-to-head.js';
+import { buildRangeReport, datesEndingOn, findLatestValidationDate, loadValidationReports, rangeReportRows } from './range-report.js';
 
-// Configuration
-const RESULTS_WORKER = 'https://nba-worker-results.scottcinatl.workers.dev';
-const OUTPUT_DIR = './prediction-engine/output';
 const VALIDATION_DIR = './validation';
 
+// Results worker calls with retries, timeouts and circuit breaking (worker URL from the layered config - see --print-config)
+const resultsClient = createResultsClient({ name: 'validator' });
+
 // Ensure validation directory exists
 if (!fs.existsSync(VALIDATION_DIR)) {
   fs.mkdirSync(VALIDATION_DIR, { recursive: true });
@@ -27,7 +41,16 @@ if (!fs.existsSync(VALIDATION_DIR)) {
 
 async function main() {
   try {
-    const args = process.argv.slice(2);
+    if (process.argv.includes('--print-config')) {
+      printConfig(RUNTIME_CONFIG);
+      return;
+    }
+
+    // Config flags (--workers-base-url=, --season=, ...) are handled by config.js
+    const allArgs = stripConfigFlags(process.argv.slice(2));
+    const runId = allArgs.find(arg => arg.startsWith('--run='))?.split('=')[1] || null;
+    const abArg = allArgs.find(arg => arg === '--ab' || arg.startsWith('--ab='));
+    const args = allArgs.filter(arg => !arg.startsWith('--run=') && arg !== abArg);
     let targetDate;
 
     console.log('🧠 NBA PREDICTION VALIDATION SYSTEM - ENHANCED ANALYTICS');
@@ -39,6 +62,10 @@ async function main() {
       targetDate = findLatestPredictionDate();
     } else if (args[0].startsWith('--range=')) {
       const days = parseInt(args[0].split('=')[1]);
+      if (!Number.isInteger(days) || days < 1) {
+        console.log(`❌ Invalid range "${args[0]}" - use --range=N with N >= 1`);
+        return;
+      }
       return await analyzeRange(days);
     } else {
       targetDate = args[0];
@@ -46,12 +73,22 @@ async function main() {
 
     if (!targetDate) {
       console.log('❌ No prediction files found or date specified');
-      console.log('Usage: node results-analyzer.js [YYYY-MM-DD | --latest | --range=N]');
+      console.log('Usage: node results-analyzer.js [YYYY-MM-DD [--run=ID | --ab[=RUN_A,RUN_B]] | --latest | --range=N]');
       return;
     }
 
+    if (abArg) {
+      const abRuns = abArg.includes('=') ? abArg.split('=')[1].split(',').map(id => id.trim()).filter(Boolean) : null;
+      if (abRuns && abRuns.length !== 2) {
+        console.log(`❌ Invalid "${abArg}" - use --ab for the slate's latest A/B run or --ab=RUN_A,RUN_B`);
+        return;
+      }
+      console.log(`🆚 Scoring A/B runs for ${targetDate}...`);
+      return await analyzeAbComparison(targetDate, abRuns);
+    }
+
     console.log(`🔍 Analyzing predictions for ${targetDate}...`);
-    await analyzePredictions(targetDate);
+    await analyzePredictions(targetDate, runId);
 
   } catch (error) {
     console.error('❌ Analysis failed:', error.message);
@@ -62,19 +99,19 @@ async function main() {
 /**
  * Analyze predictions for a specific date with enhanced analytics
  */
-async function analyzePredictions(date) {
+async function analyzePredictions(date, runId = null) {
   // 1. Load prediction files
-  console.log('📂 Loading prediction files...');
-  const predictions = await loadPredictionFiles(date);
+  console.log(`📂 Loading prediction files from ${OUTPUT_DIR}...`);
+  const predictions = loadPredictionFiles(OUTPUT_DIR, date, runId);
   
   if (!predictions) {
-    console.log(`❌ No prediction files found for ${date}`);
+    console.log(`❌ No prediction files found for ${date}${runId ? ` run ${runId}` : ''}`);
     return;
   }
 
   // 2. Check which games are finished
   console.log('🔍 Checking game status...');
-  const gameStatus = await fetchGameStatus(date);
+  const gameStatus = await resultsClient.fetchGameStatus(date);
   
   if (!gameStatus.success) {
     console.log('❌ Failed to fetch game status:', gameStatus.error);
@@ -91,7 +128,7 @@ async function analyzePredictions(date) {
 
   // 3. Fetch actual results for finished games
   console.log('📊 Fetching actual game results...');
-  const actualResults = await fetchActualResults(date);
+  const actualResults = await resultsClient.fetchActualResults(date);
   
   if (!actualResults.success) {
     console.log('❌ Failed to fetch actual results:', actualResults.error);
@@ -101,6 +138,7 @@ async function analyzePredictions(date) {
   // 4. Enhanced validation with multi-level analysis
   console.log('🎯 Performing enhanced validation analysis...');
   const validation = await performEnhancedValidation(predictions, actualResults, finishedGames);
+  validation.predictionRun = predictions.runId;
 
   // 5. Generate enhanced report
   console.log('📝 Generating enhanced validation report...');
@@ -120,6 +158,7 @@ async function performEnhancedValidation(predictions, actualResults, finishedGam
     strategyValidation: [],
     enhancementValidation: [],
     uncertaintyValidation: [],
+    unmatchedPlayers: [],
     overallAccuracy: {},
     confidenceCalibration: {},
     modelInsights: {},
@@ -130,7 +169,7 @@ async function performEnhancedValidation(predictions, actualResults, finishedGam
   // Get detailed box scores for finished games
   const finishedGameIds = finishedGames.map(g => g.gameId);
   console.log('  📊 Fetching detailed box scores...');
-  const boxScores = await fetchBoxScores(finishedGameIds);
+  const boxScores = await resultsClient.fetchBoxScores(finishedGameIds);
 
   // Enhanced validation for each finished game
   for (const actualGame of actualResults.finishedGames) {
@@ -163,6 +202,11 @@ async function performEnhancedValidation(predictions, actualResults, finishedGam
       // Uncertainty modeling validation
       const uncertaintyValidations = validateUncertaintyModeling(predictions.players, boxScore, matchup);
       validation.uncertaintyValidation.push(...uncertaintyValidations);
+
+      // Predictions with no box score line - a name we couldn't resolve, or a player who never checked in
+      const unmatched = findUnmatchedPredictions(predictions.players, boxScore, matchup);
+      unmatched.forEach(player => console.log(`  ⚠️ ${matchup}: no box score match for ${player.player} (${player.team})`));
+      validation.unmatchedPlayers.push(...unmatched);
     }
 
     // Strategic intelligence validation
@@ -271,7 +315,7 @@ function validatePlayerPredictionsEnhanced(playerPredictions, boxScore, matchup)
     // Find our prediction for this player
     const prediction = playerPredictions.find(p => 
       p.Matchup === matchup && 
-      playersMatch(p.Player, actualPlayer.playerName)
+      isPredictionFor(p, actualPlayer)
     );
 
     if (prediction) {
@@ -283,6 +327,15 @@ function validatePlayerPredictionsEnhanced(playerPredictions, boxScore, matchup)
   return validations;
 }
 
+/**
+ * Player predictions for a matchup that match no one in the box score
+ */
+function findUnmatchedPredictions(playerPredictions, boxScore, matchup) {
+  return playerPredictions
+    .filter(p => p.Matchup === matchup && !boxScore.players.some(actualPlayer => isPredictionFor(p, actualPlayer)))
+    .map(p => ({ matchup, player: p.Player, playerId: p.PlayerId || null, team: p.Team || null }));
+}
+
 /**
  * Enhanced single player validation with range analysis and enhancement tracking
  */
@@ -383,7 +436,7 @@ function validateEnhancementEffectiveness(playerPredictions, boxScore, matchup)
   for (const actualPlayer of boxScore.players) {
     const prediction = playerPredictions.find(p => 
       p.Matchup === matchup && 
-      playersMatch(p.Player, actualPlayer.playerName)
+      isPredictionFor(p, actualPlayer)
     );
 
     if (prediction) {
@@ -445,10 +498,18 @@ function analyzeEnhancementEffectiveness(prediction, actual) {
 
   const effectivenessRate = totalEnhancements > 0 ? (enhancementsHelpful / totalEnhancements) * 100 : 0;
 
+  // Which adjustments produced the enhanced projection (flags from the players CSV)
+  const enhancementTypes = [];
+  if (prediction.HasInjuryAdj === 'Y') enhancementTypes.push('Injury adjustment');
+  if (prediction.HasEnhancement === 'Y') enhancementTypes.push('Style matchup');
+  if (prediction.HasGameScript === 'Y') enhancementTypes.push('Game script');
+  if (hasEnhancements && enhancementTypes.length === 0) enhancementTypes.push('Other');
+
   return {
     playerName,
     team,
     hasEnhancements,
+    enhancementTypes,
     enhancementDetails,
     totalEnhancements,
     enhancementsHelpful,
@@ -472,7 +533,7 @@ function validateUncertaintyModeling(playerPredictions, boxScore, matchup) {
 
   for (const prediction of uncertainPlayers) {
     const actualPlayer = boxScore.players.find(ap => 
-      playersMatch(prediction.Player, ap.playerName)
+      isPredictionFor(prediction, ap)
     );
 
     const validation = analyzeUncertaintyModeling(prediction, actualPlayer);
@@ -817,6 +878,11 @@ async function generateEnhancedReport(validation, date) {
     console.log(`   A/B Grade Rate: ${validation.overallAccuracy.players ? ((validation.overallAccuracy.players.playersGradedAOrBetter / validation.overallAccuracy.players.totalPlayers) * 100).toFixed(1) : 'N/A'}%`);
   }
 
+  if (validation.unmatchedPlayers.length > 0) {
+    console.log(`\n⚠️  UNMATCHED PREDICTIONS (${validation.unmatchedPlayers.length}):`);
+    validation.unmatchedPlayers.forEach(player => console.log(`   ${player.matchup}: ${player.player} (${player.team})`));
+  }
+
   // Enhancement effectiveness with null safety
   if (validation.enhancementValidation.length > 0) {
     console.log(`\n🚀 ENHANCEMENT EFFECTIVENESS:`);
@@ -902,6 +968,12 @@ async function generateEnhancedReport(validation, date) {
     fs.mkdirSync(reportDir, { recursive: true });
   }
 
+  // Record any results worker calls that needed retries or failed outright
+  validation.requestFailures = resultsClient.getFailures();
+  if (validation.requestFailures.some(failure => !failure.recovered)) {
+    console.log(`\n🚨 ${validation.requestFailures.filter(failure => !failure.recovered).length} results worker request(s) failed - some box scores may be missing`);
+  }
+
   // Save detailed JSON report
   const detailedReportPath = path.join(reportDir, 'detailed_validation.json');
   fs.writeFileSync(detailedReportPath, JSON.stringify(validation, null, 2));
@@ -966,97 +1038,10 @@ async function generateSummaryCSV(validation, filePath) {
 }
 
 /**
- * Load all prediction CSV files for a date
- */
-async function loadPredictionFiles(date) {
-  const files = {
-    games: path.join(OUTPUT_DIR, `${date}_games.csv`),
-    players: path.join(OUTPUT_DIR, `${date}_players.csv`),
-    strategy: path.join(OUTPUT_DIR, `${date}_strategy.csv`),
-    summary: path.join(OUTPUT_DIR, `${date}_summary.csv`)
-  };
-
-  const predictions = {};
-
-  for (const [type, filePath] of Object.entries(files)) {
-    if (fs.existsSync(filePath)) {
-      try {
-        const csvContent = fs.readFileSync(filePath, 'utf8');
-        predictions[type] = parse(csvContent, { 
-          columns: true, 
-          skip_empty_lines: true 
-        });
-        console.log(`  ✅ Loaded ${predictions[type].length} ${type} predictions`);
-      } catch (error) {
-        console.log(`  ⚠️ Failed to load ${type}: ${error.message}`);
-      }
-    } else {
-      console.log(`  ❌ Missing file: ${filePath}`);
-    }
-  }
-
-  return Object.keys(predictions).length > 0 ? predictions : null;
-}
-
-/**
- * Find the most recent prediction date
+ * Find the most recent prediction date (CSV or JSON slate output)
  */
 function findLatestPredictionDate() {
-  if (!fs.existsSync(OUTPUT_DIR)) return null;
-
-  const files = fs.readdirSync(OUTPUT_DIR)
-    .filter(f => f.endsWith('_games.csv'))
-    .map(f => f.replace('_games.csv', ''))
-    .sort()
-    .reverse();
-
-  return files[0] || null;
-}
-
-/**
- * Fetch game status for a date
- */
-async function fetchGameStatus(date) {
-  try {
-    const response = await fetch(`${RESULTS_WORKER}/games-status?date=${date}`);
-    return await response.json();
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-/**
- * Fetch actual game results
- */
-async function fetchActualResults(date) {
-  try {
-    const response = await fetch(`${RESULTS_WORKER}/results?date=${date}`);
-    return await response.json();
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-/**
- * Fetch detailed box scores for finished games
- */
-async function fetchBoxScores(gameIds) {
-  const boxScores = [];
-  
-  for (const gameId of gameIds) {
-    try {
-      const response = await fetch(`${RESULTS_WORKER}/boxscore?gameId=${gameId}`);
-      const boxScore = await response.json();
-      
-      if (boxScore.success) {
-        boxScores.push(boxScore);
-      }
-    } catch (error) {
-      console.log(`  ⚠️ Failed to fetch box score for game ${gameId}: ${error.message}`);
-    }
-  }
-  
-  return boxScores;
+  return findLatestSlateDate(OUTPUT_DIR);
 }
 
 /**
@@ -1067,9 +1052,12 @@ function calculatePercentageAccuracy(predicted, actual) {
   return Math.max(0, 100 - (Math.abs(predicted - actual) / actual * 100));
 }
 
-function playersMatch(name1, name2) {
-  const normalize = name => name.toLowerCase().replace(/[^a-z]/g, '');
-  return normalize(name1) === normalize(name2);
+/**
+ * Match a prediction row to a box score player - by PlayerId when the row has one
+ * (CSV/slate output since player identity was added), by name for older output
+ */
+function isPredictionFor(prediction, actualPlayer) {
+  return isSamePlayer({ playerId: prediction.PlayerId, playerName: prediction.Player }, actualPlayer);
 }
 
 function getPlayProbability(injuryStatus) {
@@ -1106,14 +1094,177 @@ function numberToGrade(number) {
   return 'F';
 }
 
-function analyzeRange(days) {
-  console.log(`📊 Range analysis for ${days} days not yet implemented`);
-  console.log('   This will analyze trends across multiple prediction dates');
-  console.log('   Features to implement:');
-  console.log('   • Accuracy trends over time');
-  console.log('   • Enhancement effectiveness patterns');
-  console.log('   • Confidence calibration improvements');
-  console.log('   • Model drift detection');
+/**
+ * Multi-day trend report built from the per-date validation reports
+ * The window ends on the most recent validated date and covers N calendar days
+ */
+async function analyzeRange(days) {
+  const end = findLatestValidationDate(VALIDATION_DIR);
+  if (!end) {
+    console.log(`❌ No validation reports found in ${VALIDATION_DIR} - validate some dates first`);
+    return;
+  }
+
+  const dates = datesEndingOn(end, days);
+  const start = dates[0];
+  console.log(`📈 Range analysis: ${start} to ${end} (${days} day${days === 1 ? '' : 's'})`);
+
+  const { reports, missingDates } = loadValidationReports(VALIDATION_DIR, dates);
+  console.log(`  ✅ Loaded ${reports.length} daily report(s)`);
+  if (missingDates.length > 0) {
+    console.log(`  ⚠️ No validation report for: ${missingDates.join(', ')}`);
+  }
+
+  const report = buildRangeReport(reports, { start, end, missingDates });
+  const format = (value, suffix = '') => value === null || value === undefined ? 'N/A' : `${value.toFixed(1)}${suffix}`;
+
+  console.log('\n' + '='.repeat(80));
+  console.log('📈 RANGE TREND REPORT');
+  console.log('='.repeat(80));
+
+  console.log(`\n🎯 OVERALL (${report.overall.games} games, ${report.overall.players} players):`);
+  console.log(`   Winner Accuracy: ${format(report.overall.winnerAccuracy, '%')}`);
+  console.log(`   Margin MAE: ${format(report.overall.marginMAE)} points`);
+  console.log(`   Total MAE: ${format(report.overall.totalMAE)} points`);
+  console.log(`   Player Points MAE: ${format(report.overall.playerPointsMAE)} points`);
+
+  if (report.daily.length > 0) {
+    console.log(`\n📅 DAILY TRENDS (rolling = last ${report.range.rollingDates} report dates):`);
+    report.daily.forEach(day => {
+      console.log(`   ${day.date}: winner ${format(day.winnerAccuracy, '%')} (rolling ${format(day.rollingWinnerAccuracy, '%')}), ` +
+        `margin MAE ${format(day.marginMAE)} (${format(day.rollingMarginMAE)}), ` +
+        `total MAE ${format(day.totalMAE)} (${format(day.rollingTotalMAE)}), ` +
+        `pts MAE ${format(day.playerPointsMAE)} (${format(day.rollingPlayerPointsMAE)})`);
+    });
+  }
+
+  const enhancementTypes = Object.entries(report.enhancementEffectiveness);
+  if (enhancementTypes.length > 0) {
+    console.log(`\n🚀 ENHANCEMENT EFFECTIVENESS BY TYPE:`);
+    enhancementTypes.forEach(([type, stats]) => {
+      console.log(`   ${type}: ${format(stats.helpfulRate, '%')} helpful over ${stats.statsEvaluated} stats (${stats.players} players), ` +
+        `avg points improvement ${format(stats.avgPointsImprovement)}`);
+    });
+  }
+
+  console.log(`\n🎲 CONFIDENCE CALIBRATION DRIFT:`);
+  Object.entries(report.confidenceCalibration.levels).forEach(([level, stats]) => {
+    if (stats.games > 0) {
+      const drift = stats.drift === null ? 'N/A' : `${stats.drift >= 0 ? '+' : ''}${stats.drift.toFixed(1)} pts`;
+      console.log(`   ${level.toUpperCase()}: ${format(stats.winnerAccuracy, '%')} winners (${stats.games} games), ` +
+        `early ${format(stats.earlyWinnerAccuracy, '%')} → late ${format(stats.lateWinnerAccuracy, '%')} (drift ${drift})`);
+    }
+  });
+  report.confidenceCalibration.inversions.forEach(inversion => {
+    console.log(`   ⚠️ Calibration inversion: ${inversion}`);
+  });
+
+  // Save range reports
+  const reportDir = path.join(VALIDATION_DIR, `range-${start}_${end}`);
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const jsonPath = path.join(reportDir, 'range_report.json');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+
+  const rows = rangeReportRows(report);
+  const headers = Object.keys(rows[0] || {});
+  const csvPath = path.join(reportDir, 'range_trends.csv');
+  fs.writeFileSync(csvPath, [
+    headers.join(','),
+    ...rows.map(row => headers.map(h => `"${row[h] ?? ''}"`).join(','))
+  ].join('\n'));
+
+  console.log(`\n💾 Range reports saved:`);
+  console.log(`   📊 Report: ${jsonPath}`);
+  console.log(`   📋 Trends: ${csvPath}`);
+
+  console.log('\n' + '='.repeat(80));
+}
+
+/**
+ * Score the two runs of an A/B comparison head to head on the same finished games
+ * @param {Array|null} runIds - [runA, runB], or null for the slate's latest --ab run
+ */
+async function analyzeAbComparison(date, runIds) {
+  const comparison = runIds ? { runA: runIds[0], runB: runIds[1] } : findAbComparison(OUTPUT_DIR, date);
+  if (!comparison) {
+    console.log(`❌ No A/B run for ${date} - run the engine with --ab=profileA,profileB first, or pass --ab=RUN_A,RUN_B`);
+    return;
+  }
+
+  const sides = [];
+  for (const runId of [comparison.runA, comparison.runB]) {
+    console.log(`📂 Loading run ${runId}...`);
+    const predictions = loadPredictionFiles(OUTPUT_DIR, date, runId);
+    if (!predictions?.games) {
+      console.log(`❌ No game predictions for ${date} run ${runId}`);
+      return;
+    }
+    // Runs from before model versions carry no ModelVersion column
+    sides.push({ runId, modelVersion: predictions.games[0]?.ModelVersion || 'unversioned', predictions });
+  }
+
+  console.log('📊 Fetching actual game results...');
+  const actualResults = await resultsClient.fetchActualResults(date);
+  if (!actualResults.success) {
+    console.log('❌ Failed to fetch actual results:', actualResults.error);
+    return;
+  }
+
+  const boxScores = await resultsClient.fetchBoxScores((actualResults.finishedGames || []).map(game => game.gameId));
+  const report = buildHeadToHeadReport(sides, actualResults, boxScores);
+
+  if (report.games.length === 0) {
+    console.log('⏳ No finished games that both runs predicted yet');
+    return;
+  }
+
+  const format = value => value.toFixed(2);
+  console.log('\n' + '='.repeat(80));
+  console.log(`🆚 HEAD TO HEAD (${report.games.length} games)`);
+  console.log('='.repeat(80));
+  report.models.forEach(model => {
+    console.log(`\n${model.label}: ${model.modelVersion} (run ${model.runId})`);
+    console.log(`   Winner Accuracy: ${model.winnerAccuracy.toFixed(1)}%`);
+    console.log(`   Margin MAE: ${format(model.marginMAE)} | Total MAE: ${format(model.totalMAE)}`);
+    console.log(`   Player PTS/REB/AST MAE: ${format(model.playerPointsMAE)}/${format(model.playerReboundsMAE)}/${format(model.playerAssistsMAE)} (${model.players} players)`);
+    console.log(`   Loss: ${format(model.loss)}`);
+  });
+
+  console.log('\n🎯 Closer game by game (A / B / tie):');
+  ['margin', 'total', 'players'].forEach(field => {
+    const wins = report.wins[field];
+    console.log(`   ${field.padEnd(8)} ${wins.A} / ${wins.B} / ${wins.tie}`);
+  });
+
+  const leader = report.models.find(model => model.label === report.leader);
+  console.log(leader ? `\n🏆 ${leader.label} (${leader.modelVersion}) has the lower loss` : '\n🟰 Both models have the same loss');
+
+  // Save the head-to-head report next to the slate's daily validation
+  const reportDir = path.join(VALIDATION_DIR, date);
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const baseName = `ab_${comparison.runA}_vs_${comparison.runB}`;
+  const jsonPath = path.join(reportDir, `${baseName}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+
+  const rows = headToHeadRows(report);
+  const headers = Object.keys(rows[0]);
+  const csvPath = path.join(reportDir, `${baseName}.csv`);
+  fs.writeFileSync(csvPath, [
+    headers.join(','),
+    ...rows.map(row => headers.map(h => `"${row[h] ?? ''}"`).join(','))
+  ].join('\n'));
+
+  console.log(`\n💾 Head-to-head reports saved:`);
+  console.log(`   📊 Report: ${jsonPath}`);
+  console.log(`   📋 Games: ${csvPath}`);
+
+  console.log('\n' + '='.repeat(80));
 }
 
 // Run the enhanced analyzer
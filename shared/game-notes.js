@@ -0,0 +1,200 @@
+/**
+ * Game Notes
+ * Parses the text of a team's pregame notes PDF (nba.com/gamenotes/<team>.pdf) into the parts the
+ * engine uses: projected starters, injury notes, streaks and milestones. Teams lay their notes out
+ * differently, so sections are found by their headings and anything unrecognized inside a section is
+ * reported rather than guessed at.
+ * Used by the gamenotes worker; kept free of I/O so it runs anywhere.
+ */
+
+const SECTION_HEADINGS = [
+  { section: 'starters', pattern: /^(?:PROBABLE|PROJECTED|EXPECTED|LIKELY)\s+STARTERS\b|^STARTING\s+LINEUPS?\b/i },
+  { section: 'injuries', pattern: /^INJUR(?:Y|IES)(?:\s+(?:REPORT|UPDATES?|NOTES|STATUS))?\b/i },
+  { section: 'streaks', pattern: /^(?:ACTIVE\s+|HOT\s+)?STREAKS?(?:\s+WATCH)?\b/i },
+  { section: 'milestones', pattern: /^(?:MILESTONES?(?:\s+WATCH)?|ON\s+THE\s+HORIZON|APPROACHING\s+MILESTONES)\b/i }
+];
+
+const STATUSES = ['out', 'doubtful', 'questionable', 'probable', 'available', 'day-to-day'];
+
+const MATCHUP = /^(.+?)\s+\((\d+)-(\d+)\)\s+(at|vs\.?)\s+(.+?)\s+\((\d+)-(\d+)\)/i;
+const GAME_LINE = /^Game\s+#?(\d+)\b(.*)$/i;
+const GAME_DATE = /\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\.?\s+(\d{1,2}),?\s+(\d{4})\b/i;
+const NUMERIC_GAME_DATE = /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const STARTER = /^(PG|SG|SF|PF|C|G|F|G\/F|F\/C|G-F|F-C)\s+#?(\d{1,2})\s+(.+?)((?:\s+-?\d+(?:\.\d+)?)*)$/;
+const COLUMN_HEADER = /^(?:POS\.?|NO\.?|#|PLAYER|PPG|RPG|APG|\s)+$/i;
+const BULLET = /^[•\-–*·]\s*/;
+const PAGE_MARKER = /^Page\s+\d+(?:\s+of\s+\d+)?$/i;
+const SUBJECT = /^((?:[A-Z][\w.'’\-]*\s+){1,4}?)(?:has|have|is|are|needs|need|enters|owns|leads|recorded|scored|posted|made|ranks|became|extended)\b/;
+
+/**
+ * Heading line -> section name ('other' for any all-caps heading we don't parse), or null for body text
+ */
+function sectionFor(line) {
+  if (COLUMN_HEADER.test(line)) return null;
+  const known = SECTION_HEADINGS.find(heading => heading.pattern.test(line));
+  if (known && line.length <= 40) return known.section;
+  if (line.length <= 40 && /[A-Z]{3}/.test(line) && line === line.toUpperCase() && !/^\d/.test(line)) return 'other';
+  return null;
+}
+
+/**
+ * Player the item is about ("Giannis Antetokounmpo has scored..." -> "Giannis Antetokounmpo"), null for team notes
+ */
+function subjectOf(text) {
+  const subject = text.match(SUBJECT)?.[1]?.trim();
+  if (!subject || /^The\b/.test(subject) || subject.split(/\s+/).length < 2) return null;
+  return subject;
+}
+
+function parseInjuryNote(text) {
+  const name = text.match(/^(.+?)(?:\s*\(|\s+[-–:]\s+)/)?.[1]?.trim() || null;
+  const status = STATUSES.find(word => new RegExp(`\\b${word}\\b`, 'i').test(text)) || null;
+  const gamesMissed = text.match(/missed\s+(?:the\s+)?(?:last\s+|previous\s+|past\s+)?(\d+)\s+(?:straight\s+|consecutive\s+)?(?:games?|contests?)/i);
+  const detail = text.match(/\(([^)]+)\)/)?.[1] || null;
+
+  return {
+    playerName: name,
+    status,
+    detail,
+    gamesMissed: gamesMissed ? Number(gamesMissed[1]) : null,
+    text
+  };
+}
+
+function parseStreak(text) {
+  const length = text.match(/(\d+)\s+(?:straight|consecutive|successive)\s+(?:[a-z]+\s+){0,2}?(?:games?|contests?|outings?|starts?)/i);
+  return { playerName: subjectOf(text), length: length ? Number(length[1]) : null, text };
+}
+
+function parseMilestone(text) {
+  const number = value => Number(value.replace(/,/g, ''));
+  const needs = text.match(/needs?\s+([\d,]+)\s+(?:more\s+)?(.+?)\s+to\s+(?:reach|pass|become|tie|join)\s+([\d,]+)?/i);
+  const shy = text.match(/is\s+([\d,]+)\s+(.+?)\s+(?:shy|short)\s+of\s+([\d,]+)/i);
+  const match = needs || shy;
+
+  return {
+    playerName: subjectOf(text),
+    needed: match ? number(match[1]) : null,
+    stat: match ? match[2].trim() : null,
+    target: match?.[3] ? number(match[3]) : null,
+    text
+  };
+}
+
+/**
+ * "Tuesday, November 4, 2025", "Tue., Nov. 4, 2025" or "11/4/25" anywhere in a line -> '2025-11-04'
+ * (null when the line has no date it recognizes)
+ */
+function parseGameDate(line) {
+  const named = line.match(GAME_DATE);
+  if (named) {
+    const month = MONTHS.indexOf(named[1].slice(0, 3).toLowerCase()) + 1;
+    return `${named[3]}-${String(month).padStart(2, '0')}-${named[2].padStart(2, '0')}`;
+  }
+
+  const numeric = line.match(NUMERIC_GAME_DATE);
+  if (!numeric || Number(numeric[1]) > 12) return null;
+  const year = numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3];
+  return `${year}-${numeric[1].padStart(2, '0')}-${numeric[2].padStart(2, '0')}`;
+}
+
+/**
+ * Parse game notes text
+ * @param {string} text - text extracted from the notes PDF (shared/pdf-text.js)
+ * @returns {object} - { game, projectedStarters, injuryNotes, streaks, milestones, diagnostics }
+ *   game: { away: { name, wins, losses }, home: { name, wins, losses }, gameNumber, date (YYYY-MM-DD) } or null
+ *   projectedStarters: [{ position, jersey, playerName, stats: [numbers as printed] }]
+ *   injuryNotes: [{ playerName, status, detail, gamesMissed, text }]
+ *   streaks: [{ playerName, length, text }]
+ *   milestones: [{ playerName, needed, stat, target, text }]
+ *   diagnostics: { lines, sections, unparsedLines: [{ line, text, section }], confidence }
+ */
+export function parseGameNotesText(text) {
+  const result = { game: null, projectedStarters: [], injuryNotes: [], streaks: [], milestones: [] };
+  const sections = [];
+  const unparsedLines = [];
+  let section = null;
+  let items = []; // bullet items of the current section, joined across wrapped lines
+
+  const lines = (text || '').split('\n');
+
+  const flushItems = () => {
+    const parsers = { injuries: parseInjuryNote, streaks: parseStreak, milestones: parseMilestone };
+    const target = { injuries: result.injuryNotes, streaks: result.streaks, milestones: result.milestones }[section];
+    if (target) items.forEach(item => target.push(parsers[section](item.text)));
+    items = [];
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line || PAGE_MARKER.test(line)) return;
+
+    const matchup = !result.game && line.match(MATCHUP);
+    if (matchup) {
+      // "Milwaukee Bucks (3-2) at Toronto Raptors (2-3)" or "Toronto Raptors (2-3) vs. Milwaukee Bucks (3-2)"
+      const [, firstName, firstWins, firstLosses, joiner, secondName, secondWins, secondLosses] = matchup;
+      const first = { name: firstName, wins: Number(firstWins), losses: Number(firstLosses) };
+      const second = { name: secondName, wins: Number(secondWins), losses: Number(secondLosses) };
+      result.game = joiner.toLowerCase() === 'at'
+        ? { away: first, home: second, gameNumber: null, date: null }
+        : { away: second, home: first, gameNumber: null, date: null };
+      return;
+    }
+    // "Game 6 • Tuesday, November 4, 2025 • 6:30 p.m. CT • Scotiabank Arena"
+    const gameLine = result.game && result.game.gameNumber === null && line.match(GAME_LINE);
+    if (gameLine) {
+      result.game.gameNumber = Number(gameLine[1]);
+      result.game.date = parseGameDate(gameLine[2]);
+      return;
+    }
+
+    const heading = sectionFor(line);
+    if (heading) {
+      flushItems();
+      section = heading;
+      if (heading !== 'other' && !sections.includes(heading)) sections.push(heading);
+      return;
+    }
+
+    if (section === 'starters') {
+      if (COLUMN_HEADER.test(line) || line.startsWith('*')) return;
+      const starter = line.match(STARTER);
+      if (starter) {
+        result.projectedStarters.push({
+          position: starter[1],
+          jersey: starter[2],
+          playerName: starter[3].trim(),
+          stats: starter[4].trim() ? starter[4].trim().split(/\s+/).map(Number) : []
+        });
+      } else {
+        unparsedLines.push({ line: index + 1, text: line, section });
+      }
+      return;
+    }
+
+    if (['injuries', 'streaks', 'milestones'].includes(section)) {
+      // A new item starts with a bullet, or (in unbulleted injury lists) a capitalized name
+      const bulleted = BULLET.test(line);
+      const startsItem = bulleted || items.length === 0 || (section === 'injuries' && /^[A-Z][\w.'’\-]+\s+[A-Z]/.test(line));
+      if (startsItem) items.push({ text: line.replace(BULLET, '') });
+      else items[items.length - 1].text += ` ${line}`;
+    }
+  });
+  flushItems();
+
+  const starterCount = result.projectedStarters.length;
+  let confidence = 'high';
+  if (sections.length === 0) confidence = 'low';
+  else if (unparsedLines.length > 0 || (sections.includes('starters') && starterCount !== 5)) confidence = 'medium';
+
+  return {
+    ...result,
+    diagnostics: {
+      lines: lines.length,
+      sections,
+      unparsedLines,
+      confidence
+    }
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Shared HTTP Client
+ * Timeouts, jittered exponential backoff, a retry budget and a per-host circuit breaker
+ * around fetch. Used by the prediction engine, the validator and every Cloudflare worker,
+ * so it only relies on APIs available in both Node and the Workers runtime.
+ */
+
+// Statuses worth retrying: timeouts, throttling and transient upstream errors
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+export const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 15000,         // Per attempt
+  retries: 3,               // Extra attempts per request
+  baseDelayMs: 500,         // Backoff before the first retry
+  maxDelayMs: 8000,         // Backoff (and Retry-After) ceiling
+  retryBudget: 30,          // Retries shared by every request made through one client...
+  retryBudgetWindowMs: 60000, // ...per window, so long-lived worker isolates get a fresh budget
+  breakerThreshold: 5,      // Consecutive failures before a host's breaker opens
+  breakerCooldownMs: 30000, // How long an open breaker fails fast before letting one request through
+  maxFailureLog: 500        // Oldest failure records are dropped beyond this
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function discardBody(response) {
+  try {
+    await response.body?.cancel();
+  } catch (error) {
+    // Already consumed or errored: nothing left to release
+  }
+}
+
+function requestUrl(input) {
+  return typeof input === 'string' ? input : (input.url || String(input));
+}
+
+/**
+ * Full-jitter backoff: random delay in [0, min(maxDelay, base * 2^attempt)]
+ * A Retry-After header (seconds) from a 429/503 takes precedence, capped at maxDelay
+ */
+export function backoffDelay(attempt, options, retryAfter = null) {
+  const random = options.random || Math.random;
+  const retryAfterSeconds = Number(retryAfter);
+  if (retryAfter !== null && Number.isFinite(retryAfterSeconds) && retryAfterSeconds >= 0) {
+    return Math.min(retryAfterSeconds * 1000, options.maxDelayMs);
+  }
+
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.floor(random() * ceiling);
+}
+
+/**
+ * Create an HTTP client with its own retry budget, breakers and failure log
+ * @param {object} options - overrides for DEFAULT_HTTP_OPTIONS, plus { name, fetchImpl } and, for tests,
+ *   { now, random, sleepImpl } to replace Date.now, Math.random and the backoff wait
+ * @returns {object} - { fetch, getFailures, clearFailures, getBreakerStates }
+ */
+export function createHttpClient(options = {}) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS, ...options };
+  // Resolve fetch at call time so test doubles and the worker emulator's backend are honoured
+  const fetchImpl = options.fetchImpl || ((input, init) => globalThis.fetch(input, init));
+  const now = options.now || Date.now;
+  const wait = options.sleepImpl || sleep;
+
+  const breakers = new Map(); // host -> { failures, openedAt }
+  const failures = [];
+  const budget = { remaining: settings.retryBudget, windowStart: now() };
+
+  function takeRetry() {
+    if (now() - budget.windowStart >= settings.retryBudgetWindowMs) {
+      budget.remaining = settings.retryBudget;
+      budget.windowStart = now();
+    }
+    if (budget.remaining <= 0) return false;
+    budget.remaining--;
+    return true;
+  }
+
+  function recordFailure(failure) {
+    failures.push({ client: settings.name || 'http', ...failure });
+    if (failures.length > settings.maxFailureLog) failures.shift();
+  }
+
+  function getBreaker(host) {
+    if (!breakers.has(host)) {
+      breakers.set(host, { failures: 0, openedAt: null });
+    }
+    return breakers.get(host);
+  }
+
+  function breakerAllows(breaker) {
+    if (breaker.openedAt === null) return true;
+
+    // Half-open: after the cooldown let one request through to probe the host
+    if (now() - breaker.openedAt >= settings.breakerCooldownMs) {
+      breaker.openedAt = now();
+      return true;
+    }
+    return false;
+  }
+
+  function recordOutcome(breaker, ok) {
+    if (ok) {
+      breaker.failures = 0;
+      breaker.openedAt = null;
+      return;
+    }
+
+    breaker.failures++;
+    if (breaker.failures >= settings.breakerThreshold) {
+      breaker.openedAt = now();
+    }
+  }
+
+  async function attempt(input, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+    try {
+      return await fetchImpl(input, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Timed out after ${settings.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Drop-in replacement for fetch
+   * Resolves with the final Response (which may still be !ok after retries are exhausted)
+   * and rejects on network errors, timeouts and open breakers once retries run out
+   */
+  async function clientFetch(input, init = {}) {
+    const url = requestUrl(input);
+    const host = new URL(url).host;
+    const breaker = getBreaker(host);
+    const at = new Date(now()).toISOString();
+    let attempts = 0;
+    let lastError = null;
+    let lastStatus = null;
+
+    while (true) {
+      if (!breakerAllows(breaker)) {
+        lastError = `Circuit open for ${host} after ${breaker.failures} consecutive failures`;
+        break;
+      }
+
+      attempts++;
+      let retryAfter = null;
+
+      try {
+        const response = await attempt(input, init);
+
+        if (!RETRYABLE_STATUSES.includes(response.status)) {
+          recordOutcome(breaker, true);
+          if (attempts > 1) {
+            recordFailure({ url, host, attempts, status: lastStatus, error: lastError, recovered: true, at });
+          }
+          return response;
+        }
+
+        recordOutcome(breaker, false);
+        lastStatus = response.status;
+        lastError = `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+        retryAfter = response.headers.get('retry-after');
+
+        // Out of retries: hand back the failed response so callers keep their own !ok handling
+        if (attempts > settings.retries || !takeRetry()) {
+          recordFailure({ url, host, attempts, status: lastStatus, error: lastError, recovered: false, at });
+          return response;
+        }
+
+        // This response is being dropped: release its body so the connection isn't held until GC
+        await discardBody(response);
+      } catch (error) {
+        recordOutcome(breaker, false);
+        lastError = error.message;
+
+        if (attempts > settings.retries || !takeRetry()) break;
+      }
+
+      await wait(backoffDelay(attempts - 1, settings, retryAfter));
+    }
+
+    recordFailure({ url, host, attempts, status: lastStatus, error: lastError, recovered: false, at });
+    const error = new Error(`${lastError} (${url})`);
+    error.url = url;
+    throw error;
+  }
+
+  return {
+    fetch: clientFetch,
+    getFailures: () => [...failures],
+    clearFailures: () => {
+      failures.length = 0;
+    },
+    getBreakerStates: () => Object.fromEntries(
+      [...breakers.entries()].map(([host, breaker]) => [host, breaker.openedAt === null ? 'closed' : 'open'])
+    )
+  };
+}
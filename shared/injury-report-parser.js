@@ -0,0 +1,284 @@
+/**
+ * Injury Report Parser
+ * Layout-aware parser for the text extracted from the official NBA injury report PDF.
+ * The report is a table (Game Date | Game Time | Matchup | Team | Player Name | Current Status | Reason)
+ * where a cell is only printed when it changes. Extractors space the cells differently, so each line
+ * is read with its whitespace dropped, e.g.
+ *   11/04/202507:30(ET)MIL@TORMilwaukeeBucksPorterJr.,KevinOutInjury/Illness-LeftAnkle;Sprain
+ *   Prince,TaureanProbableInjury/Illness-LowerBack;Soreness
+ * and game and team context carry down from the last row that printed them.
+ * Used by the injuries-official worker (/parsed); kept free of I/O so it runs anywhere.
+ */
+
+export const TEAM_NAMES = {
+  AtlantaHawks: 'ATL',
+  BostonCeltics: 'BOS',
+  BrooklynNets: 'BKN',
+  CharlotteHornets: 'CHA',
+  ChicagoBulls: 'CHI',
+  ClevelandCavaliers: 'CLE',
+  DallasMavericks: 'DAL',
+  DenverNuggets: 'DEN',
+  DetroitPistons: 'DET',
+  GoldenStateWarriors: 'GSW',
+  HoustonRockets: 'HOU',
+  IndianaPacers: 'IND',
+  LAClippers: 'LAC',
+  LosAngelesLakers: 'LAL',
+  MemphisGrizzlies: 'MEM',
+  MiamiHeat: 'MIA',
+  MilwaukeeBucks: 'MIL',
+  MinnesotaTimberwolves: 'MIN',
+  NewOrleansPelicans: 'NOP',
+  NewYorkKnicks: 'NYK',
+  OklahomaCityThunder: 'OKC',
+  OrlandoMagic: 'ORL',
+  Philadelphia76ers: 'PHI',
+  PhoenixSuns: 'PHX',
+  PortlandTrailBlazers: 'POR',
+  SacramentoKings: 'SAC',
+  SanAntonioSpurs: 'SAS',
+  TorontoRaptors: 'TOR',
+  UtahJazz: 'UTA',
+  WashingtonWizards: 'WAS'
+};
+
+export const REASON_CATEGORIES = ['injury', 'illness', 'g-league', 'rest', 'suspension', 'personal', 'not-with-team', 'other'];
+
+const STATUSES = ['Out', 'Doubtful', 'Questionable', 'Probable', 'Available'];
+
+const REPORT_HEADER = /^InjuryReport:(\d{2})\/(\d{2})\/(\d{2})(\d{2}:\d{2}(?:AM|PM))$/;
+const COLUMN_HEADER = 'GameDateGameTimeMatchupTeamPlayerNameCurrentStatusReason';
+const PAGE_MARKER = /^Page\d+of\d+$/;
+const GAME_PREFIX = /^(?:(\d{2})\/(\d{2})\/(\d{4}))?(\d{2}:\d{2})\(ET\)([A-Z]{3})@([A-Z]{3})/;
+const PLAYER_ROW = new RegExp(`^([^,]+),(.+?)(${STATUSES.join('|')})(.*)$`);
+const NOT_SUBMITTED = 'NOTYETSUBMITTED';
+const REASON_CONTINUATION = /^[A-Za-z][A-Za-z;\-\/'.()]*$/;
+const ILLNESS_TERMS = /illness|sick|flu|virus|gastro|covid|migraine|cold/i;
+
+// Team names longest first so "LAClippers" can't be shadowed by a shorter prefix
+const TEAM_PREFIXES = Object.keys(TEAM_NAMES).sort((a, b) => b.length - a.length);
+
+/**
+ * "LeftAnkle" -> "Left Ankle"
+ */
+function spaceWords(text) {
+  return text.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/\s*;\s*/g, '; ').trim();
+}
+
+/**
+ * "PorterJr.", "Kevin" -> "Kevin Porter Jr."
+ */
+function formatPlayerName(last, first) {
+  const lastName = last.replace(/([a-z])(Jr\.?|Sr\.?|III|II|IV)$/, '$1 $2');
+  return `${first} ${lastName}`.trim();
+}
+
+/**
+ * Split the Reason cell into a category and its detail
+ * e.g. "Injury/Illness-LeftAnkle;Sprain" -> { category: 'injury', bodyPart: 'Left Ankle', detail: 'Sprain' }
+ */
+export function classifyReason(raw) {
+  const reason = raw.trim();
+  const injuryMatch = reason.match(/^Injury\/Illness-?(.*)$/);
+
+  if (injuryMatch) {
+    const [bodyPart = '', ...details] = injuryMatch[1].split(';').map(part => spaceWords(part)).filter(Boolean);
+    const isIllness = ILLNESS_TERMS.test(injuryMatch[1]);
+    return {
+      category: isIllness ? 'illness' : 'injury',
+      bodyPart: bodyPart && !(isIllness && bodyPart === 'Illness') ? bodyPart : null, // "Illness;Flu" names no body part
+      detail: details.join('; ') || null,
+      raw: reason
+    };
+  }
+
+  const rules = [
+    { pattern: /^GLeague/i, category: 'g-league' },
+    { pattern: /Suspension/i, category: 'suspension' },
+    { pattern: /^Rest/i, category: 'rest' },
+    { pattern: /^Personal/i, category: 'personal' },
+    { pattern: /^NotWithTeam/i, category: 'not-with-team' }
+  ];
+  const rule = rules.find(candidate => candidate.pattern.test(reason));
+
+  return {
+    category: rule ? rule.category : 'other',
+    bodyPart: null,
+    detail: reason ? spaceWords(reason.replace(/^GLeague-?/i, '')) || null : null,
+    raw: reason
+  };
+}
+
+/**
+ * Readable reason, e.g. "Injury/Illness - Left Ankle; Sprain" or "G League - Two-Way"
+ */
+export function describeReason(reason) {
+  if (reason.category === 'injury' || reason.category === 'illness') {
+    return ['Injury/Illness', [reason.bodyPart, reason.detail].filter(Boolean).join('; ')].filter(Boolean).join(' - ');
+  }
+  if (reason.category === 'g-league') {
+    return reason.detail ? `G League - ${reason.detail}` : 'G League';
+  }
+  return spaceWords(reason.raw);
+}
+
+/**
+ * Confidence label for a record from the problems found while parsing it
+ */
+function rateRecord(issues) {
+  if (issues.length === 0) return 'high';
+  return issues.some(issue => issue.severe) ? 'low' : 'medium';
+}
+
+/**
+ * Parse report text into structured records
+ * @param {string} text - text extracted from the report PDF
+ * @returns {object} - { report: { date, time }, records, notSubmitted, diagnostics }
+ *   records: [{ gameDate, gameTime, matchup, awayTeam, homeTeam, teamAbbreviation, playerName,
+ *               status, reason: { category, bodyPart, detail, raw }, confidence, issues, line }]
+ *   diagnostics: { lines, recordLines, contextLines, skippedLines, unparsedLines: [{ line, text, reason }], coverage, confidence }
+ */
+export function parseInjuryReportText(text) {
+  const report = { date: null, time: null };
+  const records = [];
+  const notSubmitted = [];
+  const unparsedLines = [];
+  let contextLines = 0;
+  let skippedLines = 0;
+
+  let game = null;
+  let team = null;
+  let lastRecord = null;
+
+  const lines = (text || '').split('\n');
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    let rest = rawLine.replace(/\s+/g, '');
+    if (!rest) return;
+
+    const header = rest.match(REPORT_HEADER);
+    if (header) {
+      report.date = `20${header[3]}-${header[1]}-${header[2]}`;
+      report.time = header[4];
+      skippedLines++;
+      return;
+    }
+    if (rest === COLUMN_HEADER || PAGE_MARKER.test(rest)) {
+      skippedLines++;
+      return;
+    }
+
+    let hadContext = false;
+
+    const gameMatch = rest.match(GAME_PREFIX);
+    if (gameMatch) {
+      const [, month, day, year, time, away, home] = gameMatch;
+      game = {
+        gameDate: year ? `${year}-${month}-${day}` : game?.gameDate || report.date,
+        gameTime: `${time} ET`,
+        matchup: `${away}@${home}`,
+        awayTeam: away,
+        homeTeam: home
+      };
+      team = null;
+      lastRecord = null;
+      rest = rest.slice(gameMatch[0].length);
+      hadContext = true;
+    }
+
+    const teamName = TEAM_PREFIXES.find(name => rest.startsWith(name));
+    if (teamName) {
+      team = TEAM_NAMES[teamName];
+      lastRecord = null;
+      rest = rest.slice(teamName.length);
+      hadContext = true;
+    }
+
+    if (rest === NOT_SUBMITTED) {
+      notSubmitted.push({ teamAbbreviation: team, matchup: game?.matchup || null, gameDate: game?.gameDate || null });
+      contextLines++;
+      return;
+    }
+
+    if (!rest) {
+      if (hadContext) contextLines++;
+      return;
+    }
+
+    const playerMatch = rest.match(PLAYER_ROW);
+    if (playerMatch) {
+      const [, last, first, statusWord, reasonText] = playerMatch;
+      const issues = [];
+
+      if (!team) {
+        unparsedLines.push({ line: lineNumber, text: rawLine.trim(), reason: 'player row before any team' });
+        return;
+      }
+      if (!game) {
+        issues.push({ problem: 'no game context', severe: true });
+      } else if (team !== game.awayTeam && team !== game.homeTeam) {
+        issues.push({ problem: `team ${team} not in matchup ${game.matchup}`, severe: true });
+      }
+
+      const reason = classifyReason(reasonText);
+      if (!reasonText) issues.push({ problem: 'missing reason', severe: false });
+      else if (reason.category === 'other') issues.push({ problem: `unrecognized reason "${reasonText}"`, severe: false });
+
+      lastRecord = {
+        gameDate: game?.gameDate || null,
+        gameTime: game?.gameTime || null,
+        matchup: game?.matchup || null,
+        awayTeam: game?.awayTeam || null,
+        homeTeam: game?.homeTeam || null,
+        teamAbbreviation: team,
+        playerName: formatPlayerName(last, first),
+        status: statusWord.toLowerCase(),
+        reason,
+        confidence: rateRecord(issues),
+        issues: issues.map(issue => issue.problem),
+        line: lineNumber
+      };
+      records.push(lastRecord);
+      return;
+    }
+
+    // Long reasons wrap onto the next line (e.g. "...;Injury" / "Management")
+    if (lastRecord && !hadContext && REASON_CONTINUATION.test(rest)) {
+      const joiner = lastRecord.reason.raw.endsWith(';') || lastRecord.reason.raw.endsWith('-') ? '' : ' ';
+      lastRecord.reason = classifyReason(`${lastRecord.reason.raw}${joiner}${rest}`);
+      lastRecord.issues = lastRecord.issues.filter(issue => !issue.startsWith('unrecognized reason') && issue !== 'missing reason');
+      if (lastRecord.reason.category === 'other') lastRecord.issues.push(`unrecognized reason "${lastRecord.reason.raw}"`);
+      lastRecord.issues.push('reason wrapped onto next line');
+      lastRecord.confidence = lastRecord.confidence === 'low' ? 'low' : 'medium';
+      return;
+    }
+
+    unparsedLines.push({ line: lineNumber, text: rawLine.trim(), reason: hadContext ? 'unrecognized text after game/team' : 'unrecognized layout' });
+  });
+
+  const parsed = records.length + notSubmitted.length;
+  const coverage = parsed + unparsedLines.length > 0 ? parsed / (parsed + unparsedLines.length) : 0;
+  const lowRecords = records.filter(record => record.confidence === 'low').length;
+
+  let confidence = 'high';
+  if (coverage < 0.8 || lowRecords > records.length / 4) confidence = 'low';
+  else if (coverage < 1 || lowRecords > 0) confidence = 'medium';
+  if (parsed === 0) confidence = 'low';
+
+  return {
+    report,
+    records,
+    notSubmitted,
+    diagnostics: {
+      lines: lines.length,
+      recordLines: records.length,
+      contextLines,
+      skippedLines,
+      unparsedLines,
+      coverage: Math.round(coverage * 1000) / 1000,
+      confidence
+    }
+  };
+}
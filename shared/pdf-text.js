@@ -0,0 +1,418 @@
+/**
+ * PDF Text
+ * Minimal text extraction for the PDFs the workers fetch (team game notes, the official injury report),
+ * so parsing happens in the worker rather than in every client.
+ * Walks the page tree, inflates FlateDecode content streams (DecompressionStream, so it runs in
+ * Cloudflare Workers and Node 18+) and reads the text-showing operators, mapping codes through the
+ * fonts' ToUnicode CMaps when they have one. Line breaks come from text positioning; layout beyond
+ * that (columns, tables) isn't reconstructed.
+ * Kept free of I/O so it runs anywhere.
+ */
+
+/**
+ * Bytes -> string with one char per byte, so string offsets are byte offsets
+ */
+function toBinaryString(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+async function inflate(bytes) {
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    return null; // Damaged or truncated stream - skip it rather than fail the document
+  }
+}
+
+/**
+ * Decoded stream bytes, or null for filters we don't handle (images, LZW, ...)
+ */
+async function decodeStream(object) {
+  if (!object?.stream) return null;
+  const filters = object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+  if (!filters) return object.stream;
+  if (/^\/FlateDecode$|^\[\s*\/FlateDecode\s*\]$/.test(filters.trim())) return inflate(object.stream);
+  return null;
+}
+
+/**
+ * Every indirect object in the file: objNum -> { dict, stream (raw bytes) }
+ * Objects packed into object streams (/Type /ObjStm) are unpacked too
+ */
+async function readObjects(bytes) {
+  const text = toBinaryString(bytes);
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endobj', start);
+    if (end === -1) break;
+
+    // Look for the stream keyword before trusting endobj - binary stream data can contain anything
+    const streamMatch = /(?<!end)stream\r?\n/.exec(text.slice(start, end));
+    if (!streamMatch) {
+      objects.set(Number(match[1]), { dict: text.slice(start, end).trim(), stream: null });
+      pattern.lastIndex = end;
+      continue;
+    }
+
+    const dict = text.slice(start, start + streamMatch.index).trim();
+    const dataStart = start + streamMatch.index + streamMatch[0].length;
+    const length = dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+    let dataEnd = length ? dataStart + Number(length[1]) : text.indexOf('endstream', dataStart);
+    if (dataEnd < dataStart || dataEnd > text.length) dataEnd = text.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+    if (!length) {
+      if (text[dataEnd - 1] === '\n') dataEnd--;
+      if (text[dataEnd - 1] === '\r') dataEnd--;
+    }
+
+    objects.set(Number(match[1]), { dict, stream: bytes.subarray(dataStart, dataEnd) });
+    const objEnd = text.indexOf('endobj', dataEnd);
+    if (objEnd === -1) break;
+    pattern.lastIndex = objEnd;
+  }
+
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm/.test(object.dict)) continue;
+    const decoded = await decodeStream(object);
+    if (!decoded) continue;
+
+    const content = toBinaryString(decoded);
+    const count = Number(object.dict.match(/\/N\s+(\d+)/)?.[1] || 0);
+    const first = Number(object.dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+    const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+
+    for (let i = 0; i < count; i++) {
+      const objNum = header[i * 2];
+      const offset = first + header[i * 2 + 1];
+      const next = i + 1 < count ? first + header[(i + 1) * 2 + 1] : content.length;
+      if (!objects.has(objNum)) objects.set(objNum, { dict: content.slice(offset, next).trim(), stream: null });
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Value of a dictionary key as raw text: a reference ("12 0 R"), an array, a nested dictionary or a name/number
+ */
+function dictValue(dict, key) {
+  const at = dict.search(new RegExp(`/${key}(?![A-Za-z0-9])`));
+  if (at === -1) return null;
+
+  const rest = dict.slice(at + key.length + 1).trimStart();
+  const ref = rest.match(/^(\d+)\s+\d+\s+R/);
+  if (ref) return ref[0];
+
+  const open = rest[0] === '[' ? '[' : rest.startsWith('<<') ? '<<' : null;
+  if (!open) return rest.match(/^[^\s/<>\[\]]+|^\/[^\s/<>\[\]]+/)?.[0] || null;
+
+  const close = open === '[' ? ']' : '>>';
+  let depth = 0;
+  for (let i = 0; i < rest.length; i++) {
+    if (rest.startsWith(open, i)) depth++;
+    else if (rest.startsWith(close, i) && --depth === 0) return rest.slice(0, i + close.length);
+  }
+  return rest;
+}
+
+function refNumbers(value) {
+  return [...(value || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(ref => Number(ref[1]));
+}
+
+/**
+ * Dictionary text behind a value that may be an indirect reference
+ */
+function resolveDict(objects, value) {
+  if (!value) return '';
+  const [ref] = /^\d+\s+\d+\s+R$/.test(value) ? refNumbers(value) : [];
+  return ref !== undefined ? objects.get(ref)?.dict || '' : value;
+}
+
+/**
+ * ToUnicode CMap -> { codeLength (bytes), map: Map(code -> text) }
+ */
+function parseCMap(text) {
+  const map = new Map();
+  const hexToText = hex => {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return out;
+  };
+  let codeLength = 1;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, unicode] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      codeLength = Math.max(codeLength, code.length / 2);
+      map.set(parseInt(code, 16), hexToText(unicode));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      codeLength = Math.max(codeLength, low.length / 2);
+      const from = parseInt(low, 16);
+      const to = parseInt(high, 16);
+      const targets = target.startsWith('[') ? [...target.matchAll(/<([0-9a-fA-F]*)>/g)].map(entry => entry[1]) : null;
+      for (let code = from; code <= to && code - from < 0x10000; code++) {
+        if (targets) {
+          map.set(code, hexToText(targets[code - from] || ''));
+        } else {
+          const base = target.slice(1, -1);
+          const last = parseInt(base.slice(-4), 16) + (code - from);
+          map.set(code, hexToText(base.slice(0, -4)) + String.fromCharCode(last));
+        }
+      }
+    }
+  }
+
+  return { codeLength, map };
+}
+
+/**
+ * Font resource name -> CMap for a page's fonts (fonts without ToUnicode map to null)
+ */
+async function pageFonts(objects, resources, cmapCache) {
+  const fonts = new Map();
+  const fontDict = resolveDict(objects, dictValue(resources, 'Font'));
+
+  for (const [, name, ref] of fontDict.matchAll(/\/([^\s/<>\[\]]+)\s+(\d+)\s+\d+\s+R/g)) {
+    const font = objects.get(Number(ref));
+    const [toUnicode] = refNumbers(font ? dictValue(font.dict, 'ToUnicode') : null);
+    if (toUnicode === undefined) {
+      fonts.set(name, null);
+      continue;
+    }
+    if (!cmapCache.has(toUnicode)) {
+      const decoded = await decodeStream(objects.get(toUnicode));
+      cmapCache.set(toUnicode, decoded ? parseCMap(toBinaryString(decoded)) : null);
+    }
+    fonts.set(name, cmapCache.get(toUnicode));
+  }
+
+  return fonts;
+}
+
+/**
+ * Pages in document order: [{ contents: [objNum], resources: dict text }]
+ * Resources are inherited from the parent /Pages node when a page doesn't carry its own
+ */
+function listPages(objects) {
+  const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog/.test(object.dict));
+  const [root] = refNumbers(catalog ? dictValue(catalog.dict, 'Pages') : null);
+  const pages = [];
+  const seen = new Set();
+
+  const walk = (objNum, inheritedResources) => {
+    if (seen.has(objNum)) return;
+    seen.add(objNum);
+    const node = objects.get(objNum);
+    if (!node) return;
+
+    const resources = resolveDict(objects, dictValue(node.dict, 'Resources')) || inheritedResources;
+    if (/\/Type\s*\/Pages/.test(node.dict)) {
+      refNumbers(dictValue(node.dict, 'Kids')).forEach(kid => walk(kid, resources));
+    } else {
+      const contents = dictValue(node.dict, 'Contents');
+      const contentRefs = refNumbers(contents);
+      // /Contents may point at an array object rather than a stream
+      const streams = contentRefs.flatMap(ref => objects.get(ref)?.stream ? [ref] : refNumbers(objects.get(ref)?.dict));
+      pages.push({ contents: streams, resources });
+    }
+  };
+
+  if (root !== undefined) walk(root, '');
+  return pages;
+}
+
+/**
+ * Read a literal string "(...)" starting at index; returns [bytes as string, next index]
+ */
+function readLiteral(content, index) {
+  let depth = 1;
+  let out = '';
+  let i = index + 1;
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+  while (i < content.length && depth > 0) {
+    const char = content[i];
+    if (char === '\\') {
+      const next = content[i + 1];
+      if (escapes[next]) { out += escapes[next]; i += 2; continue; }
+      if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        out += String.fromCharCode(parseInt(octal, 8));
+        i += 1 + octal.length;
+        continue;
+      }
+      if (next === '\r' || next === '\n') { i += next === '\r' && content[i + 2] === '\n' ? 3 : 2; continue; }
+      out += next;
+      i += 2;
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')' && --depth === 0) break;
+    out += char;
+    i++;
+  }
+
+  return [out, i + 1];
+}
+
+/**
+ * Tokenize a content stream into operands and operators
+ */
+function* tokenize(content) {
+  let i = 0;
+  while (i < content.length) {
+    const char = content[i];
+    if (/\s/.test(char)) { i++; continue; }
+    if (char === '%') { while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++; continue; }
+    if (char === '(') {
+      const [value, next] = readLiteral(content, i);
+      yield { type: 'string', value };
+      i = next;
+      continue;
+    }
+    if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end).replace(/\s+/g, '');
+      let value = '';
+      for (let h = 0; h < hex.length; h += 2) value += String.fromCharCode(parseInt(hex.slice(h, h + 2).padEnd(2, '0'), 16));
+      yield { type: 'string', value };
+      i = end + 1;
+      continue;
+    }
+    if (char === '[' || char === ']') { yield { type: char }; i++; continue; }
+    if (content.startsWith('<<', i) || content.startsWith('>>', i)) { i += 2; continue; }
+    const word = content.slice(i).match(/^[^\s()<>\[\]{}\/%]+|^\/[^\s()<>\[\]{}\/%]*/)?.[0] || content[i];
+    i += word.length;
+    if (word.startsWith('/')) yield { type: 'name', value: word.slice(1) };
+    else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) yield { type: 'number', value: Number(word) };
+    else yield { type: 'operator', value: word };
+  }
+}
+
+/**
+ * Text of one content stream: strings from Tj/TJ/'/", a newline when the baseline moves,
+ * a space for wide TJ kerning gaps
+ */
+function extractContentText(content, fonts) {
+  const lines = [];
+  let line = '';
+  let operands = [];
+  let array = null;
+  let cmap = null;
+  let lastY = null;
+
+  const decode = raw => {
+    if (!cmap) return raw;
+    let out = '';
+    for (let i = 0; i + cmap.codeLength <= raw.length; i += cmap.codeLength) {
+      let code = 0;
+      for (let b = 0; b < cmap.codeLength; b++) code = code * 256 + raw.charCodeAt(i + b);
+      out += cmap.map.get(code) ?? '';
+    }
+    return out;
+  };
+  const newLine = () => {
+    if (line.trim()) lines.push(line.replace(/\s+/g, ' ').trim());
+    line = '';
+  };
+  const moveTo = y => {
+    if (lastY !== null && Math.abs(y - lastY) > 0.5) newLine();
+    lastY = y;
+  };
+
+  for (const token of tokenize(content)) {
+    if (token.type === '[') { array = []; continue; }
+    if (token.type === ']') { operands.push({ type: 'array', value: array || [] }); array = null; continue; }
+    if (array) { array.push(token); continue; }
+    if (token.type !== 'operator') { operands.push(token); continue; }
+
+    const numbers = operands.filter(operand => operand.type === 'number').map(operand => operand.value);
+    switch (token.value) {
+      case 'Tf': {
+        const name = operands.find(operand => operand.type === 'name')?.value;
+        cmap = fonts.get(name) || null;
+        break;
+      }
+      case 'Td':
+      case 'TD':
+        if (numbers[1]) moveTo((lastY || 0) + numbers[1]);
+        else if (numbers[0] > 0 && line && !line.endsWith(' ')) line += ' ';
+        break;
+      case 'Tm':
+        moveTo(numbers[5]);
+        if (line && !line.endsWith(' ')) line += ' ';
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'Tj':
+        line += decode(operands.find(operand => operand.type === 'string')?.value || '');
+        break;
+      case "'":
+      case '"':
+        newLine();
+        line += decode(operands.find(operand => operand.type === 'string')?.value || '');
+        break;
+      case 'TJ':
+        (operands.find(operand => operand.type === 'array')?.value || []).forEach(part => {
+          if (part.type === 'string') line += decode(part.value);
+          else if (part.type === 'number' && part.value < -200 && !line.endsWith(' ')) line += ' ';
+        });
+        break;
+      case 'ET':
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  }
+  newLine();
+
+  return lines;
+}
+
+/**
+ * Extract text from a PDF
+ * @param {ArrayBuffer|Uint8Array} data - the PDF file
+ * @returns {Promise<object>} - { text, pages, diagnostics: { pages, streams, unreadableStreams } }
+ */
+export async function extractPdfText(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const objects = await readObjects(bytes);
+  const cmapCache = new Map();
+  const pages = [];
+  let streams = 0;
+  let unreadableStreams = 0;
+
+  for (const page of listPages(objects)) {
+    const fonts = await pageFonts(objects, page.resources, cmapCache);
+    const lines = [];
+    for (const ref of page.contents) {
+      streams++;
+      const decoded = await decodeStream(objects.get(ref));
+      if (!decoded) {
+        unreadableStreams++;
+        continue;
+      }
+      lines.push(...extractContentText(toBinaryString(decoded), fonts));
+    }
+    pages.push(lines.join('\n'));
+  }
+
+  return {
+    text: pages.join('\n'),
+    pages,
+    diagnostics: { pages: pages.length, streams, unreadableStreams }
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Player Identity
+ * Resolves the ways a player's name shows up across sources to one NBA PLAYER_ID:
+ * - player stats and box scores: "Kevin Porter Jr.", "Nikola Jokić"
+ * - official injury report: "Porter Jr., Kevin" (or "Kevin Porter Jr." once parsed)
+ * - lineup GROUP_NAME: "K. Porter Jr." (GROUP_ID carries the IDs: "-203507-1629645-...-")
+ * Names the registry can't place are kept as unresolved so callers can report them.
+ * Used by the prediction engine, the validator and the lineups worker; kept free of I/O so it runs anywhere.
+ */
+
+export const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'v'];
+
+/**
+ * Split a display name into comparable parts
+ * "Porter Jr., Kevin" / "Kevin Porter Jr." -> { first: 'kevin', last: 'porter', suffix: 'jr', initial: false, key: 'kevin porter' }
+ * "K. Porter Jr." -> { first: 'k', last: 'porter', suffix: 'jr', initial: true, key: 'k porter' }
+ */
+export function parsePlayerName(name) {
+  if (!name) return { first: '', last: '', suffix: null, initial: false, key: '' };
+
+  // "PorterJr." (spaces lost in PDF text) -> "Porter Jr."
+  let text = name.normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .replace(/([a-z])(Jr\.?|Sr\.?|III|II|IV)(?=[\s,]|$)/g, '$1 $2')
+    .toLowerCase().trim();
+
+  // "Last, First" -> "First Last"
+  if (text.includes(',')) {
+    const [last, ...rest] = text.split(',');
+    text = `${rest.join(' ')} ${last}`;
+  }
+
+  const rawTokens = text.split(/\s+/).filter(Boolean);
+  const initial = rawTokens.length > 1 && /^[a-z]\.$/.test(rawTokens[0]);
+  const tokens = rawTokens.map(token => token.replace(/[^a-z-]/g, '')).filter(Boolean);
+
+  let suffix = null;
+  if (tokens.length > 2 && NAME_SUFFIXES.includes(tokens[tokens.length - 1])) {
+    suffix = tokens.pop();
+  }
+
+  // A single name ("Jokic") is a last name
+  const [first = '', ...lastParts] = tokens.length > 1 ? tokens : ['', ...tokens];
+  const last = lastParts.join(' ');
+  return { first, last, suffix, initial, key: `${first} ${last}`.trim() };
+}
+
+/**
+ * Comparable key for a name (no diacritics, punctuation or suffix), e.g. "kevin porter"
+ */
+export function playerNameKey(name) {
+  return parsePlayerName(name).key;
+}
+
+/**
+ * Check if two names belong to the same player
+ * Full names must agree (ignoring suffixes and diacritics); an initial ("K. Porter") matches
+ * any first name with that letter, and a short form ("Nic Claxton") matches the name it starts
+ */
+export function playersMatch(name1, name2) {
+  const a = parsePlayerName(name1);
+  const b = parsePlayerName(name2);
+  if (!a.key || !b.key || a.last !== b.last) return false;
+  if (a.first === b.first) return true;
+  if (a.initial || b.initial) return a.first[0] === b.first[0];
+  return a.first.length >= 3 && b.first.length >= 3 && (a.first.startsWith(b.first) || b.first.startsWith(a.first));
+}
+
+/**
+ * Same player by ID when both records carry one, by name otherwise
+ * @param {object} a - { playerId, playerName }
+ * @param {object} b - { playerId, playerName }
+ */
+export function isSamePlayer(a, b) {
+  if (!a || !b) return false;
+  if (a.playerId && b.playerId) return String(a.playerId) === String(b.playerId);
+  return playersMatch(a.playerName, b.playerName);
+}
+
+/**
+ * Player IDs from a lineup GROUP_ID ("-203507-1629645-1628398-1626167-1626171-")
+ */
+export function parseGroupPlayerIds(groupId) {
+  if (!groupId) return [];
+  return String(groupId).split('-').filter(Boolean).map(id => parseInt(id, 10)).filter(Number.isFinite);
+}
+
+/**
+ * Registry of known players that resolves names from any source to a PLAYER_ID
+ * @param {Array} players - [{ playerId, playerName, teamAbbreviation }]
+ * @returns {object} - { resolve, resolveAll, getPlayer, getUnresolved }
+ */
+export function createPlayerRegistry(players = []) {
+  const byId = new Map();
+  players.forEach(player => {
+    if (player?.playerId && !byId.has(player.playerId)) {
+      byId.set(player.playerId, { ...player, parsed: parsePlayerName(player.playerName) });
+    }
+  });
+  const unresolved = new Map();
+
+  const candidatesFor = (parsed, team) => [...byId.values()].filter(player =>
+    player.parsed.last === parsed.last && (!team || !player.teamAbbreviation || player.teamAbbreviation === team));
+
+  /**
+   * Resolve one name
+   * @param {string} name
+   * @param {object} options - { team: 'MIL' (narrows candidates), source: 'injury-report' (for the unresolved list) }
+   * @returns {object|null} - { playerId, playerName, teamAbbreviation, method: 'exact'|'initial'|'short-name'|'last-name' }
+   */
+  function resolve(name, { team = null, source = null } = {}) {
+    const parsed = parsePlayerName(name);
+    const candidates = parsed.key ? candidatesFor(parsed, team) : [];
+
+    const exact = candidates.filter(player => player.parsed.first === parsed.first);
+    const byInitial = parsed.initial ? candidates.filter(player => player.parsed.first[0] === parsed.first[0]) : [];
+    const byShortName = candidates.filter(player => playersMatch(player.playerName, name));
+
+    let match = null;
+    let method = null;
+    if (exact.length === 1) [match, method] = [exact[0], 'exact'];
+    else if (byInitial.length === 1) [match, method] = [byInitial[0], 'initial'];
+    else if (exact.length === 0 && byShortName.length === 1) [match, method] = [byShortName[0], 'short-name'];
+    else if (!parsed.first && candidates.length === 1) [match, method] = [candidates[0], 'last-name'];
+
+    if (!match) {
+      const key = `${team || ''}|${name}`;
+      if (!unresolved.has(key)) {
+        unresolved.set(key, {
+          name,
+          team,
+          source,
+          reason: candidates.length > 1 ? `ambiguous (${candidates.length} candidates)` : 'no matching player'
+        });
+      }
+      return null;
+    }
+
+    return { playerId: match.playerId, playerName: match.playerName, teamAbbreviation: match.teamAbbreviation || null, method };
+  }
+
+  return {
+    resolve,
+
+    /**
+     * Add playerId to records that carry a playerName (records already holding an ID are kept)
+     */
+    resolveAll(records, { teamField = 'teamAbbreviation', source = null } = {}) {
+      return records.map(record => {
+        if (record.playerId) return record;
+        const resolved = resolve(record.playerName, { team: record[teamField] || null, source });
+        return resolved ? { ...record, playerId: resolved.playerId } : record;
+      });
+    },
+
+    getPlayer(playerId) {
+      const player = byId.get(playerId);
+      if (!player) return null;
+      const { parsed, ...rest } = player;
+      return rest;
+    },
+
+    /**
+     * Names that didn't resolve, in the order first seen: [{ name, team, source, reason }]
+     */
+    getUnresolved() {
+      return [...unresolved.values()];
+    }
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Schedule Analysis
+ * Turns a league schedule into per-team rest, travel and stretch context.
+ * Used by the schedule worker; kept free of I/O so it runs anywhere.
+ */
+
+// Home arena location and IANA time zone for every team (neutral sites use the home team's arena)
+export const ARENAS = {
+  ATL: { lat: 33.757, lon: -84.396, timeZone: 'America/New_York' },
+  BOS: { lat: 42.366, lon: -71.062, timeZone: 'America/New_York' },
+  BKN: { lat: 40.683, lon: -73.976, timeZone: 'America/New_York' },
+  CHA: { lat: 35.225, lon: -80.839, timeZone: 'America/New_York' },
+  CHI: { lat: 41.881, lon: -87.674, timeZone: 'America/Chicago' },
+  CLE: { lat: 41.496, lon: -81.688, timeZone: 'America/New_York' },
+  DAL: { lat: 32.790, lon: -96.810, timeZone: 'America/Chicago' },
+  DEN: { lat: 39.749, lon: -105.008, timeZone: 'America/Denver' },
+  DET: { lat: 42.341, lon: -83.055, timeZone: 'America/Detroit' },
+  GSW: { lat: 37.768, lon: -122.388, timeZone: 'America/Los_Angeles' },
+  HOU: { lat: 29.751, lon: -95.362, timeZone: 'America/Chicago' },
+  IND: { lat: 39.764, lon: -86.155, timeZone: 'America/Indiana/Indianapolis' },
+  LAC: { lat: 33.945, lon: -118.343, timeZone: 'America/Los_Angeles' },
+  LAL: { lat: 34.043, lon: -118.267, timeZone: 'America/Los_Angeles' },
+  MEM: { lat: 35.138, lon: -90.051, timeZone: 'America/Chicago' },
+  MIA: { lat: 25.781, lon: -80.188, timeZone: 'America/New_York' },
+  MIL: { lat: 43.045, lon: -87.917, timeZone: 'America/Chicago' },
+  MIN: { lat: 44.979, lon: -93.276, timeZone: 'America/Chicago' },
+  NOP: { lat: 29.949, lon: -90.082, timeZone: 'America/Chicago' },
+  NYK: { lat: 40.751, lon: -73.993, timeZone: 'America/New_York' },
+  OKC: { lat: 35.463, lon: -97.515, timeZone: 'America/Chicago' },
+  ORL: { lat: 28.539, lon: -81.384, timeZone: 'America/New_York' },
+  PHI: { lat: 39.901, lon: -75.172, timeZone: 'America/New_York' },
+  PHX: { lat: 33.446, lon: -112.071, timeZone: 'America/Phoenix' },
+  POR: { lat: 45.532, lon: -122.667, timeZone: 'America/Los_Angeles' },
+  SAC: { lat: 38.580, lon: -121.500, timeZone: 'America/Los_Angeles' },
+  SAS: { lat: 29.427, lon: -98.438, timeZone: 'America/Chicago' },
+  TOR: { lat: 43.643, lon: -79.379, timeZone: 'America/Toronto' },
+  UTA: { lat: 40.768, lon: -111.901, timeZone: 'America/Denver' },
+  WAS: { lat: 38.898, lon: -77.021, timeZone: 'America/New_York' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Whole days between two YYYY-MM-DD dates (later - earlier)
+ */
+export function daysBetween(earlier, later) {
+  return Math.round((Date.parse(later) - Date.parse(earlier)) / DAY_MS);
+}
+
+/**
+ * Great-circle distance in miles between two arenas (0 if either is unknown)
+ */
+export function travelMiles(fromTricode, toTricode) {
+  const from = ARENAS[fromTricode];
+  const to = ARENAS[toTricode];
+  if (!from || !to) return 0;
+
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a)));
+}
+
+/**
+ * UTC offset in hours of an IANA time zone on a date (daylight saving included)
+ */
+export function utcOffsetOn(timeZone, date) {
+  // Midday UTC is early morning across North America, after any 2am daylight-saving switch
+  const instant = date ? new Date(`${date}T12:00:00Z`) : new Date();
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(instant)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) + Number(match[3]) / 60);
+}
+
+/**
+ * Hours of time-zone shift between two arenas on a date (positive = travelled east)
+ */
+export function timeZoneShift(fromTricode, toTricode, date) {
+  const from = ARENAS[fromTricode];
+  const to = ARENAS[toTricode];
+  if (!from || !to) return 0;
+  return utcOffsetOn(to.timeZone, date) - utcOffsetOn(from.timeZone, date);
+}
+
+/**
+ * Flatten NBA scheduleLeagueV2 JSON into [{ gameId, date, homeTeamId, homeTricode, awayTeamId, awayTricode }]
+ * Preseason (001) and All-Star (003) games are dropped
+ */
+export function parseLeagueSchedule(data) {
+  const gameDates = data?.leagueSchedule?.gameDates || [];
+  const games = [];
+
+  gameDates.forEach(gameDate => {
+    (gameDate.games || []).forEach(game => {
+      if (!game.gameId || game.gameId.startsWith('001') || game.gameId.startsWith('003')) return;
+      if (!game.homeTeam?.teamId || !game.awayTeam?.teamId) return;
+
+      games.push({
+        gameId: game.gameId,
+        date: (game.gameDateEst || '').slice(0, 10),
+        homeTeamId: game.homeTeam.teamId,
+        homeTricode: game.homeTeam.teamTricode,
+        awayTeamId: game.awayTeam.teamId,
+        awayTricode: game.awayTeam.teamTricode
+      });
+    });
+  });
+
+  return games.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Summarize one team's schedule around a date
+ * @param {Array} games - parsed league schedule (see parseLeagueSchedule)
+ * @param {number|string} teamId - NBA team ID
+ * @param {string} date - game date, YYYY-MM-DD
+ * @returns {object} - rest, density, travel and home-stand/road-trip context for that date
+ */
+export function summarizeTeamSchedule(games, teamId, date) {
+  const id = Number(teamId);
+  const teamGames = games
+    .filter(game => Number(game.homeTeamId) === id || Number(game.awayTeamId) === id)
+    .map(game => ({ ...game, isHome: Number(game.homeTeamId) === id }));
+
+  const previousGames = teamGames.filter(game => game.date < date);
+  const currentGame = teamGames.find(game => game.date === date) || null;
+  const nextGame = teamGames.find(game => game.date > date) || null;
+  const previousGame = previousGames[previousGames.length - 1] || null;
+
+  const daysSinceLastGame = previousGame ? daysBetween(previousGame.date, date) : null;
+  const daysUntilNextGame = nextGame ? daysBetween(date, nextGame.date) : null;
+
+  // Games within the window ending on this date (this game included when there is one)
+  const gamesInWindow = days => teamGames.filter(game => game.date <= date && daysBetween(game.date, date) < days).length;
+  const gamesInLast4Days = gamesInWindow(4);
+  const gamesInLast6Days = gamesInWindow(6);
+
+  const venue = game => game.homeTricode;
+  const travel = previousGame && currentGame ? travelMiles(venue(previousGame), venue(currentGame)) : 0;
+  const timeZoneChange = previousGame && currentGame ? timeZoneShift(venue(previousGame), venue(currentGame), date) : 0;
+
+  return {
+    teamId: id,
+    date,
+    hasGame: Boolean(currentGame),
+    isHome: currentGame ? currentGame.isHome : null,
+    previousGameDate: previousGame?.date || null,
+    nextGameDate: nextGame?.date || null,
+    daysSinceLastGame,
+    daysUntilNextGame,
+    restDays: daysSinceLastGame !== null ? daysSinceLastGame - 1 : null,
+    backToBack: daysSinceLastGame === 1,
+    frontOfBackToBack: daysUntilNextGame === 1,
+    gamesInLast4Days,
+    gamesInLast6Days,
+    threeInFour: gamesInLast4Days >= 3,
+    fourInSix: gamesInLast6Days >= 4,
+    travelMiles: travel,
+    timeZoneChange,
+    stretch: currentGame ? describeStretch(teamGames, currentGame) : null
+  };
+}
+
+/**
+ * Length of the home stand or road trip a game belongs to, and where the game falls in it
+ */
+function describeStretch(teamGames, currentGame) {
+  const index = teamGames.indexOf(currentGame);
+  let start = index;
+  let end = index;
+
+  while (start > 0 && teamGames[start - 1].isHome === currentGame.isHome) start--;
+  while (end < teamGames.length - 1 && teamGames[end + 1].isHome === currentGame.isHome) end++;
+
+  return {
+    type: currentGame.isHome ? 'home' : 'road',
+    gameNumber: index - start + 1,
+    length: end - start + 1
+  };
+}
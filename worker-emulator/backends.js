@@ -0,0 +1,153 @@
+/**
+ * Upstream Backends for the Worker Emulator
+ * Every request a worker makes to an NBA (or other upstream) host is routed to one of these:
+ * - live: pass through to the real network
+ * - fixtures: serve recorded responses from disk, never touch the network
+ * - record: pass through to the real network and save each response as a fixture
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Hosts the workers call directly; anything else is passed through untouched
+export const UPSTREAM_HOSTS = [
+  'stats.nba.com',
+  'ak-static.cms.nba.com',
+  'www.nba.com',
+  'cdn.nba.com',
+  'site.api.espn.com'
+];
+
+/**
+ * Map an upstream URL to a fixture path (without extension)
+ * e.g. https://stats.nba.com/stats/scoreboardv2?GameDate=2025-11-04 ->
+ *      <dir>/stats.nba.com/stats_scoreboardv2/<hash of sorted query>
+ */
+export function fixturePathFor(dir, urlString) {
+  const url = new URL(urlString);
+  const params = [...url.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const query = params.map(([key, value]) => `${key}=${value}`).join('&');
+  const queryHash = crypto.createHash('sha1').update(query).digest('hex').slice(0, 12);
+  const endpoint = url.pathname.replace(/^\/+/, '').replace(/[^a-zA-Z0-9.-]+/g, '_') || 'root';
+
+  return path.join(dir, url.hostname, endpoint, queryHash);
+}
+
+function requestUrl(input) {
+  return typeof input === 'string' ? input : (input.url || String(input));
+}
+
+function requestMethod(input, init) {
+  return (init?.method || input?.method || 'GET').toUpperCase();
+}
+
+/**
+ * Live backend - the real network
+ */
+export function createLiveBackend(realFetch) {
+  return {
+    name: 'live',
+    fetch: (input, init) => realFetch(input, init)
+  };
+}
+
+/**
+ * Fixture backend - recorded responses only
+ * JSON bodies are stored as <hash>.json, everything else (PDFs) as <hash>.bin
+ */
+export function createFixtureBackend(dir) {
+  return {
+    name: 'fixtures',
+    async fetch(input, init) {
+      const url = requestUrl(input);
+      const basePath = fixturePathFor(dir, url);
+      const method = requestMethod(input, init);
+
+      const jsonPath = `${basePath}.json`;
+      const binPath = `${basePath}.bin`;
+
+      if (fs.existsSync(jsonPath)) {
+        const body = method === 'HEAD' ? null : fs.readFileSync(jsonPath);
+        return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+      }
+
+      if (fs.existsSync(binPath)) {
+        const body = method === 'HEAD' ? null : fs.readFileSync(binPath);
+        return new Response(body, { status: 200, headers: { 'Content-Type': 'application/octet-stream' } });
+      }
+
+      console.log(`   ⚠️  No fixture for ${url} (expected ${jsonPath})`);
+      return new Response(JSON.stringify({ error: 'No fixture recorded', url }), {
+        status: 404,
+        statusText: 'Fixture Not Found',
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  };
+}
+
+/**
+ * Recording backend - live responses saved as fixtures for later offline runs
+ */
+export function createRecordingBackend(dir, realFetch) {
+  return {
+    name: 'record',
+    async fetch(input, init) {
+      const url = requestUrl(input);
+      const response = await realFetch(input, init);
+
+      if (!response.ok || requestMethod(input, init) === 'HEAD') {
+        return response;
+      }
+
+      const buffer = Buffer.from(await response.arrayBuffer());
+      const isJson = (response.headers.get('content-type') || '').includes('json');
+      const filePath = `${fixturePathFor(dir, url)}${isJson ? '.json' : '.bin'}`;
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, buffer);
+      console.log(`   💾 Recorded fixture ${path.relative(dir, filePath)}`);
+
+      return new Response(buffer, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      });
+    }
+  };
+}
+
+/**
+ * Create a backend by name
+ */
+export function createBackend(name, { fixturesDir, realFetch }) {
+  switch (name) {
+    case 'live':
+      return createLiveBackend(realFetch);
+    case 'fixtures':
+      return createFixtureBackend(fixturesDir);
+    case 'record':
+      return createRecordingBackend(fixturesDir, realFetch);
+    default:
+      throw new Error(`Unknown backend "${name}". Use live, fixtures or record.`);
+  }
+}
+
+/**
+ * Route upstream requests through a backend by replacing the global fetch
+ * Returns a function that restores the original fetch
+ */
+export function installUpstreamBackend(backend, realFetch = globalThis.fetch) {
+  globalThis.fetch = (input, init) => {
+    const hostname = new URL(requestUrl(input)).hostname;
+    if (UPSTREAM_HOSTS.includes(hostname)) {
+      return backend.fetch(input, init);
+    }
+    return realFetch(input, init);
+  };
+
+  return () => {
+    globalThis.fetch = realFetch;
+  };
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Local Worker Emulator
+ * Runs every Cloudflare worker module in workers/ inside a single Node HTTP server
+ * so the prediction engine and validator can be developed against a local pipeline.
+ *
+ * Usage:
+ *   node worker-emulator/worker-emulator.js                       # all workers on :8787/<name>
+ *   node worker-emulator/worker-emulator.js --per-port            # each worker on its own port (8787, 8788, ...)
+ *   node worker-emulator/worker-emulator.js --backend=fixtures    # serve upstream NBA calls from fixtures
+ *   node worker-emulator/worker-emulator.js --backend=record      # live upstream calls, saved as fixtures
+ *
+ * Point the engine and validator at it with:
+ *   NBA_WORKERS_BASE_URL=http://localhost:8787 npm run predict
+ */
+
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createBackend, installUpstreamBackend } from './backends.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKERS_DIR = path.join(__dirname, '..', 'workers');
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// WORKERS key (see prediction-engine/config/constants.js) -> worker module
+export const WORKER_MODULES = {
+  games: 'nba-worker-games.js',
+  teams: 'nba-worker-teams.js',
+  players: 'nba-worker-players.js',
+  injuries: 'nba-worker-injuries.js',
+  gamenotes: 'nba-worker-gamenotes.js',
+  injuriesOfficial: 'nba-worker-injuries-official.js',
+  lineups: 'nba-worker-lineups.js',
+  teamstyle: 'nba-worker-teamstyle.js',
+  schedule: 'nba-worker-schedule.js',
+  results: 'nba-worker-results.js'
+};
+
+/**
+ * Import every worker module and return { name: worker }
+ */
+export async function loadWorkers() {
+  const workers = {};
+
+  for (const [name, file] of Object.entries(WORKER_MODULES)) {
+    const module = await import(pathToFileURL(path.join(WORKERS_DIR, file)).href);
+    workers[name] = module.default;
+  }
+
+  return workers;
+}
+
+/**
+ * Convert a Node request into a Fetch API Request the worker can handle
+ * @param {string} pathname - path as the worker should see it (mount prefix removed)
+ */
+async function toWorkerRequest(req, origin, pathname, search) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const hasBody = !['GET', 'HEAD'].includes(req.method) && chunks.length > 0;
+
+  // req.headers folds repeated headers and holds set-cookie as an array, so copy the raw name/value pairs
+  const headers = new Headers();
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    headers.append(req.rawHeaders[i], req.rawHeaders[i + 1]);
+  }
+
+  return new Request(`${origin}${pathname}${search}`, {
+    method: req.method,
+    headers,
+    body: hasBody ? Buffer.concat(chunks) : undefined
+  });
+}
+
+/**
+ * Write a worker's Fetch API Response back through Node's response
+ */
+async function sendWorkerResponse(res, response) {
+  const headers = {};
+  response.headers.forEach((value, key) => {
+    headers[key] = value;
+  });
+
+  res.writeHead(response.status, headers);
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Invoke a worker the way the Cloudflare runtime would
+ */
+async function dispatch(worker, request) {
+  const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+  return worker.fetch(request, {}, ctx);
+}
+
+/**
+ * Create a server that mounts every worker under /<name>
+ * e.g. GET /teams/teams?id=... is handled by the teams worker as /teams?id=...
+ */
+export function createMountedServer(workers) {
+  return http.createServer(async (req, res) => {
+    const origin = `http://${req.headers.host || 'localhost'}`;
+    const url = new URL(req.url, origin);
+    const [, mount, ...rest] = url.pathname.split('/');
+    const worker = workers[mount];
+
+    if (!worker) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: `No worker mounted at /${mount}`,
+        available: Object.keys(workers).map(name => `/${name}`)
+      }));
+      return;
+    }
+
+    try {
+      const request = await toWorkerRequest(req, origin, `/${rest.join('/')}`, url.search);
+      await sendWorkerResponse(res, await dispatch(worker, request));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: `Worker ${mount} crashed: ${error.message}` }));
+    }
+  });
+}
+
+/**
+ * Create a server for a single worker mounted at the root path
+ */
+export function createSingleWorkerServer(name, worker) {
+  return http.createServer(async (req, res) => {
+    const origin = `http://${req.headers.host || 'localhost'}`;
+    const url = new URL(req.url, origin);
+
+    try {
+      const request = await toWorkerRequest(req, origin, url.pathname, url.search);
+      await sendWorkerResponse(res, await dispatch(worker, request));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: `Worker ${name} crashed: ${error.message}` }));
+    }
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const port = parseInt(args.find(arg => arg.startsWith('--port='))?.split('=')[1] || '8787');
+  const backendName = args.find(arg => arg.startsWith('--backend='))?.split('=')[1] || 'live';
+  const fixturesDir = path.resolve(args.find(arg => arg.startsWith('--fixtures='))?.split('=')[1] || DEFAULT_FIXTURES_DIR);
+  const perPort = args.includes('--per-port');
+
+  const backend = createBackend(backendName, { fixturesDir, realFetch: globalThis.fetch });
+  installUpstreamBackend(backend);
+
+  const workers = await loadWorkers();
+
+  console.log('🛠️  NBA LOCAL WORKER EMULATOR');
+  console.log(`🔌 Upstream backend: ${backend.name}${backend.name === 'live' ? '' : ` (${fixturesDir})`}`);
+  console.log('='.repeat(80));
+
+  if (perPort) {
+    Object.entries(workers).forEach(([name, worker], index) => {
+      const workerPort = port + index;
+      createSingleWorkerServer(name, worker).listen(workerPort);
+      console.log(`   ✅ ${name.padEnd(18)} http://localhost:${workerPort}`);
+    });
+  } else {
+    createMountedServer(workers).listen(port);
+    Object.keys(workers).forEach(name => {
+      console.log(`   ✅ ${name.padEnd(18)} http://localhost:${port}/${name}`);
+    });
+    console.log('');
+    console.log(`💡 NBA_WORKERS_BASE_URL=http://localhost:${port} npm run predict`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('❌ Emulator failed to start:', error.message);
+    process.exit(1);
+  });
+}
@@ -1,11 +1,18 @@
 /**
- * NBA Game Notes Worker - Simplified version for Cloudflare Workers
+ * NBA Game Notes Worker - Parses a team's pregame notes PDF
  * Endpoint: /gamenotes?team=TEAMABBR (e.g., PHI, BOS, LAL)
  * 
- * Note: This version fetches PDFs but returns URL for client-side parsing
- * For full PDF parsing, you'll need to implement client-side parsing or use a service
+ * Extracts the PDF text in the worker (shared/pdf-text.js) and returns projected starters,
+ * injury notes, streaks and milestones (shared/game-notes.js) with parse diagnostics
  */
 
+import { createHttpClient } from '../shared/http-client.js';
+import { extractPdfText } from '../shared/pdf-text.js';
+import { parseGameNotesText } from '../shared/game-notes.js';
+
+// Timeouts, jittered retries and a circuit breaker for www.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-gamenotes' });
+
 // Team abbreviation to PDF slug mapping
 const PDF_SLUGS = {
   'ATL': 'hawks',
@@ -90,9 +97,14 @@ export default {
     }
 
     try {
-      // Check if PDF exists and is accessible
       const pdfUrl = `https://www.nba.com/gamenotes/${pdfSlug}.pdf`;
-      const pdfResponse = await fetch(pdfUrl, { method: 'HEAD' });
+      const pdfResponse = await httpClient.fetch(pdfUrl, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          'Accept': 'application/pdf,*/*',
+          'Referer': 'https://www.nba.com/'
+        }
+      });
       
       if (!pdfResponse.ok) {
         return new Response(
@@ -111,25 +123,24 @@ export default {
         );
       }
 
-      // Return PDF info and mock data structure for now
-      // In Phase 2, we'll implement actual PDF parsing
+      const extracted = await extractPdfText(await pdfResponse.arrayBuffer());
+      const notes = parseGameNotesText(extracted.text);
+
       const gameNotesData = {
         success: true,
         team: teamUpper,
         lastUpdated: new Date().toISOString(),
         pdfUrl,
         pdfAvailable: true,
-        
-        // Mock data structure - replace with actual parsing in Phase 2
-        injuries: getMockInjuries(teamUpper),
-        h2hHistory: [],
-        startingLineup: [],
-        teamTrends: [],
-        recentGames: [],
-        seasonStats: {},
-        
-        // For now, provide PDF URL so client can handle parsing
-        note: "PDF parsing will be implemented in Phase 2. Use pdfUrl for manual parsing."
+        game: notes.game,
+        projectedStarters: notes.projectedStarters,
+        injuryNotes: notes.injuryNotes,
+        streaks: notes.streaks,
+        milestones: notes.milestones,
+        diagnostics: {
+          ...notes.diagnostics,
+          pdf: extracted.diagnostics
+        }
       };
 
       return new Response(
@@ -146,7 +157,7 @@ export default {
       return new Response(
         JSON.stringify({ 
           success: false, 
-          error: `Error checking game notes: ${error.message}` 
+          error: `Error parsing game notes: ${error.message}` 
         }),
         { 
           headers: { 
@@ -158,40 +169,3 @@ export default {
     }
   }
 };
-
-/**
- * Mock injury data for testing - replace with PDF parsing
- */
-function getMockInjuries(team) {
-  const mockData = {
-    'PHI': [
-      {
-        name: 'Joel Embiid',
-        injury: 'Left Knee; Management',
-        status: 'questionable',
-        dates: '10/28/25',
-        gamesMissed: 1
-      }
-    ],
-    'BOS': [
-      {
-        name: 'Jayson Tatum',
-        injury: 'Right Achilles; Repair', 
-        status: 'out',
-        dates: '10/22 through 10/27/25',
-        gamesMissed: 4
-      }
-    ],
-    'LAL': [
-      {
-        name: 'Anthony Davis',
-        injury: 'Left Foot; Plantar Fasciitis',
-        status: 'probable',
-        dates: '10/29/25',
-        gamesMissed: 0
-      }
-    ]
-  };
-  
-  return mockData[team] || [];
-}
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * NBA Games Worker - Fetches the game schedule for a date
+ * Endpoint: /games?date=YYYY-MM-DD (defaults to today)
+ *
+ * Deploy to: nba-worker-games.scottcinatl.workers.dev
+ */
+
+import { createHttpClient } from '../shared/http-client.js';
+
+// Timeouts, jittered retries and a circuit breaker for stats.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-games' });
+
+export default {
+  async fetch(request, env, ctx) {
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Content-Type': 'application/json',
+    };
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+      const url = new URL(request.url);
+      const date = url.searchParams.get('date') || getTodayDate();
+
+      console.log(`Fetching games for ${date}`);
+
+      const games = await fetchGamesForDate(date);
+
+      return new Response(JSON.stringify({
+        success: true,
+        date,
+        gameCount: games.length,
+        games,
+        source: 'NBA Stats scoreboardv2',
+        timestamp: new Date().toISOString()
+      }, null, 2), {
+        headers: corsHeaders
+      });
+
+    } catch (error) {
+      console.error('Error fetching games:', error);
+
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message,
+        gameCount: 0,
+        games: []
+      }), {
+        status: 500,
+        headers: corsHeaders
+      });
+    }
+  }
+};
+
+/**
+ * Fetch and parse the scoreboard for a date
+ */
+async function fetchGamesForDate(date) {
+  const url = `https://stats.nba.com/stats/scoreboardv2?DayOffset=0&GameDate=${date}&LeagueID=00`;
+  const response = await httpClient.fetch(url, getNBAHeaders());
+
+  if (!response.ok) {
+    throw new Error(`NBA API returned ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return parseScoreboard(data);
+}
+
+/**
+ * Combine GameHeader rows with LineScore team info into game objects
+ */
+function parseScoreboard(data) {
+  const gameHeaderSet = data.resultSets?.find(rs => rs.name === 'GameHeader');
+  const lineScoreSet = data.resultSets?.find(rs => rs.name === 'LineScore');
+
+  if (!gameHeaderSet || !gameHeaderSet.rowSet) {
+    return [];
+  }
+
+  const gameHeaders = gameHeaderSet.rowSet.map(row => mapRow(gameHeaderSet.headers, row));
+  const lineScores = lineScoreSet?.rowSet ? lineScoreSet.rowSet.map(row => mapRow(lineScoreSet.headers, row)) : [];
+
+  return gameHeaders.map(header => {
+    const homeLine = lineScores.find(ls => ls.GAME_ID === header.GAME_ID && ls.TEAM_ID === header.HOME_TEAM_ID) || {};
+    const awayLine = lineScores.find(ls => ls.GAME_ID === header.GAME_ID && ls.TEAM_ID === header.VISITOR_TEAM_ID) || {};
+
+    return {
+      gameId: header.GAME_ID,
+      date: header.GAME_DATE_EST,
+      time: (header.GAME_STATUS_TEXT || '').trim(),
+      statusId: header.GAME_STATUS_ID,
+      gameCode: header.GAMECODE,
+      awayTeam: buildTeam(header.VISITOR_TEAM_ID, awayLine, header.GAMECODE, 'away'),
+      homeTeam: buildTeam(header.HOME_TEAM_ID, homeLine, header.GAMECODE, 'home')
+    };
+  });
+}
+
+/**
+ * Build team info from a LineScore row, falling back to the GAMECODE (e.g. "20251104/MILTOR")
+ */
+function buildTeam(teamId, lineScore, gameCode, side) {
+  const codeTeams = (gameCode || '').split('/')[1] || '';
+  const codeAbbr = side === 'away' ? codeTeams.slice(0, 3) : codeTeams.slice(3, 6);
+  const nickname = lineScore.TEAM_NAME || lineScore.TEAM_NICKNAME || '';
+
+  return {
+    id: teamId,
+    abbreviation: lineScore.TEAM_ABBREVIATION || codeAbbr,
+    name: [lineScore.TEAM_CITY_NAME, nickname].filter(Boolean).join(' ') || codeAbbr,
+    score: lineScore.PTS ?? null
+  };
+}
+
+/**
+ * Map a result set row to an object keyed by header
+ */
+function mapRow(headers, row) {
+  const mapped = {};
+  headers.forEach((header, index) => {
+    mapped[header] = row[index];
+  });
+  return mapped;
+}
+
+/**
+ * Get NBA.com API headers - EXACT SAME AS PLAYER WORKER
+ */
+function getNBAHeaders() {
+  return {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'application/json, text/plain, */*',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Referer': 'https://www.nba.com/',
+      'Origin': 'https://www.nba.com',
+      'Connection': 'keep-alive',
+      'Sec-Fetch-Dest': 'empty',
+      'Sec-Fetch-Mode': 'cors',
+      'Sec-Fetch-Site': 'same-site',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    },
+    cf: {
+      cacheTtl: 300,
+      cacheEverything: true
+    }
+  };
+}
+
+/**
+ * Get today's date in YYYY-MM-DD format
+ */
+function getTodayDate() {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
@@ -1,12 +1,36 @@
 /**
  * NBA Official Injury Report Worker
- * 
+ *
  * Fetches the official NBA injury report PDF that contains all teams
  * URL: https://ak-static.cms.nba.com/referee/injury/Injury-Report_YYYY-MM-DD_03PM.pdf
- * 
+ *
+ * Endpoints:
+ *   /?date=YYYY-MM-DD&time=03PM        - the report PDF, base64 encoded
+ *   /parsed?date=YYYY-MM-DD&time=03PM  - the report parsed into injury records (shared/injury-report-parser.js)
+ *   /list?date=YYYY-MM-DD              - which report times have been published for the date
+ *
  * Deploy to: nba-worker-injuries-official.scottcinatl.workers.dev
  */
 
+import { createHttpClient } from '../shared/http-client.js';
+import { extractPdfText } from '../shared/pdf-text.js';
+import { parseInjuryReportText } from '../shared/injury-report-parser.js';
+
+// Timeouts, jittered retries and a circuit breaker for ak-static.cms.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-injuries-official' });
+
+// Report slots published through the day (INJURY_REPORT_TIMES in prediction-engine/config/constants.js)
+const REPORT_TIMES = [
+  '12AM', '01AM', '02AM', '03AM', '04AM', '05AM', '06AM', '07AM', '08AM', '09AM', '10AM', '11AM',
+  '12PM', '01PM', '02PM', '03PM', '04PM', '05PM', '06PM', '07PM'
+];
+
+const PDF_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  'Accept': 'application/pdf,*/*',
+  'Referer': 'https://www.nba.com/'
+};
+
 export default {
   async fetch(request) {
     const url = new URL(request.url);
@@ -17,7 +41,8 @@ export default {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, If-Modified-Since',
+      'Access-Control-Expose-Headers': 'ETag, Last-Modified',
     };
 
     if (request.method === 'OPTIONS') {
@@ -25,78 +50,204 @@ export default {
     }
 
     try {
-      // Construct the official NBA injury report URL with dynamic time
-      const injuryReportUrl = `https://ak-static.cms.nba.com/referee/injury/Injury-Report_${date}_${time}.pdf`;
-
-      console.log(`Fetching official injury report: ${injuryReportUrl}`);
-
-      // Fetch the PDF with proper headers
-      const pdfResponse = await fetch(injuryReportUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Accept': 'application/pdf,*/*',
-          'Referer': 'https://www.nba.com/'
-        }
-      });
+      if (url.pathname === '/list') {
+        return await handleList(date, corsHeaders);
+      } else if (url.pathname === '/parsed') {
+        return await handleReport(request, date, time, corsHeaders, { parsed: true });
+      } else if (url.pathname === '/' || url.pathname === '') {
+        return await handleReport(request, date, time, corsHeaders, { parsed: false });
+      } else {
+        return jsonResponse({
+          success: false,
+          error: 'Invalid endpoint',
+          available: [
+            '/?date=YYYY-MM-DD&time=03PM - Official report PDF (base64)',
+            '/parsed?date=YYYY-MM-DD&time=03PM - Official report parsed into injury records',
+            '/list?date=YYYY-MM-DD - Report times published for the date'
+          ]
+        }, corsHeaders, { status: 404 });
+      }
+
+    } catch (error) {
+      return jsonResponse({
+        success: false,
+        error: `Error fetching official injury report: ${error.message}`,
+        date
+      }, corsHeaders);
+    }
+  }
+};
+
+function reportUrl(date, time) {
+  return `https://ak-static.cms.nba.com/referee/injury/Injury-Report_${date}_${time}.pdf`;
+}
+
+function jsonResponse(body, corsHeaders, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Fetch one report and return it as base64 PDF data, or parsed into injury records
+ */
+async function handleReport(request, date, time, corsHeaders, { parsed }) {
+  const injuryReportUrl = reportUrl(date, time);
+
+  console.log(`Fetching official injury report: ${injuryReportUrl}`);
+
+  // Fetch the PDF with proper headers, passing through the client's cache validators - only for the
+  // PDF itself: an unchanged PDF doesn't mean an unchanged parse once the parser changes
+  const upstreamHeaders = { ...PDF_HEADERS };
+  if (!parsed && request.headers.get('If-None-Match')) {
+    upstreamHeaders['If-None-Match'] = request.headers.get('If-None-Match');
+  }
+  if (!parsed && request.headers.get('If-Modified-Since')) {
+    upstreamHeaders['If-Modified-Since'] = request.headers.get('If-Modified-Since');
+  }
+
+  const pdfResponse = await httpClient.fetch(injuryReportUrl, { headers: upstreamHeaders });
+
+  // Published reports never change, so the client can keep its cached copy
+  const validatorHeaders = {};
+  if (!parsed && pdfResponse.headers.get('ETag')) validatorHeaders['ETag'] = pdfResponse.headers.get('ETag');
+  if (!parsed && pdfResponse.headers.get('Last-Modified')) validatorHeaders['Last-Modified'] = pdfResponse.headers.get('Last-Modified');
+
+  if (pdfResponse.status === 304) {
+    return new Response(null, {
+      status: 304,
+      headers: { ...validatorHeaders, ...corsHeaders }
+    });
+  }
 
-      if (!pdfResponse.ok) {
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: `Official injury report not available for ${date} at ${time}`,
-            attempted_url: injuryReportUrl,
-            status: pdfResponse.status
-          }),
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          }
-        );
+  if (!pdfResponse.ok) {
+    return jsonResponse({
+      success: false,
+      error: `Official injury report not available for ${date} at ${time}`,
+      attempted_url: injuryReportUrl,
+      status: pdfResponse.status
+    }, corsHeaders);
+  }
+
+  const arrayBuffer = await pdfResponse.arrayBuffer();
+
+  if (parsed) {
+    const extracted = await extractPdfText(arrayBuffer);
+    const { report, records, notSubmitted, diagnostics } = parseInjuryReportText(extracted.text);
+    const parsedReport = {
+      report,
+      records,
+      notSubmitted,
+      diagnostics: {
+        ...diagnostics,
+        pdf: { ...extracted.diagnostics, characters: extracted.text.length }
       }
+    };
+
+    // The client's copy is current only if it holds this exact parse
+    const etag = parsedReportEtag(parsedReport);
+    if (request.headers.get('If-None-Match') === etag) {
+      return new Response(null, {
+        status: 304,
+        headers: { 'ETag': etag, ...corsHeaders }
+      });
+    }
+
+    return jsonResponse({
+      success: true,
+      date,
+      time,
+      pdfUrl: injuryReportUrl,
+      ...parsedReport,
+      source: 'NBA_OFFICIAL',
+      lastUpdated: new Date().toISOString()
+    }, corsHeaders, { headers: { 'ETag': etag } });
+  }
+
+  return jsonResponse({
+    success: true,
+    date,
+    time,
+    pdfUrl: injuryReportUrl,
+    pdfData: toBase64(new Uint8Array(arrayBuffer)), // Base64 encoded PDF
+    source: 'NBA_OFFICIAL',
+    lastUpdated: new Date().toISOString(),
+    note: 'Official NBA injury report containing all teams'
+  }, corsHeaders, { headers: validatorHeaders });
+}
+
+/**
+ * ETag for a parsed report, hashed from the parse itself rather than taken from the PDF
+ * A plain 128-bit string hash (four multiply-xor lanes, cyrb128) rather than crypto.subtle, which Node 18
+ * doesn't expose as a global - it only has to tell parses apart, not resist tampering
+ */
+function parsedReportEtag(parsedReport) {
+  const text = JSON.stringify(parsedReport);
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
 
-      // Get PDF as array buffer and convert to base64
-      const arrayBuffer = await pdfResponse.arrayBuffer();
-      const base64 = btoa(String.fromCharCode(...new Uint8Array(arrayBuffer)));
-
-      // Return PDF data as base64
-      return new Response(
-        JSON.stringify({
-          success: true,
-          date,
-          time,
-          pdfUrl: injuryReportUrl,
-          pdfData: base64, // Base64 encoded PDF
-          source: 'NBA_OFFICIAL',
-          lastUpdated: new Date().toISOString(),
-          note: 'Official NBA injury report containing all teams'
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            ...corsHeaders
-          }
-        }
-      );
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ code, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ code, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ code, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ code, 2716044179);
+  }
+
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
 
+  const hex = [h1, h2, h3, h4].map(lane => (lane >>> 0).toString(16).padStart(8, '0')).join('');
+  return `"parsed-${hex}"`;
+}
+
+/**
+ * Check every report slot for the date in one go (HEAD requests, nothing downloaded)
+ */
+async function handleList(date, corsHeaders) {
+  const reports = await Promise.all(REPORT_TIMES.map(async time => {
+    const pdfUrl = reportUrl(date, time);
+    try {
+      const response = await httpClient.fetch(pdfUrl, { method: 'HEAD', headers: PDF_HEADERS });
+      return { time, pdfUrl, available: response.ok };
     } catch (error) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: `Error fetching official injury report: ${error.message}`,
-          date
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            ...corsHeaders
-          }
-        }
-      );
+      return { time, pdfUrl, available: false, error: error.message };
     }
+  }));
+
+  const available = reports.filter(report => report.available).map(report => report.time);
+
+  return jsonResponse({
+    success: true,
+    date,
+    reports,
+    available,
+    latest: available[available.length - 1] || null,
+    source: 'NBA_OFFICIAL',
+    lastUpdated: new Date().toISOString()
+  }, corsHeaders);
+}
+
+/**
+ * Base64 in chunks - spreading a whole report into String.fromCharCode overflows the call stack
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
-};
+  return btoa(binary);
+}
 
 /**
  * Get today's date in YYYY-MM-DD format
@@ -107,4 +258,4 @@ function getTodayDate() {
   const month = String(today.getMonth() + 1).padStart(2, '0');
   const day = String(today.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
-}
\ No newline at end of file
+}
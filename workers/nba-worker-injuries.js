@@ -0,0 +1,155 @@
+/**
+ * NBA Injuries Worker - Fetches the league-wide injury list (non-official fallback)
+ * Endpoint: /injuries?team=TEAMABBR (omit team for all teams)
+ *
+ * The official report lives in nba-worker-injuries-official; this worker is the
+ * base layer used when the official PDF is unavailable.
+ *
+ * Deploy to: nba-worker-injuries.scottcinatl.workers.dev
+ */
+
+import { createHttpClient } from '../shared/http-client.js';
+
+// Timeouts, jittered retries and a circuit breaker for ESPN calls
+const httpClient = createHttpClient({ name: 'nba-worker-injuries' });
+
+// Full team name to NBA abbreviation mapping
+const TEAM_ABBREVIATIONS = {
+  'Atlanta Hawks': 'ATL',
+  'Boston Celtics': 'BOS',
+  'Brooklyn Nets': 'BKN',
+  'Charlotte Hornets': 'CHA',
+  'Chicago Bulls': 'CHI',
+  'Cleveland Cavaliers': 'CLE',
+  'Dallas Mavericks': 'DAL',
+  'Denver Nuggets': 'DEN',
+  'Detroit Pistons': 'DET',
+  'Golden State Warriors': 'GSW',
+  'Houston Rockets': 'HOU',
+  'Indiana Pacers': 'IND',
+  'LA Clippers': 'LAC',
+  'Los Angeles Clippers': 'LAC',
+  'Los Angeles Lakers': 'LAL',
+  'Memphis Grizzlies': 'MEM',
+  'Miami Heat': 'MIA',
+  'Milwaukee Bucks': 'MIL',
+  'Minnesota Timberwolves': 'MIN',
+  'New Orleans Pelicans': 'NOP',
+  'New York Knicks': 'NYK',
+  'Oklahoma City Thunder': 'OKC',
+  'Orlando Magic': 'ORL',
+  'Philadelphia 76ers': 'PHI',
+  'Phoenix Suns': 'PHX',
+  'Portland Trail Blazers': 'POR',
+  'Sacramento Kings': 'SAC',
+  'San Antonio Spurs': 'SAS',
+  'Toronto Raptors': 'TOR',
+  'Utah Jazz': 'UTA',
+  'Washington Wizards': 'WAS'
+};
+
+export default {
+  async fetch(request) {
+    const url = new URL(request.url);
+    const team = url.searchParams.get('team');
+
+    // Add CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    };
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+      const allInjuries = await fetchLeagueInjuries();
+      const injuries = team
+        ? allInjuries.filter(inj => inj.teamAbbreviation === team.toUpperCase())
+        : allInjuries;
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          team: team ? team.toUpperCase() : 'ALL',
+          injuryCount: injuries.length,
+          injuries,
+          source: 'ESPN',
+          lastUpdated: new Date().toISOString()
+        }),
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders
+          }
+        }
+      );
+
+    } catch (error) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: `Error fetching injuries: ${error.message}`,
+          injuries: []
+        }),
+        {
+          status: 500,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders
+          }
+        }
+      );
+    }
+  }
+};
+
+/**
+ * Fetch and normalize the league-wide injury list
+ */
+async function fetchLeagueInjuries() {
+  const response = await httpClient.fetch('https://site.api.espn.com/apis/site/v2/sports/basketball/nba/injuries', {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Injury feed returned ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const injuries = [];
+
+  (data.injuries || []).forEach(teamEntry => {
+    const teamAbbr = TEAM_ABBREVIATIONS[teamEntry.displayName];
+    if (!teamAbbr) return;
+
+    (teamEntry.injuries || []).forEach(entry => {
+      injuries.push({
+        teamAbbreviation: teamAbbr,
+        playerName: entry.athlete?.displayName || 'Unknown',
+        status: normalizeStatus(entry.status),
+        description: entry.shortComment || entry.details?.type || '',
+        source: 'ESPN'
+      });
+    });
+  });
+
+  return injuries;
+}
+
+/**
+ * Map feed status strings onto the statuses used by the prediction engine
+ */
+function normalizeStatus(status) {
+  const value = (status || '').toLowerCase();
+  if (value.includes('out')) return 'out';
+  if (value.includes('doubtful')) return 'doubtful';
+  if (value.includes('questionable') || value.includes('day-to-day')) return 'questionable';
+  if (value.includes('probable')) return 'probable';
+  return value || 'unknown';
+}
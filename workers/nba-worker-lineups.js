@@ -5,6 +5,12 @@
  * Based on the working patterns from the NBA Players Worker
  */
 
+import { createHttpClient } from '../shared/http-client.js';
+import { parseGroupPlayerIds } from '../shared/player-identity.js';
+
+// Timeouts, jittered retries and a circuit breaker for stats.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-lineups' });
+
 export default {
   async fetch(request, env, ctx) {
     const corsHeaders = {
@@ -97,7 +103,7 @@ async function fetchTeamLineups(teamId, season, lastN, measureType) {
     `&SeasonSegment=&SeasonType=Regular+Season&ShotClockRange=` +
     `&TeamID=${teamId}&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   
   if (!response.ok) {
     throw new Error(`NBA API returned ${response.status}: ${response.statusText}`);
@@ -142,6 +148,7 @@ function parseLineupData(data) {
       groupId: lineup.GROUP_ID,
       groupName: lineup.GROUP_NAME,
       players: parsePlayersFromGroupName(lineup.GROUP_NAME),
+      playerIds: parseGroupPlayerIds(lineup.GROUP_ID), // same players, ordered by ID rather than by name
       
       // Game stats
       gamesPlayed: lineup.GP || 0,
@@ -5,6 +5,11 @@
  * Or: /players?id=PLAYERID&season=2025-26&lastN=5
  */
 
+import { createHttpClient } from '../shared/http-client.js';
+
+// Timeouts, jittered retries and a circuit breaker for stats.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-players' });
+
 export default {
   async fetch(request, env, ctx) {
     const corsHeaders = {
@@ -128,7 +133,7 @@ async function fetchTeamRoster(teamId, season) {
   const url = `https://stats.nba.com/stats/commonteamroster/?TeamID=${teamId}&Season=${season}`;
   
   try {
-    const response = await fetch(url, getNBAHeaders());
+    const response = await httpClient.fetch(url, getNBAHeaders());
     if (!response.ok) {
       console.warn(`Could not fetch roster for team ${teamId}: ${response.status}`);
       return [];
@@ -161,7 +166,7 @@ async function fetchPlayerProfile(playerId) {
   const url = `https://stats.nba.com/stats/commonplayerinfo/?PlayerID=${playerId}`;
   
   try {
-    const response = await fetch(url, getNBAHeaders());
+    const response = await httpClient.fetch(url, getNBAHeaders());
     if (!response.ok) {
       console.warn(`Could not fetch profile for player ${playerId}: ${response.status}`);
       return null;
@@ -203,7 +208,7 @@ async function fetchTeamPlayers(teamId, season, lastN) {
     `&SeasonSegment=&SeasonType=Regular+Season&ShotClockRange=` +
     `&StarterBench=&TeamID=${teamId}&TwoWay=0&VsConference=&VsDivision=&Weight=`;
 
-  const generalResponse = await fetch(generalUrl, getNBAHeaders());
+  const generalResponse = await httpClient.fetch(generalUrl, getNBAHeaders());
   if (!generalResponse.ok) {
     throw new Error(`NBA API returned ${generalResponse.status}: ${generalResponse.statusText}`);
   }
@@ -219,7 +224,7 @@ async function fetchTeamPlayers(teamId, season, lastN) {
     `&SeasonSegment=&SeasonType=Regular+Season&ShotClockRange=` +
     `&StarterBench=&TeamID=${teamId}&TwoWay=0&VsConference=&VsDivision=&Weight=`;
 
-  const advancedResponse = await fetch(advancedUrl, getNBAHeaders());
+  const advancedResponse = await httpClient.fetch(advancedUrl, getNBAHeaders());
   if (!advancedResponse.ok) {
     throw new Error(`NBA API returned ${advancedResponse.status}: ${advancedResponse.statusText}`);
   }
@@ -240,7 +245,7 @@ async function fetchPlayerStats(playerId, season, lastN) {
     `&PlusMinus=N&Rank=N&Season=${season}&SeasonSegment=&SeasonType=Regular+Season` +
     `&ShotClockRange=&Split=general&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   if (!response.ok) {
     throw new Error(`NBA API returned ${response.status}: ${response.statusText}`);
   }
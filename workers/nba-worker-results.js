@@ -8,6 +8,11 @@
  * 3. Return complete data for validation system
  */
 
+import { createHttpClient } from '../shared/http-client.js';
+
+// Timeouts, jittered retries and a circuit breaker for stats.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-results' });
+
 export default {
   async fetch(request) {
     const url = new URL(request.url);
@@ -105,7 +110,7 @@ async function handleTest(corsHeaders) {
  */
 async function getGameIds(date) {
   const scoreboardUrl = `https://stats.nba.com/stats/scoreboardv2?DayOffset=0&GameDate=${date}&LeagueID=00`;
-  const response = await fetch(scoreboardUrl, getNBAHeaders());
+  const response = await httpClient.fetch(scoreboardUrl, getNBAHeaders());
   
   if (!response.ok) {
     throw new Error(`Scoreboard API error: ${response.status} - ${response.statusText}`);
@@ -134,7 +139,7 @@ async function getGameBoxScore(gameId) {
   try {
     // Use NBA Stats boxscoretraditionalv2 API for basic counting stats
     const boxScoreUrl = `https://stats.nba.com/stats/boxscoretraditionalv2?EndPeriod=4&EndRange=0&GameID=${gameId}&RangeType=0&StartPeriod=1&StartRange=0`;
-    const response = await fetch(boxScoreUrl, getNBAHeaders());
+    const response = await httpClient.fetch(boxScoreUrl, getNBAHeaders());
     
     if (!response.ok) {
       return { success: false, error: `BoxScore API error: ${response.status}`, gameId };
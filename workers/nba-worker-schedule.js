@@ -0,0 +1,140 @@
+/**
+ * NBA Schedule Worker - Rest, travel and schedule-density context for a team
+ * Endpoint: /schedule?team=TEAMID&date=YYYY-MM-DD (date defaults to today)
+ *
+ * Deploy to: nba-worker-schedule.scottcinatl.workers.dev
+ */
+
+import { createHttpClient } from '../shared/http-client.js';
+import { parseLeagueSchedule, summarizeTeamSchedule } from '../shared/schedule.js';
+
+// Timeouts, jittered retries and a circuit breaker for cdn.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-schedule' });
+
+const SCHEDULE_URL = 'https://cdn.nba.com/static/json/staticData/scheduleLeagueV2.json';
+
+export default {
+  async fetch(request, env, ctx) {
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Content-Type': 'application/json',
+    };
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+      const url = new URL(request.url);
+      const teamId = url.searchParams.get('team');
+      const date = url.searchParams.get('date') || getTodayDate();
+
+      if (!teamId) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: 'Team ID is required. Use ?team=TEAMID',
+          example: '/schedule?team=1610612738&date=2025-11-04'
+        }), {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: `Invalid date "${date}". Use YYYY-MM-DD`
+        }), {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+
+      console.log(`Fetching schedule context: team=${teamId}, date=${date}`);
+
+      const { seasonYear, games } = await fetchLeagueSchedule();
+      const schedule = summarizeTeamSchedule(games, teamId, date);
+
+      return new Response(JSON.stringify({
+        success: true,
+        schedule,
+        metadata: {
+          teamId,
+          date,
+          season: seasonYear,
+          dataSource: 'NBA_SCHEDULE_LEAGUE_V2',
+          timestamp: new Date().toISOString()
+        }
+      }, null, 2), {
+        headers: corsHeaders
+      });
+
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 500,
+        headers: corsHeaders
+      });
+    }
+  }
+};
+
+/**
+ * Fetch the full league schedule (every game of the current season, played and upcoming)
+ */
+async function fetchLeagueSchedule() {
+  const response = await httpClient.fetch(SCHEDULE_URL, getNBAHeaders());
+
+  if (!response.ok) {
+    throw new Error(`NBA schedule returned ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return {
+    seasonYear: data.leagueSchedule?.seasonYear || null,
+    games: parseLeagueSchedule(data)
+  };
+}
+
+/**
+ * Get NBA.com API headers - EXACT SAME AS PLAYER WORKER
+ */
+function getNBAHeaders() {
+  return {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'application/json, text/plain, */*',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Referer': 'https://www.nba.com/',
+      'Origin': 'https://www.nba.com',
+      'Connection': 'keep-alive',
+      'Sec-Fetch-Dest': 'empty',
+      'Sec-Fetch-Mode': 'cors',
+      'Sec-Fetch-Site': 'same-site',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    },
+    cf: {
+      cacheTtl: 3600, // Schedule only changes on postponements
+      cacheEverything: true
+    }
+  };
+}
+
+/**
+ * Get today's date in YYYY-MM-DD format
+ */
+function getTodayDate() {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
@@ -3,6 +3,11 @@
  * Endpoint: /teams?id=TEAMID&season=2025-26&lastN=5
  */
 
+import { createHttpClient } from '../shared/http-client.js';
+
+// Timeouts, jittered retries and a circuit breaker for stats.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-teams' });
+
 export default {
   async fetch(request, env, ctx) {
     const corsHeaders = {
@@ -84,7 +89,7 @@ async function fetchTeamGeneralStats(teamId, season, lastN) {
     `&PlusMinus=N&Rank=N&Season=${season}&SeasonSegment=&SeasonType=Regular+Season` +
     `&ShotClockRange=&StarterBench=&TeamID=${teamId}&TwoWay=0&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   
   if (!response.ok) {
     throw new Error(`NBA API returned ${response.status}: ${response.statusText}`);
@@ -106,7 +111,7 @@ async function fetchTeamAdvancedStats(teamId, season, lastN) {
     `&PlusMinus=N&Rank=N&Season=${season}&SeasonSegment=&SeasonType=Regular+Season` +
     `&ShotClockRange=&StarterBench=&TeamID=${teamId}&TwoWay=0&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   
   if (!response.ok) {
     throw new Error(`NBA API returned ${response.status}: ${response.statusText}`);
@@ -128,7 +133,7 @@ async function fetchTeamOpponentStats(teamId, season, lastN) {
     `&PlusMinus=N&Rank=N&Season=${season}&SeasonSegment=&SeasonType=Regular+Season` +
     `&ShotClockRange=&StarterBench=&TeamID=${teamId}&TwoWay=0&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   
   if (!response.ok) {
     throw new Error(`NBA API returned ${response.status}: ${response.statusText}`);
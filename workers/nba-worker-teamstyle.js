@@ -8,6 +8,11 @@
  * - Situational tendencies (clutch, blowouts, home/away)
  */
 
+import { createHttpClient } from '../shared/http-client.js';
+
+// Timeouts, jittered retries and a circuit breaker for stats.nba.com calls
+const httpClient = createHttpClient({ name: 'nba-worker-teamstyle' });
+
 export default {
   async fetch(request, env, ctx) {
     const corsHeaders = {
@@ -288,7 +293,7 @@ async function fetchTeamBaseStats(teamId, season, lastN) {
     `&SeasonType=Regular+Season&ShotClockRange=&StarterBench=` +
     `&TeamID=${teamId}&TwoWay=0&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   if (!response.ok) {
     throw new Error(`NBA API base stats error: ${response.status}`);
   }
@@ -310,7 +315,7 @@ async function fetchTeamAdvancedStats(teamId, season, lastN) {
     `&SeasonType=Regular+Season&ShotClockRange=&StarterBench=` +
     `&TeamID=${teamId}&TwoWay=0&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   if (!response.ok) {
     throw new Error(`NBA API advanced stats error: ${response.status}`);
   }
@@ -330,7 +335,7 @@ async function fetchTeamShootingStats(teamId, season, lastN) {
     `&Rank=N&Season=${season}&SeasonSegment=&SeasonType=Regular+Season` +
     `&ShotClockRange=&TeamID=${teamId}&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   if (!response.ok) {
     throw new Error(`NBA API shooting stats error: ${response.status}`);
   }
@@ -350,7 +355,7 @@ async function fetchTeamOpponentStats(teamId, season, lastN) {
     `&Rank=N&Season=${season}&SeasonSegment=&SeasonType=Regular+Season` +
     `&ShotClockRange=&TeamID=${teamId}&VsConference=&VsDivision=`;
 
-  const response = await fetch(url, getNBAHeaders());
+  const response = await httpClient.fetch(url, getNBAHeaders());
   if (!response.ok) {
     throw new Error(`NBA API opponent stats error: ${response.status}`);
   }